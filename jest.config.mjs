@@ -12,7 +12,41 @@ const config = {
   // setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
 
   testEnvironment: "jest-environment-jsdom",
+  // Resolve absolute imports (e.g. "lib/cx") from the tsconfig baseUrl
+  moduleDirectories: ["node_modules", "<rootDir>/src/app"],
+  moduleNameMapper: {
+    "^public/(.*)$": "<rootDir>/public/$1",
+  },
+};
+
+// SWC rewrites every bare import against the tsconfig `"*": ["*"]` path mapping,
+// which breaks Node built-ins and packages (e.g. "fs" -> "src/app/fs") in server
+// side code. Drop the path mapping from the transformer and let Jest resolve
+// absolute imports through moduleDirectories instead.
+const jestConfig = async () => {
+  const nextJestConfig = await createJestConfig(config)();
+  const transform = Object.fromEntries(
+    Object.entries(nextJestConfig.transform).map(([pattern, transformer]) => {
+      if (!Array.isArray(transformer) || !transformer[1]?.jsConfig) {
+        return [pattern, transformer];
+      }
+      const [transformerPath, transformerConfig] = transformer;
+      const { paths, ...compilerOptions } =
+        transformerConfig.jsConfig.compilerOptions ?? {};
+      return [
+        pattern,
+        [
+          transformerPath,
+          {
+            ...transformerConfig,
+            jsConfig: { ...transformerConfig.jsConfig, compilerOptions },
+          },
+        ],
+      ];
+    })
+  );
+  return { ...nextJestConfig, transform };
 };
 
 // createJestConfig is exported this way to ensure that next/jest can load the Next.js config which is async
-export default createJestConfig(config);
+export default jestConfig;
@@ -6,6 +6,15 @@ const nextConfig = {
   // the canvas package for webpack
   // https://github.com/mozilla/pdf.js/issues/16214
   output: 'standalone',
+  experimental: {
+    // The API routes load the pdfjs fake worker and the tesseract.js WebAssembly engine (OCR)
+    // at runtime, which the output file tracing of the standalone build cannot see. The
+    // standalone output has a single node_modules, so including the files for the top level
+    // routes covers all of them.
+    outputFileTracingIncludes: {
+      '/api/*': ['./node_modules/pdfjs-dist/build/pdf.worker.js', './node_modules/tesseract.js-core/*.wasm'],
+    },
+  },
   webpack: (config) => {
     // Setting resolve.alias to false tells webpack to ignore a module
     // https://webpack.js.org/configuration/resolve/#resolvealias
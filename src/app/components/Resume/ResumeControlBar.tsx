@@ -1,12 +1,25 @@
 "use client";
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { useSetDefaultScale } from "components/Resume/hooks";
 import {
   MagnifyingGlassIcon,
   ArrowDownTrayIcon,
+  CodeBracketIcon,
+  ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
 } from "@heroicons/react/24/outline";
 import { usePDF } from "@react-pdf/renderer";
 import dynamic from "next/dynamic";
+import { IconButton } from "components/Button";
+import { useAppDispatch, useAppSelector } from "lib/redux/hooks";
+import { undo, redo, selectCanUndo, selectCanRedo } from "lib/redux/history";
+import type { Resume } from "lib/redux/types";
+import type { Settings } from "lib/redux/settingsSlice";
+import {
+  createOpenResumeFile,
+  downloadJsonFile,
+  resumeToJsonResume,
+} from "lib/resume-file";
 
 const ResumeControlBar = ({
   scale,
@@ -14,12 +27,16 @@ const ResumeControlBar = ({
   documentSize,
   document,
   fileName,
+  resume,
+  settings,
 }: {
   scale: number;
   setScale: (scale: number) => void;
   documentSize: string;
   document: JSX.Element;
   fileName: string;
+  resume: Resume;
+  settings: Settings;
 }) => {
   const { scaleOnResize, setScaleOnResize } = useSetDefaultScale({
     setScale,
@@ -33,6 +50,23 @@ const ResumeControlBar = ({
     update();
   }, [update, document]);
 
+  // Fields the last JSON Resume export left out, e.g. dates like "Summer 2022"
+  const [unexportedFields, setUnexportedFields] = useState<string[]>([]);
+
+  const onExportJsonResume = () => {
+    const { jsonResume, unmappedFields } = resumeToJsonResume(resume, settings);
+    downloadJsonFile(`${fileName}.json`, jsonResume);
+    setUnexportedFields(unmappedFields);
+  };
+
+  const onExportOpenResume = () => {
+    downloadJsonFile(
+      `${fileName}.openresume.json`,
+      createOpenResumeFile(resume, settings)
+    );
+    setUnexportedFields([]);
+  };
+
   return (
     <div className="sticky bottom-0 left-0 right-0 flex h-[var(--resume-control-bar-height)] items-center justify-center px-[var(--resume-padding)] text-gray-600 lg:justify-between">
       <div className="flex items-center gap-2">
@@ -58,15 +92,78 @@ const ResumeControlBar = ({
           />
           <span className="select-none">Autoscale</span>
         </label>
+        <UndoRedoButtons />
+      </div>
+      <div className="ml-1 flex items-center gap-2 lg:ml-8">
+        {unexportedFields.length > 0 && (
+          <span
+            className="hidden whitespace-nowrap text-sm text-amber-600 lg:inline"
+            title={unexportedFields.join("\n")}
+          >
+            {unexportedFields.length} field
+            {unexportedFields.length > 1 && "s"} not exported
+          </span>
+        )}
+        <button
+          type="button"
+          className="hidden items-center gap-1 rounded-md border border-gray-300 px-3 py-0.5 hover:bg-gray-100 lg:flex"
+          title="Export as JSON Resume (jsonresume.org)"
+          onClick={onExportJsonResume}
+        >
+          <CodeBracketIcon className="h-4 w-4" />
+          <span className="whitespace-nowrap">JSON Resume</span>
+        </button>
+        <button
+          type="button"
+          className="hidden items-center gap-1 rounded-md border border-gray-300 px-3 py-0.5 hover:bg-gray-100 lg:flex"
+          title="Export as OpenResume file, with theme settings, to import later"
+          onClick={onExportOpenResume}
+        >
+          <CodeBracketIcon className="h-4 w-4" />
+          <span className="whitespace-nowrap">OpenResume JSON</span>
+        </button>
+        <a
+          className="flex items-center gap-1 rounded-md border border-gray-300 px-3 py-0.5 hover:bg-gray-100"
+          href={instance.url!}
+          download={fileName}
+        >
+          <ArrowDownTrayIcon className="h-4 w-4" />
+          <span className="whitespace-nowrap">Download Resume</span>
+        </a>
       </div>
-      <a
-        className="ml-1 flex items-center gap-1 rounded-md border border-gray-300 px-3 py-0.5 hover:bg-gray-100 lg:ml-8"
-        href={instance.url!}
-        download={fileName}
+    </div>
+  );
+};
+
+const UndoRedoButtons = () => {
+  const canUndo = useAppSelector(selectCanUndo);
+  const canRedo = useAppSelector(selectCanRedo);
+  const dispatch = useAppDispatch();
+  const isMac =
+    typeof navigator !== "undefined" &&
+    /Mac|iP(hone|ad)/.test(navigator.platform);
+  const modifierKey = isMac ? "⌘" : "Ctrl+";
+
+  return (
+    <div className="ml-2 flex items-center border-l border-gray-300 pl-2">
+      <IconButton
+        onClick={() => dispatch(undo())}
+        disabled={!canUndo}
+        className="disabled:opacity-40"
+        tooltipText={`Undo (${modifierKey}Z)`}
+      >
+        <ArrowUturnLeftIcon className="h-4 w-4" aria-hidden="true" />
+        <span className="sr-only">Undo</span>
+      </IconButton>
+      <IconButton
+        onClick={() => dispatch(redo())}
+        disabled={!canRedo}
+        className="disabled:opacity-40"
+        tooltipText={`Redo (${isMac ? "⇧⌘" : "Ctrl+Shift+"}Z)`}
       >
-        <ArrowDownTrayIcon className="h-4 w-4" />
-        <span className="whitespace-nowrap">Download Resume</span>
-      </a>
+        <ArrowUturnRightIcon className="h-4 w-4" aria-hidden="true" />
+        <span className="sr-only">Redo</span>
+      </IconButton>
     </div>
   );
 };
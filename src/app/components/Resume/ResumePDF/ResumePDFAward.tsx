@@ -0,0 +1,44 @@
+import { View } from "@react-pdf/renderer";
+import {
+  ResumePDFSection,
+  ResumePDFBulletList,
+  ResumePDFText,
+} from "components/Resume/ResumePDF/common";
+import { styles, spacing } from "components/Resume/ResumePDF/styles";
+import type { ResumeAward } from "lib/redux/types";
+
+export const ResumePDFAward = ({
+  heading,
+  awards,
+  themeColor,
+}: {
+  heading: string;
+  awards: ResumeAward[];
+  themeColor: string;
+}) => {
+  return (
+    <ResumePDFSection themeColor={themeColor} heading={heading}>
+      {awards.map(({ title, awarder, date, descriptions }, idx) => (
+        <View key={idx}>
+          <View
+            style={{
+              ...styles.flexRowBetween,
+              marginTop: spacing["0.5"],
+            }}
+          >
+            <ResumePDFText bold={true}>{title}</ResumePDFText>
+            <ResumePDFText>{date}</ResumePDFText>
+          </View>
+          {awarder && (
+            <ResumePDFText style={{ marginTop: spacing["1"] }}>
+              {awarder}
+            </ResumePDFText>
+          )}
+          <View style={{ ...styles.flexCol, marginTop: spacing["0.5"] }}>
+            <ResumePDFBulletList items={descriptions} />
+          </View>
+        </View>
+      ))}
+    </ResumePDFSection>
+  );
+};
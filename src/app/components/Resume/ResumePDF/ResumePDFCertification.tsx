@@ -0,0 +1,44 @@
+import { View } from "@react-pdf/renderer";
+import {
+  ResumePDFSection,
+  ResumePDFText,
+} from "components/Resume/ResumePDF/common";
+import { styles, spacing } from "components/Resume/ResumePDF/styles";
+import type { ResumeCertification } from "lib/redux/types";
+
+export const ResumePDFCertification = ({
+  heading,
+  certifications,
+  themeColor,
+}: {
+  heading: string;
+  certifications: ResumeCertification[];
+  themeColor: string;
+}) => {
+  return (
+    <ResumePDFSection themeColor={themeColor} heading={heading}>
+      {certifications.map(({ name, issuer, date, url }, idx) => {
+        const details = [issuer, url].filter(Boolean).join(" | ");
+
+        return (
+          <View key={idx}>
+            <View
+              style={{
+                ...styles.flexRowBetween,
+                marginTop: spacing["0.5"],
+              }}
+            >
+              <ResumePDFText bold={true}>{name}</ResumePDFText>
+              <ResumePDFText>{date}</ResumePDFText>
+            </View>
+            {details && (
+              <ResumePDFText style={{ marginTop: spacing["1"] }}>
+                {details}
+              </ResumePDFText>
+            )}
+          </View>
+        );
+      })}
+    </ResumePDFSection>
+  );
+};
@@ -0,0 +1,35 @@
+import { View } from "@react-pdf/renderer";
+import {
+  ResumePDFSection,
+  ResumePDFText,
+} from "components/Resume/ResumePDF/common";
+import { styles, spacing } from "components/Resume/ResumePDF/styles";
+import type { ResumeLanguage } from "lib/redux/types";
+
+export const ResumePDFLanguage = ({
+  heading,
+  languages,
+  themeColor,
+}: {
+  heading: string;
+  languages: ResumeLanguage[];
+  themeColor: string;
+}) => {
+  return (
+    <ResumePDFSection themeColor={themeColor} heading={heading}>
+      {languages.map(({ language, proficiency }, idx) => (
+        <View
+          key={idx}
+          style={{ ...styles.flexRow, marginTop: spacing["0.5"] }}
+        >
+          <ResumePDFText bold={true}>{language}</ResumePDFText>
+          {proficiency && (
+            <ResumePDFText style={{ paddingLeft: spacing["1.5"] }}>
+              {`- ${proficiency}`}
+            </ResumePDFText>
+          )}
+        </View>
+      ))}
+    </ResumePDFSection>
+  );
+};
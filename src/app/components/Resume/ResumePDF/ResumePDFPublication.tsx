@@ -0,0 +1,48 @@
+import { View } from "@react-pdf/renderer";
+import {
+  ResumePDFSection,
+  ResumePDFBulletList,
+  ResumePDFText,
+} from "components/Resume/ResumePDF/common";
+import { styles, spacing } from "components/Resume/ResumePDF/styles";
+import type { ResumePublication } from "lib/redux/types";
+
+export const ResumePDFPublication = ({
+  heading,
+  publications,
+  themeColor,
+}: {
+  heading: string;
+  publications: ResumePublication[];
+  themeColor: string;
+}) => {
+  return (
+    <ResumePDFSection themeColor={themeColor} heading={heading}>
+      {publications.map(({ name, publisher, date, url, descriptions }, idx) => {
+        const details = [publisher, url].filter(Boolean).join(" | ");
+
+        return (
+          <View key={idx}>
+            <View
+              style={{
+                ...styles.flexRowBetween,
+                marginTop: spacing["0.5"],
+              }}
+            >
+              <ResumePDFText bold={true}>{name}</ResumePDFText>
+              <ResumePDFText>{date}</ResumePDFText>
+            </View>
+            {details && (
+              <ResumePDFText style={{ marginTop: spacing["1"] }}>
+                {details}
+              </ResumePDFText>
+            )}
+            <View style={{ ...styles.flexCol, marginTop: spacing["0.5"] }}>
+              <ResumePDFBulletList items={descriptions} />
+            </View>
+          </View>
+        );
+      })}
+    </ResumePDFSection>
+  );
+};
@@ -0,0 +1,56 @@
+import { View } from "@react-pdf/renderer";
+import {
+  ResumePDFSection,
+  ResumePDFBulletList,
+  ResumePDFText,
+} from "components/Resume/ResumePDF/common";
+import { styles, spacing } from "components/Resume/ResumePDF/styles";
+import type { ResumeVolunteerExperience } from "lib/redux/types";
+
+export const ResumePDFVolunteerExperience = ({
+  heading,
+  volunteerExperiences,
+  themeColor,
+}: {
+  heading: string;
+  volunteerExperiences: ResumeVolunteerExperience[];
+  themeColor: string;
+}) => {
+  return (
+    <ResumePDFSection themeColor={themeColor} heading={heading}>
+      {volunteerExperiences.map(
+        ({ organization, role, date, descriptions }, idx) => {
+          // Hide organization name if it is the same as the previous organization
+          const hideOrganizationName =
+            idx > 0 &&
+            organization === volunteerExperiences[idx - 1].organization;
+
+          return (
+            <View
+              key={idx}
+              style={idx !== 0 ? { marginTop: spacing["2"] } : {}}
+            >
+              {!hideOrganizationName && (
+                <ResumePDFText bold={true}>{organization}</ResumePDFText>
+              )}
+              <View
+                style={{
+                  ...styles.flexRowBetween,
+                  marginTop: hideOrganizationName
+                    ? "-" + spacing["1"]
+                    : spacing["1.5"],
+                }}
+              >
+                <ResumePDFText>{role}</ResumePDFText>
+                <ResumePDFText>{date}</ResumePDFText>
+              </View>
+              <View style={{ ...styles.flexCol, marginTop: spacing["1.5"] }}>
+                <ResumePDFBulletList items={descriptions} />
+              </View>
+            </View>
+          );
+        }
+      )}
+    </ResumePDFSection>
+  );
+};
@@ -5,6 +5,11 @@ import { ResumePDFWorkExperience } from "components/Resume/ResumePDF/ResumePDFWo
 import { ResumePDFEducation } from "components/Resume/ResumePDF/ResumePDFEducation";
 import { ResumePDFProject } from "components/Resume/ResumePDF/ResumePDFProject";
 import { ResumePDFSkills } from "components/Resume/ResumePDF/ResumePDFSkills";
+import { ResumePDFCertification } from "components/Resume/ResumePDF/ResumePDFCertification";
+import { ResumePDFAward } from "components/Resume/ResumePDF/ResumePDFAward";
+import { ResumePDFLanguage } from "components/Resume/ResumePDF/ResumePDFLanguage";
+import { ResumePDFVolunteerExperience } from "components/Resume/ResumePDF/ResumePDFVolunteerExperience";
+import { ResumePDFPublication } from "components/Resume/ResumePDF/ResumePDFPublication";
 import { ResumePDFCustom } from "components/Resume/ResumePDF/ResumePDFCustom";
 import { DEFAULT_FONT_COLOR } from "lib/redux/settingsSlice";
 import type { Settings, ShowForm } from "lib/redux/settingsSlice";
@@ -35,8 +40,19 @@ export const ResumePDF = ({
   settings: Settings;
   isPDF?: boolean;
 }) => {
-  const { profile, workExperiences, educations, projects, skills, custom } =
-    resume;
+  const {
+    profile,
+    workExperiences,
+    educations,
+    projects,
+    skills,
+    certifications,
+    awards,
+    languages,
+    volunteerExperiences,
+    publications,
+    custom,
+  } = resume;
   const { name } = profile;
   const {
     fontFamily,
@@ -82,6 +98,41 @@ export const ResumePDF = ({
         showBulletPoints={showBulletPoints["skills"]}
       />
     ),
+    certifications: () => (
+      <ResumePDFCertification
+        heading={formToHeading["certifications"]}
+        certifications={certifications}
+        themeColor={themeColor}
+      />
+    ),
+    awards: () => (
+      <ResumePDFAward
+        heading={formToHeading["awards"]}
+        awards={awards}
+        themeColor={themeColor}
+      />
+    ),
+    languages: () => (
+      <ResumePDFLanguage
+        heading={formToHeading["languages"]}
+        languages={languages}
+        themeColor={themeColor}
+      />
+    ),
+    volunteerExperiences: () => (
+      <ResumePDFVolunteerExperience
+        heading={formToHeading["volunteerExperiences"]}
+        volunteerExperiences={volunteerExperiences}
+        themeColor={themeColor}
+      />
+    ),
+    publications: () => (
+      <ResumePDFPublication
+        heading={formToHeading["publications"]}
+        publications={publications}
+        themeColor={themeColor}
+      />
+    ),
     custom: () => (
       <ResumePDFCustom
         heading={formToHeading["custom"]}
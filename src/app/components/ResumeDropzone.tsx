@@ -76,18 +76,28 @@ export const ResumeDropzone = ({
     const settings = deepClone(initialSettings);
 
     // Set formToShow settings based on uploaded resume if users have used the app before
+    const sections = Object.keys(settings.formToShow) as ShowForm[];
+    const sectionToFormToShow: Record<ShowForm, boolean> = {
+      workExperiences: resume.workExperiences.length > 0,
+      educations: resume.educations.length > 0,
+      projects: resume.projects.length > 0,
+      skills: resume.skills.descriptions.length > 0,
+      certifications: resume.certifications.length > 0,
+      awards: resume.awards.length > 0,
+      languages: resume.languages.length > 0,
+      volunteerExperiences: resume.volunteerExperiences.length > 0,
+      publications: resume.publications.length > 0,
+      custom: resume.custom.descriptions.length > 0,
+    };
     if (getHasUsedAppBefore()) {
-      const sections = Object.keys(settings.formToShow) as ShowForm[];
-      const sectionToFormToShow: Record<ShowForm, boolean> = {
-        workExperiences: resume.workExperiences.length > 0,
-        educations: resume.educations.length > 0,
-        projects: resume.projects.length > 0,
-        skills: resume.skills.descriptions.length > 0,
-        custom: resume.custom.descriptions.length > 0,
-      };
       for (const section of sections) {
         settings.formToShow[section] = sectionToFormToShow[section];
       }
+    } else {
+      // The sections hidden by default are still shown if the resume has them
+      for (const section of sections) {
+        settings.formToShow[section] ||= sectionToFormToShow[section];
+      }
     }
 
     saveStateToLocalStorage({ resume, settings });
@@ -0,0 +1,119 @@
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import { saveStateToLocalStorage } from "lib/redux/local-storage";
+import {
+  type ImportedResumeFile,
+  importResumeFile,
+  ResumeFileError,
+} from "lib/resume-file";
+import { cx } from "lib/cx";
+
+const FORMAT_TO_LABEL = {
+  "json-resume": "JSON Resume",
+  "open-resume": "OpenResume file",
+};
+
+/**
+ * Import a JSON Resume (https://jsonresume.org) or a file exported from the builder, listing
+ * the fields that have no place in the builder before the import overrides the saved data.
+ */
+export const ResumeFileImport = ({ className }: { className?: string }) => {
+  const [fileName, setFileName] = useState("");
+  const [importedFile, setImportedFile] = useState<ImportedResumeFile | null>(
+    null
+  );
+  const [error, setError] = useState("");
+  const router = useRouter();
+
+  const onInputChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setFileName(file.name);
+    try {
+      setImportedFile(importResumeFile(await file.text()));
+      setError("");
+    } catch (e) {
+      setImportedFile(null);
+      setError(
+        e instanceof ResumeFileError ? e.message : "This file can't be read."
+      );
+    }
+  };
+
+  const onRemove = () => {
+    setFileName("");
+    setImportedFile(null);
+    setError("");
+  };
+
+  const onImportClick = () => {
+    if (!importedFile) return;
+    const { resume, settings } = importedFile;
+    saveStateToLocalStorage({ resume, settings });
+    router.push("/resume-builder");
+  };
+
+  return (
+    <div className={cx("text-gray-500", className)}>
+      {!fileName ? (
+        <p>
+          Have a JSON Resume or an OpenResume file?{" "}
+          <label className="cursor-pointer font-semibold text-sky-500 underline-offset-2 hover:underline">
+            Import JSON
+            <input
+              type="file"
+              className="sr-only"
+              accept=".json,application/json"
+              onChange={onInputChange}
+            />
+          </label>
+        </p>
+      ) : (
+        <div className="rounded-md border border-gray-200 px-6 py-5">
+          <div className="flex items-center justify-center gap-3">
+            <div className="pl-7 font-semibold text-gray-900">
+              {fileName}
+              {importedFile && ` - ${FORMAT_TO_LABEL[importedFile.format]}`}
+            </div>
+            <button
+              type="button"
+              className="outline-theme-blue rounded-md p-1 text-gray-400 hover:bg-gray-100 hover:text-gray-500"
+              title="Remove file"
+              onClick={onRemove}
+            >
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+          {error && <p className="mt-3 text-red-400">{error}</p>}
+          {importedFile && (
+            <>
+              {importedFile.unmappedFields.length > 0 && (
+                <div className="mt-3 text-left text-sm">
+                  <p>
+                    These fields have no place in OpenResume and won&apos;t be
+                    imported:
+                  </p>
+                  <ul className="mt-1 max-h-32 list-disc overflow-y-auto pl-5 font-mono">
+                    {importedFile.unmappedFields.map((field) => (
+                      <li key={field}>{field}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <button
+                type="button"
+                className="btn-primary mt-5"
+                onClick={onImportClick}
+              >
+                Import and Continue <span aria-hidden="true">→</span>
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,74 @@
+import { Form, FormSection } from "components/ResumeForm/Form";
+import {
+  Input,
+  BulletListTextarea,
+} from "components/ResumeForm/Form/InputGroup";
+import type { CreateHandleChangeArgsWithDescriptions } from "components/ResumeForm/types";
+import { useAppDispatch, useAppSelector } from "lib/redux/hooks";
+import { changeAwards, selectAwards } from "lib/redux/resumeSlice";
+import type { ResumeAward } from "lib/redux/types";
+
+export const AwardsForm = () => {
+  const awards = useAppSelector(selectAwards);
+  const dispatch = useAppDispatch();
+  const showDelete = awards.length > 1;
+
+  return (
+    <Form form="awards" addButtonText="Add Award">
+      {awards.map(({ title, awarder, date, descriptions }, idx) => {
+        const handleAwardChange = (
+          ...[field, value]: CreateHandleChangeArgsWithDescriptions<ResumeAward>
+        ) => {
+          dispatch(changeAwards({ idx, field, value } as any));
+        };
+        const showMoveUp = idx !== 0;
+        const showMoveDown = idx !== awards.length - 1;
+
+        return (
+          <FormSection
+            key={idx}
+            form="awards"
+            idx={idx}
+            showMoveUp={showMoveUp}
+            showMoveDown={showMoveDown}
+            showDelete={showDelete}
+            deleteButtonTooltipText="Delete award"
+          >
+            <Input
+              label="Award"
+              labelClassName="col-span-4"
+              name="title"
+              placeholder="Dean's List"
+              value={title}
+              onChange={handleAwardChange}
+            />
+            <Input
+              label="Date"
+              labelClassName="col-span-2"
+              name="date"
+              placeholder="Fall 2021"
+              value={date}
+              onChange={handleAwardChange}
+            />
+            <Input
+              label="Awarded By"
+              labelClassName="col-span-full"
+              name="awarder"
+              placeholder="Cornell University"
+              value={awarder}
+              onChange={handleAwardChange}
+            />
+            <BulletListTextarea
+              label="Description (Optional)"
+              labelClassName="col-span-full"
+              name="descriptions"
+              placeholder="Bullet points"
+              value={descriptions}
+              onChange={handleAwardChange}
+            />
+          </FormSection>
+        );
+      })}
+    </Form>
+  );
+};
@@ -2,6 +2,7 @@ import { Form, FormSection } from "components/ResumeForm/Form";
 import {
   BulletListTextarea,
   Input,
+  DateInput,
 } from "components/ResumeForm/Form/InputGroup";
 import { BulletListIconButton } from "components/ResumeForm/Form/IconButton";
 import type { CreateHandleChangeArgsWithDescriptions } from "components/ResumeForm/types";
@@ -57,7 +58,7 @@ export const EducationsForm = () => {
               value={school}
               onChange={handleEducationChange}
             />
-            <Input
+            <DateInput
               label="Date"
               labelClassName="col-span-2"
               name="date"
@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
 import ContentEditable from "react-contenteditable";
 import { useAutosizeTextareaHeight } from "lib/hooks/useAutosizeTextareaHeight";
+import { toDateRange } from "lib/resume-file/dates";
+import { MULTILINGUAL_VOCABULARY } from "lib/parse-resume-from-pdf/language-packs";
 
 interface InputProps<K extends string, V extends string | string[]> {
   label: string;
@@ -42,7 +44,8 @@ export const Input = <K extends string>({
   onChange,
   label,
   labelClassName,
-}: InputProps<K, string>) => {
+  warning,
+}: InputProps<K, string> & { warning?: string }) => {
   return (
     <InputGroupWrapper label={label} className={labelClassName}>
       <input
@@ -53,10 +56,29 @@ export const Input = <K extends string>({
         onChange={(e) => onChange(name, e.target.value)}
         className={INPUT_CLASS_NAME}
       />
+      {warning && (
+        <span className="mt-1 block text-sm font-normal text-amber-600">
+          {warning}
+        </span>
+      )}
     </InputGroupWrapper>
   );
 };
 
+/**
+ * Input of a resume date, which warns about a date that can't be read as a month or a year,
+ * e.g. to compute the experience timeline. The builder has no resume language, so dates can
+ * be in any language of the parser, e.g. "enero 2020 - actualidad".
+ */
+export const DateInput = <K extends string>(props: InputProps<K, string>) => {
+  const { value = "" } = props;
+  const warning =
+    value.trim() && !toDateRange(value, MULTILINGUAL_VOCABULARY)
+      ? 'This date can\'t be read. Use e.g. "Jan 2020 - Present", "2019 - 2021" or "05/2018".'
+      : undefined;
+  return <Input {...props} warning={warning} />;
+};
+
 export const Textarea = <T extends string>({
   label,
   labelClassName: wrapperClassName,
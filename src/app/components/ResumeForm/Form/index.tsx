@@ -20,6 +20,11 @@ import {
   AcademicCapIcon,
   LightBulbIcon,
   WrenchIcon,
+  CheckBadgeIcon,
+  TrophyIcon,
+  LanguageIcon,
+  HeartIcon,
+  BookOpenIcon,
   PlusSmallIcon,
 } from "@heroicons/react/24/outline";
 import {
@@ -51,6 +56,11 @@ const FORM_TO_ICON: { [section in ShowForm]: typeof BuildingOfficeIcon } = {
   educations: AcademicCapIcon,
   projects: LightBulbIcon,
   skills: WrenchIcon,
+  certifications: CheckBadgeIcon,
+  awards: TrophyIcon,
+  languages: LanguageIcon,
+  volunteerExperiences: HeartIcon,
+  publications: BookOpenIcon,
   custom: WrenchIcon,
 };
 
@@ -0,0 +1,130 @@
+import { useMemo, useState } from "react";
+import { BaseForm } from "components/ResumeForm/Form";
+import { Textarea } from "components/ResumeForm/Form/InputGroup";
+import { useAppSelector } from "lib/redux/hooks";
+import { selectResume } from "lib/redux/resumeSlice";
+import { matchResumeToJob, type WeightedTerm } from "lib/job-match";
+import { cx } from "lib/cx";
+import { BriefcaseIcon } from "@heroicons/react/24/outline";
+
+const getScoreColor = (score: number) => {
+  if (score >= 70) return "text-green-600";
+  if (score >= 40) return "text-amber-500";
+  return "text-red-500";
+};
+
+const TermChips = ({
+  label,
+  terms,
+  isMatched,
+}: {
+  label: string;
+  terms: WeightedTerm[];
+  isMatched: boolean;
+}) => {
+  if (terms.length === 0) return null;
+  return (
+    <div>
+      <p className="text-sm font-medium text-gray-700">{label}</p>
+      <ul className="mt-1 flex flex-wrap gap-1.5">
+        {terms.map(({ term, weight }) => (
+          <li
+            key={term}
+            className={cx(
+              "rounded-full px-2.5 py-0.5 text-sm",
+              isMatched
+                ? "bg-green-50 text-green-700"
+                : "bg-gray-100 text-gray-600"
+            )}
+            title={`Weight ${weight}`}
+          >
+            {term}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Match the resume to a job description, so it can be tailored to the job. The job
+ * description is only kept while the builder is open.
+ */
+export const JobMatchForm = () => {
+  const resume = useAppSelector(selectResume);
+  const [jobDescription, setJobDescription] = useState("");
+  const match = useMemo(
+    () =>
+      jobDescription.trim() ? matchResumeToJob(resume, jobDescription) : null,
+    [resume, jobDescription]
+  );
+
+  return (
+    <BaseForm>
+      <div className="flex items-center gap-2">
+        <BriefcaseIcon className="h-6 w-6 text-gray-600" aria-hidden="true" />
+        <h1 className="text-lg font-semibold tracking-wide text-gray-900">
+          Job Match
+        </h1>
+      </div>
+      <Textarea
+        label="Job Description"
+        name="jobDescription"
+        placeholder="Paste a job description to see how well your resume matches it"
+        value={jobDescription}
+        onChange={(_, value) => setJobDescription(value)}
+      />
+      {match && (
+        <>
+          <p className="text-base text-gray-700">
+            Match score{" "}
+            <span
+              className={cx("text-lg font-bold", getScoreColor(match.score))}
+            >
+              {match.score}/100
+            </span>
+          </p>
+          <TermChips
+            label="Matched skills"
+            terms={match.matchedSkills}
+            isMatched={true}
+          />
+          <TermChips
+            label="Missing skills"
+            terms={match.missingSkills}
+            isMatched={false}
+          />
+          <TermChips
+            label="Matched keywords"
+            terms={match.matchedKeywords}
+            isMatched={true}
+          />
+          <TermChips
+            label="Missing keywords"
+            terms={match.missingKeywords}
+            isMatched={false}
+          />
+          {match.topBulletPoints.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-700">
+                Bullet points that match the most
+              </p>
+              <ul className="mt-1 list-disc space-y-1 pl-5 text-sm text-gray-700">
+                {match.topBulletPoints.map(({ text, company, terms }, idx) => (
+                  <li key={idx}>
+                    {text}
+                    <span className="text-gray-500">
+                      {" "}
+                      ({company ? `${company}: ` : ""}
+                      {terms.join(", ")})
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </BaseForm>
+  );
+};
@@ -0,0 +1,85 @@
+import { Form, FormSection } from "components/ResumeForm/Form";
+import {
+  Input,
+  BulletListTextarea,
+} from "components/ResumeForm/Form/InputGroup";
+import type { CreateHandleChangeArgsWithDescriptions } from "components/ResumeForm/types";
+import { useAppDispatch, useAppSelector } from "lib/redux/hooks";
+import { changePublications, selectPublications } from "lib/redux/resumeSlice";
+import type { ResumePublication } from "lib/redux/types";
+
+export const PublicationsForm = () => {
+  const publications = useAppSelector(selectPublications);
+  const dispatch = useAppDispatch();
+  const showDelete = publications.length > 1;
+
+  return (
+    <Form form="publications" addButtonText="Add Publication">
+      {publications.map(({ name, publisher, date, url, descriptions }, idx) => {
+        const handlePublicationChange = (
+          ...[
+            field,
+            value,
+          ]: CreateHandleChangeArgsWithDescriptions<ResumePublication>
+        ) => {
+          dispatch(changePublications({ idx, field, value } as any));
+        };
+        const showMoveUp = idx !== 0;
+        const showMoveDown = idx !== publications.length - 1;
+
+        return (
+          <FormSection
+            key={idx}
+            form="publications"
+            idx={idx}
+            showMoveUp={showMoveUp}
+            showMoveDown={showMoveDown}
+            showDelete={showDelete}
+            deleteButtonTooltipText="Delete publication"
+          >
+            <Input
+              label="Title"
+              labelClassName="col-span-4"
+              name="name"
+              placeholder="Scaling Resume Parsing with Feature Scores"
+              value={name}
+              onChange={handlePublicationChange}
+            />
+            <Input
+              label="Date"
+              labelClassName="col-span-2"
+              name="date"
+              placeholder="Jun 2023"
+              value={date}
+              onChange={handlePublicationChange}
+            />
+            <Input
+              label="Publisher"
+              labelClassName="col-span-3"
+              name="publisher"
+              placeholder="ACM"
+              value={publisher}
+              onChange={handlePublicationChange}
+            />
+            <Input
+              label="Link (Optional)"
+              labelClassName="col-span-3"
+              name="url"
+              placeholder="doi.org/10.1145/..."
+              value={url}
+              onChange={handlePublicationChange}
+            />
+            <BulletListTextarea
+              label="Description (Optional)"
+              labelClassName="col-span-full"
+              name="descriptions"
+              placeholder="Bullet points"
+              value={descriptions}
+              onChange={handlePublicationChange}
+            />
+          </FormSection>
+        );
+      })}
+    </Form>
+  );
+};
@@ -0,0 +1,125 @@
+import { useState } from "react";
+import {
+  type ResumeVersion,
+  mergeWithInitialState,
+} from "lib/redux/local-storage";
+import { useAppSelector } from "lib/redux/hooks";
+import { selectResume } from "lib/redux/resumeSlice";
+import { selectSettings } from "lib/redux/settingsSlice";
+import { type DiffSection, diffResumes } from "lib/diff-resumes";
+
+const VersionSelect = ({
+  label,
+  versions,
+  value,
+  onChange,
+}: {
+  label: string;
+  versions: ResumeVersion[];
+  value: string;
+  onChange: (id: string) => void;
+}) => (
+  <select
+    className="rounded-md border border-gray-300 px-2 py-1 text-gray-900"
+    aria-label={label}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+  >
+    {versions.map(({ id, name }) => (
+      <option key={id} value={id}>
+        {name}
+      </option>
+    ))}
+  </select>
+);
+
+/**
+ * Section by section comparison of two resume versions
+ */
+export const VersionsDiff = ({
+  versions,
+  activeId,
+}: {
+  versions: ResumeVersion[];
+  activeId: string;
+}) => {
+  const [beforeId, setBeforeId] = useState(
+    () => versions.find(({ id }) => id !== activeId)?.id ?? activeId
+  );
+  const [afterId, setAfterId] = useState(activeId);
+  const resume = useAppSelector(selectResume);
+  const settings = useAppSelector(selectSettings);
+
+  // The active version is the one being edited
+  const getState = (id: string) =>
+    id === activeId
+      ? { resume, settings }
+      : mergeWithInitialState(
+          (versions.find((version) => version.id === id) ?? versions[0]).state
+        );
+  const before = getState(beforeId);
+  const after = getState(afterId);
+  const sectionDiffs = diffResumes(before, after);
+
+  const sectionToHeading: Record<DiffSection, string> = {
+    profile: "Profile",
+    ...after.settings.formToHeading,
+    settings: "Resume Setting",
+  };
+
+  return (
+    <div className="mt-2 border-t border-gray-200 pt-4">
+      <div className="flex flex-wrap items-center gap-2 text-gray-700">
+        Compare
+        <VersionSelect
+          label="Compare version"
+          versions={versions}
+          value={beforeId}
+          onChange={setBeforeId}
+        />
+        with
+        <VersionSelect
+          label="With version"
+          versions={versions}
+          value={afterId}
+          onChange={setAfterId}
+        />
+      </div>
+      <div className="mt-4 flex flex-col gap-4">
+        {sectionDiffs.map(({ section, changes }) => (
+          <div key={section}>
+            <div className="flex items-baseline gap-2">
+              <h2 className="font-semibold text-gray-900">
+                {sectionToHeading[section]}
+              </h2>
+              <span className="text-sm text-gray-500">
+                {changes.length === 0
+                  ? "No changes"
+                  : `${changes.length} change${changes.length > 1 ? "s" : ""}`}
+              </span>
+            </div>
+            {changes.length > 0 && (
+              <ul className="mt-1 flex flex-col gap-1.5 text-sm">
+                {changes.map(({ label, before, after }, idx) => (
+                  <li key={idx}>
+                    <span className="font-medium text-gray-700">{label}</span>
+                    {before && (
+                      <p className="whitespace-pre-wrap text-red-700 line-through decoration-red-300">
+                        {before}
+                      </p>
+                    )}
+                    {after && (
+                      <p className="whitespace-pre-wrap text-green-700">
+                        {after}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,186 @@
+import { useState } from "react";
+import { BaseForm } from "components/ResumeForm/Form";
+import { INPUT_CLASS_NAME } from "components/ResumeForm/Form/InputGroup";
+import { IconButton } from "components/Button";
+import { VersionsDiff } from "components/ResumeForm/ResumeVersionsForm/VersionsDiff";
+import { useResumeVersions } from "lib/redux/hooks";
+import { DEFAULT_VERSION_NAME } from "lib/redux/local-storage";
+import { cx } from "lib/cx";
+import {
+  RectangleStackIcon,
+  PlusSmallIcon,
+  DocumentDuplicateIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  ArrowsRightLeftIcon,
+} from "@heroicons/react/24/outline";
+
+/**
+ * Named resume versions, e.g. one per role, each with its own resume and settings
+ */
+export const ResumeVersionsForm = () => {
+  const {
+    resumeVersions,
+    refresh,
+    createVersion,
+    duplicateVersion,
+    renameVersion,
+    deleteVersion,
+    switchVersion,
+  } = useResumeVersions();
+  const [nameInput, setNameInput] = useState<{
+    type: "create" | "rename";
+    name: string;
+  } | null>(null);
+  const [showDiff, setShowDiff] = useState(false);
+
+  const versions = resumeVersions?.versions ?? [];
+  const activeId = resumeVersions?.activeId ?? "";
+  const activeName =
+    versions.find(({ id }) => id === activeId)?.name ?? DEFAULT_VERSION_NAME;
+
+  const onNameSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!nameInput) return;
+    const name = nameInput.name.trim();
+    if (!name) return;
+    if (nameInput.type === "create") {
+      createVersion(name);
+    } else {
+      renameVersion(name);
+    }
+    setNameInput(null);
+  };
+
+  const onDeleteClick = () => {
+    if (window.confirm(`Delete the resume version "${activeName}"?`)) {
+      deleteVersion();
+    }
+  };
+
+  const onDiffClick = () => {
+    // Pick up the edits saved since the versions were loaded
+    refresh();
+    setShowDiff((prev) => !prev);
+  };
+
+  return (
+    <BaseForm>
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex grow items-center gap-2">
+          <RectangleStackIcon
+            className="h-6 w-6 text-gray-600"
+            aria-hidden="true"
+          />
+          {nameInput ? (
+            <form
+              className="flex grow items-center gap-2"
+              onSubmit={onNameSubmit}
+            >
+              <input
+                type="text"
+                className={cx(INPUT_CLASS_NAME, "mt-0 py-1")}
+                placeholder="e.g. Backend Engineer"
+                aria-label="Version name"
+                value={nameInput.name}
+                onChange={(e) =>
+                  setNameInput({ ...nameInput, name: e.target.value })
+                }
+                autoFocus
+              />
+              <button
+                type="submit"
+                className="rounded-md border border-gray-300 px-3 py-1 text-gray-700 hover:bg-gray-100"
+              >
+                {nameInput.type === "create" ? "Create" : "Rename"}
+              </button>
+              <button
+                type="button"
+                className="px-2 py-1 text-gray-500 hover:text-gray-700"
+                onClick={() => setNameInput(null)}
+              >
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <select
+              className="grow rounded-md border-none text-lg font-semibold tracking-wide text-gray-900 outline-none hover:bg-gray-50"
+              aria-label="Resume version"
+              value={activeId}
+              onChange={(e) => switchVersion(e.target.value)}
+            >
+              {versions.length === 0 && (
+                <option value="">{DEFAULT_VERSION_NAME}</option>
+              )}
+              {versions.map(({ id, name }) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        {!nameInput && (
+          <div className="flex items-center gap-0.5">
+            <IconButton
+              onClick={() => setNameInput({ type: "create", name: "" })}
+              tooltipText="New version"
+            >
+              <PlusSmallIcon
+                className="h-6 w-6 text-gray-400"
+                aria-hidden="true"
+              />
+              <span className="sr-only">New version</span>
+            </IconButton>
+            <IconButton onClick={duplicateVersion} tooltipText="Duplicate">
+              <DocumentDuplicateIcon
+                className="h-6 w-6 text-gray-400"
+                aria-hidden="true"
+              />
+              <span className="sr-only">Duplicate</span>
+            </IconButton>
+            <IconButton
+              onClick={() => setNameInput({ type: "rename", name: activeName })}
+              tooltipText="Rename"
+            >
+              <PencilSquareIcon
+                className="h-6 w-6 text-gray-400"
+                aria-hidden="true"
+              />
+              <span className="sr-only">Rename</span>
+            </IconButton>
+            {versions.length > 1 && (
+              <>
+                <IconButton onClick={onDeleteClick} tooltipText="Delete">
+                  <TrashIcon
+                    className="h-6 w-6 text-gray-400"
+                    aria-hidden="true"
+                  />
+                  <span className="sr-only">Delete</span>
+                </IconButton>
+                <IconButton
+                  onClick={onDiffClick}
+                  tooltipText={
+                    showDiff ? "Hide comparison" : "Compare versions"
+                  }
+                >
+                  <ArrowsRightLeftIcon
+                    className={cx(
+                      "h-6 w-6",
+                      showDiff ? "text-sky-500" : "text-gray-400"
+                    )}
+                    aria-hidden="true"
+                  />
+                  <span className="sr-only">Compare versions</span>
+                </IconButton>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+      {showDiff && versions.length > 1 && (
+        <VersionsDiff versions={versions} activeId={activeId} />
+      )}
+    </BaseForm>
+  );
+};
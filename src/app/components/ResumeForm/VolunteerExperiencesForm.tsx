@@ -0,0 +1,82 @@
+import { Form, FormSection } from "components/ResumeForm/Form";
+import {
+  Input,
+  BulletListTextarea,
+} from "components/ResumeForm/Form/InputGroup";
+import type { CreateHandleChangeArgsWithDescriptions } from "components/ResumeForm/types";
+import { useAppDispatch, useAppSelector } from "lib/redux/hooks";
+import {
+  changeVolunteerExperiences,
+  selectVolunteerExperiences,
+} from "lib/redux/resumeSlice";
+import type { ResumeVolunteerExperience } from "lib/redux/types";
+
+export const VolunteerExperiencesForm = () => {
+  const volunteerExperiences = useAppSelector(selectVolunteerExperiences);
+  const dispatch = useAppDispatch();
+  const showDelete = volunteerExperiences.length > 1;
+
+  return (
+    <Form form="volunteerExperiences" addButtonText="Add Organization">
+      {volunteerExperiences.map(
+        ({ organization, role, date, descriptions }, idx) => {
+          const handleVolunteerExperienceChange = (
+            ...[
+              field,
+              value,
+            ]: CreateHandleChangeArgsWithDescriptions<ResumeVolunteerExperience>
+          ) => {
+            dispatch(changeVolunteerExperiences({ idx, field, value } as any));
+          };
+          const showMoveUp = idx !== 0;
+          const showMoveDown = idx !== volunteerExperiences.length - 1;
+
+          return (
+            <FormSection
+              key={idx}
+              form="volunteerExperiences"
+              idx={idx}
+              showMoveUp={showMoveUp}
+              showMoveDown={showMoveDown}
+              showDelete={showDelete}
+              deleteButtonTooltipText="Delete organization"
+            >
+              <Input
+                label="Organization"
+                labelClassName="col-span-full"
+                name="organization"
+                placeholder="Code for America"
+                value={organization}
+                onChange={handleVolunteerExperienceChange}
+              />
+              <Input
+                label="Role"
+                labelClassName="col-span-4"
+                name="role"
+                placeholder="Volunteer Developer"
+                value={role}
+                onChange={handleVolunteerExperienceChange}
+              />
+              <Input
+                label="Date"
+                labelClassName="col-span-2"
+                name="date"
+                placeholder="Jan 2021 - Present"
+                value={date}
+                onChange={handleVolunteerExperienceChange}
+              />
+              <BulletListTextarea
+                label="Description"
+                labelClassName="col-span-full"
+                name="descriptions"
+                placeholder="Bullet points"
+                value={descriptions}
+                onChange={handleVolunteerExperienceChange}
+              />
+            </FormSection>
+          );
+        }
+      )}
+    </Form>
+  );
+};
@@ -1,6 +1,7 @@
 import { Form, FormSection } from "components/ResumeForm/Form";
 import {
   Input,
+  DateInput,
   BulletListTextarea,
 } from "components/ResumeForm/Form/InputGroup";
 import type { CreateHandleChangeArgsWithDescriptions } from "components/ResumeForm/types";
@@ -60,7 +61,7 @@ export const WorkExperiencesForm = () => {
               value={jobTitle}
               onChange={handleWorkExperienceChange}
             />
-            <Input
+            <DateInput
               label="Date"
               labelClassName="col-span-2"
               name="date"
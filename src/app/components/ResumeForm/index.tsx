@@ -4,6 +4,7 @@ import {
   useAppSelector,
   useSaveStateToLocalStorageOnChange,
   useSetInitialStore,
+  useUndoRedoShortcuts,
 } from "lib/redux/hooks";
 import { ShowForm, selectFormsOrder } from "lib/redux/settingsSlice";
 import { ProfileForm } from "components/ResumeForm/ProfileForm";
@@ -11,7 +12,14 @@ import { WorkExperiencesForm } from "components/ResumeForm/WorkExperiencesForm";
 import { EducationsForm } from "components/ResumeForm/EducationsForm";
 import { ProjectsForm } from "components/ResumeForm/ProjectsForm";
 import { SkillsForm } from "components/ResumeForm/SkillsForm";
+import { CertificationsForm } from "components/ResumeForm/CertificationsForm";
+import { AwardsForm } from "components/ResumeForm/AwardsForm";
+import { LanguagesForm } from "components/ResumeForm/LanguagesForm";
+import { VolunteerExperiencesForm } from "components/ResumeForm/VolunteerExperiencesForm";
+import { PublicationsForm } from "components/ResumeForm/PublicationsForm";
 import { ThemeForm } from "components/ResumeForm/ThemeForm";
+import { ResumeVersionsForm } from "components/ResumeForm/ResumeVersionsForm";
+import { JobMatchForm } from "components/ResumeForm/JobMatchForm";
 import { CustomForm } from "components/ResumeForm/CustomForm";
 import { FlexboxSpacer } from "components/FlexboxSpacer";
 import { cx } from "lib/cx";
@@ -21,12 +29,18 @@ const formTypeToComponent: { [type in ShowForm]: () => JSX.Element } = {
   educations: EducationsForm,
   projects: ProjectsForm,
   skills: SkillsForm,
+  certifications: CertificationsForm,
+  awards: AwardsForm,
+  languages: LanguagesForm,
+  volunteerExperiences: VolunteerExperiencesForm,
+  publications: PublicationsForm,
   custom: CustomForm,
 };
 
 export const ResumeForm = () => {
   useSetInitialStore();
   useSaveStateToLocalStorageOnChange();
+  useUndoRedoShortcuts();
 
   const formsOrder = useAppSelector(selectFormsOrder);
   const [isHover, setIsHover] = useState(false);
@@ -41,11 +55,13 @@ export const ResumeForm = () => {
       onMouseLeave={() => setIsHover(false)}
     >
       <section className="flex max-w-2xl flex-col gap-8 p-[var(--resume-padding)]">
+        <ResumeVersionsForm />
         <ProfileForm />
         {formsOrder.map((form) => {
           const Component = formTypeToComponent[form];
           return <Component key={form} />;
         })}
+        <JobMatchForm />
         <ThemeForm />
         <br />
       </section>
@@ -67,13 +67,13 @@ export const AutoTypingResume = () => {
             ...initialSettings,
             fontSize: "12",
             formToHeading: {
+              ...initialSettings.formToHeading,
               workExperiences: resume.workExperiences[0].company
                 ? "WORK EXPERIENCE"
                 : "",
               educations: resume.educations[0].school ? "EDUCATION" : "",
               projects: resume.projects[0].project ? "PROJECT" : "",
               skills: resume.skills.featuredSkills[0].skill ? "SKILLS" : "",
-              custom: "CUSTOM SECTION",
             },
           }}
         />
@@ -84,6 +84,11 @@ export const END_HOME_RESUME: Resume = {
       "Soft: Teamwork, Creative Problem Solving, Communication, Learning Mindset, Agile",
     ],
   },
+  certifications: [],
+  awards: [],
+  languages: [],
+  volunteerExperiences: [],
+  publications: [],
   custom: {
     descriptions: [],
   },
@@ -103,6 +108,11 @@ export const START_HOME_RESUME: Resume = {
     })),
     descriptions: [],
   },
+  certifications: [],
+  awards: [],
+  languages: [],
+  volunteerExperiences: [],
+  publications: [],
   custom: {
     descriptions: [],
   },
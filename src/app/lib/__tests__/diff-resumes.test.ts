@@ -0,0 +1,91 @@
+import { diffResumes } from "lib/diff-resumes";
+import { initialResumeState } from "lib/redux/resumeSlice";
+import { initialSettings } from "lib/redux/settingsSlice";
+import type { RootState } from "lib/redux/store";
+
+const BACKEND: RootState = {
+  resume: {
+    ...initialResumeState,
+    profile: { ...initialResumeState.profile, name: "John Doe" },
+    workExperiences: [
+      {
+        company: "ABC Company",
+        jobTitle: "Software Engineer",
+        date: "May 2023 - Present",
+        descriptions: ["Built the payments API", "Led a team of 5"],
+      },
+      {
+        company: "DEF Organization",
+        jobTitle: "Intern",
+        date: "Summer 2022",
+        descriptions: [],
+      },
+    ],
+  },
+  settings: initialSettings,
+};
+
+test("Diffs two versions section by section", () => {
+  const data: RootState = {
+    resume: {
+      ...BACKEND.resume,
+      workExperiences: [
+        // Reordered, with one entry edited
+        BACKEND.resume.workExperiences[1],
+        {
+          ...BACKEND.resume.workExperiences[0],
+          jobTitle: "Data Engineer",
+          descriptions: ["Led a team of 5", "Built the data warehouse"],
+        },
+        {
+          company: "GHI Labs",
+          jobTitle: "Analyst",
+          date: "2021",
+          descriptions: [],
+        },
+      ],
+    },
+    settings: { ...initialSettings, themeColor: "#f87171" },
+  };
+
+  const sectionToChanges = Object.fromEntries(
+    diffResumes(BACKEND, data).map(({ section, changes }) => [section, changes])
+  );
+
+  expect(Object.keys(sectionToChanges)).toEqual([
+    "profile",
+    "workExperiences",
+    "educations",
+    "projects",
+    "skills",
+    "certifications",
+    "awards",
+    "languages",
+    "volunteerExperiences",
+    "publications",
+    "custom",
+    "settings",
+  ]);
+  expect(sectionToChanges.profile).toEqual([]);
+  expect(sectionToChanges.workExperiences).toEqual([
+    {
+      label: "ABC Company › Job Title",
+      before: "Software Engineer",
+      after: "Data Engineer",
+    },
+    {
+      label: "ABC Company › Descriptions",
+      before: "Built the payments API",
+      after: "",
+    },
+    {
+      label: "ABC Company › Descriptions",
+      before: "",
+      after: "Built the data warehouse",
+    },
+    { label: "GHI Labs", before: "", after: "GHI Labs, Analyst, 2021" },
+  ]);
+  expect(sectionToChanges.settings).toEqual([
+    { label: "Theme Color", before: "#38bdf8", after: "#f87171" },
+  ]);
+});
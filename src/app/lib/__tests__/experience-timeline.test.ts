@@ -0,0 +1,161 @@
+import { getExperienceTimeline } from "lib/experience-timeline";
+import { toDateRange } from "lib/resume-file/dates";
+import {
+  MULTILINGUAL_VOCABULARY,
+  getVocabulary,
+} from "lib/parse-resume-from-pdf/language-packs";
+
+const makeWorkExperience = (company: string, date: string) => ({
+  company,
+  jobTitle: "Software Engineer",
+  date,
+  descriptions: [],
+});
+
+const makeEducation = (date: string) => ({
+  school: "XYZ University",
+  degree: "Bachelor of Science in Computer Science",
+  gpa: "",
+  date,
+  descriptions: [],
+});
+
+// Ongoing jobs end in June 2024
+const NOW = new Date(2024, 5, 15);
+
+describe("experience-timeline tests - ", () => {
+  it("Normalizes the common date formats", () => {
+    expect(toDateRange("Jan 2020 – Present")).toEqual({
+      start: "2020-01",
+      end: null,
+      current: true,
+    });
+    expect(toDateRange("Sept. 2021 - Now")).toEqual({
+      start: "2021-09",
+      end: null,
+      current: true,
+    });
+    expect(toDateRange("2019-2021")).toEqual({
+      start: "2019-01",
+      end: "2021-12",
+      current: false,
+    });
+    expect(toDateRange("Summer 2022")).toEqual({
+      start: "2022-06",
+      end: "2022-08",
+      current: false,
+    });
+    expect(toDateRange("05/2018")).toEqual({
+      start: "2018-05",
+      end: "2018-05",
+      current: false,
+    });
+    expect(toDateRange("Fall 2019 - Spring 2023")).toEqual({
+      start: "2019-09",
+      end: "2023-05",
+      current: false,
+    });
+  });
+
+  it("Normalizes dates in the resume language", () => {
+    expect(toDateRange("enero 2020 - actualidad", getVocabulary("es"))).toEqual(
+      { start: "2020-01", end: null, current: true }
+    );
+    expect(toDateRange("Sommer 2022", getVocabulary("de"))).toEqual({
+      start: "2022-06",
+      end: "2022-08",
+      current: false,
+    });
+    expect(
+      toDateRange("juil. 2021 - aujourd'hui", getVocabulary("fr"))
+    ).toEqual({ start: "2021-07", end: null, current: true });
+    expect(toDateRange("2016年9月 - 2020年6月", getVocabulary("zh"))).toEqual({
+      start: "2016-09",
+      end: "2020-06",
+      current: false,
+    });
+    // Other languages only with their vocabulary
+    expect(toDateRange("enero 2020")).toBe(null);
+    expect(toDateRange("Dez. 2019 - heute", MULTILINGUAL_VOCABULARY)).toEqual({
+      start: "2019-12",
+      end: null,
+      current: true,
+    });
+  });
+
+  it("Can't normalize empty, unknown or backwards dates", () => {
+    expect(toDateRange("")).toBe(null);
+    expect(toDateRange("Last year")).toBe(null);
+    expect(toDateRange("Jan 2020 - Dec 2019")).toBe(null);
+    expect(toDateRange("2019 - 2020 - 2021")).toBe(null);
+    // Invalid months
+    expect(toDateRange("2023-13")).toBe(null);
+    expect(toDateRange("00/2023")).toBe(null);
+    // "juin" or "juillet"
+    expect(toDateRange("Jui 2021", getVocabulary("fr"))).toBe(null);
+  });
+
+  it("Computes total years of experience, gaps and overlaps", () => {
+    const timeline = getExperienceTimeline(
+      {
+        workExperiences: [
+          makeWorkExperience("ABC Company", "Jan 2022 - Present"),
+          // Freelancing alongside ABC Company
+          makeWorkExperience("Freelance", "Mar 2023 - Aug 2023"),
+          // A change of job in May 2021
+          makeWorkExperience("DEF Organization", "May 2021 - Oct 2021"),
+          makeWorkExperience("GHI Startup", "2019 - May 2021"),
+          makeWorkExperience("JKL Agency", "Someday"),
+        ],
+        educations: [makeEducation("2015-2019"), makeEducation("")],
+      },
+      NOW
+    );
+
+    expect(timeline.educations).toEqual([
+      { start: "2015-01", end: "2019-12", current: false },
+      null,
+    ]);
+    expect(timeline.workExperiences[4]).toBe(null);
+    expect(timeline.unreadableDates).toEqual([
+      { section: "workExperiences", index: 4, date: "Someday" },
+    ]);
+    // Jan 2019 - Oct 2021 and Jan 2022 - Jun 2024
+    expect(timeline.totalYearsOfExperience).toBe(5.3);
+    expect(timeline.gaps).toEqual([
+      {
+        after: "DEF Organization",
+        before: "ABC Company",
+        start: "2021-11",
+        end: "2021-12",
+        months: 2,
+      },
+    ]);
+    expect(timeline.overlaps).toEqual([
+      {
+        companies: ["ABC Company", "Freelance"],
+        start: "2023-03",
+        end: "2023-08",
+        months: 6,
+      },
+    ]);
+  });
+
+  it("Reads the dates of a resume in its language", () => {
+    const timeline = getExperienceTimeline(
+      {
+        workExperiences: [
+          makeWorkExperience("腾讯科技", "2020年7月 - 至今"),
+          makeWorkExperience("百度", "2018年3月 - 2020年6月"),
+        ],
+        educations: [makeEducation("2014年9月 - 2018年6月")],
+      },
+      NOW,
+      getVocabulary("zh")
+    );
+    expect(timeline.unreadableDates).toEqual([]);
+    // Mar 2018 - Jun 2024
+    expect(timeline.totalYearsOfExperience).toBe(6.3);
+    expect(timeline.gaps).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+import { combineReducers, type AnyAction } from "@reduxjs/toolkit";
+import resumeReducer, {
+  changeProfile,
+  changeWorkExperiences,
+  deleteSectionInFormByIdx,
+  setResume,
+  initialResumeState,
+} from "lib/redux/resumeSlice";
+import settingsReducer, {
+  changeSettings,
+  setSettings,
+} from "lib/redux/settingsSlice";
+import {
+  HISTORY_LIMIT,
+  redo,
+  undo,
+  withHistory,
+  type StateWithHistory,
+} from "lib/redux/history";
+import { saveStateToLocalStorage } from "lib/redux/local-storage";
+
+const rootReducer = combineReducers({
+  resume: resumeReducer,
+  settings: settingsReducer,
+});
+const reducer = withHistory(rootReducer, {
+  resetOn: [setResume.type, setSettings.type],
+});
+type State = StateWithHistory<ReturnType<typeof rootReducer>>;
+
+// Dispatch actions at the given times in ms, as historyTimestampMiddleware does
+const dispatchAll = (
+  state: State | undefined,
+  actions: [AnyAction, number][]
+) =>
+  actions.reduce<State>(
+    (prevState, [action, timestamp]) =>
+      reducer(prevState, { ...action, meta: { timestamp } }),
+    state ?? reducer(undefined, { type: "@@INIT" })
+  );
+
+const typeName = (name: string, startTime: number) =>
+  name
+    .split("")
+    .map((_, idx): [AnyAction, number] => [
+      changeProfile({ field: "name", value: name.slice(0, idx + 1) }),
+      startTime + idx * 100,
+    ]);
+
+test("Undoes a typing burst as a single step", () => {
+  const state = dispatchAll(undefined, [
+    ...typeName("Leo", 0),
+    // A pause starts a new step
+    ...typeName("Leo L", 5000),
+    [changeSettings({ field: "themeColor", value: "#f87171" }), 5600],
+  ]);
+  expect(state.history.past).toHaveLength(3);
+
+  const afterUndo = dispatchAll(state, [
+    [undo(), 6000],
+    [undo(), 6100],
+  ]);
+  expect(afterUndo.resume.profile.name).toBe("Leo");
+  expect(afterUndo.settings.themeColor).toBe("#38bdf8");
+
+  const afterRedo = dispatchAll(afterUndo, [[redo(), 6200]]);
+  expect(afterRedo.resume.profile.name).toBe("Leo L");
+  expect(afterRedo.history.future).toHaveLength(1);
+
+  // A new change discards the undone steps
+  const afterChange = dispatchAll(afterRedo, [
+    [changeProfile({ field: "email", value: "a" }), 6300],
+  ]);
+  expect(afterChange.history.future).toEqual([]);
+});
+
+test("Makes structural changes separate steps and caps the history", () => {
+  const state = dispatchAll(undefined, [
+    [changeWorkExperiences({ idx: 0, field: "company", value: "A" }), 0],
+    [changeWorkExperiences({ idx: 0, field: "company", value: "AB" }), 10],
+    // Deleting right after typing is still its own step
+    [deleteSectionInFormByIdx({ form: "workExperiences", idx: 0 }), 20],
+  ]);
+  expect(state.resume.workExperiences).toHaveLength(0);
+  const afterUndo = dispatchAll(state, [[undo(), 30]]);
+  expect(afterUndo.resume.workExperiences[0].company).toBe("AB");
+  expect(afterUndo.history.past).toHaveLength(1);
+
+  const longState = dispatchAll(
+    undefined,
+    Array.from({ length: HISTORY_LIMIT + 10 }, (_, idx) => [
+      changeProfile({ field: "name", value: String(idx) }),
+      idx * 2000,
+    ])
+  );
+  expect(longState.history.past).toHaveLength(HISTORY_LIMIT);
+});
+
+test("Starts a new history on load and never saves it", () => {
+  const state = dispatchAll(undefined, [
+    ...typeName("Leo", 0),
+    [setResume(initialResumeState), 1000],
+  ]);
+  expect(state.history.past).toEqual([]);
+  expect(dispatchAll(state, [[undo(), 2000]])).toBe(state);
+
+  localStorage.clear();
+  saveStateToLocalStorage(dispatchAll(undefined, typeName("Leo", 0)));
+  const saved = JSON.parse(localStorage.getItem("open-resume-versions")!);
+  expect(Object.keys(saved.versions[0].state)).toEqual(["resume", "settings"]);
+});
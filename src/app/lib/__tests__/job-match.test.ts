@@ -0,0 +1,102 @@
+import { matchResumeToJob } from "lib/job-match";
+import { initialResumeState } from "lib/redux/resumeSlice";
+import type { Resume } from "lib/redux/types";
+
+const RESUME: Resume = {
+  ...initialResumeState,
+  profile: {
+    ...initialResumeState.profile,
+    summary: "Backend engineer who builds reliable payment systems",
+  },
+  workExperiences: [
+    {
+      company: "ABC Company",
+      jobTitle: "Software Engineer",
+      date: "May 2023 - Present",
+      descriptions: [
+        "Built the payments API in Python and PostgreSQL",
+        "Led a team of 5 engineers",
+        "Moved the CI/CD pipeline to Docker and Kubernetes",
+      ],
+    },
+  ],
+  skills: {
+    featuredSkills: [
+      { skill: "Python", rating: 5 },
+      { skill: "", rating: 4 },
+    ],
+    descriptions: ["Tools: Git, Docker"],
+  },
+};
+
+const JOB_DESCRIPTION = `Senior Backend Engineer
+
+We are looking for a backend engineer to build our payment systems.
+Requirements:
+- 5+ years of experience with Python or Go
+- Experience with PostgreSQL and Redis
+- Kubernetes and AWS
+- You care about payment systems that are reliable and secure`;
+
+describe("job-match tests - ", () => {
+  it("Matches skills and keywords weighted by importance", () => {
+    const match = matchResumeToJob(RESUME, JOB_DESCRIPTION);
+    expect(match.matchedSkills).toEqual([
+      { term: "Python", weight: 1 },
+      { term: "PostgreSQL", weight: 1 },
+      { term: "Kubernetes", weight: 1 },
+    ]);
+    expect(match.missingSkills).toEqual([
+      { term: "Go", weight: 1 },
+      { term: "Redis", weight: 1 },
+      { term: "AWS", weight: 1 },
+    ]);
+    // Word pairs that appear more than once are a single keyword
+    expect(match.matchedKeywords).toEqual([
+      { term: "Backend Engineer", weight: 1 },
+      { term: "payment systems", weight: 1 },
+      { term: "build", weight: 0.5 },
+      { term: "reliable", weight: 0.5 },
+    ]);
+    expect(match.missingKeywords.map(({ term }) => term)).toEqual([
+      "Senior",
+      "care",
+      "secure",
+    ]);
+    expect(match.score).toBe(57);
+  });
+
+  it("Ranks the bullet points by the weight of their matched terms", () => {
+    const { topBulletPoints } = matchResumeToJob(RESUME, JOB_DESCRIPTION);
+    expect(topBulletPoints).toEqual([
+      {
+        text: "Built the payments API in Python and PostgreSQL",
+        company: "ABC Company",
+        score: 2,
+        terms: ["Python", "PostgreSQL"],
+      },
+      {
+        text: "Moved the CI/CD pipeline to Docker and Kubernetes",
+        company: "ABC Company",
+        score: 1,
+        terms: ["Kubernetes"],
+      },
+    ]);
+  });
+
+  it("Matches skills listed in the skills descriptions", () => {
+    const match = matchResumeToJob(
+      RESUME,
+      "Git and Docker, plus Terraform for our infrastructure"
+    );
+    expect(match.matchedSkills.map(({ term }) => term)).toEqual([
+      "Git",
+      "Docker",
+    ]);
+    expect(match.missingSkills.map(({ term }) => term)).toEqual(["Terraform"]);
+  });
+
+  it("Scores 0 for an empty job description", () => {
+    expect(matchResumeToJob(RESUME, "").score).toBe(0);
+  });
+});
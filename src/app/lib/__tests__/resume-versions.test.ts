@@ -0,0 +1,78 @@
+import {
+  loadResumeVersions,
+  loadStateFromLocalStorage,
+  saveStateToLocalStorage,
+  createResumeVersion,
+  duplicateResumeVersion,
+  renameResumeVersion,
+  deleteResumeVersion,
+  switchResumeVersion,
+} from "lib/redux/local-storage";
+import { initialResumeState } from "lib/redux/resumeSlice";
+import { initialSettings } from "lib/redux/settingsSlice";
+import type { RootState } from "lib/redux/store";
+
+const makeState = (name: string): RootState => ({
+  resume: {
+    ...initialResumeState,
+    profile: { ...initialResumeState.profile, name },
+  },
+  settings: initialSettings,
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test("Migrates the single saved state into a first version", () => {
+  localStorage.setItem("open-resume-state", JSON.stringify(makeState("Leo")));
+
+  const resumeVersions = loadResumeVersions()!;
+  expect(resumeVersions.versions).toHaveLength(1);
+  expect(resumeVersions.versions[0]).toMatchObject({
+    id: resumeVersions.activeId,
+    name: "My Resume",
+    state: makeState("Leo"),
+  });
+  expect(localStorage.getItem("open-resume-state")).toBeNull();
+  expect(loadResumeVersions()).toEqual(resumeVersions);
+});
+
+test("Saves to the active version and manages versions", () => {
+  expect(loadResumeVersions()).toBeUndefined();
+  saveStateToLocalStorage(makeState("Leo"));
+  const firstId = loadResumeVersions()!.activeId;
+
+  const withBackend = createResumeVersion("Backend", makeState(""));
+  expect(withBackend.versions.map(({ name }) => name)).toEqual([
+    "My Resume",
+    "Backend",
+  ]);
+  saveStateToLocalStorage(makeState("Leo Backend"));
+  expect(loadStateFromLocalStorage()?.resume.profile.name).toBe("Leo Backend");
+
+  const withCopy = duplicateResumeVersion(withBackend.activeId)!;
+  expect(withCopy.versions[2]).toMatchObject({
+    id: withCopy.activeId,
+    name: "Backend (copy)",
+    state: makeState("Leo Backend"),
+  });
+  renameResumeVersion(withCopy.activeId, "Data");
+
+  // Switching keeps the other versions' saved states
+  switchResumeVersion(firstId);
+  expect(loadStateFromLocalStorage()?.resume.profile.name).toBe("Leo");
+
+  // Deleting the active version activates the one before it
+  switchResumeVersion(withBackend.activeId);
+  const afterDelete = deleteResumeVersion(withBackend.activeId)!;
+  expect(afterDelete.activeId).toBe(firstId);
+  expect(afterDelete.versions.map(({ name }) => name)).toEqual([
+    "My Resume",
+    "Data",
+  ]);
+
+  // The last version can't be deleted
+  deleteResumeVersion(withCopy.activeId);
+  expect(deleteResumeVersion(firstId)!.versions).toHaveLength(1);
+});
@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import type { IncomingMessage } from "http";
+import { createApiKeyStore, hashApiKey } from "lib/api/api-keys";
+import { authenticateAPIKey, runMiddleware } from "lib/api/middleware";
+
+const makeRequest = (apiKey?: string) =>
+  ({
+    headers: apiKey ? { "x-api-key": apiKey } : {},
+  } as IncomingMessage);
+
+describe("api-keys tests - ", () => {
+  const keysFile = path.join(os.tmpdir(), `api-keys-${process.pid}.json`);
+
+  beforeAll(() => {
+    fs.writeFileSync(
+      keysFile,
+      JSON.stringify({
+        keys: [
+          {
+            label: "n8n-nightly",
+            hash: hashApiKey("nightly-key"),
+            scopes: ["extract"],
+            quota: { daily: 2 },
+          },
+          { label: "ops", hash: hashApiKey("admin-key"), scopes: ["admin"] },
+        ],
+      })
+    );
+  });
+
+  afterAll(() => fs.unlinkSync(keysFile));
+
+  const makeStore = () =>
+    createApiKeyStore({
+      NODE_ENV: "test",
+      REQUIRE_API_KEY: "true",
+      API_KEYS: "legacy-key,reporting:reporting-key",
+      API_KEYS_FILE: keysFile,
+    });
+
+  it("Loads env and file keys as hashes with labels", () => {
+    const store = makeStore();
+    expect(store.size).toBe(4);
+    expect(store.find("reporting-key")).toMatchObject({
+      label: "reporting",
+      scopes: ["extract"],
+    });
+    expect(store.find("legacy-key").label).toBe(
+      `key-${hashApiKey("legacy-key").slice(0, 8)}`
+    );
+    expect(store.find("admin-key").hash).toBe(hashApiKey("admin-key"));
+    expect(store.find("unknown-key")).toBeNull();
+  });
+
+  it("Rejects missing and unknown keys with 401 and wrong scopes with 403", () => {
+    const store = makeStore();
+    expect(authenticateAPIKey(makeRequest(), { store })).toMatchObject({
+      valid: false,
+      status: 401,
+      code: "API_KEY_REQUIRED",
+    });
+    expect(authenticateAPIKey(makeRequest("nope"), { store })).toMatchObject({
+      valid: false,
+      status: 401,
+      code: "API_KEY_INVALID",
+    });
+    expect(
+      authenticateAPIKey(makeRequest("reporting-key"), {
+        store,
+        scope: "admin",
+      })
+    ).toMatchObject({ valid: false, status: 403, code: "API_KEY_FORBIDDEN" });
+    expect(
+      authenticateAPIKey(makeRequest("admin-key"), { store, scope: "admin" })
+    ).toMatchObject({ valid: true, key: { label: "ops" } });
+  });
+
+  it("Requires an admin key for admin routes once keys are configured", () => {
+    const store = createApiKeyStore({
+      NODE_ENV: "test",
+      API_KEYS_FILE: keysFile,
+    });
+    expect(authenticateAPIKey(makeRequest(), { store })).toEqual({
+      valid: true,
+      key: null,
+    });
+    expect(
+      authenticateAPIKey(makeRequest(), { store, scope: "admin" })
+    ).toMatchObject({ valid: false, status: 401, code: "API_KEY_REQUIRED" });
+    expect(
+      authenticateAPIKey(makeRequest("nightly-key"), { store, scope: "admin" })
+    ).toMatchObject({ valid: false, status: 403, code: "API_KEY_FORBIDDEN" });
+    expect(
+      authenticateAPIKey(makeRequest("admin-key"), { store, scope: "admin" })
+    ).toMatchObject({ valid: true, key: { label: "ops" } });
+
+    // Without any key there is nothing to authenticate with
+    const openStore = createApiKeyStore({
+      NODE_ENV: "test",
+      API_KEYS_FILE: path.join(os.tmpdir(), "missing-api-keys.json"),
+    });
+    expect(
+      authenticateAPIKey(makeRequest(), { store: openStore, scope: "admin" })
+    ).toEqual({ valid: true, key: null });
+  });
+
+  it("Enforces daily quotas per key", () => {
+    const store = makeStore();
+    const request = makeRequest("nightly-key");
+    expect(authenticateAPIKey(request, { store }).valid).toBe(true);
+    expect(authenticateAPIKey(request, { store }).valid).toBe(true);
+    expect(authenticateAPIKey(request, { store })).toMatchObject({
+      valid: false,
+      status: 429,
+      code: "API_KEY_QUOTA_EXCEEDED",
+    });
+
+    const key = store.find("nightly-key");
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect(store.consumeQuota(key, tomorrow).exceeded).toBeNull();
+  });
+
+  it("Answers 500 for every request while the keys file is invalid", async () => {
+    const invalidFile = path.join(os.tmpdir(), `invalid-${process.pid}.json`);
+    fs.writeFileSync(invalidFile, '{ "keys": [');
+    expect(() =>
+      createApiKeyStore({ NODE_ENV: "test", API_KEYS_FILE: invalidFile })
+    ).toThrow(`Invalid API keys file ${invalidFile}`);
+
+    const log = jest.spyOn(console, "log").mockImplementation();
+    const consoleError = jest.spyOn(console, "error").mockImplementation();
+    process.env.API_KEYS_FILE = invalidFile;
+    const res: { status: jest.Mock; json: jest.Mock; setHeader: jest.Mock } = {
+      status: jest.fn(() => res),
+      json: jest.fn(),
+      setHeader: jest.fn(),
+    };
+    const req = {
+      method: "POST",
+      url: "/api/extract-text",
+      headers: {},
+      socket: { remoteAddress: "127.0.0.1" },
+    };
+    try {
+      expect(
+        await runMiddleware(req, res, Date.now(), { throttle: false })
+      ).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        success: false,
+        error: { code: "INTERNAL_ERROR" },
+      });
+      expect(JSON.parse(log.mock.calls[0][0])).toMatchObject({
+        success: false,
+        code: "INTERNAL_ERROR",
+      });
+    } finally {
+      delete process.env.API_KEYS_FILE;
+      fs.unlinkSync(invalidFile);
+      log.mockRestore();
+      consoleError.mockRestore();
+    }
+  });
+});
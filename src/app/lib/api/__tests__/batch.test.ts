@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { extractBatch, mapWithConcurrency } from "lib/api/batch";
+import { terminateOcrWorker } from "lib/api/ocr";
+
+const base64 = (text: string) => Buffer.from(text, "latin1").toString("base64");
+
+describe("batch tests - ", () => {
+  afterAll(terminateOcrWorker);
+
+  it("Keeps input order with bounded concurrency", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await mapWithConcurrency(
+      [30, 10, 20, 0, 5],
+      2,
+      async (delay: number, index: number) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        inFlight--;
+        return index;
+      }
+    );
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it("Returns per-item results without failing the batch", async () => {
+    const { results, summary } = await extractBatch([
+      { fileBase64: base64("first resume"), fileName: "a.txt" },
+      { fileName: "missing.txt" },
+      "not an object",
+      { fileBase64: base64("\x89PNG\r\n\x1a\n"), fileName: "photo.png" },
+      { binaryData: { data: Array.from(Buffer.from("second")) } },
+    ]);
+
+    expect(
+      results.map((result: { index: number; success: boolean }) => [
+        result.index,
+        result.success,
+      ])
+    ).toEqual([
+      [0, true],
+      [1, false],
+      [2, false],
+      [3, false],
+      [4, true],
+    ]);
+    expect(results[0]).toMatchObject({
+      extractedText: "first resume",
+      fileName: "a.txt",
+    });
+    expect(results[1]).toMatchObject({
+      fileName: "missing.txt",
+      error: { message: expect.stringContaining("Missing file data") },
+    });
+    expect(results[2].error.code).toBe("VALIDATION_ERROR");
+    expect(results[3].error).toMatchObject({
+      code: "OCR_FAILED",
+      type: "image",
+    });
+    expect(summary).toMatchObject({ total: 5, succeeded: 2, failed: 3 });
+  });
+
+  it("Fails items beyond the total size limit", async () => {
+    const { results } = await extractBatch(
+      [
+        { fileBase64: base64("12345"), fileName: "a.txt" },
+        { fileBase64: base64("67890"), fileName: "b.txt" },
+      ],
+      { concurrency: 1, maxTotalSize: 8 }
+    );
+    expect(results[0].success).toBe(true);
+    expect(results[1].error.code).toBe("BATCH_SIZE_EXCEEDED");
+  });
+});
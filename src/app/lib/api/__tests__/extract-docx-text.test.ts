@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import {
+  extractDocxText,
+  wordXmlToLines,
+  DocumentExtractionError,
+} from "lib/api/extract-docx-text";
+import { extractDocText } from "lib/api/extract-doc-text";
+
+const readFixture = (fileName: string) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", fileName));
+
+describe("extract-docx-text tests - ", () => {
+  it("Paragraphs, list items and tables", () => {
+    expect(
+      wordXmlToLines(
+        "<w:body>" +
+          "<w:p><w:r><w:t>R&amp;D</w:t></w:r><w:r><w:tab/><w:t>2021</w:t></w:r></w:p>" +
+          "<w:p><w:pPr><w:numPr/></w:pPr><w:r><w:t>Shipped</w:t></w:r></w:p>" +
+          "<w:tbl><w:tr><w:tc><w:p><w:r><w:t>A</w:t></w:r></w:p></w:tc>" +
+          "<w:tc><w:p><w:r><w:t>B</w:t></w:r></w:p></w:tc></w:tr></w:tbl>" +
+          "</w:body>"
+      )
+    ).toEqual(["R&D\t2021", "• Shipped", "A | B"]);
+  });
+
+  it("Extracts a docx with page headers first", () => {
+    const { text, paragraphs, info } = extractDocxText(
+      readFixture("resume.docx")
+    );
+    expect(text.startsWith("John Doe\nhello@openresume.com\n\n")).toBe(true);
+    expect(text).toContain("• Led a team of 5 engineers");
+    expect(text).toContain("Languages | TypeScript, Python");
+    expect(text).not.toContain("HYPERLINK");
+    expect(paragraphs).toHaveLength(9);
+    expect(info).toEqual({ title: "Resume", author: "John Doe" });
+  });
+
+  it("Rejects zip files that are not Word documents", () => {
+    expect(() => extractDocxText(Buffer.from("PK\u0003\u0004"))).toThrow(
+      DocumentExtractionError
+    );
+  });
+
+  it("Extracts a legacy doc through its piece table", () => {
+    const { text, recovered } = extractDocText(readFixture("resume.doc"));
+    expect(recovered).toBe(false);
+    expect(text).toContain("Jane Smith\njane@example.com\nEXPERIENCE");
+    expect(text).toContain("Acme Corp | Engineer");
+    expect(text).toContain("Built things daily");
+  });
+});
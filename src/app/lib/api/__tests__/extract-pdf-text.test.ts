@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import {
+  extractPdfText,
+  textItemsToText,
+  PdfExtractionError,
+} from "lib/api/extract-pdf-text";
+import type { TextItem } from "lib/parse-resume-from-pdf/types";
+
+const RESUME_PDF_PATH = path.join(
+  process.cwd(),
+  "public/resume-example/laverne-resume.pdf"
+);
+
+const makeTextItem = (text: string, x: number, y: number, hasEOL = false) =>
+  ({ text, x, y, width: text.length * 5, height: 10, hasEOL } as TextItem);
+
+describe("extract-pdf-text tests - ", () => {
+  it("Joins text items into lines", () => {
+    expect(
+      textItemsToText([
+        makeTextItem("Leo", 0, 100),
+        makeTextItem("Leopard", 20, 100, true),
+        makeTextItem("EDUCATION", 0, 80),
+        makeTextItem("Bachelor", 0, 60),
+      ])
+    ).toBe("Leo Leopard\nEDUCATION\nBachelor");
+  });
+
+  it("Extracts text, pages and info from a pdf", async () => {
+    const result = await extractPdfText(fs.readFileSync(RESUME_PDF_PATH));
+    expect(result.numPages).toBe(1);
+    expect(result.pages).toHaveLength(1);
+    expect(result.text).toContain("Leo Leopard");
+    expect(result.text).toContain("lleopard@laverne.edu");
+    expect(result.info.author).toBe("Joel Pearson");
+    expect(result.info.creationDate).toBe("2022-12-26T02:53:45.000Z");
+  });
+
+  it("Rejects corrupt pdfs with a typed error", async () => {
+    const error = await extractPdfText(
+      Buffer.from("%PDF-1.4\nnot really a pdf")
+    ).catch((e) => e);
+    expect(error).toBeInstanceOf(PdfExtractionError);
+    expect(error.code).toBe("PDF_CORRUPT");
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import type { AddressInfo } from "net";
+import {
+  downloadFileFromUrl,
+  isBlockedAddress,
+  UrlFetchError,
+} from "lib/api/fetch-url";
+
+const routes: Record<string, (res: http.ServerResponse) => void> = {
+  "/resume.txt": (res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/plain",
+      "Content-Disposition": 'attachment; filename="Jane Doe.txt"',
+    });
+    res.end("hello");
+  },
+  "/files/cv%20final.txt": (res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("cv");
+  },
+  "/redirect": (res) => {
+    res.writeHead(302, { Location: "/resume.txt" });
+    res.end();
+  },
+  "/loop": (res) => {
+    res.writeHead(301, { Location: "/loop" });
+    res.end();
+  },
+  "/to-loopback-ip": (res) => {
+    res.writeHead(302, { Location: `http://127.0.0.1:${port}/resume.txt` });
+    res.end();
+  },
+  "/video": (res) => {
+    res.writeHead(200, { "Content-Type": "video/mp4" });
+    res.end("x");
+  },
+  "/big": (res) => {
+    res.writeHead(200, { "Content-Type": "text/plain", "Content-Length": 100 });
+    res.end("x".repeat(100));
+  },
+  "/slow": (res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.write("partial");
+  },
+};
+
+const server = http.createServer((req, res) =>
+  (routes[req.url!] || ((r) => r.writeHead(404).end()))(res)
+);
+let port = 0;
+const local = { allowPrivateNetwork: true };
+
+describe("fetch-url tests - ", () => {
+  beforeAll(
+    () =>
+      new Promise<void>((resolve) =>
+        server.listen(0, "127.0.0.1", () => {
+          port = (server.address() as AddressInfo).port;
+          resolve();
+        })
+      )
+  );
+  afterAll(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it("Blocks private, loopback and link-local addresses", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.20.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "0.0.0.0",
+      "::1",
+      "fe80::1",
+      "fd00::1",
+      "::ffff:127.0.0.1",
+      "::",
+      // IPv4-compatible and NAT64 addresses of internal IPv4 targets
+      "::127.0.0.1",
+      "::a9fe:a9fe",
+      "64:ff9b::127.0.0.1",
+      "64:ff9b::a9fe:a9fe",
+      "64:ff9b:1::a00:1",
+    ]) {
+      expect(isBlockedAddress(address)).toBe(true);
+    }
+    expect(isBlockedAddress("93.184.216.34")).toBe(false);
+    expect(isBlockedAddress("2606:4700::1111")).toBe(false);
+  });
+
+  it("Rejects private hosts before and after DNS resolution", async () => {
+    await expect(
+      downloadFileFromUrl(`http://127.0.0.1:${port}/resume.txt`)
+    ).rejects.toMatchObject({ code: "URL_BLOCKED" });
+    await expect(
+      downloadFileFromUrl(`http://localhost:${port}/resume.txt`)
+    ).rejects.toMatchObject({ code: "URL_BLOCKED" });
+    await expect(
+      downloadFileFromUrl("http://169.254.169.254/latest/meta-data/")
+    ).rejects.toBeInstanceOf(UrlFetchError);
+    for (const host of ["[::127.0.0.1]", "[64:ff9b::a9fe:a9fe]"]) {
+      await expect(
+        downloadFileFromUrl(`http://${host}/latest/meta-data/`)
+      ).rejects.toMatchObject({ code: "URL_BLOCKED" });
+    }
+    await expect(
+      downloadFileFromUrl("ftp://example.com/a.pdf")
+    ).rejects.toMatchObject({ code: "URL_INVALID" });
+  });
+
+  it("Downloads over http and follows redirects with the Content-Disposition name", async () => {
+    const result = await downloadFileFromUrl(
+      `http://127.0.0.1:${port}/redirect`,
+      local
+    );
+    expect(result.buffer.toString()).toBe("hello");
+    expect(result.fileName).toBe("Jane Doe.txt");
+    expect(result.url).toBe(`http://127.0.0.1:${port}/resume.txt`);
+
+    const { fileName } = await downloadFileFromUrl(
+      `http://127.0.0.1:${port}/files/cv%20final.txt`,
+      local
+    );
+    expect(fileName).toBe("cv final.txt");
+  });
+
+  it("Rechecks the allow-list and redirect limit on every hop", async () => {
+    await expect(
+      downloadFileFromUrl(`http://localhost:${port}/to-loopback-ip`, {
+        ...local,
+        allowedDomains: ["localhost"],
+      })
+    ).rejects.toMatchObject({ code: "URL_BLOCKED" });
+    await expect(
+      downloadFileFromUrl(`http://127.0.0.1:${port}/loop`, {
+        ...local,
+        maxRedirects: 3,
+      })
+    ).rejects.toMatchObject({ code: "URL_TOO_MANY_REDIRECTS" });
+  });
+
+  it("Checks content type, size and the total deadline", async () => {
+    await expect(
+      downloadFileFromUrl(`http://127.0.0.1:${port}/video`, local)
+    ).rejects.toMatchObject({ code: "URL_CONTENT_TYPE" });
+    await expect(
+      downloadFileFromUrl(`http://127.0.0.1:${port}/big`, {
+        ...local,
+        maxSize: 10,
+      })
+    ).rejects.toMatchObject({ code: "URL_TOO_LARGE" });
+    await expect(
+      downloadFileFromUrl(`http://127.0.0.1:${port}/slow`, {
+        ...local,
+        timeoutMs: 200,
+      })
+    ).rejects.toMatchObject({ code: "URL_TIMEOUT" });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import {
+  textItemsToMarkdown,
+  textItemsToLayout,
+  textToMarkdown,
+} from "lib/api/format-text";
+import { processBuffer, formatSuccessData } from "lib/api/process-buffer";
+import type { TextItem } from "lib/parse-resume-from-pdf/types";
+
+const RESUME_PDF_PATH = path.join(
+  process.cwd(),
+  "public/resume-example/laverne-resume.pdf"
+);
+
+const makeTextItem = (
+  text: string,
+  x: number,
+  y: number,
+  fontName = "Helvetica"
+) =>
+  ({
+    text,
+    x,
+    y,
+    width: text.length * 5,
+    height: 10,
+    fontName,
+    hasEOL: true,
+  } as TextItem);
+
+describe("format-text tests - ", () => {
+  it("Turns bold uppercase titles into headings and bullets into list items", () => {
+    const markdown = textItemsToMarkdown([
+      makeTextItem("Leo Leopard", 0, 200),
+      makeTextItem("lleopard@laverne.edu", 0, 180),
+      makeTextItem("EDUCATION", 0, 160, "Helvetica-Bold"),
+      makeTextItem("Laverne University", 0, 140, "Helvetica-Bold"),
+      makeTextItem("• Dean's list", 0, 120),
+      makeTextItem("• Teaching assistant for", 0, 100),
+      makeTextItem("the data structures course", 10, 80),
+      makeTextItem("SKILLS", 0, 60, "Helvetica-Bold"),
+      makeTextItem("Python", 0, 40),
+    ]);
+
+    expect(markdown).toBe(
+      [
+        "Leo Leopard\nlleopard@laverne.edu",
+        "## EDUCATION",
+        "**Laverne University**",
+        "- Dean's list\n- Teaching assistant for the data structures course",
+        "## SKILLS",
+        "Python",
+      ].join("\n\n")
+    );
+  });
+
+  it("Detects headings and bullets in plain text", () => {
+    expect(
+      textToMarkdown(
+        "Leo Leopard\nlleopard@laverne.edu\n\nEXPERIENCE\nSoftware Engineer\n- Built the API\n* Wrote the docs\n\nProjects\nA *starred* project"
+      )
+    ).toBe(
+      [
+        "Leo Leopard\nlleopard@laverne.edu",
+        "## EXPERIENCE",
+        "Software Engineer",
+        "- Built the API\n- Wrote the docs",
+        "## Projects",
+        "A \\*starred\\* project",
+      ].join("\n\n")
+    );
+  });
+
+  it("Keeps columns and indentation in the layout format", () => {
+    expect(
+      textItemsToLayout([
+        makeTextItem("Skills", 0, 100),
+        makeTextItem("Languages", 100, 100),
+        makeTextItem("Python", 10, 90),
+        makeTextItem("English", 100, 90),
+        makeTextItem("Go", 10, 50),
+        makeTextItem("Rust", 10, 40),
+      ])
+    ).toBe(
+      [
+        "Skills              Languages",
+        "  Python            English",
+        "",
+        "",
+        "  Go",
+        "  Rust",
+      ].join("\n")
+    );
+  });
+
+  it("Returns the positioned text items of a PDF and rejects them for other files", async () => {
+    const pdf = formatSuccessData(
+      await processBuffer(fs.readFileSync(RESUME_PDF_PATH), "resume.pdf", {
+        format: "items",
+      })
+    );
+    expect(pdf.format).toBe("items");
+    expect(pdf.extractedText).toContain("Leo Leopard");
+    expect(pdf.pages[0].items.length).toBeGreaterThan(0);
+    expect(Object.keys(pdf.pages[0].items[0]).sort()).toEqual([
+      "fontName",
+      "height",
+      "text",
+      "width",
+      "x",
+      "y",
+    ]);
+
+    const markdown = formatSuccessData(
+      await processBuffer(fs.readFileSync(RESUME_PDF_PATH), "resume.pdf", {
+        format: "markdown",
+      })
+    );
+    expect(markdown.extractedText).toContain("## EDUCATION");
+
+    const text = await processBuffer(Buffer.from("Leo Leopard"), "resume.txt", {
+      format: "items",
+    });
+    expect(text).toMatchObject({ success: false, code: "UNSUPPORTED_FORMAT" });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+import { checkReadiness } from "lib/api/health";
+import { terminateOcrWorker } from "lib/api/ocr";
+
+describe("health tests - ", () => {
+  afterAll(terminateOcrWorker);
+
+  it("Loads and runs every parser dependency", async () => {
+    const { ready, checks } = await checkReadiness({ passed: new Set() });
+    expect(checks).toEqual({
+      pdf: { ok: true },
+      resumeParser: { ok: true },
+      docx: { ok: true },
+      doc: { ok: true },
+      html: { ok: true },
+      ocr: { ok: true },
+    });
+    expect(ready).toBe(true);
+  });
+
+  it("Reports failed checks and runs them again", async () => {
+    const passed = new Set<string>();
+    let attempts = 0;
+    const checks = new Map([
+      ["ok", async () => {}],
+      [
+        "flaky",
+        async () => {
+          attempts++;
+          if (attempts === 1)
+            throw new Error("Cannot find module 'pdfjs-dist'");
+        },
+      ],
+    ]);
+
+    expect(await checkReadiness({ checks, passed })).toEqual({
+      ready: false,
+      checks: {
+        ok: { ok: true },
+        flaky: { ok: false, error: "Cannot find module 'pdfjs-dist'" },
+      },
+    });
+    expect((await checkReadiness({ checks, passed })).ready).toBe(true);
+    expect((await checkReadiness({ checks, passed })).ready).toBe(true);
+    expect(attempts).toBe(2);
+  });
+});
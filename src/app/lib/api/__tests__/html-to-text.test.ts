@@ -0,0 +1,59 @@
+import { htmlToText, decodeHtmlEntities } from "lib/api/html-to-text";
+
+describe("html-to-text tests - ", () => {
+  it("Entities", () => {
+    expect(
+      decodeHtmlEntities("R&amp;D &lt;b&gt; &#8211; &#x2022; &nbsp;&copy;")
+    ).toBe("R&D <b> – •  ©");
+  });
+
+  it("Drops scripts, styles and comments", () => {
+    const { text } = htmlToText(
+      '<style>p{color:red}</style><script>var a = "<p>no</p>";</script>' +
+        "<!-- <p>hidden</p> --><p>Visible</p>"
+    );
+    expect(text).toBe("Visible");
+  });
+
+  it("Block elements, lists and tables", () => {
+    const { text } = htmlToText(
+      "<h1>Jane  Doe</h1><p>Line one<br>Line two</p>" +
+        "<ul><li>Built <b>things</b></li><li>Led<ul><li>nested</li></ul></li></ul>" +
+        "<ol><li>one</li><li>two</li></ol>" +
+        "<table><tr><th>Skill</th><th>Years</th></tr><tr><td>Go</td><td>5</td></tr></table>"
+    );
+    expect(text).toBe(
+      [
+        "Jane Doe",
+        "",
+        "Line one",
+        "Line two",
+        "",
+        "• Built things",
+        "• Led",
+        "  • nested",
+        "",
+        "1. one",
+        "2. two",
+        "",
+        "Skill | Years",
+        "Go | 5",
+      ].join("\n")
+    );
+  });
+
+  it("Title, meta description and outbound links", () => {
+    const { title, description, links } = htmlToText(
+      "<html><head><title>Jane &amp; Co</title>" +
+        '<meta name="description" content="Senior engineer"></head>' +
+        '<body><a href="mailto:jane@example.com">Email</a>' +
+        "<a href='https://linkedin.com/in/jane'>LinkedIn</a>" +
+        '<a href="https://linkedin.com/in/jane">Again</a></body></html>'
+    );
+    expect(title).toBe("Jane & Co");
+    expect(description).toBe("Senior engineer");
+    expect(links).toEqual([
+      { href: "https://linkedin.com/in/jane", text: "LinkedIn" },
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import type { AddressInfo } from "net";
+import {
+  createJob,
+  createMemoryJobStore,
+  formatJob,
+  runJob,
+} from "lib/api/jobs";
+import { deliverWebhook, signWebhookPayload } from "lib/api/webhooks";
+
+const SECRET = "test-secret";
+const WEBHOOK_OPTIONS = {
+  secret: SECRET,
+  baseDelayMs: 10,
+  maxAttempts: 3,
+  allowPrivateNetwork: true,
+};
+
+type Delivery = { headers: http.IncomingHttpHeaders; body: string };
+
+describe("jobs tests - ", () => {
+  const deliveries: Delivery[] = [];
+  let responseCodes: number[] = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(responseCodes.shift() ?? 200).end();
+    });
+  });
+  let callbackUrl = "";
+
+  beforeAll(
+    () =>
+      new Promise<void>((resolve) =>
+        server.listen(0, "127.0.0.1", () => {
+          callbackUrl = `http://127.0.0.1:${
+            (server.address() as AddressInfo).port
+          }/hook`;
+          resolve();
+        })
+      )
+  );
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+  beforeEach(() => {
+    deliveries.length = 0;
+    responseCodes = [];
+  });
+
+  it("Runs a job and delivers a signed callback, retrying failures", async () => {
+    const store = createMemoryJobStore();
+    const job = await createJob(store, { owner: "n8n", callbackUrl });
+    expect(formatJob(job).status).toBe("queued");
+
+    responseCodes = [503];
+    const finished = await runJob(
+      store,
+      job,
+      async () => ({ success: true, data: { extractedText: "hello" } }),
+      WEBHOOK_OPTIONS
+    );
+
+    expect(finished.status).toBe("completed");
+    expect(finished.callback).toMatchObject({
+      status: "delivered",
+      attempts: 2,
+    });
+    expect(deliveries).toHaveLength(2);
+
+    const { headers, body } = deliveries[1];
+    const timestamp = headers["x-signature-timestamp"] as string;
+    expect(headers["x-signature"]).toBe(
+      `sha256=${signWebhookPayload(body, SECRET, timestamp)}`
+    );
+    expect(headers["x-job-id"]).toBe(job.id);
+    expect(JSON.parse(body)).toMatchObject({
+      jobId: job.id,
+      status: "completed",
+      result: { success: true, data: { extractedText: "hello" } },
+    });
+    expect((await store.get(job.id)).result.data.extractedText).toBe("hello");
+  });
+
+  it("Marks failed extractions and crashed tasks as failed", async () => {
+    const store = createMemoryJobStore();
+    const failed = await runJob(store, await createJob(store), async () => ({
+      success: false,
+      error: { message: "Unsupported" },
+    }));
+    expect(failed.status).toBe("failed");
+
+    const consoleError = jest.spyOn(console, "error").mockImplementation();
+    const crashed = await runJob(store, await createJob(store), async () => {
+      throw new Error("boom");
+    });
+    consoleError.mockRestore();
+    expect(crashed).toMatchObject({
+      status: "failed",
+      result: {
+        error: { message: "Internal server error", code: "INTERNAL_ERROR" },
+      },
+    });
+  });
+
+  it("Drops jobs that expire while they run", async () => {
+    const store = createMemoryJobStore({ ttlMs: 0 });
+    const job = await createJob(store, { owner: "n8n", callbackUrl });
+    const finished = await runJob(
+      store,
+      job,
+      async () => {
+        // Creating a job sweeps the expired ones
+        await createJob(store);
+        return { success: true, data: { extractedText: "hello" } };
+      },
+      WEBHOOK_OPTIONS
+    );
+    expect(finished).toBe(null);
+    expect(deliveries).toHaveLength(0);
+  });
+
+  it("Stops retrying on client errors and refuses private callback hosts", async () => {
+    responseCodes = [400];
+    expect(
+      await deliverWebhook(callbackUrl, { ok: true }, WEBHOOK_OPTIONS)
+    ).toMatchObject({ status: "failed", attempts: 1, statusCode: 400 });
+
+    expect(
+      await deliverWebhook(
+        callbackUrl,
+        { ok: true },
+        { ...WEBHOOK_OPTIONS, allowPrivateNetwork: false }
+      )
+    ).toMatchObject({ status: "failed", attempts: 0 });
+    expect(deliveries).toHaveLength(1);
+  });
+
+  it("Expires jobs after the TTL", async () => {
+    const store = createMemoryJobStore({ ttlMs: -1 });
+    const job = await createJob(store);
+    expect(await store.get(job.id)).toBeNull();
+  });
+});
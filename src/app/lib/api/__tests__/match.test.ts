@@ -0,0 +1,190 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { matchRequestToJob } from "lib/api/match";
+import { validateRequestBody } from "lib/api/openapi";
+import handler from "../../../../pages/api/match";
+
+const JOB_DESCRIPTION =
+  "Software engineer with React, TypeScript and GraphQL. Kubernetes is a plus.";
+
+const readResumeExample = (fileName: string) =>
+  fs.readFileSync(path.join(process.cwd(), "public/resume-example", fileName));
+
+const BOUNDARY = "----test-boundary";
+
+const multipartBody = (
+  fields: Record<string, string>,
+  files: { fileName: string; buffer: Buffer }[]
+) =>
+  Buffer.concat([
+    ...Object.entries(fields).map(([name, value]) =>
+      Buffer.from(
+        `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+      )
+    ),
+    ...files.flatMap(({ fileName, buffer }) => [
+      Buffer.from(
+        `--${BOUNDARY}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\n` +
+          "Content-Type: application/pdf\r\n\r\n"
+      ),
+      buffer,
+      Buffer.from("\r\n"),
+    ]),
+    Buffer.from(`--${BOUNDARY}--\r\n`),
+  ]);
+
+// Call the /api/match route with a request body, and resolve to its mock response
+const callMatchRoute = async (body: Buffer, contentType: string) => {
+  const req = Object.assign(Readable.from([body]), {
+    method: "POST",
+    url: "/api/match",
+    headers: { "content-type": contentType },
+    socket: { remoteAddress: "127.0.0.1" },
+  });
+  const res: {
+    status: jest.Mock;
+    json: jest.Mock;
+    setHeader: jest.Mock;
+    getHeader: jest.Mock;
+    on: jest.Mock;
+  } = {
+    status: jest.fn(() => res),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+    getHeader: jest.fn(),
+    on: jest.fn(),
+  };
+  const log = jest.spyOn(console, "log").mockImplementation(() => {});
+  try {
+    await handler(req, res);
+  } finally {
+    log.mockRestore();
+  }
+  return res;
+};
+
+describe("match tests - ", () => {
+  it("Matches a partial resume JSON", async () => {
+    const body = {
+      resume: {
+        workExperiences: [
+          { company: "ABC Company", descriptions: ["Built a React app"] },
+          { company: "DEF Organization" },
+        ],
+        skills: { featuredSkills: [{ skill: "TypeScript" }] },
+      },
+      jobDescription: JOB_DESCRIPTION,
+    };
+    expect(validateRequestBody(body, "MatchRequest")).toBe(null);
+
+    const { match, fileName } = await matchRequestToJob(body);
+    expect(fileName).toBe(null);
+    expect(match!.matchedSkills.map(({ term }) => term)).toEqual([
+      "React",
+      "TypeScript",
+    ]);
+    expect(match!.missingSkills.map(({ term }) => term)).toEqual([
+      "GraphQL",
+      "Kubernetes",
+    ]);
+    expect(match!.topBulletPoints).toEqual([
+      {
+        text: "Built a React app",
+        company: "ABC Company",
+        score: 1,
+        terms: ["React"],
+      },
+    ]);
+  });
+
+  it("Parses a resume pdf to match it", async () => {
+    const fileBase64 = readResumeExample("openresume-resume.pdf").toString(
+      "base64"
+    );
+    const { match, fileName } = await matchRequestToJob({
+      fileBase64,
+      fileName: "resume.pdf",
+      jobDescription: JOB_DESCRIPTION,
+    });
+    expect(fileName).toBe("resume.pdf");
+    expect(match!.score).toBeGreaterThan(0);
+    expect(match!.topBulletPoints.length).toBeGreaterThan(0);
+  });
+
+  it("Rejects a request without a resume or a pdf", async () => {
+    const { error, code } = await matchRequestToJob({
+      jobDescription: JOB_DESCRIPTION,
+    });
+    expect(error).toMatch(/Missing file data/);
+    expect(code).toBe("MISSING_FILE_DATA");
+
+    const { code: typeCode } = await matchRequestToJob({
+      fileBase64: Buffer.from("plain text").toString("base64"),
+      jobDescription: JOB_DESCRIPTION,
+    });
+    expect(typeCode).toBe("UNSUPPORTED_FILE_TYPE");
+  });
+
+  it("Requires a job description", () => {
+    expect(validateRequestBody({ resume: {} }, "MatchRequest")).not.toBe(null);
+    expect(
+      validateRequestBody({ resume: {}, jobDescription: "" }, "MatchRequest")
+    ).not.toBe(null);
+  });
+
+  it("Matches a pdf upload", async () => {
+    const res = await callMatchRoute(
+      multipartBody({ jobDescription: JOB_DESCRIPTION }, [
+        {
+          fileName: "resume.pdf",
+          buffer: readResumeExample("openresume-resume.pdf"),
+        },
+      ]),
+      `multipart/form-data; boundary=${BOUNDARY}`
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.fileName).toBe("resume.pdf");
+    expect(data.match.score).toBeGreaterThan(0);
+  });
+
+  it("Rejects uploads of several files or of other file types", async () => {
+    const file = { fileName: "resume.txt", buffer: Buffer.from("React") };
+    const severalFiles = await callMatchRoute(
+      multipartBody({ jobDescription: JOB_DESCRIPTION }, [file, file]),
+      `multipart/form-data; boundary=${BOUNDARY}`
+    );
+    expect(severalFiles.status).toHaveBeenCalledWith(413);
+    expect(severalFiles.json.mock.calls[0][0].error.code).toBe(
+      "TOO_MANY_FILES"
+    );
+
+    const textFile = await callMatchRoute(
+      multipartBody({ jobDescription: JOB_DESCRIPTION }, [file]),
+      `multipart/form-data; boundary=${BOUNDARY}`
+    );
+    expect(textFile.status).toHaveBeenCalledWith(400);
+    expect(textFile.json.mock.calls[0][0].error.code).toBe(
+      "UNSUPPORTED_FILE_TYPE"
+    );
+  });
+
+  it("Rejects a resume that reaches the object prototype", async () => {
+    const res = await callMatchRoute(
+      Buffer.from(
+        '{"jobDescription":"React","resume":{"__proto__":{"polluted":"yes"}}}'
+      ),
+      "application/json"
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      success: false,
+      error: { code: "VALIDATION_ERROR" },
+    });
+    expect(({} as { polluted?: string }).polluted).toBe(undefined);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createRegistry,
+  createApiMetrics,
+  endpointLabel,
+} from "lib/api/metrics";
+
+describe("metrics tests - ", () => {
+  it("Renders counters and histograms in the Prometheus text format", () => {
+    const registry = createRegistry();
+    const counter = registry.counter("test_total", "Test counter", ["kind"]);
+    const histogram = registry.histogram(
+      "test_seconds",
+      "Test histogram",
+      [],
+      [0.1, 1]
+    );
+    counter.inc({ kind: 'say "hi"' });
+    counter.inc({ kind: 'say "hi"' }, 2);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 5);
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP test_total Test counter",
+        "# TYPE test_total counter",
+        'test_total{kind="say \\"hi\\""} 3',
+        "# HELP test_seconds Test histogram",
+        "# TYPE test_seconds histogram",
+        'test_seconds_bucket{le="0.1"} 1',
+        'test_seconds_bucket{le="1"} 2',
+        'test_seconds_bucket{le="+Inf"} 3',
+        "test_seconds_sum 5.55",
+        "test_seconds_count 3",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("Records logged request outcomes", () => {
+    const metrics = createApiMetrics();
+    metrics.record(
+      "/api/extract-text",
+      {
+        success: true,
+        type: "pdf",
+        truncated: true,
+        metadata: { fileSize: 2048 },
+      },
+      120
+    );
+    metrics.record(
+      "/api/extract-text",
+      { success: false, code: "URL_TIMEOUT" },
+      30000
+    );
+    metrics.record(
+      "/api/parse-resume",
+      { success: false, code: "RATE_LIMITED" },
+      1
+    );
+    const text = metrics.registry.render();
+
+    expect(text).toContain(
+      'openresume_requests_total{endpoint="/api/extract-text",status="success",file_type="pdf"} 1'
+    );
+    expect(text).toContain(
+      'openresume_requests_total{endpoint="/api/extract-text",status="error",file_type="none"} 1'
+    );
+    expect(text).toContain(
+      'openresume_request_duration_seconds_bucket{endpoint="/api/extract-text",file_type="pdf",le="0.25"} 1'
+    );
+    expect(text).toContain(
+      'openresume_bytes_processed_total{file_type="pdf"} 2048'
+    );
+    expect(text).toContain('openresume_truncations_total{file_type="pdf"} 1');
+    expect(text).toContain(
+      'openresume_download_failures_total{code="URL_TIMEOUT"} 1'
+    );
+    expect(text).toContain(
+      'openresume_rate_limit_rejections_total{code="RATE_LIMITED"} 1'
+    );
+  });
+
+  it("Collapses job ids and query strings in endpoint labels", () => {
+    expect(endpointLabel("/api/jobs/5f0c6a3e-1b7f?x=1")).toBe(
+      "/api/jobs/{jobId}"
+    );
+    expect(endpointLabel("/api/extract-text?debug=1")).toBe(
+      "/api/extract-text"
+    );
+  });
+});
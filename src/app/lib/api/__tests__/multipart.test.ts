@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+import { PassThrough } from "stream";
+import type { IncomingMessage } from "http";
+import { parseMultipartRequest, MultipartError } from "lib/api/multipart";
+
+const BOUNDARY = "----test-boundary";
+const LIMITS = {
+  maxFileSize: 64,
+  maxFiles: 2,
+  maxFieldSize: 64,
+  maxFields: 2,
+  maxTotalSize: 1024,
+};
+
+const makeBody = (parts: string[]) =>
+  Buffer.from(
+    parts.map((part) => `--${BOUNDARY}\r\n${part}\r\n`).join("") +
+      `--${BOUNDARY}--\r\n`
+  );
+
+const filePart = (name: string, fileName: string, content: string) =>
+  `Content-Disposition: form-data; name="${name}"; filename="${fileName}"\r\n` +
+  `Content-Type: text/plain\r\n\r\n${content}`;
+
+const fieldPart = (name: string, value: string) =>
+  `Content-Disposition: form-data; name="${name}"\r\n\r\n${value}`;
+
+// Stream the body in small chunks to exercise delimiters split across chunks
+const makeRequest = (body: Buffer, chunkSize = 7) => {
+  const req = new PassThrough() as unknown as IncomingMessage & PassThrough;
+  req.headers = {
+    "content-type": `multipart/form-data; boundary=${BOUNDARY}`,
+  };
+  (async () => {
+    for (let i = 0; i < body.length; i += chunkSize) {
+      req.write(body.subarray(i, i + chunkSize));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    req.end();
+  })();
+  return req;
+};
+
+describe("multipart tests - ", () => {
+  it("Parses fields and files", async () => {
+    const { fields, files } = await parseMultipartRequest(
+      makeRequest(
+        makeBody([
+          fieldPart("fileName", "resume.txt"),
+          filePart("file", "a.txt", "hello\r\nworld"),
+          filePart("file", "b.txt", "second"),
+        ])
+      ),
+      LIMITS
+    );
+    expect(fields).toEqual({ fileName: "resume.txt" });
+    expect(
+      files.map((file: { fileName: string; buffer: Buffer }) => [
+        file.fileName,
+        file.buffer.toString(),
+      ])
+    ).toEqual([
+      ["a.txt", "hello\r\nworld"],
+      ["b.txt", "second"],
+    ]);
+  });
+
+  it("Stops as soon as a file exceeds the size limit", async () => {
+    const req = makeRequest(
+      makeBody([filePart("file", "big.txt", "x".repeat(10000))])
+    );
+    const error = await parseMultipartRequest(req, LIMITS).catch((e) => e);
+    expect(error).toBeInstanceOf(MultipartError);
+    expect(error.code).toBe("FILE_TOO_LARGE");
+    expect(error.status).toBe(413);
+    expect(req.isPaused()).toBe(true);
+  });
+
+  it("Rejects too many files and truncated bodies", async () => {
+    const tooMany = makeBody([
+      filePart("file", "a.txt", "a"),
+      filePart("file", "b.txt", "b"),
+      filePart("file", "c.txt", "c"),
+    ]);
+    await expect(
+      parseMultipartRequest(makeRequest(tooMany), LIMITS)
+    ).rejects.toMatchObject({ code: "TOO_MANY_FILES" });
+
+    const truncated = makeBody([filePart("file", "a.txt", "a")]).subarray(
+      0,
+      60
+    );
+    await expect(
+      parseMultipartRequest(makeRequest(truncated), LIMITS)
+    ).rejects.toMatchObject({ code: "INVALID_MULTIPART" });
+  });
+
+  it("Rejects large fields, too many fields and large bodies", async () => {
+    const largeField = makeBody([fieldPart("fileUrl", "x".repeat(100))]);
+    await expect(
+      parseMultipartRequest(makeRequest(largeField), LIMITS)
+    ).rejects.toMatchObject({ code: "FIELD_TOO_LARGE", status: 413 });
+
+    const tooMany = makeBody([
+      fieldPart("a", "1"),
+      fieldPart("b", "2"),
+      fieldPart("c", "3"),
+    ]);
+    await expect(
+      parseMultipartRequest(makeRequest(tooMany), LIMITS)
+    ).rejects.toMatchObject({ code: "TOO_MANY_FIELDS", status: 413 });
+
+    // Each part is within its limit, but not the parts together
+    const largeBody = makeBody(
+      Array.from({ length: 40 }, (_, idx) => `${fieldPart("a", "")}${idx}`)
+    );
+    await expect(
+      parseMultipartRequest(makeRequest(largeBody, 64), {
+        ...LIMITS,
+        maxFields: 100,
+      })
+    ).rejects.toMatchObject({ code: "BODY_TOO_LARGE", status: 413 });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import { imageDataToPnm, terminateOcrWorker } from "lib/api/ocr";
+import { processBuffer, formatSuccessData } from "lib/api/process-buffer";
+
+const FIXTURES_PATH = path.join(__dirname, "fixtures");
+const RESUME_PDF_PATH = path.join(
+  process.cwd(),
+  "public/resume-example/laverne-resume.pdf"
+);
+
+describe("ocr tests - ", () => {
+  afterAll(terminateOcrWorker);
+
+  it("Recognizes the text of image uploads", async () => {
+    const result = await processBuffer(
+      fs.readFileSync(path.join(FIXTURES_PATH, "scanned-resume.png")),
+      "resume.png"
+    );
+    expect(result).toMatchObject({ success: true, type: "image" });
+
+    const data = formatSuccessData(result);
+    expect(data.extractedText).toContain("Leo Leopard");
+    expect(data.extractedText).toContain("EDUCATION");
+    expect(data.metadata.ocrPages).toEqual([1]);
+    expect(data.pages[0].ocr).toBe(true);
+    expect(data.pages[0].confidence).toBeGreaterThan(0.8);
+  });
+
+  it("Recognizes scanned PDF pages and keeps text layers", async () => {
+    const scanned = formatSuccessData(
+      await processBuffer(
+        fs.readFileSync(path.join(FIXTURES_PATH, "scanned-resume.pdf")),
+        "scanned-resume.pdf"
+      )
+    );
+    expect(scanned.extractedText).toContain("lleopard@laverne.edu");
+    expect(scanned.metadata.ocrPages).toEqual([1]);
+    expect(scanned.pages[0]).toMatchObject({ pageNumber: 1, ocr: true });
+
+    const digital = formatSuccessData(
+      await processBuffer(fs.readFileSync(RESUME_PDF_PATH), "resume.pdf")
+    );
+    expect(digital.metadata.ocrPages).toEqual([]);
+    expect(digital.pages[0].ocr).toBe(false);
+  });
+
+  it("Honours ocr: false", async () => {
+    const image = await processBuffer(
+      fs.readFileSync(path.join(FIXTURES_PATH, "scanned-resume.png")),
+      "resume.png",
+      { ocr: false }
+    );
+    expect(image).toMatchObject({
+      success: false,
+      code: "IMAGE_NOT_SUPPORTED",
+    });
+
+    const scanned = formatSuccessData(
+      await processBuffer(
+        fs.readFileSync(path.join(FIXTURES_PATH, "scanned-resume.pdf")),
+        "scanned-resume.pdf",
+        { ocr: false }
+      )
+    );
+    expect(scanned.extractedText).toBe("");
+    expect(scanned.metadata.ocrPages).toEqual([]);
+  });
+
+  it("Encodes pdfjs image data as PNM", () => {
+    // 1 bit images: pdfjs sets the bits of white pixels, PBM those of black ones
+    const bitmap = imageDataToPnm({
+      width: 8,
+      height: 1,
+      kind: 1,
+      data: new Uint8ClampedArray([0b11110000]),
+    });
+    expect(bitmap).toEqual(
+      Buffer.concat([Buffer.from("P4\n8 1\n"), Buffer.from([0b00001111])])
+    );
+
+    const rgba = imageDataToPnm({
+      width: 1,
+      height: 2,
+      kind: 3,
+      data: new Uint8ClampedArray([1, 2, 3, 255, 4, 5, 6, 255]),
+    });
+    expect(rgba).toEqual(
+      Buffer.concat([
+        Buffer.from("P6\n1 2\n255\n"),
+        Buffer.from([1, 2, 3, 4, 5, 6]),
+      ])
+    );
+  });
+});
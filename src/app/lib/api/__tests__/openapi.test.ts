@@ -0,0 +1,204 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import { ERROR_CODES, errorBody } from "lib/api/errors";
+import { OPENAPI_DOCUMENT, validateRequestBody } from "lib/api/openapi";
+import { validateSchema } from "lib/api/schema-validation";
+
+const validateResponse = (body: unknown, schemaName: string) =>
+  validateSchema(
+    body,
+    { $ref: `#/components/schemas/${schemaName}` },
+    OPENAPI_DOCUMENT.components
+  );
+
+// Every `code: 'X'` literal of the API sources
+const codesUsedInSources = () => {
+  const directories = ["src/app/lib/api", "src/pages/api"].map((directory) =>
+    path.join(process.cwd(), directory)
+  );
+  const codes = new Set<string>();
+  const visit = (directory: string) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== "__tests__") visit(entryPath);
+      } else if (entry.name.endsWith(".js")) {
+        const source = fs.readFileSync(entryPath, "utf8");
+        for (const match of Array.from(source.matchAll(/code: '([A-Z_]+)'/g))) {
+          codes.add(match[1]);
+        }
+      }
+    }
+  };
+  directories.forEach(visit);
+  return Array.from(codes);
+};
+
+describe("openapi tests - ", () => {
+  it("Accepts the documented input formats", () => {
+    expect(
+      validateRequestBody(
+        { fileUrl: "https://example.com/resume.pdf", async: "true" },
+        "ExtractTextRequest"
+      )
+    ).toBeNull();
+    expect(
+      validateRequestBody(
+        { binaryData: { data: [37, 80, 68, 70] }, fileName: "resume.pdf" },
+        "ExtractTextRequest"
+      )
+    ).toBeNull();
+    expect(
+      validateRequestBody(
+        { fileBase64: "JVBERg==", callbackUrl: "https://example.com/hook" },
+        "ExtractTextRequest"
+      )
+    ).toBeNull();
+  });
+
+  it("Reports every invalid field with its path", () => {
+    expect(
+      validateRequestBody(
+        {
+          fileUrl: "not a url",
+          binaryData: { data: [1, 300] },
+          async: "yes",
+          extra: true,
+        },
+        "ExtractTextRequest"
+      )
+    ).toEqual([
+      { path: "fileUrl", message: "must be a valid URL" },
+      {
+        path: "binaryData.data",
+        message: "must be an array of bytes or a string",
+      },
+      { path: "async", message: 'must be a boolean or "true"/"false"' },
+      { path: "extra", message: "is not a supported field" },
+    ]);
+    expect(validateRequestBody(["a"], "ExtractTextRequest")).toEqual([
+      { path: "(body)", message: "must be an object" },
+    ]);
+    expect(validateRequestBody({}, "BatchRequest")).toEqual([
+      { path: "(body)", message: "items is required" },
+    ]);
+    expect(
+      validateRequestBody({ items: [{ fileName: "a.txt" }, 5] }, "BatchRequest")
+    ).toBeNull();
+    expect(validateRequestBody({ items: [] }, "BatchRequest")).toEqual([
+      { path: "items", message: "must have at least 1 items" },
+    ]);
+    expect(
+      validateRequestBody(
+        { fileBase64: "JVBERg==", language: "es" },
+        "ParseResumeRequest"
+      )
+    ).toBeNull();
+    expect(
+      validateRequestBody(
+        { fileBase64: "JVBERg==", language: "xx" },
+        "ParseResumeRequest"
+      )
+    ).toEqual([
+      {
+        path: "language",
+        message: 'must be one of "en", "es", "de", "fr", "zh"',
+      },
+    ]);
+    expect(
+      validateRequestBody(
+        {
+          fileBase64: "JVBERg==",
+          redact: { schools: true, includeMapping: true },
+        },
+        "ParseResumeRequest"
+      )
+    ).toBeNull();
+    expect(
+      validateRequestBody(
+        { fileBase64: "JVBERg==", redact: { names: true } },
+        "ExtractTextRequest"
+      )
+    ).toEqual([
+      {
+        path: "redact",
+        message:
+          'must be a boolean, "true"/"false" or an object of addresses, schools and includeMapping flags',
+      },
+    ]);
+  });
+
+  it("Rejects keys that reach the object prototype", () => {
+    // JSON.parse keeps "__proto__" as an own key, unlike an object literal
+    expect(
+      validateRequestBody(
+        JSON.parse('{ "fileBase64": "JVBERg==", "__proto__": { "a": 1 } }'),
+        "ExtractTextRequest"
+      )
+    ).toEqual([{ path: "__proto__", message: "is not an allowed field" }]);
+    expect(
+      validateSchema(
+        JSON.parse('{ "constructor": 1, "prototype": 2, "count": 3 }'),
+        { type: "object", additionalProperties: { type: "number" } }
+      )
+    ).toEqual([
+      { path: "constructor", message: "is not an allowed field" },
+      { path: "prototype", message: "is not an allowed field" },
+    ]);
+    // Inherited names aren't properties of a schema
+    expect(
+      validateSchema(
+        { toString: "x" },
+        { type: "object", properties: {}, additionalProperties: false }
+      )
+    ).toEqual([{ path: "toString", message: "is not a supported field" }]);
+  });
+
+  it("Documents every error code the API returns", () => {
+    const undocumented = codesUsedInSources().filter(
+      (code) => !ERROR_CODES.includes(code)
+    );
+    expect(undocumented).toEqual([]);
+  });
+
+  it("Describes the response envelopes", () => {
+    expect(
+      validateResponse(
+        errorBody(
+          {
+            message: "Invalid request body",
+            code: "VALIDATION_ERROR",
+            details: [{ path: "fileUrl", message: "must be a valid URL" }],
+          },
+          Date.now()
+        ),
+        "ErrorResponse"
+      )
+    ).toEqual([]);
+    expect(
+      validateResponse(
+        errorBody({ message: "Oops", code: "SOMETHING_NEW" }),
+        "ErrorResponse"
+      )
+    ).toHaveLength(1);
+    expect(
+      validateResponse(
+        {
+          success: true,
+          data: {
+            extractedText: "text",
+            fileName: "a.txt",
+            fileType: "text",
+            metadata: { fileSize: 4 },
+            truncated: false,
+          },
+          executionTime: "3ms",
+        },
+        "ExtractTextResponse"
+      )
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import { parseResumeFromBuffer } from "lib/api/parse-resume";
+
+const readResumeExample = (fileName: string) =>
+  fs.readFileSync(path.join(process.cwd(), "public/resume-example", fileName));
+
+describe("parse-resume tests - ", () => {
+  it("Parses a resume pdf buffer into a Resume", async () => {
+    const {
+      resume,
+      confidence,
+      atsReport,
+      language,
+      timeline,
+      numPages,
+      pageLayouts,
+    } = await parseResumeFromBuffer(readResumeExample("openresume-resume.pdf"));
+    expect(language).toBe("en");
+    expect(numPages).toBe(1);
+    expect(pageLayouts).toEqual([
+      { pageNumber: 1, numColumns: 1, isTextOutOfOrder: false },
+    ]);
+    expect(resume.profile.name).toBe("John Doe");
+    expect(resume.profile.email).toBe("hello@openresume.com");
+    expect(resume.workExperiences[0].company).toBe("ABC Company");
+    expect(resume.educations[0].school).toBe("XYZ University");
+    expect(resume.skills.descriptions.length).toBeGreaterThan(0);
+
+    expect(confidence.profile.email).toBe(1);
+    expect(confidence.workExperiences).toHaveLength(
+      resume.workExperiences.length
+    );
+    // Seasonal dates, e.g. "Summer 2022", are read as well
+    expect(atsReport).toEqual({ score: 100, issues: [] });
+
+    expect(timeline.workExperiences).toEqual([
+      { start: "2023-05", end: null, current: true },
+      { start: "2022-06", end: "2022-08", current: false },
+      { start: "2021-06", end: "2021-08", current: false },
+    ]);
+    expect(timeline.unreadableDates).toEqual([]);
+    expect(timeline.gaps.map(({ months }) => months)).toEqual([9, 8]);
+  });
+
+  it("Parses with the given language", async () => {
+    const { language, resume } = await parseResumeFromBuffer(
+      readResumeExample("openresume-resume.pdf"),
+      { language: "de" }
+    );
+    expect(language).toBe("de");
+    // English stays in the vocabulary of every language
+    expect(resume.workExperiences[0].company).toBe("ABC Company");
+  });
+});
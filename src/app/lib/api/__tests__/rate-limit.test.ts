@@ -0,0 +1,223 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import net from "net";
+import type { AddressInfo } from "net";
+import type { IncomingMessage, ServerResponse } from "http";
+import {
+  createRateLimiter,
+  createTrustedProxyList,
+  getClientIp,
+  slidingWindow,
+  tokenBucket,
+} from "lib/api/rate-limit";
+import {
+  createFileStore,
+  createMemoryStore,
+  createRedisStore,
+} from "lib/api/rate-limit-store";
+import { parseReply } from "lib/api/redis-client";
+import { rateLimit } from "lib/api/middleware";
+
+const OPTIONS = { limit: 3, windowMs: 1000 };
+
+// Redis stand-in speaking RESP with just the commands the Redis store uses
+const startRedisStandIn = () => {
+  const data = new Map<string, { value: string; version: number }>();
+  let version = 0;
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    let watched = new Map<string, number | undefined>();
+    let queued: string[][] | null = null;
+    const reply = (value: unknown): string => {
+      if (value === null) return "$-1\r\n";
+      if (Array.isArray(value))
+        return `*${value.length}\r\n${value.map(reply).join("")}`;
+      if (typeof value === "number") return `:${value}\r\n`;
+      return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+    };
+    const run = ([name, ...args]: string[]): unknown => {
+      switch (name.toUpperCase()) {
+        case "GET":
+          return data.get(args[0])?.value ?? null;
+        case "SET":
+          data.set(args[0], { value: args[1], version: ++version });
+          return "OK";
+        default:
+          throw new Error(`unsupported ${name}`);
+      }
+    };
+    socket.on("data", (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      let parsed;
+      while ((parsed = parseReply(pending))) {
+        pending = pending.subarray(parsed[1]);
+        const command = parsed[0] as string[];
+        const name = command[0].toUpperCase();
+        if (name === "WATCH") {
+          watched.set(command[1], data.get(command[1])?.version);
+          socket.write("+OK\r\n");
+        } else if (name === "UNWATCH" || name === "DISCARD") {
+          watched = new Map();
+          queued = null;
+          socket.write("+OK\r\n");
+        } else if (name === "MULTI") {
+          queued = [];
+          socket.write("+OK\r\n");
+        } else if (name === "EXEC") {
+          const conflict = Array.from(watched).some(
+            ([key, watchedVersion]) => data.get(key)?.version !== watchedVersion
+          );
+          const results = conflict ? null : (queued || []).map(run);
+          watched = new Map();
+          queued = null;
+          socket.write(reply(results));
+        } else if (queued) {
+          queued.push(command);
+          socket.write("+QUEUED\r\n");
+        } else {
+          socket.write(reply(run(command)));
+        }
+      }
+    });
+  });
+  return new Promise<{ server: net.Server; url: string }>((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        server,
+        url: `redis://127.0.0.1:${(server.address() as AddressInfo).port}`,
+      })
+    )
+  );
+};
+
+const makeRequest = (remoteAddress: string, headers = {}) =>
+  ({ headers, socket: { remoteAddress } } as unknown as IncomingMessage);
+
+describe("rate-limit tests - ", () => {
+  it("Weights the previous window in the sliding window", () => {
+    let state = null;
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      const result = slidingWindow(state, 1000, OPTIONS);
+      state = result.state;
+      results.push(result.allowed);
+    }
+    expect(results).toEqual([true, true, true, false]);
+
+    // Half way through the next window, half of the previous 3 requests still count
+    const next = slidingWindow(state, 2500, OPTIONS);
+    expect(next.allowed).toBe(true);
+    expect(next.remaining).toBe(0);
+    expect(slidingWindow(next.state, 2500, OPTIONS)).toMatchObject({
+      allowed: false,
+      retryAfterMs: expect.any(Number),
+    });
+  });
+
+  it("Refills the token bucket over time", () => {
+    let state = null;
+    for (let i = 0; i < 3; i++) state = tokenBucket(state, 0, OPTIONS).state;
+    const empty = tokenBucket(state, 0, OPTIONS);
+    expect(empty.allowed).toBe(false);
+    expect(empty.retryAfterMs).toBeCloseTo(1000 / 3);
+    expect(tokenBucket(state, 400, OPTIONS)).toMatchObject({
+      allowed: true,
+      remaining: 0,
+    });
+  });
+
+  it("Only trusts forwarding headers from trusted proxies", () => {
+    const proxies = createTrustedProxyList(["127.0.0.1", "10.0.0.0/8"]);
+    const spoofed = { "x-forwarded-for": "1.1.1.1, 203.0.113.7, 10.0.0.2" };
+    expect(getClientIp(makeRequest("10.0.0.1", spoofed), proxies)).toBe(
+      "203.0.113.7"
+    );
+    expect(getClientIp(makeRequest("198.51.100.1", spoofed), proxies)).toBe(
+      "198.51.100.1"
+    );
+    expect(
+      getClientIp(
+        makeRequest("::ffff:127.0.0.1", {
+          forwarded: 'for="[2001:db8::1]:4711";proto=https',
+        }),
+        proxies
+      )
+    ).toBe("2001:db8::1");
+  });
+
+  it("Persists limits in the file store", async () => {
+    const filePath = path.join(os.tmpdir(), `rate-limit-${process.pid}.json`);
+    const store = createFileStore(filePath);
+    const limiter = createRateLimiter({ store, ...OPTIONS, windowMs: 60000 });
+    await limiter.check("ip:1");
+    await limiter.check("ip:1");
+    await store.flush();
+
+    const reloadedStore = createFileStore(filePath);
+    const reloaded = createRateLimiter({
+      store: reloadedStore,
+      ...OPTIONS,
+      windowMs: 60000,
+    });
+    expect((await reloaded.check("ip:1")).remaining).toBe(0);
+    expect((await reloaded.check("ip:1")).allowed).toBe(false);
+    await reloadedStore.flush();
+    fs.unlinkSync(filePath);
+  });
+
+  it("Shares limits through the Redis store", async () => {
+    const { server, url } = await startRedisStandIn();
+    const stores = [createRedisStore(url), createRedisStore(url)];
+    try {
+      const limiters = stores.map((store) =>
+        createRateLimiter({
+          store,
+          algorithm: "token-bucket",
+          ...OPTIONS,
+          windowMs: 60000,
+        })
+      );
+      // Concurrent requests on two instances cannot take more than the limit
+      const results = await Promise.all(
+        [0, 1, 0, 1, 0].map((i) => limiters[i].check("key:n8n"))
+      );
+      expect(results.filter((result) => result.allowed)).toHaveLength(3);
+    } finally {
+      stores.forEach((store) => store.close());
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("Sets RateLimit headers and Retry-After on rejection", async () => {
+    const limiter = createRateLimiter({
+      store: createMemoryStore(),
+      ...OPTIONS,
+      limit: 1,
+    });
+    const headers: Record<string, string> = {};
+    let status = 0;
+    const res = {
+      getHeader: (name: string) => headers[name],
+      setHeader: (name: string, value: string) => (headers[name] = value),
+      status: (code: number) => {
+        status = code;
+        return res;
+      },
+      json: () => res,
+    } as unknown as ServerResponse;
+    const req = makeRequest("198.51.100.1");
+
+    expect(await rateLimit(req, res, { limiter })).toBe(true);
+    expect(headers).toMatchObject({
+      "RateLimit-Limit": "1",
+      "RateLimit-Remaining": "0",
+    });
+    expect(await rateLimit(req, res, { limiter })).toBe(false);
+    expect(status).toBe(429);
+    expect(Number(headers["Retry-After"])).toBeGreaterThan(0);
+  });
+});
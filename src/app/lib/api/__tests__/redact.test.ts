@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import {
+  createRedactor,
+  getResumeIdentity,
+  getTextIdentity,
+  parseRedactOption,
+  redactExtraction,
+} from "lib/api/redact";
+import { parseResumeFromBuffer } from "lib/api/parse-resume";
+import { logRequest } from "lib/api/middleware";
+
+const RESUME_TEXT = [
+  "John Doe",
+  "hello@openresume.com | (123) 456-7890 | linkedin.com/in/john-doe | @johndoe",
+  "123 Main Street, Apt 4B, NYC, NY",
+  "EDUCATION",
+  "XYZ University",
+  "Bachelor of Science in Computer Science",
+  "Sep 2019 - May 2023",
+  "WORK EXPERIENCE",
+  "ABC Company",
+  "Software Engineer",
+  "2019 - 2021 2022",
+  "Built Node.js/Express APIs with John's team, reach me at hello@openresume.com or 123-456-7890",
+].join("\n");
+
+describe("redact tests - ", () => {
+  it("Finds the candidate in a resume text", () => {
+    expect(getTextIdentity(RESUME_TEXT)).toEqual({
+      name: "John Doe",
+      schools: ["XYZ University"],
+      location: "NYC, NY",
+    });
+  });
+
+  it("Redacts contact info and the name with stable placeholders", () => {
+    const redactor = createRedactor(getTextIdentity(RESUME_TEXT));
+    const redactedText = redactor.redactText(RESUME_TEXT);
+
+    expect(redactedText.split("\n")).toEqual([
+      "[NAME_1]",
+      "[EMAIL_1] | [PHONE_1] | [URL_1] | [HANDLE_1]",
+      "123 Main Street, Apt 4B, NYC, NY",
+      "EDUCATION",
+      "XYZ University",
+      "Bachelor of Science in Computer Science",
+      "Sep 2019 - May 2023",
+      "WORK EXPERIENCE",
+      "ABC Company",
+      "Software Engineer",
+      "2019 - 2021 2022",
+      "Built Node.js/Express APIs with [NAME_2]'s team, reach me at [EMAIL_1] or [PHONE_1]",
+    ]);
+    expect(redactor.getSummary()).toEqual({
+      redactions: [
+        { type: "email", placeholder: "[EMAIL_1]", count: 2 },
+        { type: "url", placeholder: "[URL_1]", count: 1 },
+        { type: "handle", placeholder: "[HANDLE_1]", count: 1 },
+        { type: "phone", placeholder: "[PHONE_1]", count: 2 },
+        { type: "name", placeholder: "[NAME_1]", count: 1 },
+        { type: "name", placeholder: "[NAME_2]", count: 1 },
+      ],
+    });
+    expect(redactor.getSummary({ includeMapping: true }).mapping).toEqual({
+      "[EMAIL_1]": "hello@openresume.com",
+      "[URL_1]": "linkedin.com/in/john-doe",
+      "[HANDLE_1]": "@johndoe",
+      "[PHONE_1]": "(123) 456-7890",
+      "[NAME_1]": "John Doe",
+      "[NAME_2]": "John",
+    });
+  });
+
+  it("Optionally redacts addresses and schools", () => {
+    const options = parseRedactOption({ addresses: true, schools: true });
+    const redactor = createRedactor(
+      { name: "John Doe", schools: ["XYZ University"], location: "NYC, NY" },
+      options!
+    );
+    expect(
+      redactor.redactText("123 Main Street, Apt 4B, NYC, NY\nXYZ University")
+    ).toBe("[ADDRESS_1], [ADDRESS_2]\n[SCHOOL_1]");
+  });
+
+  it("Parses the redact option", () => {
+    expect(parseRedactOption(undefined)).toBe(null);
+    expect(parseRedactOption("false")).toBe(null);
+    expect(parseRedactOption("true")).toEqual({
+      addresses: false,
+      schools: false,
+      includeMapping: false,
+    });
+    expect(parseRedactOption({ includeMapping: true })).toEqual({
+      addresses: false,
+      schools: false,
+      includeMapping: true,
+    });
+  });
+
+  it("Masks the logs of redacted requests", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    const req = {
+      method: "POST",
+      url: "/api/parse-resume",
+      headers: {},
+      socket: { remoteAddress: "127.0.0.1" },
+      redact: true,
+    };
+    const error =
+      "URL download failed: Invalid URL: https://x.com/jane-doe.pdf";
+    logRequest(req, { success: false, error, code: "URL_INVALID" }, Date.now());
+    logRequest(
+      { ...req, redact: false },
+      { success: false, error, code: "URL_INVALID" },
+      Date.now()
+    );
+
+    expect(JSON.parse(log.mock.calls[0][0]).error).toBe(
+      "URL download failed: Invalid URL: [URL]"
+    );
+    expect(JSON.parse(log.mock.calls[1][0]).error).toBe(error);
+    log.mockRestore();
+  });
+
+  it("Redacts an extraction result and a parsed resume", async () => {
+    const result = redactExtraction(
+      {
+        success: true,
+        type: "txt",
+        fileName: "john-doe-resume.txt",
+        text: RESUME_TEXT,
+        metadata: { fileSize: 100, author: "John Doe" },
+      },
+      parseRedactOption(true)
+    );
+    expect(result.text).not.toContain("hello@openresume.com");
+    expect(result.fileName).toBe("[NAME_1]-resume.txt");
+    expect(result.metadata).toEqual({ fileSize: 100, author: "[NAME_1]" });
+    expect(result.redaction.mapping).toBe(undefined);
+
+    const { resume } = await parseResumeFromBuffer(
+      fs.readFileSync(
+        path.join(process.cwd(), "public/resume-example/openresume-resume.pdf")
+      )
+    );
+    const redactor = createRedactor(getResumeIdentity(resume));
+    const redactedResume = redactor.redactValue(resume);
+    expect(redactedResume.profile).toMatchObject({
+      name: "[NAME_1]",
+      email: "[EMAIL_1]",
+      phone: "[PHONE_1]",
+      url: "[URL_1]",
+    });
+    expect(redactedResume.workExperiences).toEqual(resume.workExperiences);
+  });
+});
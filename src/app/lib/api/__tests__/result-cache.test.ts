@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createMemoryResultStore,
+  createDiskResultStore,
+  createResultCache,
+  resultKey,
+  matchesEtag,
+} from "lib/api/result-cache";
+
+const SHA256 = "a".repeat(64);
+
+describe("result-cache tests - ", () => {
+  it("Evicts the least recently used entry and expires old entries", async () => {
+    const store = createMemoryResultStore({ maxEntries: 2, ttlMs: 50 });
+    await store.set("a", { text: "a" });
+    await store.set("b", { text: "b" });
+    await store.get("a");
+    await store.set("c", { text: "c" });
+
+    expect(await store.get("b")).toBeNull();
+    expect(await store.get("a")).toEqual({ text: "a" });
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(await store.get("c")).toBeNull();
+  });
+
+  it("Keeps results on disk across store instances", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "result-cache-"));
+    try {
+      const store = createDiskResultStore(directory, {
+        maxEntries: 2,
+        ttlMs: 60000,
+      });
+      await store.set("a", { text: "a" });
+      await store.set("b", { text: "b" });
+      // Make "a" the oldest file, then read it so "b" becomes the least recently used
+      const past = new Date(Date.now() - 10000);
+      fs.utimesSync(path.join(directory, "a.json"), past, past);
+      fs.utimesSync(path.join(directory, "b.json"), past, past);
+      await store.get("a");
+      await store.set("c", { text: "c" });
+
+      const reloaded = createDiskResultStore(directory);
+      expect(await reloaded.get("a")).toEqual({ text: "a" });
+      expect(await reloaded.get("b")).toBeNull();
+      expect(await reloaded.get("c")).toEqual({ text: "c" });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it("Serves hits, honours noCache and shares concurrent extractions", async () => {
+    const cache = createResultCache(createMemoryResultStore());
+    let calls = 0;
+    const compute = async () => {
+      calls++;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { success: true, text: `run ${calls}` };
+    };
+
+    const [first, concurrent] = await Promise.all([
+      cache.extract("key", compute),
+      cache.extract("key", compute),
+    ]);
+    expect(first).toEqual({
+      result: { success: true, text: "run 1" },
+      cached: false,
+    });
+    expect(concurrent.result).toBe(first.result);
+    expect(calls).toBe(1);
+
+    expect(await cache.extract("key", compute)).toEqual({
+      result: { success: true, text: "run 1" },
+      cached: true,
+    });
+    expect(await cache.extract("key", compute, { noCache: true })).toEqual({
+      result: { success: true, text: "run 2" },
+      cached: false,
+    });
+    expect((await cache.extract("key", compute)).result.text).toBe("run 2");
+  });
+
+  it("Does not store failed extractions", async () => {
+    const cache = createResultCache(createMemoryResultStore());
+    let calls = 0;
+    const compute = async () => {
+      calls++;
+      return { success: false, error: "PDF is corrupt or malformed" };
+    };
+    await cache.extract("key", compute);
+    expect((await cache.extract("key", compute)).cached).toBe(false);
+    expect(calls).toBe(2);
+    expect(await cache.has("key")).toBe(false);
+
+    await cache.extract("other", async () => ({ success: true, text: "" }));
+    expect(await cache.has("other")).toBe(true);
+    expect(await createResultCache(null).has("other")).toBe(false);
+  });
+
+  it("Builds stable keys and matches ETags", () => {
+    const key = resultKey(SHA256, { fileType: "pdf", format: "text" });
+    expect(key).toMatch(new RegExp(`^${SHA256}-[0-9a-f]{16}$`));
+    expect(resultKey(SHA256, { format: "text", fileType: "pdf" })).toBe(key);
+    expect(resultKey(SHA256, { fileType: "html" })).not.toBe(key);
+
+    expect(matchesEtag(`"${key}"`, key)).toBe(true);
+    expect(matchesEtag(`"other", W/"${key}"`, key)).toBe(true);
+    expect(matchesEtag("*", key)).toBe(true);
+    expect(matchesEtag(`"${SHA256}"`, key)).toBe(false);
+    expect(matchesEtag(undefined, key)).toBe(false);
+  });
+});
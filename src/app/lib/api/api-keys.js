@@ -0,0 +1,156 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// API key store for the API routes.
+// Keys come from the API_KEYS env var and/or a local JSON file (API_KEYS_FILE, default
+// ./api-keys.json). Only SHA-256 hashes of the keys are kept in memory.
+//
+// api-keys.json:
+// {
+//   "keys": [
+//     { "label": "n8n-nightly", "hash": "<sha256 hex of the key>", "scopes": ["extract"],
+//       "quota": { "daily": 1000, "monthly": 20000 } }
+//   ]
+// }
+
+export const SCOPES = {
+  EXTRACT: "extract", // Document extraction and parsing routes
+  ADMIN: "admin", // Every route, including operational ones
+};
+
+const DEFAULT_SCOPES = [SCOPES.EXTRACT];
+const DEFAULT_KEYS_FILE = "api-keys.json";
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function parseQuota(value) {
+  const quota = Number(value);
+  return Number.isFinite(quota) && quota > 0 ? quota : null;
+}
+
+// API_KEYS=key1,label2:key2 (labels default to a short hash prefix)
+function loadEnvKeys(env) {
+  const defaultQuota = {
+    daily: parseQuota(env.API_KEY_DAILY_QUOTA),
+    monthly: parseQuota(env.API_KEY_MONTHLY_QUOTA),
+  };
+  return (env.API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      const label = separator > 0 ? entry.slice(0, separator) : null;
+      const key = separator > 0 ? entry.slice(separator + 1) : entry;
+      const hash = hashApiKey(key);
+      return {
+        label: label || `key-${hash.slice(0, 8)}`,
+        hash,
+        scopes: DEFAULT_SCOPES,
+        quota: defaultQuota,
+      };
+    });
+}
+
+function loadFileKeys(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  let keys;
+  try {
+    ({ keys = [] } = JSON.parse(fs.readFileSync(filePath, "utf8")));
+  } catch (e) {
+    throw new Error(`Invalid API keys file ${filePath}: ${e.message}`);
+  }
+  if (!Array.isArray(keys)) {
+    throw new Error(`Invalid API keys file ${filePath}: "keys" must be a list`);
+  }
+  return keys.map((entry, i) => {
+    // Plain keys are accepted for convenience but hashed right away
+    const hash = (
+      entry.hash || (entry.key ? hashApiKey(entry.key) : "")
+    ).toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(
+        `Invalid API key entry ${i} in ${filePath}: expected a sha256 "hash"`
+      );
+    }
+    return {
+      label: entry.label || `key-${hash.slice(0, 8)}`,
+      hash,
+      scopes:
+        Array.isArray(entry.scopes) && entry.scopes.length
+          ? entry.scopes
+          : DEFAULT_SCOPES,
+      quota: {
+        daily: parseQuota(entry.quota?.daily),
+        monthly: parseQuota(entry.quota?.monthly),
+      },
+    };
+  });
+}
+
+/**
+ * Create a key store from env vars. Exposed as a factory so tests can build isolated stores.
+ */
+export function createApiKeyStore(env = process.env) {
+  const filePath = path.resolve(env.API_KEYS_FILE || DEFAULT_KEYS_FILE);
+  const keys = [...loadEnvKeys(env), ...loadFileKeys(filePath)];
+  const hashes = keys.map((key) => Buffer.from(key.hash, "hex"));
+  // Usage counters per key label: { day, daily, month, monthly }
+  const usage = new Map();
+
+  return {
+    requireAuth: env.REQUIRE_API_KEY === "true",
+    size: keys.length,
+
+    // Compare against every stored hash in constant time, without returning early
+    find(apiKey) {
+      const presented = Buffer.from(hashApiKey(apiKey), "hex");
+      let match = null;
+      for (let i = 0; i < hashes.length; i++) {
+        if (crypto.timingSafeEqual(presented, hashes[i]) && !match) {
+          match = keys[i];
+        }
+      }
+      return match;
+    },
+
+    // Count a request against the key quotas. Returns the exceeded period, if any.
+    consumeQuota(key, now = new Date()) {
+      const day = now.toISOString().slice(0, 10);
+      const month = day.slice(0, 7);
+      const counters = usage.get(key.label) || {
+        day,
+        daily: 0,
+        month,
+        monthly: 0,
+      };
+      if (counters.day !== day) Object.assign(counters, { day, daily: 0 });
+      if (counters.month !== month)
+        Object.assign(counters, { month, monthly: 0 });
+
+      if (key.quota.daily && counters.daily >= key.quota.daily)
+        return { exceeded: "daily", usage: counters };
+      if (key.quota.monthly && counters.monthly >= key.quota.monthly)
+        return { exceeded: "monthly", usage: counters };
+
+      counters.daily += 1;
+      counters.monthly += 1;
+      usage.set(key.label, counters);
+      return { exceeded: null, usage: counters };
+    },
+  };
+}
+
+let apiKeyStore = null;
+
+// Lazily load the process wide key store on first use
+export function getApiKeyStore() {
+  if (!apiKeyStore) {
+    apiKeyStore = createApiKeyStore();
+  }
+  return apiKeyStore;
+}
@@ -0,0 +1,105 @@
+import { CONFIG } from "lib/api/config";
+import { resolveFileInput } from "lib/api/file-input";
+import { validateRequestBody } from "lib/api/openapi";
+import {
+  processBuffer,
+  parseOcrOption,
+  formatSuccessData,
+  formatErrorDetails,
+} from "lib/api/process-buffer";
+
+// Batch extraction: many n8n-style inputs in one request, processed with bounded concurrency
+
+// Map items through an async function with at most `concurrency` calls in flight.
+// Results keep the input order.
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+}
+
+/**
+ * Extract the text of every batch item (`fileUrl`, `fileBase64` or `binaryData`, plus optional `fileName`).
+ *
+ * Never throws for a single bad item: each result is `{ index, success: true, ...data }` or
+ * `{ index, success: false, fileName, error }`; items that do not match the BatchItem schema fail
+ * with VALIDATION_ERROR. Once the files of the batch add up to more than
+ * `maxTotalSize` bytes, the remaining items fail with BATCH_SIZE_EXCEEDED.
+ */
+export async function extractBatch(
+  items,
+  {
+    concurrency = CONFIG.BATCH_CONCURRENCY,
+    maxTotalSize = CONFIG.BATCH_MAX_TOTAL_SIZE,
+  } = {}
+) {
+  let totalSize = 0;
+
+  const results = await mapWithConcurrency(
+    items,
+    concurrency,
+    async (item, index) => {
+      const fail = (error) => ({
+        index,
+        success: false,
+        fileName: (typeof item?.fileName === "string" && item.fileName) || null,
+        error,
+      });
+      const validationErrors = validateRequestBody(item, "BatchItem");
+      if (validationErrors) {
+        return fail({
+          message: "Invalid batch item",
+          code: "VALIDATION_ERROR",
+          details: validationErrors,
+        });
+      }
+
+      try {
+        const { buffer, fileName, error, code } = await resolveFileInput(item);
+        if (error) return fail({ message: error, code });
+
+        totalSize += buffer.length;
+        if (totalSize > maxTotalSize) {
+          return fail({
+            message: `Batch too large: files exceed ${maxTotalSize} bytes in total`,
+            code: "BATCH_SIZE_EXCEEDED",
+          });
+        }
+
+        const result = await processBuffer(buffer, fileName, {
+          format: item.format,
+          ocr: parseOcrOption(item.ocr),
+        });
+        return result.success
+          ? { index, success: true, ...formatSuccessData(result) }
+          : fail(formatErrorDetails(result));
+      } catch (e) {
+        console.error("Batch item error:", e);
+        return fail({
+          message: "Internal server error",
+          code: "INTERNAL_ERROR",
+        });
+      }
+    }
+  );
+
+  const succeeded = results.filter((result) => result.success).length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      totalSize,
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// Security and configuration shared by the API routes
+export const CONFIG = {
+  // Rate limiting
+  RATE_LIMIT_WINDOW_MS: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute window
+  RATE_LIMIT_MAX_REQUESTS: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Max requests per window per IP
+  RATE_LIMIT_KEY_MAX_REQUESTS:
+    Number(process.env.RATE_LIMIT_KEY_MAX_REQUESTS) || 100, // Max requests per window per API key
+  RATE_LIMIT_ALGORITHM: process.env.RATE_LIMIT_ALGORITHM || "sliding-window", // or 'token-bucket'
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || "memory", // 'memory', 'file' or 'redis'
+  RATE_LIMIT_FILE: process.env.RATE_LIMIT_FILE || "rate-limit-store.json",
+  REDIS_URL: process.env.REDIS_URL,
+  // Proxies whose X-Forwarded-For / Forwarded headers are trusted (IPs or CIDR ranges)
+  TRUSTED_PROXIES: (process.env.TRUSTED_PROXIES || "127.0.0.1,::1")
+    .split(",")
+    .map((proxy) => proxy.trim())
+    .filter(Boolean),
+  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB max file size
+  MAX_FILES_PER_REQUEST: 10, // Max file parts in one multipart upload
+  MAX_FIELD_SIZE: 8 * 1024, // 8KB max multipart text field, e.g. fileUrl
+  MAX_FIELDS_PER_REQUEST: 20, // Max text field parts in one multipart upload
+  MAX_MULTIPART_SIZE: 100 * 1024 * 1024, // 100MB max multipart body, files and fields together
+
+  // Batch extraction (/api/extract-text/batch)
+  BATCH_MAX_ITEMS: 100,
+  BATCH_MAX_TOTAL_SIZE: 100 * 1024 * 1024, // 100MB of files per batch
+  BATCH_MAX_BODY_SIZE: 150 * 1024 * 1024, // JSON body, room for base64 overhead
+  BATCH_CONCURRENCY: 4, // Items processed in parallel
+
+  // fileUrl downloads
+  URL_FETCH_TIMEOUT_MS: 30000, // Total deadline including redirects
+  URL_MAX_REDIRECTS: 5,
+  // Comma separated domains fileUrl may point to (subdomains included); empty allows any public host
+  URL_ALLOWED_DOMAINS: (process.env.URL_ALLOWED_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim())
+    .filter(Boolean),
+  // Allow fileUrl to reach private and loopback addresses (local development only)
+  URL_ALLOW_PRIVATE_NETWORK: process.env.URL_ALLOW_PRIVATE_NETWORK === "true",
+
+  // Extraction result cache, keyed by file SHA-256 and extraction options
+  RESULT_CACHE_STORE: process.env.RESULT_CACHE_STORE || "memory", // 'memory', 'disk' or 'none'
+  RESULT_CACHE_DIR: process.env.RESULT_CACHE_DIR || ".result-cache",
+  RESULT_CACHE_MAX_ENTRIES: Number(process.env.RESULT_CACHE_MAX_ENTRIES) || 200,
+  RESULT_CACHE_TTL_MS:
+    Number(process.env.RESULT_CACHE_TTL_MS) || 60 * 60 * 1000, // 1 hour
+
+  // Local OCR of image uploads and scanned PDF pages
+  OCR_ENABLED: process.env.OCR_ENABLED !== "false",
+  OCR_MIN_PAGE_TEXT_LENGTH: 20, // PDF pages with less text are treated as scanned
+  OCR_MAX_PAGES: Number(process.env.OCR_MAX_PAGES) || 20, // Pages OCR'd per PDF
+
+  // CORS - adjust for your n8n domain
+  ALLOWED_ORIGINS: [
+    "https://*.n8n.io",
+    "https://n8n.io",
+    "http://localhost:3000",
+    "http://localhost:5678", // n8n local development
+  ],
+
+  // Async jobs and signed webhook callbacks.
+  // Jobs are kept in memory and run after the 202 response in the same process, so they need a
+  // single long-running instance: they are lost on restart, not shared between instances, and
+  // serverless platforms may stop them once the response is sent.
+  JOB_TTL_MS: 60 * 60 * 1000, // Jobs can be polled for 1 hour
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET, // HMAC key for callback signatures
+  WEBHOOK_MAX_ATTEMPTS: 5,
+  WEBHOOK_RETRY_BASE_MS: 1000, // Backoff: 1s, 2s, 4s, 8s
+  WEBHOOK_TIMEOUT_MS: 10000, // Per attempt
+
+  // File type restrictions
+  ALLOWED_FILE_TYPES: ["pdf", "txt", "html", "htm", "doc", "docx"],
+  MAX_TEXT_LENGTH: 50000, // characters
+};
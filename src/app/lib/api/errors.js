@@ -0,0 +1,70 @@
+// Error envelope shared by every API route:
+// { success: false, error: { message, code, ...details }, executionTime }
+// Clients should rely on `error.code`; messages may change.
+
+// Stable error codes, also published in the OpenAPI document (/api/openapi.json)
+export const ERROR_CODES = [
+  // Request handling
+  "METHOD_NOT_ALLOWED",
+  "RATE_LIMITED",
+  "API_KEY_REQUIRED",
+  "API_KEY_INVALID",
+  "API_KEY_FORBIDDEN",
+  "API_KEY_QUOTA_EXCEEDED",
+  "INVALID_JSON",
+  "BODY_TOO_LARGE",
+  "VALIDATION_ERROR",
+  "NOT_FOUND",
+  "NOT_READY",
+  "INTERNAL_ERROR",
+  // File input
+  "MISSING_FILE_DATA",
+  "INVALID_BASE64",
+  "INVALID_BINARY_DATA",
+  "INVALID_MULTIPART",
+  "FILE_TOO_LARGE",
+  "TOO_MANY_FILES",
+  "FIELD_TOO_LARGE",
+  "TOO_MANY_FIELDS",
+  "URL_INVALID",
+  "URL_BLOCKED",
+  "URL_TOO_MANY_REDIRECTS",
+  "URL_HTTP_ERROR",
+  "URL_CONTENT_TYPE",
+  "URL_TOO_LARGE",
+  "URL_TIMEOUT",
+  "URL_FETCH_FAILED",
+  // Extraction
+  "UNSUPPORTED_FILE_TYPE",
+  "UNSUPPORTED_FORMAT",
+  "IMAGE_NOT_SUPPORTED",
+  "OCR_FAILED",
+  "PDF_ENCRYPTED",
+  "PDF_CORRUPT",
+  "PDF_PROCESSING_ERROR",
+  "DOCX_CORRUPT",
+  "DOC_CORRUPT",
+  "DOC_ENCRYPTED",
+  "DOCUMENT_PROCESSING_ERROR",
+  "HTML_PROCESSING_ERROR",
+  "TEXT_DECODING_ERROR",
+  // Batches and jobs
+  "TOO_MANY_ITEMS",
+  "BATCH_SIZE_EXCEEDED",
+  "JOB_NOT_FOUND",
+  "INVALID_CALLBACK_URL",
+  "CALLBACK_NOT_CONFIGURED",
+];
+
+// Build the error envelope. `error` is { message, code, ...details }.
+export function errorBody(error, startTime) {
+  return {
+    success: false,
+    error,
+    ...(startTime && { executionTime: Date.now() - startTime + "ms" }),
+  };
+}
+
+export function sendError(res, status, error, startTime) {
+  res.status(status).json(errorBody(error, startTime));
+}
@@ -0,0 +1,240 @@
+import { DocumentExtractionError } from "lib/api/extract-docx-text";
+
+// Best-effort text recovery from legacy Word 97-2003 (.doc) binaries.
+// A .doc file is an OLE compound file. The text lives in the WordDocument stream and is
+// located through the piece table (Clx) stored in the 0Table or 1Table stream.
+// Reference: [MS-CFB] and [MS-DOC] specifications.
+
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const MAX_CHAIN_LENGTH = 1 << 20;
+
+// Read the streams of an OLE compound file into a Map of stream name to buffer
+export function readCompoundFileStreams(buffer) {
+  if (
+    buffer.length < 512 ||
+    buffer.toString("hex", 0, 8) !== "d0cf11e0a1b11ae1"
+  ) {
+    throw new Error("Not an OLE compound file");
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const firstDirectorySector = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const firstMiniFatSector = buffer.readUInt32LE(0x3c);
+  let difatSector = buffer.readUInt32LE(0x44);
+
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  // The DIFAT lists the sectors holding the FAT: 109 entries in the header, the rest chained
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const sector = buffer.readUInt32LE(0x4c + i * 4);
+    if (sector !== FREE_SECTOR) fatSectors.push(sector);
+  }
+  for (
+    let guard = 0;
+    difatSector !== END_OF_CHAIN &&
+    difatSector !== FREE_SECTOR &&
+    guard < MAX_CHAIN_LENGTH;
+    guard++
+  ) {
+    const offset = sectorOffset(difatSector);
+    if (offset + sectorSize > buffer.length) break;
+    for (let i = 0; i < sectorSize / 4 - 1; i++) {
+      const sector = buffer.readUInt32LE(offset + i * 4);
+      if (sector !== FREE_SECTOR) fatSectors.push(sector);
+    }
+    difatSector = buffer.readUInt32LE(offset + sectorSize - 4);
+  }
+
+  const fat = [];
+  for (const sector of fatSectors) {
+    const offset = sectorOffset(sector);
+    if (offset + sectorSize > buffer.length) continue;
+    for (let i = 0; i < sectorSize / 4; i++)
+      fat.push(buffer.readUInt32LE(offset + i * 4));
+  }
+
+  const readChain = (startSector, table, readSector) => {
+    const chunks = [];
+    const visited = new Set();
+    for (
+      let sector = startSector;
+      sector !== END_OF_CHAIN && sector < table.length;
+      sector = table[sector]
+    ) {
+      if (visited.has(sector) || visited.size > MAX_CHAIN_LENGTH) {
+        throw new Error("Corrupt OLE compound file: sector chain loop");
+      }
+      visited.add(sector);
+      chunks.push(readSector(sector));
+    }
+    return Buffer.concat(chunks);
+  };
+  const readSector = (sector) =>
+    buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+
+  const directory = readChain(firstDirectorySector, fat, readSector);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 0x40);
+    entries.push({
+      name: directory.toString(
+        "utf16le",
+        offset,
+        offset + Math.max(0, nameLength - 2)
+      ),
+      type: directory[offset + 0x42],
+      startSector: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78),
+    });
+  }
+
+  const root = entries.find((entry) => entry.type === 5);
+  const miniStream = root
+    ? readChain(root.startSector, fat, readSector)
+    : Buffer.alloc(0);
+  const miniFat = [];
+  if (firstMiniFatSector !== END_OF_CHAIN) {
+    const miniFatBuffer = readChain(firstMiniFatSector, fat, readSector);
+    for (let i = 0; i + 4 <= miniFatBuffer.length; i += 4)
+      miniFat.push(miniFatBuffer.readUInt32LE(i));
+  }
+  const readMiniSector = (sector) =>
+    miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize);
+
+  const streams = new Map();
+  for (const entry of entries) {
+    // Type 2 is a stream object
+    if (entry.type !== 2) continue;
+    const data =
+      entry.size < miniStreamCutoff
+        ? readChain(entry.startSector, miniFat, readMiniSector)
+        : readChain(entry.startSector, fat, readSector);
+    streams.set(entry.name, data.subarray(0, entry.size));
+  }
+  return streams;
+}
+
+// Read the main document text through the piece table of the WordDocument stream
+function readPieceTableText(streams) {
+  const wordDocument = streams.get("WordDocument");
+  if (!wordDocument || wordDocument.length < 0x1aa) {
+    throw new Error("WordDocument stream not found");
+  }
+  if (wordDocument.readUInt16LE(0) !== 0xa5ec) {
+    throw new Error("Unsupported Word document version");
+  }
+
+  const flags = wordDocument.readUInt16LE(0x0a);
+  if (flags & 0x0100) {
+    throw new DocumentExtractionError(
+      "DOC is encrypted and requires a password",
+      "DOC_ENCRYPTED"
+    );
+  }
+  const table = streams.get(flags & 0x0200 ? "1Table" : "0Table");
+  if (!table) throw new Error("Table stream not found");
+
+  const ccpText = wordDocument.readUInt32LE(0x4c);
+  const fcClx = wordDocument.readUInt32LE(0x1a2);
+  const lcbClx = wordDocument.readUInt32LE(0x1a6);
+  const clx = table.subarray(fcClx, fcClx + lcbClx);
+
+  // Skip Prc entries (0x01) to reach the Pcdt (0x02) holding the piece table
+  let offset = 0;
+  while (offset < clx.length && clx[offset] === 0x01) {
+    offset += 3 + clx.readInt16LE(offset + 1);
+  }
+  if (clx[offset] !== 0x02) throw new Error("Piece table not found");
+  const plcPcdSize = clx.readUInt32LE(offset + 1);
+  const plcPcd = clx.subarray(offset + 5, offset + 5 + plcPcdSize);
+  const pieceCount = (plcPcdSize - 4) / 12;
+
+  let text = "";
+  for (let i = 0; i < pieceCount && text.length < ccpText; i++) {
+    const cpStart = plcPcd.readUInt32LE(i * 4);
+    const cpEnd = plcPcd.readUInt32LE((i + 1) * 4);
+    const fcValue = plcPcd.readUInt32LE((pieceCount + 1) * 4 + i * 8 + 2);
+    const isCompressed = (fcValue & 0x40000000) !== 0;
+    const fc = fcValue & 0x3fffffff;
+    const charCount = Math.min(cpEnd - cpStart, ccpText - text.length);
+
+    if (isCompressed) {
+      // 8-bit characters, stored at half the file offset
+      text += wordDocument.toString("latin1", fc / 2, fc / 2 + charCount);
+    } else {
+      text += wordDocument.toString("utf16le", fc, fc + charCount * 2);
+    }
+  }
+  return text;
+}
+
+// Turn Word special characters into plain text: paragraph and cell marks into line breaks,
+// and drop field instructions (between 0x13 and 0x14) while keeping field results
+function cleanWordText(text) {
+  return text
+    .replace(/\x13[^\x13\x14\x15]*\x14/g, "")
+    .replace(/\x13[^\x13\x14\x15]*\x15/g, "")
+    .replace(/[\x14\x15]/g, "")
+    .replace(/\x07\x07/g, "\n")
+    .replace(/\x07/g, " | ")
+    .replace(/[\r\x0b\x0c]/g, "\n")
+    .replace(/[\x00-\x08\x0e-\x1f]/g, "")
+    .split("\n")
+    .map((line) => line.replace(/( \| )+$/, "").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Last resort: collect runs of readable UTF-16LE text from the WordDocument stream
+function scanForText(data) {
+  const runs =
+    data.toString("utf16le").match(/[\x20-\x7e\u00a0-\u024f\r\n\t]{8,}/g) || [];
+  return cleanWordText(runs.join("\n"));
+}
+
+/**
+ * Extract the text of a legacy .doc buffer.
+ *
+ * Reads the text through the piece table and falls back to scanning for readable text
+ * when the document structure cannot be followed. `recovered` is true for the fallback.
+ * Throws a DocumentExtractionError with code DOC_CORRUPT or DOC_ENCRYPTED.
+ */
+export function extractDocText(buffer) {
+  let streams;
+  try {
+    streams = readCompoundFileStreams(buffer);
+  } catch (e) {
+    throw new DocumentExtractionError(
+      `DOC is corrupt or malformed: ${e.message}`,
+      "DOC_CORRUPT"
+    );
+  }
+
+  let text;
+  let recovered = false;
+  try {
+    text = cleanWordText(readPieceTableText(streams));
+  } catch (e) {
+    if (e instanceof DocumentExtractionError) throw e;
+    const wordDocument = streams.get("WordDocument");
+    if (!wordDocument) {
+      throw new DocumentExtractionError(
+        "OLE file is not a Word document (WordDocument stream not found)",
+        "DOC_CORRUPT"
+      );
+    }
+    text = scanForText(wordDocument);
+    recovered = true;
+  }
+
+  return {
+    text,
+    paragraphs: text.split("\n").filter((line) => line.trim() !== ""),
+    recovered,
+  };
+}
@@ -0,0 +1,219 @@
+import { readZipEntries } from "lib/api/read-zip";
+
+// Server side DOCX text extraction for the API routes.
+// Reads word/document.xml (plus page headers) and keeps paragraphs, list items and tables.
+
+export class DocumentExtractionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "DocumentExtractionError";
+    this.code = code;
+  }
+}
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : match;
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+// Start tag, end tag or self-closing tag (group 1-3), or text between tags (group 4)
+const XML_TOKEN_REGEX = /<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g;
+
+/**
+ * Convert a WordprocessingML part (document.xml, header1.xml, ...) into lines of text.
+ *
+ * Each paragraph becomes a line, list paragraphs are prefixed with a bullet and
+ * table rows become one line with cells separated by " | ".
+ */
+export function wordXmlToLines(xml) {
+  const lines = [];
+  // Stack of open tables, each collecting rows of cells of lines
+  const tables = [];
+  let paragraph = null;
+  let inText = false;
+  let inParagraphProperties = false;
+
+  const output = (line) => {
+    const table = tables[tables.length - 1];
+    if (table?.cell) {
+      table.cell.push(line);
+    } else {
+      lines.push(line);
+    }
+  };
+
+  for (const [, isEndTag, tagName, isSelfClosing, text] of xml.matchAll(
+    XML_TOKEN_REGEX
+  )) {
+    if (text !== undefined) {
+      if (inText && paragraph) paragraph.text += decodeXmlEntities(text);
+      continue;
+    }
+
+    const table = tables[tables.length - 1];
+
+    if (isEndTag) {
+      switch (tagName) {
+        case "w:t":
+          inText = false;
+          break;
+        case "w:pPr":
+          inParagraphProperties = false;
+          break;
+        case "w:p":
+          if (paragraph) {
+            const lineText = paragraph.text.trim();
+            output(
+              paragraph.isListItem && lineText ? `• ${lineText}` : lineText
+            );
+          }
+          paragraph = null;
+          break;
+        case "w:tc":
+          if (table?.row && table.cell) {
+            table.row.push(table.cell.filter(Boolean).join(" "));
+          }
+          if (table) table.cell = null;
+          break;
+        case "w:tr":
+          if (table?.row?.some(Boolean)) {
+            table.rows.push(table.row.join(" | "));
+          }
+          if (table) table.row = null;
+          break;
+        case "w:tbl":
+          tables.pop();
+          table?.rows.forEach(output);
+          break;
+        default:
+          break;
+      }
+      continue;
+    }
+
+    switch (tagName) {
+      case "w:p":
+        if (!isSelfClosing) paragraph = { text: "", isListItem: false };
+        else output("");
+        break;
+      case "w:t":
+        inText = !isSelfClosing;
+        break;
+      case "w:pPr":
+        inParagraphProperties = !isSelfClosing;
+        break;
+      case "w:numPr":
+        if (paragraph) paragraph.isListItem = true;
+        break;
+      case "w:tab":
+        // Tab stop definitions in paragraph properties are not text
+        if (paragraph && !inParagraphProperties) paragraph.text += "\t";
+        break;
+      case "w:br":
+      case "w:cr":
+        if (paragraph) paragraph.text += "\n";
+        break;
+      case "w:tbl":
+        tables.push({ rows: [], row: null, cell: null });
+        break;
+      case "w:tr":
+        if (table) table.row = [];
+        break;
+      case "w:tc":
+        if (table) table.cell = [];
+        break;
+      default:
+        break;
+    }
+  }
+
+  return lines;
+}
+
+function readCoreProperty(xml, tagName) {
+  const match = xml.match(new RegExp(`<${tagName}[^>]*>([^<]*)</${tagName}>`));
+  return match ? decodeXmlEntities(match[1]).trim() || null : null;
+}
+
+/**
+ * Extract the text of a DOCX buffer.
+ *
+ * Returns the text, its paragraphs and the document title and author from docProps/core.xml.
+ * Throws a DocumentExtractionError with code DOCX_CORRUPT if the file cannot be read.
+ */
+export function extractDocxText(buffer, { maxEntrySize } = {}) {
+  let entries;
+  try {
+    entries = readZipEntries(buffer, { maxEntrySize });
+  } catch (e) {
+    throw new DocumentExtractionError(
+      `DOCX is corrupt or malformed: ${e.message}`,
+      "DOCX_CORRUPT"
+    );
+  }
+
+  const documentEntry = entries.get("word/document.xml");
+  if (!documentEntry) {
+    throw new DocumentExtractionError(
+      "ZIP file is not a Word document (word/document.xml not found)",
+      "DOCX_CORRUPT"
+    );
+  }
+
+  try {
+    // Page headers often hold the candidate name and contact details, so they go first
+    const headerNames = [...entries.keys()]
+      .filter((name) => /^word\/header\d*\.xml$/.test(name))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const headerLines = [];
+    for (const name of headerNames) {
+      for (const line of wordXmlToLines(
+        entries.get(name).read().toString("utf8")
+      )) {
+        if (line && !headerLines.includes(line)) headerLines.push(line);
+      }
+    }
+
+    const bodyLines = wordXmlToLines(documentEntry.read().toString("utf8"));
+    const paragraphs = [...headerLines, ...bodyLines].filter(
+      (line) => line.trim() !== ""
+    );
+    const text = [
+      ...headerLines,
+      ...(headerLines.length ? [""] : []),
+      ...bodyLines,
+    ]
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+
+    const coreXml =
+      entries.get("docProps/core.xml")?.read().toString("utf8") || "";
+
+    return {
+      text,
+      paragraphs,
+      info: {
+        title: readCoreProperty(coreXml, "dc:title"),
+        author: readCoreProperty(coreXml, "dc:creator"),
+      },
+    };
+  } catch (e) {
+    throw new DocumentExtractionError(
+      `DOCX is corrupt or malformed: ${e.message}`,
+      "DOCX_CORRUPT"
+    );
+  }
+}
@@ -0,0 +1,220 @@
+import * as pdfjs from "pdfjs-dist";
+import { CONFIG } from "lib/api/config";
+import { recognizeImage, imageDataToPnm, OcrError } from "lib/api/ocr";
+import {
+  getPageTextItems,
+  removeEmptySpaceTextItems,
+} from "lib/parse-resume-from-pdf/get-page-text-items";
+
+// Server side PDF text extraction for the API routes.
+// pdfjs-dist runs with its fake worker in Node.js, so no worker setup is needed here
+// (unlike lib/parse-resume-from-pdf/read-pdf.ts, which targets the browser).
+
+export class PdfExtractionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "PdfExtractionError";
+    this.code = code;
+  }
+}
+
+// Map pdfjs exceptions to stable error codes
+function toPdfExtractionError(error) {
+  switch (error?.name) {
+    case "PasswordException":
+      return new PdfExtractionError(
+        "PDF is encrypted and requires a password",
+        "PDF_ENCRYPTED"
+      );
+    case "InvalidPDFException":
+    case "FormatError":
+      return new PdfExtractionError(
+        "PDF is corrupt or malformed",
+        "PDF_CORRUPT"
+      );
+    default:
+      return new PdfExtractionError(
+        `PDF processing error: ${error?.message || error}`,
+        "PDF_PROCESSING_ERROR"
+      );
+  }
+}
+
+// Load a pdfjs document from an in-memory buffer
+export async function loadPdfDocument(buffer) {
+  // pdfjs transfers (and detaches) the data it is given, so hand it a copy
+  const data = new Uint8Array(buffer);
+  try {
+    return await pdfjs.getDocument({
+      data,
+      isEvalSupported: false,
+      useSystemFonts: false,
+      verbosity: pdfjs.VerbosityLevel.ERRORS,
+    }).promise;
+  } catch (e) {
+    throw toPdfExtractionError(e);
+  }
+}
+
+// Join positioned text items into plain text, breaking lines on EOL markers or y changes
+export function textItemsToText(textItems) {
+  let text = "";
+  let previous = null;
+  let endOfLine = false;
+
+  for (const item of textItems) {
+    // Empty items only carry an EOL marker for the line before them
+    if (item.text.trim() === "") {
+      endOfLine = endOfLine || item.hasEOL;
+      continue;
+    }
+
+    if (previous) {
+      const sameLine =
+        !endOfLine &&
+        Math.abs(previous.y - item.y) < Math.max(previous.height, 1) / 2;
+      if (!sameLine) {
+        text += "\n";
+      } else {
+        // Add the space pdfjs leaves out between items that are visibly apart
+        const gap = item.x - (previous.x + previous.width);
+        if (
+          gap > previous.height * 0.15 &&
+          !/\s$/.test(text) &&
+          !/^\s/.test(item.text)
+        ) {
+          text += " ";
+        }
+      }
+    }
+    text += item.text;
+    previous = item;
+    endOfLine = item.hasEOL;
+  }
+
+  return text
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim();
+}
+
+// Images smaller than this (in pixels, either side) are logos and icons, not scanned text
+const MIN_OCR_IMAGE_SIZE = 100;
+
+// Decoded images painted on a page, in drawing order
+async function getPageImages(page) {
+  const operatorList = await page.getOperatorList();
+  const images = [];
+  for (let i = 0; i < operatorList.fnArray.length; i++) {
+    const [image] = operatorList.argsArray[i] || [];
+    if (operatorList.fnArray[i] === pdfjs.OPS.paintInlineImageXObject) {
+      images.push(image);
+    } else if (operatorList.fnArray[i] === pdfjs.OPS.paintImageXObject) {
+      // Images shared between pages live in commonObjs
+      const objs = image.startsWith("g_") ? page.commonObjs : page.objs;
+      images.push(await new Promise((resolve) => objs.get(image, resolve)));
+    }
+  }
+  return images.filter(
+    (image) =>
+      image?.data &&
+      image.width >= MIN_OCR_IMAGE_SIZE &&
+      image.height >= MIN_OCR_IMAGE_SIZE
+  );
+}
+
+// OCR the images of a page. Returns { text, confidence }, or null when the page has no images.
+async function recognizePage(page) {
+  const images = await getPageImages(page);
+  if (images.length === 0) return null;
+
+  const results = [];
+  for (const image of images) {
+    results.push(await recognizeImage(imageDataToPnm(image)));
+  }
+  return {
+    text: results
+      .map((result) => result.text)
+      .filter(Boolean)
+      .join("\n\n"),
+    confidence:
+      Math.round(
+        (results.reduce((sum, result) => sum + result.confidence, 0) /
+          results.length) *
+          100
+      ) / 100,
+  };
+}
+
+function parsePdfDate(value) {
+  const date = pdfjs.PDFDateString.toDateObject(value);
+  return date ? date.toISOString() : null;
+}
+
+/**
+ * Extract the text of every page of a PDF buffer.
+ *
+ * Returns the concatenated text, the per-page text and text items, and document info.
+ * Throws a PdfExtractionError with code PDF_ENCRYPTED, PDF_CORRUPT or PDF_PROCESSING_ERROR.
+ *
+ * Pages with (almost) no text layer are scanned pages: their images are OCR'd, up to
+ * OCR_MAX_PAGES per document. `ocr: true` OCRs every page with images and replaces its text
+ * layer, `ocr: false` never OCRs. OCR'd pages have `ocr: true`, a `confidence` between 0 and 1
+ * and no text items. OCR failures throw an OcrError.
+ */
+export async function extractPdfText(buffer, { ocr } = {}) {
+  const pdfFile = await loadPdfDocument(buffer);
+
+  try {
+    const { info = {} } = await pdfFile.getMetadata().catch(() => ({}));
+    const pages = [];
+    const ocrEnabled = CONFIG.OCR_ENABLED && ocr !== false;
+    let ocrPageCount = 0;
+
+    for (let i = 1; i <= pdfFile.numPages; i++) {
+      const page = await pdfFile.getPage(i);
+      const textItems = removeEmptySpaceTextItems(await getPageTextItems(page));
+      const text = textItemsToText(textItems);
+
+      const isScanned = text.length < CONFIG.OCR_MIN_PAGE_TEXT_LENGTH;
+      const recognized =
+        ocrEnabled &&
+        (ocr === true || isScanned) &&
+        ocrPageCount < CONFIG.OCR_MAX_PAGES
+          ? await recognizePage(page)
+          : null;
+      if (recognized) {
+        ocrPageCount++;
+        pages.push({
+          pageNumber: i,
+          text: recognized.text,
+          textItems: [],
+          ocr: true,
+          confidence: recognized.confidence,
+        });
+      } else {
+        pages.push({ pageNumber: i, text, textItems, ocr: false });
+      }
+      page.cleanup();
+    }
+
+    return {
+      text: pages.map((page) => page.text).join("\n\n"),
+      pages,
+      numPages: pdfFile.numPages,
+      info: {
+        title: info.Title || null,
+        author: info.Author || null,
+        producer: info.Producer || null,
+        creationDate: parsePdfDate(info.CreationDate),
+      },
+    };
+  } catch (e) {
+    throw e instanceof PdfExtractionError || e instanceof OcrError
+      ? e
+      : toPdfExtractionError(e);
+  } finally {
+    await pdfFile.destroy();
+  }
+}
@@ -0,0 +1,306 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import path from "path";
+import { CONFIG } from "lib/api/config";
+import { parseContentDisposition } from "lib/api/multipart";
+
+// Hardened fetching of fileUrl inputs.
+// Every hop (including redirects) is checked against the domain allow-list and, after DNS
+// resolution, against private, loopback and link-local addresses to prevent SSRF.
+
+export class UrlFetchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "UrlFetchError";
+    this.code = code;
+  }
+}
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+// Document types the extractors handle. Missing Content-Type headers are accepted.
+const ALLOWED_CONTENT_TYPES = [
+  "application/pdf",
+  "application/x-pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/xhtml+xml",
+  "application/octet-stream",
+  "binary/octet-stream",
+  "image/png",
+  "image/jpeg",
+];
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local (cloud metadata services)
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved and broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 96], // Unspecified, loopback and IPv4-compatible (::a.b.c.d)
+  ["64:ff9b::", 96], // NAT64, which reaches the embedded IPv4 address
+  ["64:ff9b:1::", 48], // Local-use NAT64
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+// True for private, loopback, link-local and other non-public addresses
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+export function isBlockedAddress(address) {
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return BLOCKED_ADDRESSES.check(address, family);
+}
+
+function isAllowedDomain(hostname, allowedDomains) {
+  if (!allowedDomains.length) return true;
+  return allowedDomains.some((allowed) => {
+    const domain = allowed.replace(/^\*\./, "").toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+}
+
+// DNS lookup for http.request that refuses hosts resolving to a blocked address.
+// The connection then uses the checked address, so the host cannot be re-resolved elsewhere.
+export function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      callback(
+        new UrlFetchError(
+          `URL host ${hostname} resolves to a blocked address (${blocked.address})`,
+          "URL_BLOCKED"
+        )
+      );
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// Validate the protocol, domain allow-list and literal IP hosts of one hop. Returns the parsed URL.
+export function checkUrl(url, { allowedDomains, allowPrivateNetwork }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (e) {
+    throw new UrlFetchError(`Invalid URL: ${url}`, "URL_INVALID");
+  }
+
+  if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+    throw new UrlFetchError(
+      `Invalid URL protocol: ${parsedUrl.protocol}`,
+      "URL_INVALID"
+    );
+  }
+  if (parsedUrl.username || parsedUrl.password) {
+    throw new UrlFetchError(
+      "URLs with credentials are not allowed",
+      "URL_INVALID"
+    );
+  }
+
+  const hostname = parsedUrl.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  if (!isAllowedDomain(hostname, allowedDomains)) {
+    throw new UrlFetchError(
+      `URL host ${hostname} is not in the allowed domains`,
+      "URL_BLOCKED"
+    );
+  }
+  // IP literals skip DNS resolution, so check them here
+  if (
+    !allowPrivateNetwork &&
+    net.isIP(hostname) &&
+    isBlockedAddress(hostname)
+  ) {
+    throw new UrlFetchError(
+      `URL host ${hostname} is a blocked address`,
+      "URL_BLOCKED"
+    );
+  }
+  return parsedUrl;
+}
+
+function isAllowedContentType(contentType) {
+  const mimeType = contentType.split(";")[0].trim().toLowerCase();
+  return (
+    !mimeType ||
+    mimeType.startsWith("text/") ||
+    ALLOWED_CONTENT_TYPES.includes(mimeType)
+  );
+}
+
+// Content-Disposition filename, else the last path segment of the final URL
+function getFileName(response, url) {
+  const { fileName } = parseContentDisposition(
+    response.headers["content-disposition"]
+  );
+  if (fileName) return path.basename(fileName.replace(/\\/g, "/"));
+
+  let urlFileName = path.posix.basename(url.pathname);
+  try {
+    urlFileName = decodeURIComponent(urlFileName);
+  } catch (e) {
+    // Keep the encoded name
+  }
+  return urlFileName || "downloaded_file";
+}
+
+/**
+ * Download a fileUrl input.
+ *
+ * Follows up to `maxRedirects` redirects, rechecking every hop, and aborts once `timeoutMs`
+ * has elapsed in total. Content-Type and Content-Length are checked before the body is read.
+ * Resolves to `{ buffer, fileName, contentType, url }` (url is the final URL after redirects).
+ * Rejects with a UrlFetchError (code URL_INVALID, URL_BLOCKED, URL_TOO_MANY_REDIRECTS,
+ * URL_HTTP_ERROR, URL_CONTENT_TYPE, URL_TOO_LARGE, URL_TIMEOUT or URL_FETCH_FAILED).
+ */
+export async function downloadFileFromUrl(
+  url,
+  {
+    maxRedirects = CONFIG.URL_MAX_REDIRECTS,
+    timeoutMs = CONFIG.URL_FETCH_TIMEOUT_MS,
+    maxSize = CONFIG.MAX_FILE_SIZE,
+    allowedDomains = CONFIG.URL_ALLOWED_DOMAINS,
+    allowPrivateNetwork = CONFIG.URL_ALLOW_PRIVATE_NETWORK,
+  } = {}
+) {
+  // One deadline for all hops and the body download
+  let active = null;
+  const timer = setTimeout(() => {
+    active?.destroy(
+      new UrlFetchError(
+        `URL download timed out after ${timeoutMs}ms`,
+        "URL_TIMEOUT"
+      )
+    );
+  }, timeoutMs);
+
+  const request = (target) =>
+    new Promise((resolve, reject) => {
+      const client = target.protocol === "https:" ? https : http;
+      const req = client.get(
+        target,
+        {
+          lookup: allowPrivateNetwork ? undefined : guardedLookup,
+          headers: {
+            "User-Agent": "open-resume-text-extraction",
+            Accept: "*/*",
+          },
+        },
+        resolve
+      );
+      req.on("error", reject);
+      active = req;
+    });
+
+  const readBody = (response) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      let totalSize = 0;
+      response.on("data", (chunk) => {
+        totalSize += chunk.length;
+        if (totalSize > maxSize) {
+          response.destroy(
+            new UrlFetchError(
+              `File too large: exceeds ${maxSize} bytes`,
+              "URL_TOO_LARGE"
+            )
+          );
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on("end", () => resolve(Buffer.concat(chunks)));
+      response.on("error", reject);
+      active = response;
+    });
+
+  try {
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+      const target = checkUrl(currentUrl, {
+        allowedDomains,
+        allowPrivateNetwork,
+      });
+      const response = await request(target);
+
+      if (REDIRECT_STATUS_CODES.includes(response.statusCode)) {
+        response.resume();
+        if (!response.headers.location) {
+          throw new UrlFetchError(
+            `HTTP ${response.statusCode} redirect without a Location header`,
+            "URL_HTTP_ERROR"
+          );
+        }
+        if (redirects >= maxRedirects) {
+          throw new UrlFetchError(
+            `Too many redirects (more than ${maxRedirects})`,
+            "URL_TOO_MANY_REDIRECTS"
+          );
+        }
+        currentUrl = new URL(response.headers.location, target).href;
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw new UrlFetchError(
+          `HTTP ${response.statusCode}: ${response.statusMessage}`,
+          "URL_HTTP_ERROR"
+        );
+      }
+
+      const contentType = response.headers["content-type"] || "";
+      if (!isAllowedContentType(contentType)) {
+        response.destroy();
+        throw new UrlFetchError(
+          `Unsupported content type: ${contentType}`,
+          "URL_CONTENT_TYPE"
+        );
+      }
+      const contentLength = Number(response.headers["content-length"]);
+      if (contentLength > maxSize) {
+        response.destroy();
+        throw new UrlFetchError(
+          `File too large: ${contentLength} bytes exceeds ${maxSize} bytes`,
+          "URL_TOO_LARGE"
+        );
+      }
+
+      const buffer = await readBody(response);
+      return {
+        buffer,
+        fileName: getFileName(response, target),
+        contentType,
+        url: target.href,
+      };
+    }
+  } catch (e) {
+    if (e instanceof UrlFetchError) throw e;
+    throw new UrlFetchError(e.message, "URL_FETCH_FAILED");
+  } finally {
+    clearTimeout(timer);
+  }
+}
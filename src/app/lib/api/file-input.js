@@ -0,0 +1,71 @@
+import { downloadFileFromUrl } from "lib/api/fetch-url";
+
+// File input handling shared by the API routes
+
+// Read and parse a JSON request body (the Next body parser is disabled on the API routes).
+// A body over maxSize is left unread and returns a 413 error.
+export async function readJsonBody(req, { maxSize = Infinity } = {}) {
+  const chunks = [];
+  let size = 0;
+  const tooLarge = await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        req.pause();
+        req.removeListener("data", onData);
+        resolve(true);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(false));
+    req.on("error", reject);
+  });
+  if (tooLarge) {
+    return {
+      error: `Request body too large: exceeds ${maxSize} bytes`,
+      code: "BODY_TOO_LARGE",
+      status: 413,
+    };
+  }
+
+  const bodyText = Buffer.concat(chunks).toString("utf8");
+  try {
+    return { body: JSON.parse(bodyText) };
+  } catch (e) {
+    return { error: "Invalid JSON body", code: "INVALID_JSON" };
+  }
+}
+
+// Resolve the n8n-compatible input formats (fileUrl, fileBase64, binaryData) into a buffer
+export async function resolveFileInput(body) {
+  if (body.fileUrl) {
+    try {
+      const { buffer, fileName } = await downloadFileFromUrl(body.fileUrl);
+      return { buffer, fileName };
+    } catch (e) {
+      return { error: `URL download failed: ${e.message}`, code: e.code };
+    }
+  } else if (body.fileBase64) {
+    try {
+      const buffer = Buffer.from(body.fileBase64, "base64");
+      return { buffer, fileName: body.fileName || "uploaded_file" };
+    } catch (e) {
+      return { error: "Invalid base64 encoding", code: "INVALID_BASE64" };
+    }
+  } else if (body.binaryData) {
+    // n8n binary data format
+    try {
+      const buffer = Buffer.from(body.binaryData.data);
+      return { buffer, fileName: body.fileName || "n8n_upload" };
+    } catch (e) {
+      return { error: "Invalid binary data", code: "INVALID_BINARY_DATA" };
+    }
+  }
+
+  return {
+    error: "Missing file data. Provide fileUrl, fileBase64, or binaryData",
+    code: "MISSING_FILE_DATA",
+  };
+}
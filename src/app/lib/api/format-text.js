@@ -0,0 +1,236 @@
+import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
+import { isSectionTitle } from "lib/parse-resume-from-pdf/group-lines-into-sections";
+import { BULLET_POINTS } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
+import {
+  isBold,
+  hasLetterAndIsAllUpperCase,
+  hasOnlyLettersSpacesAmpersands,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+
+// Output formats of /api/extract-text:
+// - text: plain text (default)
+// - markdown: section titles become headings and bullet points list items, detected with the
+//   same heuristics as the resume parser (groupLinesIntoSections and bullet-points.ts)
+// - layout: text laid out on a character grid, keeping columns and indentation (PDF only,
+//   other formats already keep their line structure)
+// - items: the positioned TextItem[] of every PDF page
+
+export const OUTPUT_FORMATS = ["text", "markdown", "layout", "items"];
+
+const BULLET_PATTERN = new RegExp(`[${BULLET_POINTS.join("")}]`, "u");
+const BULLET_SPLIT_PATTERN = new RegExp(
+  `\\s*[${BULLET_POINTS.join("")}]\\s*`,
+  "u"
+);
+// Bullets typed as plain text in DOCX, HTML and text files
+const TEXT_BULLET_PATTERN = new RegExp(
+  `^\\s*(?:[${BULLET_POINTS.join("")}]|[-*])\\s+`,
+  "u"
+);
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*_[\]])/g, "\\$1")
+    .replace(/^(\s*)([#>+-]|\d+\.)(?=\s)/, "$1\\$2");
+}
+
+// Join markdown blocks (arrays of lines) with blank lines in between
+function joinBlocks(blocks) {
+  return blocks
+    .filter((block) => block.length > 0)
+    .map((block) => block.join("\n"))
+    .join("\n\n");
+}
+
+/**
+ * Markdown of the text items of a PDF page.
+ *
+ * The section title heuristic never treats the first two lines of a document as titles, so
+ * `firstPage` tells whether the page starts the document.
+ */
+export function textItemsToMarkdown(textItems, { firstPage = true } = {}) {
+  const lines = groupTextItemsIntoLines(textItems);
+  const blocks = [];
+  let block = [];
+  let blockType = null;
+  let bulletX = null;
+
+  const startBlock = (type) => {
+    if (blockType !== type || type === "heading") {
+      blocks.push(block);
+      block = [];
+      blockType = type;
+    }
+  };
+
+  lines.forEach((line, i) => {
+    if (line.length === 0) return;
+
+    if (isSectionTitle(line, firstPage ? i : i + 2)) {
+      startBlock("heading");
+      block.push(`## ${escapeMarkdown(line[0].text.trim())}`);
+      return;
+    }
+
+    const plainText = line.map((item) => item.text.trim()).join(" ");
+    if (BULLET_PATTERN.test(plainText)) {
+      const [lead, ...bullets] = plainText.split(BULLET_SPLIT_PATTERN);
+      if (lead.trim()) {
+        startBlock("paragraph");
+        block.push(escapeMarkdown(lead.trim()));
+      }
+      startBlock("list");
+      block.push(
+        ...bullets
+          .filter(Boolean)
+          .map((bullet) => `- ${escapeMarkdown(bullet)}`)
+      );
+      bulletX = line[0].x;
+      return;
+    }
+
+    const text = line
+      .map((item) =>
+        isBold(item)
+          ? `**${escapeMarkdown(item.text.trim())}**`
+          : escapeMarkdown(item.text.trim())
+      )
+      .join(" ");
+
+    // Wrapped text of a bullet point starts to the right of the bullet
+    if (blockType === "list" && bulletX !== null && line[0].x > bulletX) {
+      block[block.length - 1] += ` ${text}`;
+      return;
+    }
+
+    startBlock("paragraph");
+    block.push(text);
+  });
+  blocks.push(block);
+
+  return joinBlocks(blocks);
+}
+
+/**
+ * Markdown of plain text (DOCX, DOC, HTML and text files). Without font information, a
+ * section title is an uppercase line or a short title case line with a section keyword.
+ */
+export function textToMarkdown(text) {
+  const blocks = [];
+  let block = [];
+  let blockType = null;
+
+  const startBlock = (type) => {
+    if (blockType !== type || type === "heading") {
+      blocks.push(block);
+      block = [];
+      blockType = type;
+    }
+  };
+
+  text.split("\n").forEach((rawLine, i) => {
+    const lineText = rawLine.trim();
+    if (!lineText) {
+      // Blank lines end paragraphs but not lists
+      if (blockType === "paragraph") startBlock(null);
+      return;
+    }
+
+    const item = {
+      text: lineText,
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      fontName: "",
+      hasEOL: true,
+    };
+    const isUppercaseTitle =
+      i >= 2 &&
+      hasLetterAndIsAllUpperCase(item) &&
+      hasOnlyLettersSpacesAmpersands(item);
+    if (isUppercaseTitle || isSectionTitle([item], i)) {
+      startBlock("heading");
+      block.push(`## ${escapeMarkdown(lineText)}`);
+    } else if (TEXT_BULLET_PATTERN.test(rawLine)) {
+      startBlock("list");
+      block.push(
+        `- ${escapeMarkdown(rawLine.replace(TEXT_BULLET_PATTERN, ""))}`
+      );
+    } else {
+      startBlock("paragraph");
+      block.push(escapeMarkdown(lineText));
+    }
+  });
+  blocks.push(block);
+
+  return joinBlocks(blocks);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Layout preserving text of the text items of a PDF page: items are placed on a character grid
+ * by their x position, rows follow their y position and large vertical gaps become blank lines.
+ */
+export function textItemsToLayout(textItems) {
+  const items = textItems.filter((item) => item.text.trim() !== "");
+  if (items.length === 0) return "";
+
+  const charWidth =
+    median(
+      items
+        .filter((item) => item.width > 0)
+        .map((item) => item.width / item.text.length)
+    ) || 5;
+  const minX = Math.min(...items.map((item) => item.x));
+
+  // Rows from top to bottom (PDF y grows upwards)
+  const rows = [];
+  for (const item of [...items].sort((a, b) => b.y - a.y || a.x - b.x)) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) < Math.max(item.height, 1) / 2) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, items: [item] });
+    }
+  }
+  const rowGap = median(rows.slice(1).map((row, i) => rows[i].y - row.y));
+
+  const lines = [];
+  rows.forEach((row, i) => {
+    if (i > 0 && rowGap > 0) {
+      const blankLines = Math.min(
+        Math.round((rows[i - 1].y - row.y) / rowGap) - 1,
+        2
+      );
+      for (let blank = 0; blank < blankLines; blank++) lines.push("");
+    }
+
+    let line = "";
+    let previous = null;
+    for (const item of row.items.sort((a, b) => a.x - b.x)) {
+      const column = Math.round((item.x - minX) / charWidth);
+      if (line.length < column) {
+        line = line.padEnd(column);
+      } else if (
+        previous &&
+        item.x - (previous.x + previous.width) > previous.height * 0.15 &&
+        !/\s$/.test(line) &&
+        !/^\s/.test(item.text)
+      ) {
+        // Same spacing rule as textItemsToText: items that touch are parts of one word
+        line += " ";
+      }
+      line += item.text;
+      previous = item;
+    }
+    lines.push(line.trimEnd());
+  });
+
+  return lines.join("\n");
+}
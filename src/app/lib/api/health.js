@@ -0,0 +1,103 @@
+import { CONFIG } from "lib/api/config";
+
+// Liveness and readiness checks for /api/health and /api/ready
+
+// Smallest valid single page PDF, with a correct cross-reference table so pdfjs does not
+// have to repair it
+function buildBlankPdf() {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 72 72] >>",
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+// Each check loads a parser dependency (dynamically, so a broken module fails only its
+// check) and runs it on a tiny input
+const READINESS_CHECKS = new Map(
+  Object.entries({
+    pdf: async () => {
+      const { extractPdfText } = await import("lib/api/extract-pdf-text");
+      await extractPdfText(buildBlankPdf());
+    },
+    resumeParser: async () => {
+      const { parseResumeFromBuffer } = await import("lib/api/parse-resume");
+      await parseResumeFromBuffer(buildBlankPdf());
+    },
+    docx: async () => {
+      await import("lib/api/extract-docx-text");
+    },
+    doc: async () => {
+      await import("lib/api/extract-doc-text");
+    },
+    html: async () => {
+      const { htmlToText } = await import("lib/api/html-to-text");
+      htmlToText("<p>ready</p>");
+    },
+    ...(CONFIG.OCR_ENABLED && {
+      // Also starts the OCR worker, so the first scanned upload does not wait for it
+      ocr: async () => {
+        const { recognizeImage } = await import("lib/api/ocr");
+        await recognizeImage(
+          Buffer.concat([
+            Buffer.from("P5\n32 32\n255\n"),
+            Buffer.alloc(32 * 32, 255),
+          ])
+        );
+      },
+    }),
+  })
+);
+
+export function getHealth() {
+  return {
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Dependencies cannot unload once they work, so only failed checks are run again
+const passedChecks = new Set();
+
+/**
+ * Run the readiness checks of the parser dependencies.
+ *
+ * Resolves to `{ ready, checks: { [name]: { ok, error? } } }`.
+ */
+export async function checkReadiness({
+  checks = READINESS_CHECKS,
+  passed = passedChecks,
+} = {}) {
+  const results = await Promise.all(
+    Array.from(checks, async ([name, check]) => {
+      if (passed.has(name)) return [name, { ok: true }];
+      try {
+        await check();
+        passed.add(name);
+        return [name, { ok: true }];
+      } catch (e) {
+        return [name, { ok: false, error: e.message }];
+      }
+    })
+  );
+  return {
+    ready: results.every(([, result]) => result.ok),
+    checks: Object.fromEntries(results),
+  };
+}
@@ -0,0 +1,321 @@
+// HTML to plain text conversion for html/htm uploads.
+// Drops scripts, styles and comments, decodes entities and turns block elements,
+// lists and tables into readable line breaks and bullets.
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  deg: "°",
+  plusmn: "±",
+  times: "×",
+  divide: "÷",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  bull: "•",
+  middot: "·",
+  laquo: "«",
+  raquo: "»",
+  lsquo: "‘",
+  rsquo: "’",
+  sbquo: "‚",
+  ldquo: "“",
+  rdquo: "”",
+  bdquo: "„",
+  euro: "€",
+  pound: "£",
+  yen: "¥",
+  cent: "¢",
+  sect: "§",
+  para: "¶",
+  eacute: "é",
+  egrave: "è",
+  ecirc: "ê",
+  euml: "ë",
+  aacute: "á",
+  agrave: "à",
+  acirc: "â",
+  auml: "ä",
+  aring: "å",
+  atilde: "ã",
+  ccedil: "ç",
+  iacute: "í",
+  igrave: "ì",
+  icirc: "î",
+  iuml: "ï",
+  ntilde: "ñ",
+  oacute: "ó",
+  ograve: "ò",
+  ocirc: "ô",
+  ouml: "ö",
+  otilde: "õ",
+  oslash: "ø",
+  uacute: "ú",
+  ugrave: "ù",
+  ucirc: "û",
+  uuml: "ü",
+  yacute: "ý",
+  szlig: "ß",
+  Eacute: "É",
+  Aacute: "Á",
+  Ouml: "Ö",
+  Uuml: "Ü",
+  Auml: "Ä",
+  Ntilde: "Ñ",
+  Ccedil: "Ç",
+  zwj: "",
+  zwnj: "",
+  shy: "",
+};
+
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) &&
+        codePoint > 0 &&
+        codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : match;
+    }
+    return (
+      HTML_ENTITIES[entity] ?? HTML_ENTITIES[entity.toLowerCase()] ?? match
+    );
+  });
+}
+
+// Elements whose content is never readable text
+const SKIPPED_ELEMENTS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "canvas",
+  "iframe",
+  "object",
+  "head",
+];
+
+const BLOCK_ELEMENTS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "dd",
+  "details",
+  "dialog",
+  "div",
+  "dl",
+  "dt",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "header",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "summary",
+  "table",
+  "tbody",
+  "thead",
+  "tfoot",
+  "ul",
+  "caption",
+]);
+const HEADING_ELEMENTS = new Set(["h1", "h2", "h3", "h4", "h5", "h6"]);
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(
+    new RegExp(
+      `(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`,
+      "i"
+    )
+  );
+  return match ? decodeHtmlEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+function extractHead(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch
+    ? decodeHtmlEntities(titleMatch[1]).replace(/\s+/g, " ").trim() || null
+    : null;
+
+  let description = null;
+  for (const [, attributes] of html.matchAll(/<meta\b([^>]*)>/gi)) {
+    const name = (
+      getAttribute(attributes, "name") ||
+      getAttribute(attributes, "property") ||
+      ""
+    ).toLowerCase();
+    if (name === "description" || (name === "og:description" && !description)) {
+      description = getAttribute(attributes, "content")?.trim() || description;
+    }
+  }
+
+  return { title, description };
+}
+
+// Start tag or end tag (group 1-3), comment or doctype, or text between tags (group 4)
+const HTML_TOKEN_REGEX =
+  /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|<![^>]*>|([^<]+|<)/g;
+
+/**
+ * Convert an HTML document into readable plain text.
+ *
+ * Returns the text plus the document title, meta description and outbound (http/https) links.
+ */
+export function htmlToText(html) {
+  const { title, description } = extractHead(html);
+  const links = [];
+  const seenLinks = new Set();
+
+  const skippedElementPattern = SKIPPED_ELEMENTS.join("|");
+  const body = html
+    .replace(/<!--[\s\S]*?(?:-->|$)/g, " ")
+    .replace(
+      new RegExp(
+        `<(${skippedElementPattern})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`,
+        "gi"
+      ),
+      " "
+    );
+
+  let text = "";
+  let preDepth = 0;
+  const listStack = [];
+  let link = null;
+  let rowHasCell = false;
+
+  const newLine = (count = 1) => {
+    const trailing = text.match(/\n*$/)[0].length;
+    if (text.length > 0 && trailing < count)
+      text += "\n".repeat(count - trailing);
+  };
+
+  for (const [
+    token,
+    isEndTag,
+    rawTagName,
+    attributes = "",
+    rawText,
+  ] of body.matchAll(HTML_TOKEN_REGEX)) {
+    if (rawText !== undefined) {
+      let content = decodeHtmlEntities(rawText);
+      if (!preDepth) {
+        content = content.replace(/\s+/g, " ");
+        // Avoid leading spaces at the start of a line
+        if (/(^|\n)$/.test(text)) content = content.trimStart();
+        else if (text.endsWith(" ")) content = content.replace(/^ /, "");
+      }
+      text += content;
+      if (link) link.text += content;
+      continue;
+    }
+    // Comments, doctype and CDATA
+    if (!rawTagName) continue;
+
+    const tagName = rawTagName.toLowerCase();
+    const isSelfClosing = token.endsWith("/>");
+
+    if (isEndTag) {
+      if (BLOCK_ELEMENTS.has(tagName)) {
+        if (tagName === "pre") preDepth = Math.max(0, preDepth - 1);
+        if (tagName === "ul" || tagName === "ol") listStack.pop();
+        newLine(listStack.length ? 1 : 2);
+      } else if (HEADING_ELEMENTS.has(tagName)) {
+        newLine(2);
+      } else if (tagName === "li" || tagName === "tr") {
+        newLine();
+      } else if (tagName === "a" && link) {
+        const linkText = link.text.replace(/\s+/g, " ").trim();
+        if (!seenLinks.has(link.href)) {
+          seenLinks.add(link.href);
+          links.push({ href: link.href, text: linkText });
+        }
+        link = null;
+      }
+      continue;
+    }
+
+    switch (tagName) {
+      case "br":
+        text = text.replace(/ +$/, "");
+        text += "\n";
+        break;
+      case "hr":
+        newLine(2);
+        break;
+      case "li": {
+        newLine();
+        const list = listStack[listStack.length - 1];
+        const indent = "  ".repeat(Math.max(0, listStack.length - 1));
+        if (list?.ordered) {
+          list.index += 1;
+          text += `${indent}${list.index}. `;
+        } else {
+          text += `${indent}• `;
+        }
+        break;
+      }
+      case "ul":
+      case "ol":
+        newLine(listStack.length ? 1 : 2);
+        if (!isSelfClosing)
+          listStack.push({ ordered: tagName === "ol", index: 0 });
+        break;
+      case "tr":
+        newLine();
+        rowHasCell = false;
+        break;
+      case "td":
+      case "th":
+        if (rowHasCell) text = text.replace(/ +$/, "") + " | ";
+        rowHasCell = true;
+        break;
+      case "img": {
+        const alt = getAttribute(attributes, "alt");
+        if (alt) text += alt;
+        break;
+      }
+      case "a": {
+        const href = getAttribute(attributes, "href");
+        link =
+          href && /^https?:\/\//i.test(href.trim())
+            ? { href: href.trim(), text: "" }
+            : null;
+        break;
+      }
+      default:
+        if (BLOCK_ELEMENTS.has(tagName) || HEADING_ELEMENTS.has(tagName)) {
+          newLine(HEADING_ELEMENTS.has(tagName) || !listStack.length ? 2 : 1);
+          if (tagName === "pre" && !isSelfClosing) preDepth += 1;
+        }
+        break;
+    }
+  }
+
+  text = text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+$/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return { text, title, description, links };
+}
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import { CONFIG } from "lib/api/config";
+import { deliverWebhook } from "lib/api/webhooks";
+
+// Asynchronous extraction jobs.
+// Job state lives behind a store implementing `create(job)`, `get(id)` and `update(id, patch)`
+// (all async), so a shared store can replace the in-memory one for multi-instance deployments.
+// Jobs run in the process that answered 202, so they also need a long-running server: serverless
+// platforms may freeze or stop that process once the response is sent.
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// In-memory job store. Finished and abandoned jobs expire after ttlMs.
+export function createMemoryJobStore({ ttlMs = CONFIG.JOB_TTL_MS } = {}) {
+  const jobs = new Map();
+
+  const sweep = (now) => {
+    for (const [id, job] of jobs) {
+      if (job.expiresAt <= now) jobs.delete(id);
+    }
+  };
+
+  return {
+    async create(job) {
+      const now = Date.now();
+      sweep(now);
+      jobs.set(job.id, { ...job, expiresAt: now + ttlMs });
+      return job;
+    },
+    async get(id) {
+      const job = jobs.get(id);
+      return job && job.expiresAt > Date.now() ? job : null;
+    },
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+      jobs.set(id, updated);
+      return updated;
+    },
+  };
+}
+
+let jobStore = null;
+
+export function getJobStore() {
+  if (!jobStore) {
+    jobStore = createMemoryJobStore();
+  }
+  return jobStore;
+}
+
+export async function createJob(store, { owner, callbackUrl } = {}) {
+  const now = new Date().toISOString();
+  return store.create({
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    owner: owner || null, // API key label, only that key can read the job
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    result: null,
+    callback: callbackUrl
+      ? { url: callbackUrl, status: "pending", attempts: 0 }
+      : null,
+  });
+}
+
+// Public view of a job, used by /api/jobs/[id] and as the webhook payload
+export function formatJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    result: job.result,
+    ...(job.callback && {
+      callback: {
+        status: job.callback.status,
+        attempts: job.callback.attempts,
+        lastError: job.callback.lastError || null,
+      },
+    }),
+  };
+}
+
+/**
+ * Run `task` for a job and record its outcome, then POST the job to its callback URL.
+ *
+ * `task` resolves to the response body the synchronous request would have returned; the job
+ * completes when that body has `success: true` and fails otherwise. Resolves to null when the
+ * job left the store before it finished, e.g. it expired.
+ */
+export async function runJob(store, job, task, webhookOptions = {}) {
+  // A job that expired or was swept from the store can no longer be polled or completed
+  if (!(await store.update(job.id, { status: JOB_STATUS.PROCESSING }))) {
+    return null;
+  }
+
+  let patch;
+  try {
+    const result = await task();
+    patch = {
+      status: result.success ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED,
+      result,
+    };
+  } catch (e) {
+    console.error("Job Error:", e);
+    patch = {
+      status: JOB_STATUS.FAILED,
+      result: {
+        success: false,
+        error: { message: "Internal server error", code: "INTERNAL_ERROR" },
+      },
+    };
+  }
+  const finished = await store.update(job.id, {
+    ...patch,
+    completedAt: new Date().toISOString(),
+  });
+  if (!finished) return null;
+
+  if (finished.callback) {
+    const { callback, ...payload } = formatJob(finished);
+    const delivery = await deliverWebhook(finished.callback.url, payload, {
+      ...webhookOptions,
+      headers: { "X-Job-Id": job.id },
+    });
+    return store.update(job.id, {
+      callback: { url: finished.callback.url, ...delivery },
+    });
+  }
+  return finished;
+}
@@ -0,0 +1,70 @@
+import { resolveFileInput } from "lib/api/file-input";
+import { parseResumeFromBuffer } from "lib/api/parse-resume";
+import {
+  initialFeaturedSkill,
+  initialProfile,
+  initialResumeState,
+  initialWorkExperience,
+} from "lib/redux/resumeSlice";
+import { matchResumeToJob } from "lib/job-match";
+
+// Build the Resume to match from the `resume` JSON of the request body. Only the fields
+// the matcher reads are copied, so no key of the untrusted JSON reaches a merge.
+function toMatchResume({ profile = {}, skills = {}, workExperiences = [] }) {
+  return {
+    ...initialResumeState,
+    profile: { ...initialProfile, summary: profile.summary ?? "" },
+    skills: {
+      featuredSkills: (skills.featuredSkills ?? []).map(({ skill = "" }) => ({
+        ...initialFeaturedSkill,
+        skill,
+      })),
+      descriptions: skills.descriptions ?? [],
+    },
+    workExperiences: workExperiences.map(
+      ({ company = "", descriptions = [] }) => ({
+        ...initialWorkExperience,
+        company,
+        descriptions,
+      })
+    ),
+  };
+}
+
+/**
+ * Match a resume to a job description for /api/match. The resume is either the `resume`
+ * JSON of the request body (missing fields get their initial values, fields the matcher
+ * doesn't read are dropped) or a PDF parsed as /api/parse-resume does: the `uploadedFile`
+ * `{ buffer, fileName }` of a multipart request, or else the file input of the body.
+ *
+ * Returns { match, fileName } or { error, code, hint } for an invalid input. Throws a
+ * PdfExtractionError if the PDF cannot be read.
+ */
+export async function matchRequestToJob(body, uploadedFile = null) {
+  let resume;
+  let fileName = null;
+  if (body.resume) {
+    resume = toMatchResume(body.resume);
+  } else {
+    const { buffer, error, code, ...file } =
+      uploadedFile ?? (await resolveFileInput(body));
+    if (error) {
+      const hint =
+        "Provide a resume JSON, a file upload, fileUrl, fileBase64, or binaryData";
+      return { error, code, hint };
+    }
+    // The parser works on positioned PDF text items, so only PDFs are accepted
+    if (!buffer.toString("utf8", 0, 4).startsWith("%PDF")) {
+      return {
+        error: "Resume matching requires a PDF file or a resume JSON",
+        code: "UNSUPPORTED_FILE_TYPE",
+      };
+    }
+    ({ resume } = await parseResumeFromBuffer(buffer, {
+      language: body.language,
+    }));
+    fileName = file.fileName;
+  }
+
+  return { match: matchResumeToJob(resume, body.jobDescription), fileName };
+}
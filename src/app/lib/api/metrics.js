@@ -0,0 +1,197 @@
+// Prometheus metrics of the API routes, served in the text exposition format from /api/metrics.
+// Everything is recorded by logRequest, so the metrics and the request log always agree.
+
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+// Series of a metric, keyed by their label values in labelNames order
+function createSeries(labelNames) {
+  const series = new Map();
+  return {
+    get(labels, create) {
+      const values = labelNames.map((name) => String(labels[name] ?? ""));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        series.set(key, {
+          labels: Object.fromEntries(
+            labelNames.map((name, i) => [name, values[i]])
+          ),
+          value: create(),
+        });
+      }
+      return series.get(key);
+    },
+    entries: () => Array.from(series.values()),
+  };
+}
+
+/**
+ * Minimal Prometheus registry with counters and histograms.
+ * `render()` returns the text exposition format (version 0.0.4).
+ */
+export function createRegistry() {
+  const metrics = [];
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = createSeries(labelNames);
+      metrics.push({
+        render: () => [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} counter`,
+          ...series
+            .entries()
+            .map(
+              ({ labels, value }) =>
+                `${name}${formatLabels(labels)} ${value.count}`
+            ),
+        ],
+      });
+      return {
+        inc(labels = {}, amount = 1) {
+          series.get(labels, () => ({ count: 0 })).value.count += amount;
+        },
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+      const series = createSeries(labelNames);
+      metrics.push({
+        render: () => [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} histogram`,
+          ...series
+            .entries()
+            .flatMap(({ labels, value }) => [
+              ...buckets.map(
+                (bound, i) =>
+                  `${name}_bucket${formatLabels({ ...labels, le: bound })} ${
+                    value.buckets[i]
+                  }`
+              ),
+              `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${
+                value.count
+              }`,
+              `${name}_sum${formatLabels(labels)} ${value.sum}`,
+              `${name}_count${formatLabels(labels)} ${value.count}`,
+            ]),
+        ],
+      });
+      return {
+        observe(labels, observed) {
+          const value = series.get(labels, () => ({
+            buckets: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          })).value;
+          buckets.forEach((bound, i) => {
+            if (observed <= bound) value.buckets[i]++;
+          });
+          value.sum += observed;
+          value.count++;
+        },
+      };
+    },
+
+    render() {
+      return metrics.flatMap((metric) => metric.render()).join("\n") + "\n";
+    },
+  };
+}
+
+// Endpoint label of a request url: the path without query, with job ids collapsed
+export function endpointLabel(url = "") {
+  return url.split("?")[0].replace(/^\/api\/jobs\/[^/]+$/, "/api/jobs/{jobId}");
+}
+
+/**
+ * API metrics on top of a registry. `record(endpoint, result, durationMs)` takes the
+ * arguments of logRequest: `result` is `{ success, type, code, truncated, cached, metadata: { fileSize } }`.
+ */
+export function createApiMetrics(registry = createRegistry()) {
+  const requests = registry.counter(
+    "openresume_requests_total",
+    "Requests (one per file for multi-file uploads and batches) by outcome and file type",
+    ["endpoint", "status", "file_type"]
+  );
+  const duration = registry.histogram(
+    "openresume_request_duration_seconds",
+    "Time from request start to the logged outcome",
+    ["endpoint", "file_type"]
+  );
+  const bytesProcessed = registry.counter(
+    "openresume_bytes_processed_total",
+    "Size of the files received for extraction",
+    ["file_type"]
+  );
+  const truncations = registry.counter(
+    "openresume_truncations_total",
+    "Extractions truncated to MAX_TEXT_LENGTH",
+    ["file_type"]
+  );
+  const rateLimitRejections = registry.counter(
+    "openresume_rate_limit_rejections_total",
+    "Requests rejected by a rate limit (RATE_LIMITED) or an API key quota (API_KEY_QUOTA_EXCEEDED)",
+    ["code"]
+  );
+  const downloadFailures = registry.counter(
+    "openresume_download_failures_total",
+    "Failed fileUrl downloads by error code",
+    ["code"]
+  );
+  const resultCache = registry.counter(
+    "openresume_result_cache_total",
+    "Extraction result cache lookups by outcome",
+    ["result"]
+  );
+
+  return {
+    registry,
+    record(endpoint, result, durationMs) {
+      const fileType = result.type || "none";
+      requests.inc({
+        endpoint,
+        status: result.success ? "success" : "error",
+        file_type: fileType,
+      });
+      duration.observe({ endpoint, file_type: fileType }, durationMs / 1000);
+
+      if (result.metadata?.fileSize)
+        bytesProcessed.inc({ file_type: fileType }, result.metadata.fileSize);
+      if (result.truncated) truncations.inc({ file_type: fileType });
+      if (
+        result.code === "RATE_LIMITED" ||
+        result.code === "API_KEY_QUOTA_EXCEEDED"
+      ) {
+        rateLimitRejections.inc({ code: result.code });
+      }
+      if (result.code?.startsWith("URL_"))
+        downloadFailures.inc({ code: result.code });
+      if (result.cached !== undefined)
+        resultCache.inc({ result: result.cached ? "hit" : "miss" });
+    },
+  };
+}
+
+let apiMetrics = null;
+
+export function getApiMetrics() {
+  if (!apiMetrics) {
+    apiMetrics = createApiMetrics();
+  }
+  return apiMetrics;
+}
@@ -0,0 +1,331 @@
+import { CONFIG } from "lib/api/config";
+import { SCOPES, getApiKeyStore } from "lib/api/api-keys";
+import {
+  createRateLimiter,
+  createTrustedProxyList,
+  getClientIp,
+} from "lib/api/rate-limit";
+import { createRateLimitStore } from "lib/api/rate-limit-store";
+import { sendError } from "lib/api/errors";
+import { getApiMetrics, endpointLabel } from "lib/api/metrics";
+import { maskText } from "lib/api/redact";
+
+// Request middleware shared by the API routes
+
+// Rate limiters and trusted proxies are created on first use from CONFIG
+let rateLimiters = null;
+const trustedProxies = createTrustedProxyList(CONFIG.TRUSTED_PROXIES);
+
+function getRateLimiters() {
+  if (!rateLimiters) {
+    const store = createRateLimitStore(CONFIG.RATE_LIMIT_STORE, {
+      filePath: CONFIG.RATE_LIMIT_FILE,
+      redisUrl: CONFIG.REDIS_URL,
+    });
+    const options = {
+      store,
+      algorithm: CONFIG.RATE_LIMIT_ALGORITHM,
+      windowMs: CONFIG.RATE_LIMIT_WINDOW_MS,
+    };
+    rateLimiters = {
+      ip: createRateLimiter({
+        ...options,
+        limit: CONFIG.RATE_LIMIT_MAX_REQUESTS,
+      }),
+      apiKey: createRateLimiter({
+        ...options,
+        limit: CONFIG.RATE_LIMIT_KEY_MAX_REQUESTS,
+      }),
+    };
+  }
+  return rateLimiters;
+}
+
+export function getRequestIp(req) {
+  return getClientIp(req, trustedProxies);
+}
+
+// Security headers middleware
+export function setSecurityHeaders(res) {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("X-Frame-Options", "DENY");
+  res.setHeader("X-XSS-Protection", "1; mode=block");
+  res.setHeader(
+    "Strict-Transport-Security",
+    "max-age=31536000; includeSubDomains"
+  );
+}
+
+// CORS middleware
+export function handleCORS(req, res, methods = ["POST"]) {
+  const origin = req.headers.origin;
+  if (
+    CONFIG.ALLOWED_ORIGINS.some((allowed) =>
+      allowed.includes("*")
+        ? origin?.includes(allowed.replace("*", ""))
+        : origin === allowed
+    )
+  ) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    [...methods, "OPTIONS"].join(", ")
+  );
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-API-Key"
+  );
+  res.setHeader("Access-Control-Max-Age", "86400"); // 24 hours
+}
+
+// Standard RateLimit headers. With several limits, the one closest to exhaustion is reported.
+function setRateLimitHeaders(res, result) {
+  const reported = res.getHeader("RateLimit-Remaining");
+  if (reported !== undefined && Number(reported) < result.remaining) return;
+  res.setHeader("RateLimit-Limit", String(result.limit));
+  res.setHeader("RateLimit-Remaining", String(result.remaining));
+  res.setHeader("RateLimit-Reset", String(result.resetSeconds));
+}
+
+// Rate limiting middleware: counts the request against `key` (per IP by default)
+export async function rateLimit(
+  req,
+  res,
+  { key = `ip:${getRequestIp(req)}`, limiter = getRateLimiters().ip } = {}
+) {
+  let result;
+  try {
+    result = await limiter.check(key);
+  } catch (e) {
+    // Fail open: an unavailable store must not take the API down
+    console.error("Rate limit store error:", e.message);
+    return true;
+  }
+
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    res.setHeader("Retry-After", String(result.retryAfterSeconds));
+    sendError(res, 429, {
+      message: "Rate limit exceeded",
+      code: "RATE_LIMITED",
+      retryAfter: result.retryAfterSeconds,
+    });
+    return false;
+  }
+  return true;
+}
+
+// API Key authentication (optional for n8n unless REQUIRE_API_KEY=true). Admin routes need
+// an admin key as soon as any key is configured, whatever REQUIRE_API_KEY says.
+// Returns { valid: true, key } or { valid: false, status, code, error }: 401 for a missing or
+// unknown key, 403 for a key without the route scope and 429 for an exhausted key quota.
+export function authenticateAPIKey(
+  req,
+  { scope = SCOPES.EXTRACT, store = getApiKeyStore() } = {}
+) {
+  const apiKey =
+    req.headers["x-api-key"] ||
+    req.headers["authorization"]?.replace(/^Bearer\s+/i, "");
+
+  if (!apiKey) {
+    return store.requireAuth || (scope === SCOPES.ADMIN && store.size > 0)
+      ? {
+          valid: false,
+          status: 401,
+          code: "API_KEY_REQUIRED",
+          error: "API key required",
+        }
+      : { valid: true, key: null };
+  }
+
+  // Keys are optional and none are configured: nothing to validate against
+  if (!store.requireAuth && store.size === 0) {
+    return { valid: true, key: null };
+  }
+
+  const key = store.find(apiKey);
+  if (!key) {
+    return {
+      valid: false,
+      status: 401,
+      code: "API_KEY_INVALID",
+      error: "Invalid API key",
+    };
+  }
+
+  if (!key.scopes.includes(scope) && !key.scopes.includes(SCOPES.ADMIN)) {
+    return {
+      valid: false,
+      status: 403,
+      code: "API_KEY_FORBIDDEN",
+      error: `API key lacks the "${scope}" scope`,
+      key,
+    };
+  }
+
+  const { exceeded } = store.consumeQuota(key);
+  if (exceeded) {
+    return {
+      valid: false,
+      status: 429,
+      code: "API_KEY_QUOTA_EXCEEDED",
+      error: `API key ${exceeded} quota exceeded`,
+      key,
+    };
+  }
+
+  return { valid: true, key };
+}
+
+// Request logging for monitoring. Also records the Prometheus metrics of /api/metrics.
+// Requests that ask for PII redaction set req.redact, so what the log has of the request,
+// e.g. a fileUrl in an error, is masked too.
+export function logRequest(req, result, startTime) {
+  const duration = Date.now() - startTime;
+  const clientIP = getRequestIp(req);
+  const userAgent = req.headers["user-agent"] || "unknown";
+  const mask = req.redact ? maskText : (text) => text;
+
+  console.log(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      ip: clientIP,
+      method: req.method,
+      endpoint: mask(req.url),
+      apiKey: req.apiKey?.label || null, // Key label only, never the key itself
+      userAgent: userAgent.substring(0, 100), // Limit length
+      duration: duration + "ms",
+      success: result.success,
+      fileType: result.type,
+      fileSize: result.metadata?.fileSize || 0,
+      error: mask(result.error) || null,
+      code: result.code || null,
+    })
+  );
+
+  getApiMetrics().record(endpointLabel(req.url), result, duration);
+}
+
+// Run the middleware every API route shares: security headers, CORS, preflight,
+// method validation, rate limiting and API key authentication for the route `scope`
+// (skipped for public routes with `authenticate: false`; probes and scrapers use `throttle: false`
+// to bypass rate limiting). Resolves to false when a response has already been sent.
+export async function runMiddleware(
+  req,
+  res,
+  startTime,
+  {
+    methods = ["POST"],
+    scope = SCOPES.EXTRACT,
+    authenticate = true,
+    throttle = true,
+  } = {}
+) {
+  // Set security headers
+  setSecurityHeaders(res);
+
+  // Handle CORS
+  handleCORS(req, res, methods);
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return false;
+  }
+
+  // Method validation
+  if (!methods.includes(req.method)) {
+    const error = `Method not allowed. Only ${methods.join(
+      ", "
+    )} requests accepted.`;
+    logRequest(
+      req,
+      { success: false, error, code: "METHOD_NOT_ALLOWED" },
+      startTime
+    );
+    res.setHeader("Allow", methods.join(", "));
+    sendError(
+      res,
+      405,
+      { message: error, code: "METHOD_NOT_ALLOWED" },
+      startTime
+    );
+    return false;
+  }
+
+  // Rate limiting per client IP
+  if (throttle && !(await rateLimit(req, res))) {
+    logRequest(
+      req,
+      { success: false, error: "Rate limit exceeded", code: "RATE_LIMITED" },
+      startTime
+    );
+    return false; // Response already sent
+  }
+
+  if (!authenticate) {
+    req.apiKey = null;
+    return true;
+  }
+
+  // API Key authentication. A key store that can't be loaded, e.g. from a malformed
+  // api-keys.json, fails the request instead of letting it through unauthenticated.
+  let authResult;
+  try {
+    authResult = authenticateAPIKey(req, { scope });
+  } catch (e) {
+    console.error("API key store error:", e.message);
+    req.apiKey = null;
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      { message: "Internal server error", code: "INTERNAL_ERROR" },
+      startTime
+    );
+    return false;
+  }
+  req.apiKey = authResult.key;
+  if (!authResult.valid) {
+    logRequest(
+      req,
+      { success: false, error: authResult.error, code: authResult.code },
+      startTime
+    );
+    sendError(
+      res,
+      authResult.status,
+      { message: authResult.error, code: authResult.code },
+      startTime
+    );
+    return false;
+  }
+
+  // Rate limiting per API key, across every IP using it
+  if (
+    throttle &&
+    req.apiKey &&
+    !(await rateLimit(req, res, {
+      key: `key:${req.apiKey.label}`,
+      limiter: getRateLimiters().apiKey,
+    }))
+  ) {
+    logRequest(
+      req,
+      { success: false, error: "Rate limit exceeded", code: "RATE_LIMITED" },
+      startTime
+    );
+    return false;
+  }
+
+  return true;
+}
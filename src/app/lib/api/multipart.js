@@ -0,0 +1,272 @@
+// Streaming multipart/form-data parser for the API routes.
+// Parts are parsed as the request streams in, and parsing stops as soon as a size or
+// count limit is exceeded instead of buffering the whole upload first.
+
+export class MultipartError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = "MultipartError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const MAX_HEADER_SIZE = 16 * 1024;
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+export function isMultipartRequest(req) {
+  return /^multipart\/form-data/i.test(req.headers["content-type"] || "");
+}
+
+export function getBoundary(contentType = "") {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+// Parse `form-data; name="file"; filename="resume.pdf"` (including RFC 5987 filename*)
+export function parseContentDisposition(value = "") {
+  const params = {};
+  for (const [, key, quoted, token] of value.matchAll(
+    /;\s*([\w*-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+  )) {
+    params[key.toLowerCase()] =
+      quoted !== undefined ? quoted.replace(/\\(.)/g, "$1") : token.trim();
+  }
+  let fileName = params.filename;
+  const extendedFileName = params["filename*"]?.match(/^([\w-]+)'[^']*'(.*)$/);
+  if (extendedFileName) {
+    try {
+      fileName = decodeURIComponent(extendedFileName[2]);
+    } catch (e) {
+      // Keep the plain filename parameter
+    }
+  }
+  return { name: params.name, fileName };
+}
+
+function parsePartHeaders(headerText) {
+  const headers = {};
+  for (const line of headerText.split("\r\n")) {
+    const separator = line.indexOf(":");
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line
+        .slice(separator + 1)
+        .trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Parse a multipart/form-data request.
+ *
+ * Resolves to `{ fields, files }`, where files are `{ fieldName, fileName, contentType, buffer }`.
+ * Rejects with a MultipartError as soon as a file exceeds `maxFileSize` (413), there are more
+ * than `maxFiles` files (413), a field exceeds `maxFieldSize` (413), there are more than
+ * `maxFields` fields (413), the body exceeds `maxTotalSize` bytes (413) or the body is
+ * malformed (400). On rejection the request is paused and left unread.
+ */
+export function parseMultipartRequest(
+  req,
+  { maxFileSize, maxFiles, maxFieldSize, maxFields, maxTotalSize }
+) {
+  return new Promise((resolve, reject) => {
+    const boundary = getBoundary(req.headers["content-type"]);
+    if (!boundary) {
+      reject(
+        new MultipartError("Missing multipart boundary", "INVALID_MULTIPART")
+      );
+      return;
+    }
+
+    // Prefixing CRLF lets the first boundary match the same delimiter as the others
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    let pending = Buffer.from(CRLF);
+    let state = "preamble";
+    let part = null;
+    let settled = false;
+    let totalSize = 0;
+    let numFields = 0;
+    const fields = {};
+    const files = [];
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      req.pause();
+      req.removeListener("data", onData);
+      req.removeListener("end", onEnd);
+      reject(error);
+    };
+
+    const writePartData = (data) => {
+      if (!data.length) return;
+      part.size += data.length;
+      if (part.fileName !== undefined && part.size > maxFileSize) {
+        throw new MultipartError(
+          `File too large: ${
+            part.fileName || part.name
+          } exceeds ${maxFileSize} bytes`,
+          "FILE_TOO_LARGE",
+          413
+        );
+      }
+      if (part.fileName === undefined && part.size > maxFieldSize) {
+        throw new MultipartError(
+          `Field too large: ${part.name}`,
+          "FIELD_TOO_LARGE",
+          413
+        );
+      }
+      part.chunks.push(data);
+    };
+
+    const finishPart = () => {
+      const buffer = Buffer.concat(part.chunks);
+      if (part.fileName !== undefined) {
+        // Browsers send an empty part for a file input left blank
+        if (part.fileName !== "" || buffer.length > 0) {
+          files.push({
+            fieldName: part.name,
+            fileName: part.fileName,
+            contentType: part.contentType,
+            buffer,
+          });
+        }
+      } else if (part.name) {
+        fields[part.name] = buffer.toString("utf8");
+      }
+      part = null;
+    };
+
+    const processPending = () => {
+      for (;;) {
+        if (state === "preamble") {
+          const index = pending.indexOf(delimiter);
+          if (index === -1) {
+            pending = pending.subarray(
+              Math.max(0, pending.length - delimiter.length + 1)
+            );
+            return;
+          }
+          pending = pending.subarray(index + delimiter.length);
+          state = "boundary";
+        } else if (state === "boundary") {
+          if (pending.length < 2) return;
+          if (pending[0] === 0x2d && pending[1] === 0x2d) {
+            state = "end";
+            return;
+          }
+          // Skip optional transport padding before the CRLF that ends the boundary line
+          const lineEnd = pending.indexOf(CRLF);
+          if (lineEnd === -1) {
+            if (pending.length > MAX_HEADER_SIZE)
+              throw new MultipartError(
+                "Malformed multipart boundary",
+                "INVALID_MULTIPART"
+              );
+            return;
+          }
+          pending = pending.subarray(lineEnd + CRLF.length);
+          state = "headers";
+        } else if (state === "headers") {
+          const index = pending.indexOf(HEADER_END);
+          if (index === -1) {
+            if (pending.length > MAX_HEADER_SIZE)
+              throw new MultipartError(
+                "Multipart headers too large",
+                "INVALID_MULTIPART"
+              );
+            return;
+          }
+          const headers = parsePartHeaders(pending.toString("utf8", 0, index));
+          const { name, fileName } = parseContentDisposition(
+            headers["content-disposition"]
+          );
+          part = {
+            name,
+            fileName,
+            contentType: headers["content-type"],
+            chunks: [],
+            size: 0,
+          };
+          if (fileName !== undefined && files.length >= maxFiles) {
+            throw new MultipartError(
+              `Too many files: at most ${maxFiles} allowed`,
+              "TOO_MANY_FILES",
+              413
+            );
+          }
+          if (fileName === undefined && ++numFields > maxFields) {
+            throw new MultipartError(
+              `Too many fields: at most ${maxFields} allowed`,
+              "TOO_MANY_FIELDS",
+              413
+            );
+          }
+          pending = pending.subarray(index + HEADER_END.length);
+          state = "body";
+        } else if (state === "body") {
+          const index = pending.indexOf(delimiter);
+          if (index === -1) {
+            // Keep enough bytes to detect a delimiter split across chunks
+            const safeLength = pending.length - delimiter.length + 1;
+            if (safeLength > 0) {
+              writePartData(pending.subarray(0, safeLength));
+              pending = pending.subarray(safeLength);
+            }
+            return;
+          }
+          writePartData(pending.subarray(0, index));
+          finishPart();
+          pending = pending.subarray(index + delimiter.length);
+          state = "boundary";
+        } else {
+          // Epilogue after the closing boundary is ignored
+          pending = Buffer.alloc(0);
+          return;
+        }
+      }
+    };
+
+    function onData(chunk) {
+      totalSize += chunk.length;
+      if (totalSize > maxTotalSize) {
+        fail(
+          new MultipartError(
+            `Request body too large: exceeds ${maxTotalSize} bytes`,
+            "BODY_TOO_LARGE",
+            413
+          )
+        );
+        return;
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      try {
+        processPending();
+      } catch (e) {
+        fail(e);
+      }
+    }
+
+    function onEnd() {
+      if (settled) return;
+      if (state !== "end") {
+        fail(
+          new MultipartError(
+            "Unexpected end of multipart body",
+            "INVALID_MULTIPART"
+          )
+        );
+        return;
+      }
+      settled = true;
+      resolve({ fields, files });
+    }
+
+    req.on("data", onData);
+    req.on("end", onEnd);
+    req.on("error", fail);
+  });
+}
@@ -0,0 +1,106 @@
+import { createWorker, OEM } from "tesseract.js";
+import eng from "@tesseract.js-data/eng";
+
+// Local OCR for image uploads and scanned PDF pages.
+// tesseract.js runs its WebAssembly engine in a worker thread and reads the English language
+// data bundled with @tesseract.js-data/eng, so recognition never makes a network call.
+
+export class OcrError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OcrError";
+    this.code = "OCR_FAILED";
+  }
+}
+
+// pdfjs ImageKind values (not exported by pdfjs-dist)
+const IMAGE_KIND = {
+  GRAYSCALE_1BPP: 1,
+  RGB_24BPP: 2,
+  RGBA_32BPP: 3,
+};
+
+/**
+ * Encode decoded pdfjs image data `{ width, height, kind, data }` as a PNM file (PBM for 1 bit
+ * images, PPM otherwise), a format the OCR engine reads without extra decoders.
+ */
+export function imageDataToPnm({ width, height, kind, data }) {
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // pdfjs sets bits for white pixels, PBM for black ones. Both pad rows to whole bytes.
+    const pixels = Buffer.from(
+      data.subarray(0, Math.ceil(width / 8) * height)
+    ).map((byte) => ~byte & 0xff);
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`), pixels]);
+  }
+
+  let pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (kind === IMAGE_KIND.RGBA_32BPP) {
+    pixels = Buffer.alloc(width * height * 3);
+    for (let src = 0, dest = 0; dest < pixels.length; src += 4, dest += 3) {
+      pixels[dest] = data[src];
+      pixels[dest + 1] = data[src + 1];
+      pixels[dest + 2] = data[src + 2];
+    }
+  }
+  return Buffer.concat([
+    Buffer.from(`P6\n${width} ${height}\n255\n`),
+    pixels.subarray(0, width * height * 3),
+  ]);
+}
+
+// Tesseract separates text blocks with blank lines and leaves trailing spaces
+function cleanOcrText(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+let workerPromise = null;
+
+// One shared worker: tesseract.js queues the recognitions sent to it
+function getOcrWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(eng.code, OEM.LSTM_ONLY, {
+      langPath: eng.langPath,
+      gzip: eng.gzip,
+      cacheMethod: "none",
+      // Failed jobs already reject their recognize() promise; without a handler tesseract.js
+      // also throws the error from its message listener, which would crash the process
+      errorHandler: () => {},
+    }).catch((e) => {
+      workerPromise = null;
+      throw e;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Recognize the text of an image (a PNG, JPEG or PNM buffer).
+ *
+ * Resolves to `{ text, confidence }` with the mean word confidence between 0 and 1.
+ * Throws an OcrError when the engine cannot start or read the image.
+ */
+export async function recognizeImage(image) {
+  try {
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(image);
+    return {
+      text: cleanOcrText(data.text),
+      confidence: Math.round(data.confidence) / 100,
+    };
+  } catch (e) {
+    throw new OcrError(`OCR failed: ${e?.message || e}`);
+  }
+}
+
+// Stop the worker thread (tests and shutdown); the next recognition starts a new one
+export async function terminateOcrWorker() {
+  if (!workerPromise) return;
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  await worker?.terminate();
+}
@@ -0,0 +1,1013 @@
+import { CONFIG } from "lib/api/config";
+import { ERROR_CODES } from "lib/api/errors";
+import { validateSchema } from "lib/api/schema-validation";
+import { OUTPUT_FORMATS } from "lib/api/format-text";
+import { LANGUAGE_CODES } from "lib/parse-resume-from-pdf/language-packs";
+
+// OpenAPI 3 contract of the API routes, served from /api/openapi.json.
+// Request bodies are validated against the schemas below, so the document and the
+// accepted input cannot drift apart.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const REDACT_DESCRIPTION =
+  "Mask the emails, phone numbers, URLs, social handles and candidate name of the output with placeholders, e.g. [EMAIL_1], for blind screening";
+
+const OCR_DESCRIPTION =
+  "OCR images and scanned PDF pages: true also OCRs PDF pages with a text layer, false disables OCR (default: automatic)";
+
+// The n8n-compatible input formats shared by every extraction request
+const FILE_INPUT_PROPERTIES = {
+  fileUrl: {
+    type: "string",
+    format: "uri",
+    maxLength: 2048,
+    description: "http(s) URL to download the file from",
+  },
+  fileBase64: { type: "string", description: "Base64 encoded file content" },
+  binaryData: ref("BinaryData"),
+  fileName: {
+    type: "string",
+    maxLength: 255,
+    description: "File name, used for type detection fallback",
+  },
+};
+
+const jsonContent = (schema) => ({
+  content: { "application/json": { schema } },
+});
+
+const errorResponse = (description) => ({
+  description,
+  ...jsonContent(ref("ErrorResponse")),
+});
+
+const COMMON_ERROR_RESPONSES = {
+  401: errorResponse(
+    "Missing or invalid API key (API_KEY_REQUIRED, API_KEY_INVALID)"
+  ),
+  403: errorResponse("API key lacks the endpoint scope (API_KEY_FORBIDDEN)"),
+  429: errorResponse(
+    "Rate limit or API key quota exceeded (RATE_LIMITED, API_KEY_QUOTA_EXCEEDED)"
+  ),
+  500: errorResponse("Unexpected server error (INTERNAL_ERROR)"),
+};
+
+export const OPENAPI_DOCUMENT = {
+  openapi: "3.0.3",
+  info: {
+    title: "OpenResume Text Extraction API",
+    version: "1.0.0",
+    description:
+      "Text extraction and resume parsing for PDF, DOCX, DOC, HTML and text files. " +
+      "Every error uses the ErrorResponse envelope; rely on `error.code` rather than messages.",
+  },
+  security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+  paths: {
+    "/api/extract-text": {
+      post: {
+        summary: "Extract text from a file",
+        description:
+          "Send a JSON body or multipart/form-data file parts. With `async` or `callbackUrl` the request returns 202 and runs as a job. " +
+          "Results are cached by file SHA-256 and options; single file responses carry an ETag and honour If-None-Match.",
+        parameters: [
+          {
+            name: "If-None-Match",
+            in: "header",
+            required: false,
+            schema: { type: "string" },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": { schema: ref("ExtractTextRequest") },
+            "multipart/form-data": {
+              schema: ref("ExtractTextMultipartRequest"),
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "Extracted text",
+            ...jsonContent(ref("ExtractTextResponse")),
+          },
+          202: {
+            description: "Async job created",
+            ...jsonContent(ref("JobAcceptedResponse")),
+          },
+          304: {
+            description:
+              "The ETag in If-None-Match still matches the file and its result is cached; no body",
+          },
+          400: errorResponse(
+            "Invalid request or the file could not be processed"
+          ),
+          413: errorResponse(
+            "File or body too large (FILE_TOO_LARGE, TOO_MANY_FILES, FIELD_TOO_LARGE, TOO_MANY_FIELDS, BODY_TOO_LARGE)"
+          ),
+          ...COMMON_ERROR_RESPONSES,
+        },
+      },
+    },
+    "/api/extract-text/batch": {
+      post: {
+        summary: "Extract text from many files",
+        description:
+          "Items are processed with bounded concurrency and returned in input order. A failing item never fails the batch.",
+        requestBody: { required: true, ...jsonContent(ref("BatchRequest")) },
+        responses: {
+          200: {
+            description: "Per-item results",
+            ...jsonContent(ref("BatchResponse")),
+          },
+          400: errorResponse("Invalid request"),
+          413: errorResponse(
+            "Too many items or body too large (TOO_MANY_ITEMS, BODY_TOO_LARGE)"
+          ),
+          ...COMMON_ERROR_RESPONSES,
+        },
+      },
+    },
+    "/api/parse-resume": {
+      post: {
+        summary: "Parse a PDF resume into structured fields",
+        requestBody: {
+          required: true,
+          ...jsonContent(ref("ParseResumeRequest")),
+        },
+        responses: {
+          200: {
+            description: "Parsed resume",
+            ...jsonContent(ref("ParseResumeResponse")),
+          },
+          400: errorResponse("Invalid request or unsupported file"),
+          ...COMMON_ERROR_RESPONSES,
+        },
+      },
+    },
+    "/api/match": {
+      post: {
+        summary: "Match a resume to a job description",
+        description:
+          "Scores how well the skills, work experience bullet points and summary of a resume cover the terms of a job description. " +
+          "Send a resume JSON, or a resume file in a JSON body or a multipart/form-data file part. " +
+          "Resume files must be PDFs: DOCX, DOC, HTML and text files fail with UNSUPPORTED_FILE_TYPE.",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": { schema: ref("MatchRequest") },
+            "multipart/form-data": { schema: ref("MatchMultipartRequest") },
+          },
+        },
+        responses: {
+          200: {
+            description: "Job description match",
+            ...jsonContent(ref("MatchResponse")),
+          },
+          400: errorResponse("Invalid request or unsupported file"),
+          413: errorResponse(
+            "File or body too large (FILE_TOO_LARGE, TOO_MANY_FILES, FIELD_TOO_LARGE, TOO_MANY_FIELDS, BODY_TOO_LARGE)"
+          ),
+          ...COMMON_ERROR_RESPONSES,
+        },
+      },
+    },
+    "/api/jobs/{jobId}": {
+      get: {
+        summary: "Status and result of an async extraction job",
+        parameters: [
+          {
+            name: "jobId",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          200: { description: "Job", ...jsonContent(ref("JobResponse")) },
+          404: errorResponse("Unknown, expired or foreign job (JOB_NOT_FOUND)"),
+          ...COMMON_ERROR_RESPONSES,
+        },
+      },
+    },
+    "/api/health": {
+      get: {
+        summary: "Liveness probe",
+        security: [],
+        responses: {
+          200: {
+            description: "The server is up",
+            ...jsonContent(ref("HealthResponse")),
+          },
+        },
+      },
+    },
+    "/api/ready": {
+      get: {
+        summary: "Readiness probe: the parser dependencies load",
+        security: [],
+        responses: {
+          200: { description: "Ready", ...jsonContent(ref("ReadyResponse")) },
+          503: errorResponse(
+            "A parser dependency failed (NOT_READY, with the failed `checks`)"
+          ),
+        },
+      },
+    },
+    "/api/metrics": {
+      get: {
+        summary:
+          "Prometheus metrics (needs the admin scope when API keys are required)",
+        responses: {
+          200: {
+            description: "Text exposition format 0.0.4",
+            content: { "text/plain": { schema: { type: "string" } } },
+          },
+          ...COMMON_ERROR_RESPONSES,
+        },
+      },
+    },
+    "/api/openapi.json": {
+      get: {
+        summary: "This document",
+        security: [],
+        responses: {
+          200: {
+            description: "OpenAPI document",
+            ...jsonContent({ type: "object" }),
+          },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+      BearerAuth: { type: "http", scheme: "bearer" },
+    },
+    schemas: {
+      BinaryData: {
+        type: "object",
+        description: "n8n binary data object",
+        required: ["data"],
+        properties: {
+          data: {
+            description: "an array of bytes or a string",
+            anyOf: [
+              {
+                type: "array",
+                items: { type: "integer", minimum: 0, maximum: 255 },
+              },
+              { type: "string" },
+            ],
+          },
+        },
+      },
+      OutputFormat: {
+        type: "string",
+        enum: OUTPUT_FORMATS,
+        description:
+          "text (default), markdown (headings and bullet lists), layout (columns and indentation kept, PDF) or items (positioned text items per page, PDF only)",
+      },
+      ResumeLanguage: {
+        type: "string",
+        enum: LANGUAGE_CODES,
+        description:
+          "Language of the resume, which sets the section titles, job titles, degrees and month names the parser looks for. Detected from the resume text if not given",
+      },
+      RedactOption: {
+        description:
+          'a boolean, "true"/"false" or an object of addresses, schools and includeMapping flags',
+        anyOf: [
+          { type: "boolean" },
+          { type: "string", enum: ["true", "false"] },
+          {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              addresses: {
+                type: "boolean",
+                description:
+                  "Also redact street addresses and the profile location",
+              },
+              schools: {
+                type: "boolean",
+                description: "Also redact the school names",
+              },
+              includeMapping: {
+                type: "boolean",
+                description:
+                  "Return the mapping of the placeholders to the redacted values, for authorized re-identification",
+              },
+            },
+          },
+        ],
+      },
+      Redaction: {
+        type: "object",
+        description: "What was redacted, with redact only",
+        properties: {
+          redactions: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                type: {
+                  type: "string",
+                  enum: [
+                    "email",
+                    "url",
+                    "handle",
+                    "phone",
+                    "name",
+                    "school",
+                    "address",
+                  ],
+                },
+                placeholder: { type: "string", example: "[EMAIL_1]" },
+                count: {
+                  type: "integer",
+                  description: "Occurrences of the value in the response",
+                },
+              },
+            },
+          },
+          mapping: {
+            type: "object",
+            additionalProperties: { type: "string" },
+            description:
+              "Redacted value of each placeholder, with includeMapping only",
+          },
+        },
+      },
+      BooleanFlag: {
+        description: 'a boolean or "true"/"false"',
+        anyOf: [
+          { type: "boolean" },
+          { type: "string", enum: ["true", "false"] },
+        ],
+      },
+      ExtractTextRequest: {
+        type: "object",
+        description: "Provide one of fileUrl, fileBase64 or binaryData",
+        additionalProperties: false,
+        properties: {
+          ...FILE_INPUT_PROPERTIES,
+          async: ref("BooleanFlag"),
+          callbackUrl: {
+            type: "string",
+            format: "uri",
+            maxLength: 2048,
+            description:
+              "Receives the finished job as a signed POST (implies async)",
+          },
+          format: ref("OutputFormat"),
+          ocr: { ...ref("BooleanFlag"), description: OCR_DESCRIPTION },
+          noCache: {
+            ...ref("BooleanFlag"),
+            description:
+              "Skip cached results (the fresh result is still cached)",
+          },
+          redact: { ...ref("RedactOption"), description: REDACT_DESCRIPTION },
+        },
+      },
+      ExtractTextMultipartRequest: {
+        type: "object",
+        description:
+          "File parts plus optional text fields (a fileUrl field can replace the file parts)",
+        additionalProperties: false,
+        properties: {
+          file: { type: "string", format: "binary" },
+          fileUrl: FILE_INPUT_PROPERTIES.fileUrl,
+          fileName: {
+            ...FILE_INPUT_PROPERTIES.fileName,
+            description: "Renames a single uploaded file",
+          },
+          async: { type: "string", enum: ["true", "false"] },
+          callbackUrl: { type: "string", format: "uri", maxLength: 2048 },
+          format: ref("OutputFormat"),
+          ocr: {
+            type: "string",
+            enum: ["true", "false"],
+            description: OCR_DESCRIPTION,
+          },
+          noCache: { type: "string", enum: ["true", "false"] },
+          redact: {
+            type: "string",
+            enum: ["true", "false"],
+            description: REDACT_DESCRIPTION,
+          },
+        },
+      },
+      BatchItem: {
+        type: "object",
+        description: "Provide one of fileUrl, fileBase64 or binaryData",
+        additionalProperties: false,
+        properties: {
+          ...FILE_INPUT_PROPERTIES,
+          format: ref("OutputFormat"),
+          ocr: { ...ref("BooleanFlag"), description: OCR_DESCRIPTION },
+        },
+      },
+      BatchRequest: {
+        type: "object",
+        required: ["items"],
+        additionalProperties: false,
+        properties: {
+          // Items are validated one by one against BatchItem, so a bad item only fails itself
+          items: {
+            type: "array",
+            minItems: 1,
+            maxItems: CONFIG.BATCH_MAX_ITEMS,
+            items: {
+              description:
+                "BatchItem; an invalid item fails with VALIDATION_ERROR in its own result",
+            },
+          },
+        },
+      },
+      ParseResumeRequest: {
+        type: "object",
+        description:
+          "Provide one of fileUrl, fileBase64 or binaryData (PDF only)",
+        additionalProperties: false,
+        properties: {
+          ...FILE_INPUT_PROPERTIES,
+          language: ref("ResumeLanguage"),
+          redact: { ...ref("RedactOption"), description: REDACT_DESCRIPTION },
+        },
+      },
+      MatchRequest: {
+        type: "object",
+        description:
+          "Provide a resume, or one of fileUrl, fileBase64 or binaryData (PDF only) to parse it from",
+        required: ["jobDescription"],
+        additionalProperties: false,
+        properties: {
+          ...FILE_INPUT_PROPERTIES,
+          language: ref("ResumeLanguage"),
+          resume: ref("MatchResume"),
+          jobDescription: { type: "string", minLength: 1, maxLength: 50000 },
+        },
+      },
+      MatchMultipartRequest: {
+        type: "object",
+        description:
+          "A PDF file part plus text fields (a fileUrl field can replace the file part)",
+        required: ["jobDescription"],
+        additionalProperties: false,
+        properties: {
+          file: { type: "string", format: "binary" },
+          fileUrl: FILE_INPUT_PROPERTIES.fileUrl,
+          fileName: {
+            ...FILE_INPUT_PROPERTIES.fileName,
+            description: "Renames the uploaded file",
+          },
+          language: ref("ResumeLanguage"),
+          jobDescription: { type: "string", minLength: 1, maxLength: 50000 },
+        },
+      },
+      MatchResume: {
+        type: "object",
+        description:
+          "The fields of the Resume type of src/app/lib/redux/types.ts that are matched, e.g. picked from the resume of /api/parse-resume. Other fields are rejected",
+        additionalProperties: false,
+        properties: {
+          profile: {
+            type: "object",
+            additionalProperties: false,
+            properties: { summary: { type: "string" } },
+          },
+          skills: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              featuredSkills: {
+                type: "array",
+                items: {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: { skill: { type: "string" } },
+                },
+              },
+              descriptions: { type: "array", items: { type: "string" } },
+            },
+          },
+          workExperiences: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                company: { type: "string" },
+                descriptions: { type: "array", items: { type: "string" } },
+              },
+            },
+          },
+        },
+      },
+      ErrorCode: { type: "string", enum: ERROR_CODES },
+      Error: {
+        type: "object",
+        required: ["message", "code"],
+        properties: {
+          message: { type: "string" },
+          code: ref("ErrorCode"),
+          type: { type: "string", description: "Detected file type" },
+          hint: { type: "string" },
+          allowedTypes: { type: "array", items: { type: "string" } },
+          retryAfter: {
+            type: "integer",
+            description: "Seconds, for RATE_LIMITED",
+          },
+          checks: {
+            type: "object",
+            description: "Failed readiness checks, for NOT_READY",
+          },
+          details: {
+            type: "array",
+            description: "Invalid fields, for VALIDATION_ERROR",
+            items: {
+              type: "object",
+              properties: {
+                path: { type: "string" },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      ErrorResponse: {
+        type: "object",
+        required: ["success", "error"],
+        properties: {
+          success: { type: "boolean", enum: [false] },
+          error: ref("Error"),
+          executionTime: { type: "string" },
+        },
+      },
+      ExtractedFile: {
+        type: "object",
+        required: [
+          "extractedText",
+          "fileName",
+          "fileType",
+          "metadata",
+          "truncated",
+        ],
+        properties: {
+          extractedText: { type: "string" },
+          fileName: { type: "string" },
+          fileType: {
+            type: "string",
+            enum: ["pdf", "text", "txt", "html", "htm", "docx", "doc", "image"],
+          },
+          metadata: {
+            type: "object",
+            description:
+              "sha256, fileSize, textLength, lines, wordCount, paragraphCount, ocrPages (PDF and image) and format specific fields",
+          },
+          format: ref("OutputFormat"),
+          pages: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                pageNumber: { type: "integer" },
+                text: { type: "string" },
+                ocr: {
+                  type: "boolean",
+                  description: "The text was recognized from the page image",
+                },
+                confidence: {
+                  type: "number",
+                  minimum: 0,
+                  maximum: 1,
+                  description: "Mean OCR word confidence, OCR pages only",
+                },
+                items: {
+                  type: "array",
+                  items: ref("TextItem"),
+                  description: "items format only (empty for OCR pages)",
+                },
+              },
+            },
+          },
+          truncated: { type: "boolean" },
+          redaction: ref("Redaction"),
+          cached: {
+            type: "boolean",
+            description:
+              "Served from the result cache (/api/extract-text only)",
+          },
+        },
+      },
+      TextItem: {
+        type: "object",
+        description:
+          "A run of text on a PDF page, positioned in PDF points from the bottom left corner",
+        properties: {
+          text: { type: "string" },
+          x: { type: "number" },
+          y: { type: "number" },
+          width: { type: "number" },
+          height: { type: "number" },
+          fontName: { type: "string" },
+        },
+      },
+      FileResult: {
+        type: "object",
+        description:
+          "Result for one file of a multi-file upload or batch: ExtractedFile fields on success, error otherwise",
+        required: ["success"],
+        properties: {
+          index: { type: "integer" },
+          success: { type: "boolean" },
+          fileName: { type: "string", nullable: true },
+          error: ref("Error"),
+        },
+      },
+      ExtractTextResponse: {
+        type: "object",
+        required: ["success", "data"],
+        properties: {
+          success: { type: "boolean" },
+          data: {
+            description:
+              "an ExtractedFile, or { files: FileResult[] } for several multipart files",
+            anyOf: [
+              ref("ExtractedFile"),
+              {
+                type: "object",
+                required: ["files"],
+                properties: {
+                  files: { type: "array", items: ref("FileResult") },
+                },
+              },
+            ],
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      BatchResponse: {
+        type: "object",
+        required: ["success", "data"],
+        properties: {
+          success: { type: "boolean" },
+          data: {
+            type: "object",
+            required: ["results", "summary"],
+            properties: {
+              results: { type: "array", items: ref("FileResult") },
+              summary: {
+                type: "object",
+                properties: {
+                  total: { type: "integer" },
+                  succeeded: { type: "integer" },
+                  failed: { type: "integer" },
+                  totalSize: { type: "integer" },
+                },
+              },
+            },
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      DateRange: {
+        type: "object",
+        description:
+          'Normalized resume date, e.g. "Jan 2020 - Present", "2019-2021", "Summer 2022" or "05/2018". A year or a season spans its months',
+        properties: {
+          start: {
+            type: "string",
+            description: "ISO 8601 year-month, e.g. 2020-01",
+          },
+          end: {
+            type: "string",
+            nullable: true,
+            description: "ISO 8601 year-month, null for an ongoing date",
+          },
+          current: {
+            type: "boolean",
+            description: 'The date ends with "Present", "Now" or similar',
+          },
+        },
+      },
+      ExperienceTimeline: {
+        type: "object",
+        description:
+          "Normalized dates of the resume and the experience computed from its work experiences. Ongoing jobs end at the current month",
+        properties: {
+          workExperiences: {
+            type: "array",
+            description:
+              "Date of each work experience, null if it has no date or can't be read",
+            items: { ...ref("DateRange"), nullable: true },
+          },
+          educations: {
+            type: "array",
+            description:
+              "Date of each education, null if it has no date or can't be read",
+            items: { ...ref("DateRange"), nullable: true },
+          },
+          unreadableDates: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                section: {
+                  type: "string",
+                  enum: ["workExperiences", "educations"],
+                },
+                index: { type: "integer" },
+                date: { type: "string" },
+              },
+            },
+          },
+          totalYearsOfExperience: {
+            type: "number",
+            description: "Years with at least one job, to one decimal",
+          },
+          gaps: {
+            type: "array",
+            description: "Months without a job between two jobs",
+            items: {
+              type: "object",
+              properties: {
+                after: { type: "string", description: "Company before" },
+                before: { type: "string", description: "Company after" },
+                start: { type: "string" },
+                end: { type: "string" },
+                months: { type: "integer" },
+              },
+            },
+          },
+          overlaps: {
+            type: "array",
+            description: "Jobs held at the same time for two months or more",
+            items: {
+              type: "object",
+              properties: {
+                companies: {
+                  type: "array",
+                  items: { type: "string" },
+                },
+                start: { type: "string" },
+                end: { type: "string" },
+                months: { type: "integer" },
+              },
+            },
+          },
+        },
+      },
+      ParseResumeResponse: {
+        type: "object",
+        required: ["success", "data"],
+        properties: {
+          success: { type: "boolean" },
+          data: {
+            type: "object",
+            properties: {
+              resume: {
+                type: "object",
+                description: "Resume type of src/app/lib/redux/types.ts",
+              },
+              confidence: {
+                type: "object",
+                description:
+                  "Confidence from 0 to 1 of each extracted field, in the shape of the resume, e.g. profile.email or workExperiences[0].company. ResumeConfidence type of src/app/lib/parse-resume-from-pdf/types.ts",
+              },
+              atsReport: {
+                type: "object",
+                description:
+                  "How readable the PDF is for an applicant tracking system (ATS)",
+                properties: {
+                  score: { type: "integer", minimum: 0, maximum: 100 },
+                  issues: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        severity: {
+                          type: "string",
+                          enum: ["error", "warning"],
+                        },
+                        message: { type: "string" },
+                      },
+                    },
+                  },
+                },
+              },
+              language: {
+                ...ref("ResumeLanguage"),
+                description: "Language the resume was parsed in",
+              },
+              timeline: ref("ExperienceTimeline"),
+              fileName: { type: "string" },
+              redaction: ref("Redaction"),
+              metadata: {
+                type: "object",
+                properties: {
+                  fileSize: { type: "integer" },
+                  pages: { type: "integer" },
+                  pageLayouts: {
+                    type: "array",
+                    description:
+                      "Number of columns detected on each page. Multi-column pages are parsed one column at a time",
+                    items: {
+                      type: "object",
+                      properties: {
+                        pageNumber: { type: "integer" },
+                        numColumns: { type: "integer" },
+                        isTextOutOfOrder: {
+                          type: "boolean",
+                          description:
+                            "Whether the PDF stores the text out of reading order",
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      MatchResponse: {
+        type: "object",
+        required: ["success", "data"],
+        properties: {
+          success: { type: "boolean" },
+          data: {
+            type: "object",
+            properties: {
+              match: {
+                type: "object",
+                description: "JobMatch type of src/app/lib/job-match.ts",
+                properties: {
+                  score: {
+                    type: "integer",
+                    minimum: 0,
+                    maximum: 100,
+                    description:
+                      "Share of the weighted job description terms found in the resume",
+                  },
+                  matchedSkills: ref("WeightedTerms"),
+                  missingSkills: ref("WeightedTerms"),
+                  matchedKeywords: ref("WeightedTerms"),
+                  missingKeywords: ref("WeightedTerms"),
+                  topBulletPoints: {
+                    type: "array",
+                    description:
+                      "Work experience bullet points that match the job description the most",
+                    items: {
+                      type: "object",
+                      properties: {
+                        text: { type: "string" },
+                        company: { type: "string" },
+                        score: {
+                          type: "number",
+                          description: "Sum of the weights of its terms",
+                        },
+                        terms: { type: "array", items: { type: "string" } },
+                      },
+                    },
+                  },
+                },
+              },
+              fileName: {
+                type: "string",
+                nullable: true,
+                description: "Name of the parsed file, null for a resume",
+              },
+            },
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      WeightedTerms: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            term: { type: "string" },
+            weight: {
+              type: "number",
+              minimum: 0,
+              maximum: 1,
+              description: "1 for the most important term",
+            },
+          },
+        },
+      },
+      Job: {
+        type: "object",
+        required: ["jobId", "status"],
+        properties: {
+          jobId: { type: "string" },
+          status: {
+            type: "string",
+            enum: ["queued", "processing", "completed", "failed"],
+          },
+          createdAt: { type: "string", format: "date-time" },
+          completedAt: { type: "string", format: "date-time", nullable: true },
+          result: {
+            type: "object",
+            nullable: true,
+            description: "Response body of the equivalent synchronous request",
+          },
+          callback: {
+            type: "object",
+            properties: {
+              status: {
+                type: "string",
+                enum: ["pending", "delivered", "failed"],
+              },
+              attempts: { type: "integer" },
+              lastError: { type: "string", nullable: true },
+            },
+          },
+        },
+      },
+      JobAcceptedResponse: {
+        type: "object",
+        required: ["success", "data"],
+        properties: {
+          success: { type: "boolean", enum: [true] },
+          data: {
+            type: "object",
+            properties: {
+              jobId: { type: "string" },
+              status: { type: "string" },
+              statusUrl: { type: "string" },
+            },
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      HealthResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          data: {
+            type: "object",
+            properties: {
+              status: { type: "string", enum: ["ok"] },
+              uptime: { type: "integer", description: "Seconds" },
+              timestamp: { type: "string", format: "date-time" },
+            },
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      ReadyResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          data: {
+            type: "object",
+            properties: {
+              status: { type: "string", enum: ["ready"] },
+              checks: {
+                type: "object",
+                additionalProperties: {
+                  type: "object",
+                  properties: {
+                    ok: { type: "boolean" },
+                    error: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
+          executionTime: { type: "string" },
+        },
+      },
+      JobResponse: {
+        type: "object",
+        required: ["success", "data"],
+        properties: {
+          success: { type: "boolean" },
+          data: ref("Job"),
+          executionTime: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Validate a request body against a schema of the document, e.g. 'ExtractTextRequest'.
+ *
+ * Returns the VALIDATION_ERROR details (`[{ path, message }]`), or null when the body is valid.
+ */
+export function validateRequestBody(body, schemaName) {
+  const errors = validateSchema(
+    body,
+    ref(schemaName),
+    OPENAPI_DOCUMENT.components
+  );
+  return errors.length ? errors : null;
+}
@@ -0,0 +1,84 @@
+import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
+import { groupLinesIntoSections } from "lib/parse-resume-from-pdf/group-lines-into-sections";
+import { extractResumeWithConfidenceFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import { orderTextItemsByColumns } from "lib/parse-resume-from-pdf/detect-columns";
+import {
+  getAtsReport,
+  isPageTextOutOfOrder,
+} from "lib/parse-resume-from-pdf/ats-report";
+import {
+  detectLanguage,
+  getVocabulary,
+} from "lib/parse-resume-from-pdf/language-packs";
+import { extractPdfText } from "lib/api/extract-pdf-text";
+import { getExperienceTimeline } from "lib/experience-timeline";
+
+/**
+ * Server side counterpart of parseResumeFromPdf (lib/parse-resume-from-pdf) that runs
+ * the same four step pipeline on an in-memory PDF buffer instead of a browser file url.
+ *
+ * Multi-column pages are read one column at a time, as in readPdf. `pageLayouts` has
+ * the number of columns detected on each page. `confidence` has the confidence of each
+ * extracted field, `atsReport` the ATS readability report of the PDF and `timeline` the
+ * normalized dates and experience timeline of the resume.
+ *
+ * The resume is parsed with the language pack of `language`, or of the language detected
+ * from its text if not given, and `language` is returned.
+ *
+ * Throws a PdfExtractionError if the PDF cannot be read.
+ */
+export async function parseResumeFromBuffer(buffer, { language } = {}) {
+  // Step 1. Read a pdf resume file into text items to prepare for processing.
+  // OCR'd pages have no text items to parse, so scanned pages are left empty.
+  const pdf = await extractPdfText(buffer, { ocr: false });
+  const orderedPages = pdf.pages.map((page) => {
+    const { textItems, numColumns } = orderTextItemsByColumns(page.textItems);
+    const isTextOutOfOrder = isPageTextOutOfOrder(page.textItems, numColumns);
+    return {
+      pageNumber: page.pageNumber,
+      textItems,
+      numColumns,
+      isTextOutOfOrder,
+    };
+  });
+  const textItems = orderedPages.flatMap((page) => page.textItems);
+  const pageLayouts = orderedPages.map(
+    ({ pageNumber, numColumns, isTextOutOfOrder }) => ({
+      pageNumber,
+      numColumns,
+      isTextOutOfOrder,
+    })
+  );
+
+  // Step 2. Group text items into lines
+  const lines = groupTextItemsIntoLines(textItems);
+  const resumeLanguage = language ?? detectLanguage(lines);
+  const vocabulary = getVocabulary(resumeLanguage);
+
+  // Step 3. Group lines into sections
+  const sections = groupLinesIntoSections(lines, vocabulary);
+
+  // Step 4. Extract resume from sections
+  const { resume, confidence } = extractResumeWithConfidenceFromSections(
+    sections,
+    vocabulary
+  );
+
+  const atsReport = getAtsReport({
+    lines,
+    sections,
+    resume,
+    pageLayouts,
+    vocabulary,
+  });
+
+  return {
+    resume,
+    confidence,
+    atsReport,
+    language: resumeLanguage,
+    timeline: getExperienceTimeline(resume, new Date(), vocabulary),
+    numPages: pdf.numPages,
+    pageLayouts,
+  };
+}
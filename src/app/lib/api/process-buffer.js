@@ -0,0 +1,428 @@
+import path from "path";
+import { CONFIG } from "lib/api/config";
+import { extractPdfText, PdfExtractionError } from "lib/api/extract-pdf-text";
+import {
+  extractDocxText,
+  DocumentExtractionError,
+} from "lib/api/extract-docx-text";
+import { extractDocText } from "lib/api/extract-doc-text";
+import { htmlToText } from "lib/api/html-to-text";
+import { recognizeImage, OcrError } from "lib/api/ocr";
+import {
+  textItemsToMarkdown,
+  textItemsToLayout,
+  textToMarkdown,
+} from "lib/api/format-text";
+
+// File type detection and text extraction shared by the extraction routes
+
+// File type magic numbers
+const MAGIC_NUMBERS = {
+  PNG: "89504e47",
+  JPEG: "ffd8",
+  PDF: "25504446",
+  DOC: "d0cf11e0", // Microsoft Office documents
+  ZIP: "504b0304", // ZIP-based formats (DOCX, etc.)
+};
+
+// Enhanced file type detection
+export function detectFileType(buffer, fileName) {
+  const magic = buffer.toString("hex", 0, 8);
+
+  if (magic.startsWith(MAGIC_NUMBERS.PDF)) return "pdf";
+  if (
+    magic.startsWith(MAGIC_NUMBERS.PNG) ||
+    magic.startsWith(MAGIC_NUMBERS.JPEG)
+  )
+    return "image";
+  if (magic.startsWith(MAGIC_NUMBERS.DOC)) return "doc";
+  if (magic.startsWith(MAGIC_NUMBERS.ZIP)) return "docx";
+
+  // Text detection with more robust heuristics
+  try {
+    const text = buffer.toString("utf8");
+    const nullBytes = text.includes("\0");
+    const printableRatio =
+      text.replace(/[^\x20-\x7E\n\r\t]/g, "").length / text.length;
+
+    if (!nullBytes && printableRatio > 0.8) {
+      const ext = fileName ? path.extname(fileName).toLowerCase().slice(1) : "";
+      if (
+        ext === "html" ||
+        ext === "htm" ||
+        /^\s*(?:<!doctype html|<html[\s>])/i.test(text.slice(0, 1024))
+      ) {
+        return ext === "htm" ? "htm" : "html";
+      }
+      return "text";
+    }
+  } catch (e) {
+    // Not valid UTF-8 text
+  }
+
+  // Fallback to extension
+  if (fileName) {
+    const ext = path.extname(fileName).toLowerCase().slice(1);
+    if (CONFIG.ALLOWED_FILE_TYPES.includes(ext)) {
+      return ext;
+    }
+  }
+
+  return "unknown";
+}
+
+// Enhanced PDF detection
+function isPdf(buffer) {
+  return buffer.toString("utf8", 0, 4).startsWith("%PDF");
+}
+
+// Security: Limit text length
+function truncateText(text) {
+  if (text.length <= CONFIG.MAX_TEXT_LENGTH) {
+    return { text, truncated: false };
+  }
+  return {
+    text:
+      text.substring(0, CONFIG.MAX_TEXT_LENGTH) +
+      "\n\n[Content truncated due to size limits]",
+    truncated: true,
+    originalLength: text.length,
+    extractedLength: CONFIG.MAX_TEXT_LENGTH,
+  };
+}
+
+// Text statistics reported in the metadata of every format
+function getTextStats(
+  text,
+  paragraphs = text.split("\n").filter((line) => line.trim() !== "")
+) {
+  return {
+    textLength: text.length,
+    lines: text.split("\n").length,
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+    paragraphCount: paragraphs.length,
+  };
+}
+
+// Keep per-page text within the same MAX_TEXT_LENGTH budget as the full text.
+// Text items (items format) are cut to the items that start within the budget.
+function truncatePages(pages) {
+  let remaining = CONFIG.MAX_TEXT_LENGTH;
+  const truncatedPages = [];
+  for (const page of pages) {
+    if (remaining <= 0) break;
+    const truncatedPage = { ...page, text: page.text.substring(0, remaining) };
+    if (page.items) {
+      let itemsLength = 0;
+      truncatedPage.items = page.items.filter(
+        (item) =>
+          (itemsLength += item.text.length) - item.text.length < remaining
+      );
+    }
+    truncatedPages.push(truncatedPage);
+    remaining -= page.text.length;
+  }
+  return truncatedPages;
+}
+
+// PDF pages in an output format (see format-text.js).
+// OCR'd pages have no text items, so their text is formatted like the other file types.
+function formatPdfPages(pages, format) {
+  return pages.map((page, i) => {
+    const formattedPage = {
+      pageNumber: page.pageNumber,
+      ocr: page.ocr,
+      ...(page.ocr && { confidence: page.confidence }),
+    };
+    switch (format) {
+      case "markdown":
+        return {
+          ...formattedPage,
+          text: page.ocr
+            ? textToMarkdown(page.text)
+            : textItemsToMarkdown(page.textItems, { firstPage: i === 0 }),
+        };
+      case "layout":
+        return {
+          ...formattedPage,
+          text: page.ocr ? page.text : textItemsToLayout(page.textItems),
+        };
+      case "items":
+        return {
+          ...formattedPage,
+          text: page.text,
+          items: page.textItems.map(
+            ({ text, x, y, width, height, fontName }) => ({
+              text,
+              x,
+              y,
+              width,
+              height,
+              fontName,
+            })
+          ),
+        };
+      default:
+        return { ...formattedPage, text: page.text };
+    }
+  });
+}
+
+// Text of the other file types in an output format: their text already follows the line
+// structure of the document, so only markdown changes it
+function formatDocumentText(text, format) {
+  return format === "markdown" ? textToMarkdown(text) : text;
+}
+
+// File types whose text has no positions, so no items format
+const DOCUMENT_TYPES = ["html", "htm", "text", "txt", "docx", "doc", "image"];
+
+// Process different file types with enhanced security.
+// `format` is one of OUTPUT_FORMATS (text, markdown, layout or items). `ocr: true` forces OCR of
+// scanned PDF content, `ocr: false` disables it (see extractPdfText).
+// Returns { success, type, fileName, format, text, metadata, ... } or { success: false, error, code, type, hint }.
+export async function processBuffer(buffer, fileName, options = {}) {
+  const { format = "text", ocr } = options;
+  const fileType = detectFileType(buffer, fileName);
+  const fileSize = buffer.length;
+
+  // Security: File size check
+  if (fileSize > CONFIG.MAX_FILE_SIZE) {
+    return {
+      success: false,
+      error: `File too large: ${fileSize} bytes (max: ${CONFIG.MAX_FILE_SIZE} bytes)`,
+      code: "FILE_TOO_LARGE",
+      type: fileType,
+    };
+  }
+
+  if (format === "items" && DOCUMENT_TYPES.includes(fileType)) {
+    return {
+      success: false,
+      error: "The items format is only available for PDF files",
+      code: "UNSUPPORTED_FORMAT",
+      type: fileType,
+      hint: "Use the text, markdown or layout format",
+    };
+  }
+
+  switch (fileType) {
+    case "pdf":
+      try {
+        const pdf = await extractPdfText(buffer, { ocr });
+        const pages = formatPdfPages(pdf.pages, format);
+        const pdfText = pages
+          .map((page) => page.text)
+          .join(format === "markdown" ? "\n\n---\n\n" : "\n\n");
+        const { text, ...truncation } = truncateText(pdfText);
+
+        return {
+          success: true,
+          type: "pdf",
+          fileName: fileName || "document.pdf",
+          format,
+          text,
+          pages: truncatePages(pages),
+          ...truncation,
+          metadata: {
+            fileSize,
+            pages: pdf.numPages,
+            ocrPages: pages
+              .filter((page) => page.ocr)
+              .map((page) => page.pageNumber),
+            ...getTextStats(pdfText),
+            ...pdf.info,
+          },
+        };
+      } catch (e) {
+        return {
+          success: false,
+          error: e.message,
+          code:
+            e instanceof PdfExtractionError || e instanceof OcrError
+              ? e.code
+              : "PDF_PROCESSING_ERROR",
+          type: "pdf",
+          hint:
+            e.code === "PDF_ENCRYPTED"
+              ? "Remove the password protection and upload the PDF again"
+              : undefined,
+        };
+      }
+
+    case "html":
+    case "htm":
+      try {
+        const html = htmlToText(buffer.toString("utf8"));
+        const htmlText = formatDocumentText(html.text, format);
+
+        return {
+          success: true,
+          type: fileType,
+          fileName: fileName || `document.${fileType}`,
+          format,
+          ...truncateText(htmlText),
+          metadata: {
+            fileSize,
+            ...getTextStats(htmlText),
+            title: html.title,
+            description: html.description,
+            links: html.links,
+          },
+        };
+      } catch (e) {
+        return {
+          success: false,
+          error: "HTML processing error",
+          code: "HTML_PROCESSING_ERROR",
+          type: fileType,
+        };
+      }
+
+    case "text":
+    case "txt":
+      try {
+        const text = formatDocumentText(buffer.toString("utf8"), format);
+
+        return {
+          success: true,
+          type: fileType,
+          fileName: fileName || "text.txt",
+          format,
+          ...truncateText(text),
+          metadata: {
+            fileSize,
+            ...getTextStats(text),
+          },
+        };
+      } catch (e) {
+        return {
+          success: false,
+          error: "Text decoding error",
+          code: "TEXT_DECODING_ERROR",
+          type: fileType,
+        };
+      }
+
+    case "image":
+      if (!CONFIG.OCR_ENABLED || ocr === false) {
+        return {
+          success: false,
+          error: "Image files not supported. OCR is disabled.",
+          code: "IMAGE_NOT_SUPPORTED",
+          type: "image",
+          hint: "Convert image to PDF or text first, or enable OCR",
+        };
+      }
+      try {
+        const { text, confidence } = await recognizeImage(buffer);
+        const imageText = formatDocumentText(text, format);
+
+        return {
+          success: true,
+          type: "image",
+          fileName: fileName || "image",
+          format,
+          ...truncateText(imageText),
+          pages: truncatePages([
+            { pageNumber: 1, ocr: true, confidence, text: imageText },
+          ]),
+          metadata: {
+            fileSize,
+            pages: 1,
+            ocrPages: [1],
+            ...getTextStats(imageText),
+          },
+        };
+      } catch (e) {
+        return {
+          success: false,
+          error: e.message,
+          code: "OCR_FAILED",
+          type: "image",
+          hint: "Upload a PNG or JPEG image of the document",
+        };
+      }
+
+    case "docx":
+    case "doc":
+      try {
+        const document =
+          fileType === "docx"
+            ? extractDocxText(buffer, { maxEntrySize: CONFIG.MAX_FILE_SIZE })
+            : extractDocText(buffer);
+        const documentText = formatDocumentText(document.text, format);
+
+        return {
+          success: true,
+          type: fileType,
+          fileName: fileName || `document.${fileType}`,
+          format,
+          ...truncateText(documentText),
+          metadata: {
+            fileSize,
+            ...getTextStats(
+              documentText,
+              format === "markdown" ? undefined : document.paragraphs
+            ),
+            ...document.info,
+            ...(document.recovered && { recovered: true }),
+          },
+        };
+      } catch (e) {
+        return {
+          success: false,
+          error: e.message,
+          code:
+            e instanceof DocumentExtractionError
+              ? e.code
+              : "DOCUMENT_PROCESSING_ERROR",
+          type: fileType,
+          hint: e.code?.endsWith("_ENCRYPTED")
+            ? "Remove the password protection and upload the document again"
+            : undefined,
+        };
+      }
+
+    default:
+      return {
+        success: false,
+        error: "Unsupported file type",
+        code: "UNSUPPORTED_FILE_TYPE",
+        type: "unknown",
+        allowedTypes: CONFIG.ALLOWED_FILE_TYPES,
+      };
+  }
+}
+
+// The ocr request option (a boolean or "true"/"false"): true, false, or undefined for automatic OCR
+export function parseOcrOption(value) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return undefined;
+}
+
+// n8n-compatible success response data
+export function formatSuccessData(result) {
+  return {
+    extractedText: result.text,
+    fileName: result.fileName,
+    fileType: result.type,
+    format: result.format || "text",
+    metadata: result.metadata || {},
+    ...(result.pages && { pages: result.pages }),
+    truncated: result.truncated || false,
+    ...(result.redaction && { redaction: result.redaction }),
+  };
+}
+
+// n8n-compatible error response details
+export function formatErrorDetails(result) {
+  return {
+    message: result.error,
+    code: result.code,
+    type: result.type,
+    hint: result.hint,
+    allowedTypes: result.allowedTypes,
+  };
+}
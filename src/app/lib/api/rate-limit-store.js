@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import { createRedisClient, RedisError } from "lib/api/redis-client";
+
+// Rate limit state stores.
+// Every store implements `update(key, ttlMs, updater)`: read the JSON state stored under key
+// (null when missing or expired), replace it with `updater(state)` and keep it for ttlMs.
+// The update must be atomic per key so concurrent requests cannot both take the last slot.
+
+const SWEEP_INTERVAL_MS = 60000;
+
+function createEntryMap(entries = new Map()) {
+  let lastSweep = 0;
+  return {
+    entries,
+    update(key, ttlMs, updater, now = Date.now()) {
+      // Drop expired entries once a minute instead of scanning on every request
+      if (now - lastSweep > SWEEP_INTERVAL_MS) {
+        lastSweep = now;
+        for (const [entryKey, entry] of entries) {
+          if (entry.expiresAt <= now) entries.delete(entryKey);
+        }
+      }
+      const entry = entries.get(key);
+      const state = updater(
+        entry && entry.expiresAt > now ? entry.state : null
+      );
+      entries.set(key, { state, expiresAt: now + ttlMs });
+      return state;
+    },
+  };
+}
+
+// Per-process store. Resets on restart and is not shared between instances.
+export function createMemoryStore() {
+  const map = createEntryMap();
+  return {
+    async update(key, ttlMs, updater) {
+      return map.update(key, ttlMs, updater);
+    },
+  };
+}
+
+// JSON file store for single-node deployments: survives restarts of the process.
+// Writes are batched and done atomically (temp file + rename).
+export function createFileStore(filePath, { flushDelayMs = 200 } = {}) {
+  const resolvedPath = path.resolve(filePath);
+  let entries = new Map();
+  try {
+    entries = new Map(
+      Object.entries(JSON.parse(fs.readFileSync(resolvedPath, "utf8")))
+    );
+  } catch (e) {
+    // Missing or unreadable file: start empty
+  }
+  const map = createEntryMap(entries);
+  let flushTimer = null;
+
+  const flush = async () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const now = Date.now();
+    const data = {};
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt > now) data[key] = entry;
+    }
+    const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(data));
+      await fs.promises.rename(tempPath, resolvedPath);
+    } catch (e) {
+      console.error("Rate limit store write failed:", e.message);
+    }
+  };
+
+  return {
+    async update(key, ttlMs, updater) {
+      const state = map.update(key, ttlMs, updater);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushDelayMs);
+        flushTimer.unref?.();
+      }
+      return state;
+    },
+    flush,
+  };
+}
+
+// Redis store shared by every instance. Updates use WATCH/MULTI/EXEC optimistic transactions.
+export function createRedisStore(
+  url,
+  {
+    prefix = "ratelimit:",
+    maxAttempts = 5,
+    client = createRedisClient(url),
+  } = {}
+) {
+  // WATCH and MULTI apply to the whole connection, so transactions run one at a time
+  let queue = Promise.resolve();
+
+  const transact = async (key, ttlMs, updater) => {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      await client.command("WATCH", key);
+      const current = await client.command("GET", key);
+      let state = null;
+      try {
+        state = current ? JSON.parse(current) : null;
+      } catch (e) {
+        // Overwrite unreadable state
+      }
+      const nextState = updater(state);
+      await client.command("MULTI");
+      await client.command(
+        "SET",
+        key,
+        JSON.stringify(nextState),
+        "PX",
+        Math.ceil(ttlMs)
+      );
+      // EXEC returns null when the key changed since WATCH
+      if ((await client.command("EXEC")) !== null) return nextState;
+    }
+    throw new RedisError(`Rate limit update for ${key} kept conflicting`);
+  };
+
+  return {
+    update(key, ttlMs, updater) {
+      const result = queue.then(() =>
+        transact(prefix + key, ttlMs, updater).catch(async (error) => {
+          // Leave the connection outside of any transaction for the next update
+          await client.command("DISCARD").catch(() => {});
+          await client.command("UNWATCH").catch(() => {});
+          throw error;
+        })
+      );
+      queue = result.catch(() => {});
+      return result;
+    },
+    close: () => client.close(),
+  };
+}
+
+/**
+ * Create the store selected by `type`: 'memory', 'file' (options.filePath) or 'redis' (options.redisUrl).
+ */
+export function createRateLimitStore(type, { filePath, redisUrl } = {}) {
+  switch (type) {
+    case "file":
+      return createFileStore(filePath);
+    case "redis":
+      if (!redisUrl)
+        throw new Error("RATE_LIMIT_STORE=redis requires REDIS_URL");
+      return createRedisStore(redisUrl);
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+}
@@ -0,0 +1,172 @@
+import net from "net";
+
+// Rate limiting algorithms and client IP resolution for the API routes.
+// Limits are applied through a store (lib/api/rate-limit-store) so state can be shared
+// between instances and survive restarts.
+
+// Sliding window counter: the previous fixed window is weighted by how much of it still
+// overlaps the sliding window. State: { windowStart, previous, current }.
+export function slidingWindow(state, now, { limit, windowMs }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let previous = 0;
+  let current = 0;
+  if (state?.windowStart === windowStart) {
+    ({ previous, current } = state);
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const previousWeight = 1 - (now - windowStart) / windowMs;
+  const used = previous * previousWeight + current;
+  const allowed = used + 1 <= limit;
+  if (allowed) current += 1;
+
+  const windowEnd = windowStart + windowMs;
+  let retryAfterMs = 0;
+  if (!allowed) {
+    // Wait until enough of the previous window has slid out, or for the next window
+    const spare = limit - 1 - current;
+    retryAfterMs =
+      previous > 0 && spare >= 0
+        ? windowStart + (1 - spare / previous) * windowMs - now
+        : windowEnd - now;
+  }
+
+  return {
+    state: { windowStart, previous, current },
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - used - (allowed ? 1 : 0))),
+    resetMs: windowEnd - now,
+    retryAfterMs: Math.max(0, retryAfterMs),
+  };
+}
+
+// Token bucket: holds up to `limit` tokens and refills `limit` tokens per window.
+// Allows short bursts while keeping the average rate. State: { tokens, updatedAt }.
+export function tokenBucket(state, now, { limit, windowMs }) {
+  const refillPerMs = limit / windowMs;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state
+    ? Math.min(limit, state.tokens + elapsed * refillPerMs)
+    : limit;
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: (limit - tokens) / refillPerMs,
+    retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs,
+  };
+}
+
+const ALGORITHMS = {
+  "sliding-window": slidingWindow,
+  "token-bucket": tokenBucket,
+};
+
+/**
+ * Create a rate limiter counting requests per key in `store`.
+ *
+ * `check(key)` resolves to `{ allowed, limit, remaining, resetSeconds, retryAfterSeconds }`.
+ */
+export function createRateLimiter({
+  store,
+  algorithm = "sliding-window",
+  limit,
+  windowMs,
+}) {
+  const apply = ALGORITHMS[algorithm];
+  if (!apply) throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+
+  return {
+    limit,
+    async check(key, now = Date.now()) {
+      let outcome;
+      // The updater may run again when a shared store retries a conflicting update
+      await store.update(
+        key,
+        algorithm === "token-bucket" ? windowMs : 2 * windowMs,
+        (state) => {
+          outcome = apply(state, now, { limit, windowMs });
+          return outcome.state;
+        }
+      );
+      return {
+        allowed: outcome.allowed,
+        limit,
+        remaining: outcome.remaining,
+        resetSeconds: Math.ceil(outcome.resetMs / 1000),
+        retryAfterSeconds: Math.ceil(outcome.retryAfterMs / 1000),
+      };
+    },
+  };
+}
+
+// Build an address list from entries like '10.0.0.0/8', '127.0.0.1' or '::1'
+export function createTrustedProxyList(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split("/");
+    const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+    if (!net.isIP(address)) continue;
+    if (prefix) list.addSubnet(address, Number(prefix), family);
+    else list.addAddress(address, family);
+  }
+  return list;
+}
+
+// Strip ports, brackets and the IPv4-mapped IPv6 prefix from a forwarded address
+function normalizeAddress(value = "") {
+  let address = value.trim().replace(/^"|"$/g, "");
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) address = bracketed[1];
+  else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(address))
+    address = address.replace(/:\d+$/, "");
+  return address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, "$1");
+}
+
+// Addresses listed by X-Forwarded-For, or by the RFC 7239 Forwarded header, closest client first
+function getForwardedAddresses(headers) {
+  if (headers["x-forwarded-for"]) {
+    return headers["x-forwarded-for"]
+      .split(",")
+      .map(normalizeAddress)
+      .filter(Boolean);
+  }
+  if (headers.forwarded) {
+    return [...headers.forwarded.matchAll(/for=("[^"]*"|[^;,\s]+)/gi)].map(
+      (match) => normalizeAddress(match[1])
+    );
+  }
+  return [];
+}
+
+/**
+ * Resolve the client IP of a request.
+ *
+ * Forwarding headers are only honoured when the direct peer is a trusted proxy. The list is
+ * then read from the right, skipping trusted proxies, so clients cannot spoof their address
+ * by sending their own X-Forwarded-For header.
+ */
+export function getClientIp(req, trustedProxies) {
+  const isTrusted = (address) =>
+    net.isIP(address) &&
+    trustedProxies.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+  const remoteAddress = normalizeAddress(
+    req.socket?.remoteAddress || req.connection?.remoteAddress || ""
+  );
+  if (!remoteAddress || !isTrusted(remoteAddress)) {
+    return remoteAddress || "unknown";
+  }
+
+  const forwarded = getForwardedAddresses(req.headers);
+  for (let i = forwarded.length - 1; i >= 0; i--) {
+    // A malformed entry cannot be attributed to anyone, so fall back to the proxy address
+    if (!net.isIP(forwarded[i])) return remoteAddress;
+    if (!isTrusted(forwarded[i])) return forwarded[i];
+  }
+  // Every hop is a trusted proxy
+  return forwarded[0] || remoteAddress;
+}
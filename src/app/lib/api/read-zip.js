@@ -0,0 +1,96 @@
+import zlib from "zlib";
+
+// Minimal ZIP reader for ZIP based document formats (DOCX).
+// Supports stored and deflated entries, which is all Office documents use. ZIP64 is not supported.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+function findEndOfCentralDirectory(buffer) {
+  const minOffset = Math.max(
+    0,
+    buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE
+  );
+  for (
+    let offset = buffer.length - EOCD_MIN_SIZE;
+    offset >= minOffset;
+    offset--
+  ) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read the entries of a ZIP buffer.
+ *
+ * Returns a Map of entry name to a `read()` function that inflates the entry on demand,
+ * so only the parts a caller needs are decompressed. `maxEntrySize` guards against zip bombs.
+ */
+export function readZipEntries(buffer, { maxEntrySize = Infinity } = {}) {
+  const eocdOffset =
+    buffer.length >= EOCD_MIN_SIZE ? findEndOfCentralDirectory(buffer) : -1;
+  if (eocdOffset === -1) {
+    throw new Error("Invalid ZIP file: end of central directory not found");
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > buffer.length ||
+      buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE
+    ) {
+      throw new Error("Invalid ZIP file: corrupt central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    entries.set(name, {
+      size,
+      read() {
+        if (size > maxEntrySize) {
+          throw new Error(`ZIP entry too large: ${name}`);
+        }
+        if (buffer.readUInt32LE(localHeaderOffset) !== LOCAL_HEADER_SIGNATURE) {
+          throw new Error(`Invalid ZIP file: corrupt local header for ${name}`);
+        }
+        const dataOffset =
+          localHeaderOffset +
+          30 +
+          buffer.readUInt16LE(localHeaderOffset + 26) +
+          buffer.readUInt16LE(localHeaderOffset + 28);
+        const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+
+        switch (method) {
+          case 0:
+            return data;
+          case 8:
+            return zlib.inflateRawSync(data, {
+              maxOutputLength: Math.min(maxEntrySize, 2 ** 31 - 1),
+            });
+          default:
+            throw new Error(
+              `Unsupported ZIP compression method ${method} for ${name}`
+            );
+        }
+      },
+    });
+  }
+
+  return entries;
+}
@@ -0,0 +1,274 @@
+import { groupLinesIntoSections } from "lib/parse-resume-from-pdf/group-lines-into-sections";
+import { extractResumeFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import {
+  detectLanguage,
+  getVocabulary,
+} from "lib/parse-resume-from-pdf/language-packs";
+
+// PII redaction for anonymized (blind) screening.
+// Emails, phone numbers, URLs and social handles are found by pattern, the candidate name (and
+// optionally school names and addresses) from the resume the parser extracts. Each distinct value
+// gets a stable placeholder, e.g. every "hello@openresume.com" of a response is [EMAIL_1].
+
+const PLACEHOLDER_LABELS = {
+  email: "EMAIL",
+  url: "URL",
+  handle: "HANDLE",
+  phone: "PHONE",
+  name: "NAME",
+  school: "SCHOOL",
+  address: "ADDRESS",
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// http(s) and www URLs, or a domain with a path, e.g. linkedin.com/in/john-doe. Only common
+// top level domains count for the latter so "Node.js/Express" isn't a URL.
+const URL_PATTERN =
+  /(?:https?:\/\/|www\.|\b[\w-]+(?:\.[\w-]+)*\.(?:com|org|net|io|dev|me|co|edu|gov|ai|app|info|us|uk|ca|de|fr|es|cn|in)\/)(?:[^\s<>"'()[\]]*[^\s<>"'()[\].,;:!?])?/gi;
+// "@johndoe", but not the @ of an email
+const HANDLE_PATTERN = /(^|[^\w@.\/])(@\w(?:[\w.]*\w)?)/g;
+// Runs of digits and separators, checked in isPhoneNumber
+const PHONE_PATTERN = /(^|[^\w+])(\+?\(?\d[\d\s().-]{7,18}\d)(?!\w)/g;
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+const ADDRESS_PATTERN =
+  /\b\d{1,5}(?:\s+[A-Z][\w.]*){1,4}\s+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Highway|Hwy|Square|Sq)\b\.?(?:,?\s+(?:Apt|Apartment|Suite|Ste|Unit|#)\.?\s*[\w-]+)?/g;
+
+// A year range, e.g. "2015 - 2019 2020", has as many digits as a phone number but spaced dashes
+const isPhoneNumber = (text) => {
+  const numDigits = text.replace(/\D/g, "").length;
+  return (
+    numDigits >= MIN_PHONE_DIGITS &&
+    numDigits <= MAX_PHONE_DIGITS &&
+    !/\s-\s/.test(text)
+  );
+};
+
+const LETTER = "A-Za-z\\u00c0-\\u024f";
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Match a known value as a whole word. Its words can also be joined by dots, dashes or
+// underscores, as in the file name "john-doe-resume.pdf".
+const knownValuePattern = (value, flags) => {
+  const words = value.split(/\s+/).map(escapeRegExp).join("[\\s._-]+");
+  return new RegExp(`(^|[^${LETTER}])(${words})(?![${LETTER}])`, flags);
+};
+
+// Same values get the same placeholder, e.g. "(123) 456-7890" and "123-456-7890", or
+// "John Doe" and "john-doe"
+const toValueKey = (type, value) => {
+  if (type === "phone") return value.replace(/\D/g, "");
+  const key = value.toLowerCase();
+  return ["email", "url", "handle"].includes(type)
+    ? key
+    : key.replace(/[\s._-]+/g, " ");
+};
+
+const applyPatterns = (text, { addresses }, replace) => {
+  let redacted = text
+    .replace(EMAIL_PATTERN, (value) => replace("email", value))
+    .replace(URL_PATTERN, (value) => replace("url", value))
+    .replace(
+      HANDLE_PATTERN,
+      (_, prefix, value) => prefix + replace("handle", value)
+    )
+    .replace(PHONE_PATTERN, (match, prefix, value) =>
+      isPhoneNumber(value) ? prefix + replace("phone", value) : match
+    );
+  if (addresses) {
+    redacted = redacted.replace(ADDRESS_PATTERN, (value) =>
+      replace("address", value)
+    );
+  }
+  return redacted;
+};
+
+/**
+ * Mask the emails, phone numbers, URLs, social handles and street addresses of a text with
+ * unnumbered placeholders, e.g. [EMAIL], for the logs of requests that ask for redaction.
+ */
+export function maskText(text) {
+  if (typeof text !== "string") return text;
+  return applyPatterns(
+    text,
+    { addresses: true },
+    (type) => `[${PLACEHOLDER_LABELS[type]}]`
+  );
+}
+
+/**
+ * Return the identity of a candidate in a parsed resume: the name from the profile extracted by
+ * extract-profile.ts, the schools and the location.
+ */
+export function getResumeIdentity(resume) {
+  return {
+    name: resume.profile.name,
+    schools: resume.educations.map(({ school }) => school).filter(Boolean),
+    location: resume.profile.location,
+  };
+}
+
+/**
+ * Return the identity of the candidate of a resume text, e.g. extracted from a DOCX, by running
+ * the resume parser on its lines.
+ */
+export function getTextIdentity(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, idx) => [
+      {
+        text: line,
+        x: 0,
+        y: -idx * 12,
+        width: line.length * 6,
+        height: 10,
+        fontName: "",
+        hasEOL: true,
+      },
+    ]);
+  const vocabulary = getVocabulary(detectLanguage(lines));
+  const sections = groupLinesIntoSections(lines, vocabulary);
+  return getResumeIdentity(extractResumeFromSections(sections, vocabulary));
+}
+
+/**
+ * Parse the `redact` request option: true (or "true") or an object with the `addresses`,
+ * `schools` and `includeMapping` flags. Returns null when redaction is off.
+ */
+export function parseRedactOption(value) {
+  if (value === true || value === "true") {
+    return { addresses: false, schools: false, includeMapping: false };
+  }
+  if (value && typeof value === "object") {
+    return {
+      addresses: value.addresses === true,
+      schools: value.schools === true,
+      includeMapping: value.includeMapping === true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Create a redactor for the texts of one resume.
+ *
+ * `identity` is the candidate of getResumeIdentity: the name is always redacted, as a whole and
+ * by its parts, and the schools and the location only with the `schools` and `addresses` options,
+ * which also redacts street addresses.
+ *
+ * getSummary() lists the placeholders with their type and number of occurrences, plus the
+ * mapping of the placeholders to the redacted values with `includeMapping`.
+ */
+export function createRedactor(
+  { name = "", schools = [], location = "" } = {},
+  { addresses = false, schools: redactSchools = false } = {}
+) {
+  const placeholders = new Map();
+  const redactions = [];
+  const numPlaceholders = {};
+
+  const replace = (type, value) => {
+    const key = `${type}:${toValueKey(type, value)}`;
+    let redaction = placeholders.get(key);
+    if (!redaction) {
+      numPlaceholders[type] = (numPlaceholders[type] || 0) + 1;
+      redaction = {
+        type,
+        placeholder: `[${PLACEHOLDER_LABELS[type]}_${numPlaceholders[type]}]`,
+        value,
+        count: 0,
+      };
+      placeholders.set(key, redaction);
+      redactions.push(redaction);
+    }
+    redaction.count++;
+    return redaction.placeholder;
+  };
+
+  // Longer values first, so the full name is replaced before its parts
+  const fullName = name.trim();
+  const nameParts = fullName.split(/\s+/).filter((part) => part.length > 1);
+  const knownValues = [
+    ...(fullName ? [{ type: "name", value: fullName, flags: "gi" }] : []),
+    // Parts only as written or uppercased, so a first name like "May" leaves "may" alone
+    ...(nameParts.length > 1
+      ? nameParts.flatMap((part) => [
+          { type: "name", value: part, flags: "g" },
+          { type: "name", value: part.toUpperCase(), flags: "g" },
+        ])
+      : []),
+    ...(redactSchools
+      ? schools.map((school) => ({
+          type: "school",
+          value: school,
+          flags: "gi",
+        }))
+      : []),
+    ...(addresses && location.trim()
+      ? [{ type: "address", value: location.trim(), flags: "gi" }]
+      : []),
+  ]
+    .filter(({ value }) => value.trim())
+    .sort((a, b) => b.value.length - a.value.length)
+    .map(({ type, value, flags }) => ({
+      type,
+      pattern: knownValuePattern(value.trim(), flags),
+    }));
+
+  // Patterns go first: a name inside an email or a URL is redacted with it
+  const redactText = (text) => {
+    if (typeof text !== "string" || !text) return text;
+    return knownValues.reduce(
+      (redacted, { type, pattern }) =>
+        redacted.replace(
+          pattern,
+          (_, prefix, value) => prefix + replace(type, value)
+        ),
+      applyPatterns(text, { addresses }, replace)
+    );
+  };
+
+  // Redact every string of a JSON value, e.g. a Resume
+  const redactValue = (value) => {
+    if (typeof value === "string") return redactText(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [key, redactValue(entry)])
+      );
+    }
+    return value;
+  };
+
+  const getSummary = ({ includeMapping = false } = {}) => ({
+    redactions: redactions.map(({ type, placeholder, count }) => ({
+      type,
+      placeholder,
+      count,
+    })),
+    ...(includeMapping && {
+      mapping: Object.fromEntries(
+        redactions.map(({ placeholder, value }) => [placeholder, value])
+      ),
+    }),
+  });
+
+  return { redactText, redactValue, getSummary };
+}
+
+/**
+ * Redact an extraction result of processBuffer: its text, pages, file name and metadata, e.g. a
+ * PDF author. The candidate is found in the extracted text. The result gets the summary of the
+ * redactor as `redaction`.
+ */
+export function redactExtraction(result, options) {
+  const redactor = createRedactor(getTextIdentity(result.text || ""), options);
+  const { text, pages, fileName, metadata } = result;
+  return {
+    ...result,
+    ...redactor.redactValue({ text, pages, fileName, metadata }),
+    redaction: redactor.getSummary(options),
+  };
+}
@@ -0,0 +1,176 @@
+import net from "net";
+import tls from "tls";
+
+// Minimal Redis (RESP2) client for the shared rate limit store.
+// Commands are pipelined over a single connection; replies are matched in order.
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RedisError";
+  }
+}
+
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+// Parse one RESP reply starting at offset. Returns [value, nextOffset], or null when incomplete.
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return [line, next];
+    case "-":
+      return [new RedisError(line), next];
+    case ":":
+      return [Number(line), next];
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buffer.length < next + length + 2) return null;
+      return [buffer.toString("utf8", next, next + length), next + length + 2];
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item[0]);
+        position = item[1];
+      }
+      return [items, position];
+    }
+    default:
+      throw new RedisError(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Create a client for `redis://[:password@]host[:port][/db]` (or `rediss://` for TLS).
+ *
+ * `command(...args)` resolves to the reply (Redis error replies reject with a RedisError).
+ * The connection is opened lazily and reopened after failures.
+ */
+export function createRedisClient(
+  url,
+  { connectTimeoutMs = 5000, commandTimeoutMs = 2000 } = {}
+) {
+  const parsedUrl = new URL(url);
+  const useTls = parsedUrl.protocol === "rediss:";
+  const password = decodeURIComponent(parsedUrl.password || "");
+  const db = Number(parsedUrl.pathname.slice(1)) || 0;
+
+  let socket = null;
+  let ready = null;
+  let pending = Buffer.alloc(0);
+  const callbacks = [];
+
+  const failAll = (error) => {
+    socket = null;
+    ready = null;
+    pending = Buffer.alloc(0);
+    while (callbacks.length) {
+      const { timer, reject } = callbacks.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  };
+
+  const onData = (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    let reply;
+    while (callbacks.length && (reply = parseReply(pending))) {
+      pending = pending.subarray(reply[1]);
+      const { timer, resolve, reject } = callbacks.shift();
+      clearTimeout(timer);
+      if (reply[0] instanceof RedisError) reject(reply[0]);
+      else resolve(reply[0]);
+    }
+  };
+
+  const send = (args) =>
+    new Promise((resolve, reject) => {
+      if (!socket) {
+        reject(new RedisError("Redis connection closed"));
+        return;
+      }
+      // A stalled server fails every pending command by dropping the connection
+      const connection = socket;
+      const timer = setTimeout(
+        () => connection.destroy(new RedisError("Redis command timeout")),
+        commandTimeoutMs
+      );
+      callbacks.push({ timer, resolve, reject });
+      connection.write(encodeCommand(args));
+    });
+
+  const connect = () => {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const options = {
+        host: parsedUrl.hostname,
+        port: Number(parsedUrl.port) || 6379,
+      };
+      const connection = useTls
+        ? tls.connect({ ...options, servername: options.host })
+        : net.connect(options);
+      socket = connection;
+      connection.setTimeout(connectTimeoutMs, () =>
+        connection.destroy(new RedisError("Redis connection timeout"))
+      );
+      connection.on("data", onData);
+      // Ignore events of connections that were already replaced
+      connection.on("error", (error) => {
+        reject(error);
+        if (socket === connection) failAll(error);
+      });
+      connection.on("close", () => {
+        if (socket === connection)
+          failAll(new RedisError("Redis connection closed"));
+      });
+      connection.once(useTls ? "secureConnect" : "connect", async () => {
+        connection.setTimeout(0);
+        try {
+          if (password)
+            await send(
+              parsedUrl.username
+                ? ["AUTH", decodeURIComponent(parsedUrl.username), password]
+                : ["AUTH", password]
+            );
+          if (db) await send(["SELECT", db]);
+          resolve();
+        } catch (error) {
+          reject(error);
+          connection.destroy();
+        }
+      });
+    });
+    return ready;
+  };
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+    close() {
+      socket?.end();
+      socket = null;
+      ready = null;
+    },
+  };
+}
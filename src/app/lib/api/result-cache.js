@@ -0,0 +1,210 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { CONFIG } from "lib/api/config";
+
+// Extraction result cache, keyed by the SHA-256 of the file and the extraction options.
+// Every store implements async `get(key)` (null when missing or expired) and `set(key, value)`.
+
+// In-memory LRU store: a Map keeps insertion order, so re-inserting on read moves an entry to
+// the back and the first entry is the least recently used one
+export function createMemoryResultStore({
+  maxEntries = CONFIG.RESULT_CACHE_MAX_ENTRIES,
+  ttlMs = CONFIG.RESULT_CACHE_TTL_MS,
+} = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// Local disk store: one JSON file per result. Reads refresh the file time, so evicting the
+// oldest files once there are more than maxEntries keeps the most recently used ones.
+export function createDiskResultStore(
+  directory,
+  {
+    maxEntries = CONFIG.RESULT_CACHE_MAX_ENTRIES,
+    ttlMs = CONFIG.RESULT_CACHE_TTL_MS,
+  } = {}
+) {
+  const resolvedDirectory = path.resolve(directory);
+  const entryPath = (key) => path.join(resolvedDirectory, `${key}.json`);
+
+  const evict = async () => {
+    const names = (await fs.promises.readdir(resolvedDirectory)).filter(
+      (name) => name.endsWith(".json")
+    );
+    if (names.length <= maxEntries) return;
+    const files = await Promise.all(
+      names.map(async (name) => {
+        const filePath = path.join(resolvedDirectory, name);
+        try {
+          return {
+            filePath,
+            mtimeMs: (await fs.promises.stat(filePath)).mtimeMs,
+          };
+        } catch (e) {
+          return null; // Removed by a concurrent eviction
+        }
+      })
+    );
+    const oldest = files
+      .filter(Boolean)
+      .sort((a, b) => a.mtimeMs - b.mtimeMs)
+      .slice(0, files.length - maxEntries);
+    await Promise.all(
+      oldest.map(({ filePath }) => fs.promises.rm(filePath, { force: true }))
+    );
+  };
+
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(
+          await fs.promises.readFile(entryPath(key), "utf8")
+        );
+        if (entry.expiresAt <= Date.now()) {
+          await fs.promises.rm(entryPath(key), { force: true });
+          return null;
+        }
+        const now = new Date();
+        await fs.promises.utimes(entryPath(key), now, now);
+        return entry.value;
+      } catch (e) {
+        return null; // Missing or unreadable entry
+      }
+    },
+    async set(key, value) {
+      await fs.promises.mkdir(resolvedDirectory, { recursive: true });
+      const tempPath = `${entryPath(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(
+        tempPath,
+        JSON.stringify({ value, expiresAt: Date.now() + ttlMs })
+      );
+      await fs.promises.rename(tempPath, entryPath(key));
+      await evict();
+    },
+  };
+}
+
+export function createResultStore(type, { directory } = {}) {
+  switch (type) {
+    case "disk":
+      return createDiskResultStore(directory);
+    case "memory":
+      return createMemoryResultStore();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown result cache store: ${type}`);
+  }
+}
+
+/**
+ * Cache of extraction results. `extract(key, compute, { noCache })` resolves to `{ result, cached }`:
+ * - a cached result is returned without calling `compute`, unless `noCache` is set
+ * - concurrent calls for the same key share one `compute` call
+ * - only successful results are stored; a failing store never fails the extraction
+ *
+ * `has(key)` resolves to whether a successful result is stored for `key`.
+ */
+export function createResultCache(store) {
+  const inFlight = new Map();
+
+  const compute = async (key, computeResult) => {
+    const result = await computeResult();
+    if (store && result.success) {
+      try {
+        await store.set(key, result);
+      } catch (e) {
+        console.error("Result cache write failed:", e.message);
+      }
+    }
+    return result;
+  };
+
+  return {
+    async has(key) {
+      if (!store) return false;
+      try {
+        return Boolean(await store.get(key));
+      } catch (e) {
+        console.error("Result cache read failed:", e.message);
+        return false;
+      }
+    },
+    async extract(key, computeResult, { noCache = false } = {}) {
+      if (store && !noCache) {
+        try {
+          const result = await store.get(key);
+          if (result) return { result, cached: true };
+        } catch (e) {
+          console.error("Result cache read failed:", e.message);
+        }
+      }
+
+      if (!inFlight.has(key)) {
+        inFlight.set(
+          key,
+          compute(key, computeResult).finally(() => inFlight.delete(key))
+        );
+      }
+      return { result: await inFlight.get(key), cached: false };
+    },
+  };
+}
+
+// Key of a result: the file hash and a short digest of the extraction options sorted by name.
+// Also used as the ETag of the response.
+export function resultKey(sha256, options = {}) {
+  const entries = Object.entries(options)
+    .filter(([, value]) => value !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b));
+  const optionsDigest = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(entries))
+    .digest("hex")
+    .slice(0, 16);
+  return `${sha256}-${optionsDigest}`;
+}
+
+// Whether an If-None-Match header matches the ETag of a result key. "*" matches any key, so
+// callers should also check that a result is cached for it.
+export function matchesEtag(ifNoneMatch, key) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(",").some((tag) => {
+    const value = tag.trim().replace(/^W\//, "");
+    return value === "*" || value === `"${key}"`;
+  });
+}
+
+let resultCache = null;
+
+export function getResultCache() {
+  if (!resultCache) {
+    resultCache = createResultCache(
+      createResultStore(CONFIG.RESULT_CACHE_STORE, {
+        directory: CONFIG.RESULT_CACHE_DIR,
+      })
+    );
+  }
+  return resultCache;
+}
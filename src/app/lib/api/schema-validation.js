@@ -0,0 +1,151 @@
+// Validation of request bodies against the schemas of the OpenAPI document.
+// Supports the JSON Schema subset the document uses: $ref, type, nullable, enum, properties,
+// required, additionalProperties, items, anyOf, min/maxItems, min/maxLength,
+// minimum/maximum and the uri format.
+
+// Keys that can reach Object.prototype when a body is merged into another object.
+// JSON.parse keeps "__proto__" as an own key, so it has to be rejected explicitly.
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+function resolveRef(schema, components) {
+  if (!schema?.$ref) return schema;
+  const name = schema.$ref.replace("#/components/schemas/", "");
+  const resolved = components.schemas?.[name];
+  if (!resolved) throw new Error(`Unknown schema reference: ${schema.$ref}`);
+  return resolved;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function isUri(value) {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function validateValue(value, rawSchema, components, path, errors) {
+  const schema = resolveRef(rawSchema, components);
+  const fail = (message) => errors.push({ path: path || "(body)", message });
+
+  if (value === null && schema.nullable) return;
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      validateValue(value, option, components, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches)
+      fail(
+        schema.description
+          ? `must be ${schema.description}`
+          : "does not match any allowed shape"
+      );
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(
+      `must be ${
+        schema.type === "integer" ||
+        schema.type === "array" ||
+        schema.type === "object"
+          ? "an"
+          : "a"
+      } ${schema.type}`
+    );
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `must be one of ${schema.enum
+        .map((option) => JSON.stringify(option))
+        .join(", ")}`
+    );
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.format === "uri" && !isUri(value)) fail("must be a valid URL");
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum)
+      fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) =>
+        validateValue(item, schema.items, components, `${path}[${i}]`, errors)
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined)
+        fail(`${path ? `${path}.` : ""}${name} is required`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (FORBIDDEN_KEYS.includes(name)) {
+        errors.push({ path: propertyPath, message: "is not an allowed field" });
+      } else if (Object.hasOwn(schema.properties ?? {}, name)) {
+        validateValue(
+          propertyValue,
+          schema.properties[name],
+          components,
+          propertyPath,
+          errors
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: propertyPath,
+          message: "is not a supported field",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        validateValue(
+          propertyValue,
+          schema.additionalProperties,
+          components,
+          propertyPath,
+          errors
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema (usually `{ $ref: '#/components/schemas/...' }`).
+ *
+ * Returns a list of `{ path, message }` problems; empty when the value is valid.
+ */
+export function validateSchema(value, schema, components = {}) {
+  const errors = [];
+  validateValue(value, schema, components, "", errors);
+  return errors;
+}
@@ -0,0 +1,135 @@
+import http from "http";
+import https from "https";
+import crypto from "crypto";
+import { CONFIG } from "lib/api/config";
+import { checkUrl, guardedLookup } from "lib/api/fetch-url";
+
+// Signed webhook delivery for async job callbacks.
+// Receivers verify X-Signature, the hex HMAC-SHA256 of `${X-Signature-Timestamp}.${raw body}`
+// with the shared WEBHOOK_SECRET, and should reject stale timestamps to prevent replays.
+
+// Statuses worth retrying; other 4xx answers mean the callback will never be accepted
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+export function signWebhookPayload(body, secret, timestamp) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Callback URLs get the same SSRF checks as fileUrl downloads (without the domain allow-list)
+export function checkCallbackUrl(
+  url,
+  { allowPrivateNetwork = CONFIG.URL_ALLOW_PRIVATE_NETWORK } = {}
+) {
+  return checkUrl(url, { allowedDomains: [], allowPrivateNetwork });
+}
+
+function postJson(target, body, headers, { timeoutMs, allowPrivateNetwork }) {
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        lookup: allowPrivateNetwork ? undefined : guardedLookup,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
+        timeout: timeoutMs,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    req.on("timeout", () =>
+      req.destroy(new Error(`Callback timed out after ${timeoutMs}ms`))
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST `payload` as JSON to a callback URL, signed with `secret`.
+ *
+ * Network errors, timeouts, 5xx and 408/425/429 answers are retried up to `maxAttempts` times
+ * with exponential backoff (baseDelayMs, 2x, 4x, ...). Never throws: resolves to
+ * `{ status: 'delivered' | 'failed', attempts, statusCode, lastError }`.
+ */
+export async function deliverWebhook(
+  url,
+  payload,
+  {
+    secret = CONFIG.WEBHOOK_SECRET,
+    maxAttempts = CONFIG.WEBHOOK_MAX_ATTEMPTS,
+    baseDelayMs = CONFIG.WEBHOOK_RETRY_BASE_MS,
+    timeoutMs = CONFIG.WEBHOOK_TIMEOUT_MS,
+    allowPrivateNetwork = CONFIG.URL_ALLOW_PRIVATE_NETWORK,
+    headers = {},
+  } = {}
+) {
+  const body = JSON.stringify(payload);
+  let target;
+  try {
+    target = checkCallbackUrl(url, { allowPrivateNetwork });
+  } catch (e) {
+    return {
+      status: "failed",
+      attempts: 0,
+      statusCode: null,
+      lastError: e.message,
+    };
+  }
+
+  let statusCode = null;
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, baseDelayMs * 2 ** (attempt - 2))
+      );
+    }
+
+    // Sign every attempt with a fresh timestamp
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      statusCode = await postJson(
+        target,
+        body,
+        {
+          ...headers,
+          "X-Signature-Timestamp": String(timestamp),
+          "X-Signature": `sha256=${signWebhookPayload(
+            body,
+            secret,
+            timestamp
+          )}`,
+        },
+        { timeoutMs, allowPrivateNetwork }
+      );
+    } catch (e) {
+      statusCode = null;
+      lastError = e.message;
+      continue;
+    }
+
+    if (statusCode >= 200 && statusCode < 300) {
+      return {
+        status: "delivered",
+        attempts: attempt,
+        statusCode,
+        lastError: null,
+      };
+    }
+    lastError = `Callback answered HTTP ${statusCode}`;
+    if (statusCode < 500 && !RETRYABLE_STATUS_CODES.includes(statusCode)) {
+      return { status: "failed", attempts: attempt, statusCode, lastError };
+    }
+  }
+  return { status: "failed", attempts: maxAttempts, statusCode, lastError };
+}
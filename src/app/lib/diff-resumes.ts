@@ -0,0 +1,265 @@
+import type { RootState } from "lib/redux/store";
+import type { ResumeKey } from "lib/redux/types";
+
+export type DiffSection = ResumeKey | "settings";
+
+export interface ResumeChange {
+  // What changed, e.g. "ABC Company › Job Title"
+  label: string;
+  // Empty before a value is added and after it is removed
+  before: string;
+  after: string;
+}
+
+export interface SectionDiff {
+  section: DiffSection;
+  changes: ResumeChange[];
+}
+
+type Fields<T> = { [field in keyof T]?: string };
+
+const joinLabel = (...parts: string[]) => parts.filter(Boolean).join(" › ");
+
+const normalize = (text: string) => text.trim().toLowerCase();
+
+const diffFields = <T extends { [key: string]: any }>(
+  before: T,
+  after: T,
+  fields: Fields<T>,
+  prefix = ""
+): ResumeChange[] =>
+  (Object.keys(fields) as (keyof T)[])
+    .filter((field) => String(before[field]) !== String(after[field]))
+    .map((field) => ({
+      label: joinLabel(prefix, fields[field]!),
+      before: String(before[field]),
+      after: String(after[field]),
+    }));
+
+// Lines only in before are removed and lines only in after are added. Reordering isn't a change.
+const diffLines = (
+  before: string[],
+  after: string[],
+  label: string
+): ResumeChange[] => {
+  const beforeLines = before.filter((line) => line.trim());
+  const afterLines = after.filter((line) => line.trim());
+  return [
+    ...beforeLines
+      .filter((line) => !afterLines.includes(line))
+      .map((line) => ({ label, before: line, after: "" })),
+    ...afterLines
+      .filter((line) => !beforeLines.includes(line))
+      .map((line) => ({ label, before: "", after: line })),
+  ];
+};
+
+/**
+ * Diff two lists of entries, e.g. work experiences, matching entries by their title (e.g. the
+ * company) so that reordering entries or editing one of them doesn't show up as changes to all.
+ */
+const diffEntries = <T extends { [key: string]: any }>(
+  before: T[],
+  after: T[],
+  titleField: keyof T,
+  fields: Fields<T>
+): ResumeChange[] => {
+  const getTitle = (entry: T) => String(entry[titleField]).trim();
+  const isEmpty = (entry: T) =>
+    Object.values(entry).every((value) =>
+      Array.isArray(value) ? value.length === 0 : !String(value).trim()
+    );
+  const summarize = (entry: T) =>
+    Object.keys(fields)
+      .map((field) => String(entry[field]).trim())
+      .filter(Boolean)
+      .join(", ");
+
+  const beforeEntries = before.filter((entry) => !isEmpty(entry));
+  const afterEntries = after.filter((entry) => !isEmpty(entry));
+  const unmatchedAfterEntries = [...afterEntries];
+  const changes: ResumeChange[] = [];
+
+  for (const beforeEntry of beforeEntries) {
+    const idx = unmatchedAfterEntries.findIndex(
+      (entry) => normalize(getTitle(entry)) === normalize(getTitle(beforeEntry))
+    );
+    if (idx === -1) {
+      changes.push({
+        label: getTitle(beforeEntry),
+        before: summarize(beforeEntry),
+        after: "",
+      });
+      continue;
+    }
+    const [afterEntry] = unmatchedAfterEntries.splice(idx, 1);
+    const title = getTitle(afterEntry);
+    changes.push(...diffFields(beforeEntry, afterEntry, fields, title));
+    if ("descriptions" in beforeEntry) {
+      changes.push(
+        ...diffLines(
+          beforeEntry.descriptions,
+          afterEntry.descriptions,
+          joinLabel(title, "Descriptions")
+        )
+      );
+    }
+  }
+
+  for (const afterEntry of unmatchedAfterEntries) {
+    changes.push({
+      label: getTitle(afterEntry),
+      before: "",
+      after: summarize(afterEntry),
+    });
+  }
+  return changes;
+};
+
+/**
+ * Section by section diff of two resume versions. Every section is returned in resume order,
+ * with no changes if it is the same in both versions.
+ */
+export const diffResumes = (
+  before: RootState,
+  after: RootState
+): SectionDiff[] => {
+  const { resume: a, settings: aSettings } = before;
+  const { resume: b, settings: bSettings } = after;
+
+  const toRating = (featuredSkills: typeof a.skills.featuredSkills) =>
+    featuredSkills
+      .filter(({ skill }) => skill.trim())
+      .map(({ skill, rating }) => ({ skill, rating: `${rating + 1}/5` }));
+
+  const toFormsOrder = ({ formsOrder, formToHeading }: typeof aSettings) =>
+    formsOrder.map((form) => formToHeading[form]).join(", ");
+
+  return [
+    {
+      section: "profile",
+      changes: diffFields(a.profile, b.profile, {
+        name: "Name",
+        summary: "Objective",
+        email: "Email",
+        phone: "Phone",
+        url: "Website",
+        location: "Location",
+      }),
+    },
+    {
+      section: "workExperiences",
+      changes: diffEntries(a.workExperiences, b.workExperiences, "company", {
+        company: "Company",
+        jobTitle: "Job Title",
+        date: "Date",
+      }),
+    },
+    {
+      section: "educations",
+      changes: diffEntries(a.educations, b.educations, "school", {
+        school: "School",
+        degree: "Degree",
+        gpa: "GPA",
+        date: "Date",
+      }),
+    },
+    {
+      section: "projects",
+      changes: diffEntries(a.projects, b.projects, "project", {
+        project: "Project Name",
+        date: "Date",
+      }),
+    },
+    {
+      section: "skills",
+      changes: [
+        ...diffEntries(
+          toRating(a.skills.featuredSkills),
+          toRating(b.skills.featuredSkills),
+          "skill",
+          { skill: "Featured Skill", rating: "Rating" }
+        ),
+        ...diffLines(a.skills.descriptions, b.skills.descriptions, "Skills"),
+      ],
+    },
+    {
+      section: "certifications",
+      changes: diffEntries(a.certifications, b.certifications, "name", {
+        name: "Certification",
+        issuer: "Issuer",
+        date: "Date",
+        url: "Link",
+      }),
+    },
+    {
+      section: "awards",
+      changes: diffEntries(a.awards, b.awards, "title", {
+        title: "Award",
+        awarder: "Awarded By",
+        date: "Date",
+      }),
+    },
+    {
+      section: "languages",
+      changes: diffEntries(a.languages, b.languages, "language", {
+        language: "Language",
+        proficiency: "Proficiency",
+      }),
+    },
+    {
+      section: "volunteerExperiences",
+      changes: diffEntries(
+        a.volunteerExperiences,
+        b.volunteerExperiences,
+        "organization",
+        { organization: "Organization", role: "Role", date: "Date" }
+      ),
+    },
+    {
+      section: "publications",
+      changes: diffEntries(a.publications, b.publications, "name", {
+        name: "Title",
+        publisher: "Publisher",
+        date: "Date",
+        url: "Link",
+      }),
+    },
+    {
+      section: "custom",
+      changes: diffLines(
+        a.custom.descriptions,
+        b.custom.descriptions,
+        "Descriptions"
+      ),
+    },
+    {
+      section: "settings",
+      changes: [
+        ...diffFields(aSettings, bSettings, {
+          themeColor: "Theme Color",
+          fontFamily: "Font Family",
+          fontSize: "Font Size (pt)",
+          documentSize: "Document Size",
+        }),
+        ...diffFields(
+          aSettings.formToHeading,
+          bSettings.formToHeading,
+          aSettings.formToHeading,
+          "Section Heading"
+        ),
+        ...diffFields(
+          aSettings.formToShow,
+          bSettings.formToShow,
+          aSettings.formToHeading,
+          "Show Section"
+        ),
+        ...diffFields(
+          { formsOrder: toFormsOrder(aSettings) },
+          { formsOrder: toFormsOrder(bSettings) },
+          { formsOrder: "Section Order" }
+        ),
+      ],
+    },
+  ];
+};
@@ -0,0 +1,159 @@
+import type { Resume } from "lib/redux/types";
+import type { ParserVocabulary } from "lib/parse-resume-from-pdf/types";
+import { toDateRange } from "lib/resume-file/dates";
+import type { DateRange } from "lib/resume-file/dates";
+
+export interface TimelineGap {
+  // Company of the job before and after the gap
+  after: string;
+  before: string;
+  // First and last month without a job, e.g. "2021-06"
+  start: string;
+  end: string;
+  months: number;
+}
+
+export interface TimelineOverlap {
+  companies: [string, string];
+  // First and last month of both jobs
+  start: string;
+  end: string;
+  months: number;
+}
+
+export interface UnreadableDate {
+  section: "workExperiences" | "educations";
+  index: number;
+  date: string;
+}
+
+export interface ExperienceTimeline {
+  // Normalized date of each work experience and education, null if it has no date or
+  // can't be read
+  workExperiences: (DateRange | null)[];
+  educations: (DateRange | null)[];
+  unreadableDates: UnreadableDate[];
+  // Years with at least one job, to one decimal
+  totalYearsOfExperience: number;
+  gaps: TimelineGap[];
+  overlaps: TimelineOverlap[];
+}
+
+// Jobs that share a single month, e.g. "Jan 2020 - May 2021" and "May 2021 - Present", are
+// a change of job rather than an overlap
+const MIN_OVERLAP_MONTHS = 2;
+
+// "2023-05" to a count of months, so months can be subtracted
+const toMonthCount = (month: string) =>
+  Number(month.slice(0, 4)) * 12 + Number(month.slice(5, 7)) - 1;
+
+const fromMonthCount = (monthCount: number) => {
+  const month = String((monthCount % 12) + 1).padStart(2, "0");
+  return `${Math.floor(monthCount / 12)}-${month}`;
+};
+
+const normalizeDates = (
+  entries: { date: string }[],
+  section: UnreadableDate["section"],
+  unreadableDates: UnreadableDate[],
+  vocabulary?: ParserVocabulary
+) =>
+  entries.map(({ date }, index) => {
+    const dateRange = toDateRange(date, vocabulary);
+    if (!dateRange && date.trim()) {
+      unreadableDates.push({ section, index, date });
+    }
+    return dateRange;
+  });
+
+/**
+ * Compute the experience timeline of a resume: the normalized dates of its work experiences
+ * and educations, and from its jobs the total years of experience, the gaps between jobs
+ * and the jobs that overlap. Ongoing jobs end at the month of `now`. Dates are read with the
+ * vocabulary of the resume language, English by default.
+ */
+export const getExperienceTimeline = (
+  {
+    workExperiences,
+    educations,
+  }: Pick<Resume, "workExperiences" | "educations">,
+  now = new Date(),
+  vocabulary?: ParserVocabulary
+): ExperienceTimeline => {
+  const unreadableDates: UnreadableDate[] = [];
+  const workExperienceDates = normalizeDates(
+    workExperiences,
+    "workExperiences",
+    unreadableDates,
+    vocabulary
+  );
+  const educationDates = normalizeDates(
+    educations,
+    "educations",
+    unreadableDates,
+    vocabulary
+  );
+
+  const currentMonth = now.getFullYear() * 12 + now.getMonth();
+  const jobs = workExperienceDates
+    .flatMap((dateRange, idx) =>
+      dateRange
+        ? [
+            {
+              company: workExperiences[idx].company,
+              start: toMonthCount(dateRange.start),
+              end: dateRange.end ? toMonthCount(dateRange.end) : currentMonth,
+            },
+          ]
+        : []
+    )
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const overlaps: TimelineOverlap[] = [];
+  jobs.forEach((job, idx) => {
+    for (const laterJob of jobs.slice(idx + 1)) {
+      const start = laterJob.start;
+      const end = Math.min(job.end, laterJob.end);
+      const months = end - start + 1;
+      if (months >= MIN_OVERLAP_MONTHS) {
+        overlaps.push({
+          companies: [job.company, laterJob.company],
+          start: fromMonthCount(start),
+          end: fromMonthCount(end),
+          months,
+        });
+      }
+    }
+  });
+
+  // Walk the jobs in order, tracking the job that ends last so far
+  let months = 0;
+  const gaps: TimelineGap[] = [];
+  let lastJob: (typeof jobs)[number] | undefined;
+  for (const job of jobs) {
+    if (lastJob && job.start > lastJob.end + 1) {
+      gaps.push({
+        after: lastJob.company,
+        before: job.company,
+        start: fromMonthCount(lastJob.end + 1),
+        end: fromMonthCount(job.start - 1),
+        months: job.start - lastJob.end - 1,
+      });
+    }
+    if (!lastJob || job.start > lastJob.end) {
+      months += job.end - job.start + 1;
+    } else if (job.end > lastJob.end) {
+      months += job.end - lastJob.end;
+    }
+    if (!lastJob || job.end > lastJob.end) lastJob = job;
+  }
+
+  return {
+    workExperiences: workExperienceDates,
+    educations: educationDates,
+    unreadableDates,
+    totalYearsOfExperience: Math.round((months / 12) * 10) / 10,
+    gaps,
+    overlaps,
+  };
+};
@@ -0,0 +1,227 @@
+import type { Resume } from "lib/redux/types";
+
+export interface WeightedTerm {
+  term: string;
+  // Relative importance in the job description, 1 for the most important term
+  weight: number;
+}
+
+export interface MatchedBulletPoint {
+  text: string;
+  company: string;
+  // Sum of the weights of the job description terms in the bullet point
+  score: number;
+  terms: string[];
+}
+
+export interface JobMatch {
+  // Share of the weighted job description terms found in the resume, from 0 to 100
+  score: number;
+  matchedSkills: WeightedTerm[];
+  missingSkills: WeightedTerm[];
+  matchedKeywords: WeightedTerm[];
+  missingKeywords: WeightedTerm[];
+  topBulletPoints: MatchedBulletPoint[];
+}
+
+// prettier-ignore
+const STOPWORDS = new Set(['a', 'about', 'above', 'across', 'after', 'all', 'also', 'an', 'and', 'and/or', 'any', 'are', 'as', 'at', 'be', 'been', 'being', 'both', 'but', 'by', 'can', 'could', 'do', 'does', 'e.g', 'each', 'etc', 'every', 'for', 'from', 'had', 'has', 'have', 'how', 'i.e', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'may', 'more', 'most', 'must', 'not', 'of', 'on', 'one', 'or', 'other', 'our', 'out', 'over', 'own', 'per', 'same', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'up', 'us', 'very', 'was', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'would', 'you', 'your',
+  // Words of every job description
+  'ability', 'able', 'applicant', 'apply', 'benefit', 'bonus', 'candidate', 'company', 'competitive', 'day', 'degree', 'equivalent', 'excellent', 'experience', 'experienced', 'familiarity', 'good', 'great', 'help', 'ideal', 'ideally', 'including', 'job', 'join', 'knowledge', 'like', 'looking', 'love', 'month', 'new', 'nice', 'offer', 'opportunity', 'plus', 'position', 'preferred', 'proficiency', 'proven', 'related', 'required', 'requirement', 'responsibilities', 'responsibility', 'role', 'salary', 'seeking', 'skill', 'strong', 'team', 'understanding', 'want', 'work', 'working', 'year', 'years']);
+
+// prettier-ignore
+const KNOWN_SKILLS = ['.net', 'agile', 'airflow', 'android', 'angular', 'ansible', 'api', 'aws', 'azure', 'bash', 'c', 'c#', 'c++', 'ci/cd', 'communication', 'css', 'data analysis', 'data structures', 'deep learning', 'django', 'docker', 'elasticsearch', 'excel', 'express', 'figma', 'flask', 'gcp', 'git', 'go', 'golang', 'google cloud', 'graphql', 'hadoop', 'html', 'ios', 'java', 'javascript', 'jenkins', 'jira', 'kafka', 'kotlin', 'kubernetes', 'leadership', 'linux', 'machine learning', 'mentoring', 'microservices', 'mongodb', 'mysql', 'next.js', 'nlp', 'node.js', 'nosql', 'pandas', 'php', 'postgresql', 'power bi', 'product management', 'project management', 'python', 'pytorch', 'r', 'rails', 'react', 'react native', 'redis', 'redux', 'rest', 'ruby', 'rust', 'sass', 'scala', 'scrum', 'spark', 'spring', 'sql', 'swift', 'tableau', 'tailwind', 'tensorflow', 'terraform', 'typescript', 'vue', 'webpack'];
+
+const MAX_TERMS = 30;
+const MAX_BULLET_POINTS = 5;
+
+// Keep the dots, pluses and hashes of e.g. "node.js", "c++" and "c#" but not a full stop
+const TOKEN_PATTERN = /\.?[a-z0-9](?:[a-z0-9+#]|[./](?=[a-z0-9]))*/gi;
+// Terms don't span a punctuation mark
+const PHRASE_SEPARATOR_PATTERN = /[\n,;:()!?|•]|\.(?=\s|$)/;
+
+// Lowercase and drop a plural "s", so "APIs" matches "API"
+const toKey = (token: string) => {
+  const key = token.toLowerCase();
+  return key.length > 3 && /[^su]s$/.test(key) && !key.endsWith("is")
+    ? key.slice(0, -1)
+    : key;
+};
+
+const KNOWN_SKILL_KEYS = new Set(
+  KNOWN_SKILLS.map((skill) => skill.split(" ").map(toKey).join(" "))
+);
+
+const isCandidateToken = (key: string) =>
+  !STOPWORDS.has(key) &&
+  // Numbers, e.g. the "5+" of "5+ years"
+  !/^\d+\+?$/.test(key) &&
+  (key.length > 1 || KNOWN_SKILL_KEYS.has(key));
+
+/**
+ * Split a text into phrases of tokens, each with its key and its text as written
+ */
+const tokenize = (text: string) =>
+  text
+    .split(PHRASE_SEPARATOR_PATTERN)
+    .map((phrase) =>
+      (phrase.match(TOKEN_PATTERN) ?? []).map((token) => ({
+        key: toKey(token),
+        text: token,
+      }))
+    )
+    .filter((tokens) => tokens.length > 0);
+
+/**
+ * Return the keys of the single words and word pairs of a text
+ */
+const getTermKeys = (text: string) => {
+  const keys = new Set<string>();
+  for (const tokens of tokenize(text)) {
+    tokens.forEach(({ key }, idx) => {
+      keys.add(key);
+      if (idx > 0) keys.add(`${tokens[idx - 1].key} ${key}`);
+    });
+  }
+  return keys;
+};
+
+/**
+ * Extract the weighted terms of a job description. A term is a word or a word pair that
+ * appears more than once or is a known skill. Its weight grows with how often it appears,
+ * and skills, i.e. known skills and skills of the resume, count double.
+ */
+const getJobTerms = (jobDescription: string, resumeSkillKeys: Set<string>) => {
+  const keyToTerm = new Map<string, { text: string; count: number }>();
+  const addTerm = (key: string, text: string, count = 1) => {
+    const term = keyToTerm.get(key);
+    if (term) {
+      term.count += count;
+    } else {
+      keyToTerm.set(key, { text, count });
+    }
+  };
+
+  const pairs: { key: string; text: string; wordKeys: string[] }[] = [];
+  for (const tokens of tokenize(jobDescription)) {
+    tokens.forEach((token, idx) => {
+      if (!isCandidateToken(token.key)) return;
+      addTerm(token.key, token.text);
+      const prevToken = tokens[idx - 1];
+      if (prevToken && isCandidateToken(prevToken.key)) {
+        pairs.push({
+          key: `${prevToken.key} ${token.key}`,
+          text: `${prevToken.text} ${token.text}`,
+          wordKeys: [prevToken.key, token.key],
+        });
+      }
+    });
+  }
+
+  // A word pair that is a term replaces its words, e.g. "machine learning"
+  const pairKeyToCount = new Map<string, number>();
+  pairs.forEach(({ key }) =>
+    pairKeyToCount.set(key, (pairKeyToCount.get(key) ?? 0) + 1)
+  );
+  for (const { key, text, wordKeys } of pairs) {
+    if (pairKeyToCount.get(key)! > 1 || KNOWN_SKILL_KEYS.has(key)) {
+      addTerm(key, text);
+      wordKeys.forEach((wordKey) => addTerm(wordKey, "", -1));
+    }
+  }
+
+  const terms = Array.from(keyToTerm.entries())
+    .filter(([_, { count }]) => count > 0)
+    .map(([key, { text, count }]) => {
+      const isSkill = KNOWN_SKILL_KEYS.has(key) || resumeSkillKeys.has(key);
+      return { key, term: text, isSkill, weight: isSkill ? count * 2 : count };
+    })
+    // Stable sort keeps the job description order for terms of the same weight
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_TERMS);
+
+  const maxWeight = Math.max(...terms.map(({ weight }) => weight));
+  return terms.map((term) => ({
+    ...term,
+    weight: Math.round((term.weight / maxWeight) * 100) / 100,
+  }));
+};
+
+/**
+ * Match a resume to a job description: how much of the job description the resume covers,
+ * which of its skills and keywords the resume has or misses, and the work experience bullet
+ * points that match it the most.
+ *
+ * The resume side reads the featured skills, the skills descriptions, the work experience
+ * bullet points and the profile summary.
+ */
+export const matchResumeToJob = (
+  resume: Resume,
+  jobDescription: string
+): JobMatch => {
+  const { profile, skills, workExperiences } = resume;
+  const skillTexts = [
+    ...skills.featuredSkills.map(({ skill }) => skill),
+    ...skills.descriptions.flatMap((description) =>
+      // "Languages: Python, Go" lists the skills Python and Go
+      description.replace(/^[^:]*:/, "").split(",")
+    ),
+  ].filter((text) => text.trim());
+  const resumeSkillKeys = new Set(
+    skillTexts.map((text) =>
+      tokenize(text)
+        .flat()
+        .map(({ key }) => key)
+        .join(" ")
+    )
+  );
+
+  const jobTerms = getJobTerms(jobDescription, resumeSkillKeys);
+  const resumeTermKeys = getTermKeys(
+    [
+      profile.summary,
+      ...skillTexts,
+      ...workExperiences.flatMap(({ descriptions }) => descriptions),
+    ].join("\n")
+  );
+
+  const matchedTerms = jobTerms.filter(({ key }) => resumeTermKeys.has(key));
+  const missingTerms = jobTerms.filter(({ key }) => !resumeTermKeys.has(key));
+  const toWeightedTerms = (terms: typeof jobTerms, isSkill: boolean) =>
+    terms
+      .filter((term) => term.isSkill === isSkill)
+      .map(({ term, weight }) => ({ term, weight }));
+
+  const sumWeights = (terms: { weight: number }[]) =>
+    terms.reduce((acc, { weight }) => acc + weight, 0);
+  const totalWeight = sumWeights(jobTerms);
+
+  const topBulletPoints = workExperiences
+    .flatMap(({ company, descriptions }) =>
+      descriptions.map((text) => {
+        const keys = getTermKeys(text);
+        const terms = matchedTerms.filter(({ key }) => keys.has(key));
+        return {
+          text,
+          company,
+          score: Math.round(sumWeights(terms) * 100) / 100,
+          terms: terms.map(({ term }) => term),
+        };
+      })
+    )
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_BULLET_POINTS);
+
+  return {
+    score:
+      totalWeight > 0
+        ? Math.round((sumWeights(matchedTerms) / totalWeight) * 100)
+        : 0,
+    matchedSkills: toWeightedTerms(matchedTerms, true),
+    missingSkills: toWeightedTerms(missingTerms, true),
+    matchedKeywords: toWeightedTerms(matchedTerms, false),
+    missingKeywords: toWeightedTerms(missingTerms, false),
+    topBulletPoints,
+  };
+};
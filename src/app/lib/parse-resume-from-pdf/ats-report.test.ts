@@ -0,0 +1,129 @@
+import {
+  getAtsReport,
+  isPageTextOutOfOrder,
+} from "lib/parse-resume-from-pdf/ats-report";
+import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
+import { groupLinesIntoSections } from "lib/parse-resume-from-pdf/group-lines-into-sections";
+import { extractResumeFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import { getFieldConfidence } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/confidence";
+import type { TextItem, TextItems } from "lib/parse-resume-from-pdf/types";
+
+const makeTextItem = (
+  text: string,
+  y: number,
+  fontName = "Arial"
+): TextItem => ({
+  text,
+  x: 40,
+  y,
+  width: text.length * 5,
+  height: 10,
+  fontName,
+  hasEOL: true,
+});
+
+// One text item per line, 20pt apart from the top of the page
+const makePage = (texts: [string, string?][]): TextItems =>
+  texts.map(([text, fontName], idx) =>
+    makeTextItem(text, 700 - idx * 20, fontName)
+  );
+
+const getReport = (textItems: TextItems) => {
+  const lines = groupTextItemsIntoLines(textItems);
+  const sections = groupLinesIntoSections(lines);
+  const resume = extractResumeFromSections(sections);
+  const pageLayouts = [
+    { pageNumber: 1, numColumns: 1, isTextOutOfOrder: false },
+  ];
+  return getAtsReport({ lines, sections, resume, pageLayouts });
+};
+
+describe("ats-report tests - ", () => {
+  it("Reports no issues for a well formatted resume", () => {
+    const report = getReport(
+      makePage([
+        ["John Doe", "Arial-Bold"],
+        ["hello@openresume.com"],
+        ["123-456-7890"],
+        ["EDUCATION", "Arial-Bold"],
+        ["XYZ University", "Arial-Bold"],
+        ["Bachelor of Science in Computer Science"],
+        ["May 2023"],
+        ["WORK EXPERIENCE", "Arial-Bold"],
+        ["ABC Company", "Arial-Bold"],
+        ["Software Engineer"],
+        ["May 2023 - Present"],
+      ])
+    );
+    expect(report).toEqual({ score: 100, issues: [] });
+  });
+
+  it("Reports missing contact info, keyword only titles and unreadable dates", () => {
+    const report = getReport(
+      makePage([
+        ["John Doe", "Arial-Bold"],
+        ["Los Angeles, CA"],
+        ["Education"],
+        ["XYZ University", "Arial-Bold"],
+        ["Bachelor of Science in Computer Science"],
+        ["Fall 2019 - Graduation"],
+      ])
+    );
+    expect(report.issues).toEqual([
+      { severity: "error", message: "No email was detected." },
+      {
+        severity: "warning",
+        message: "No work experience section was detected.",
+      },
+      {
+        severity: "warning",
+        message:
+          'Section title "Education" isn\'t bold and uppercase, so it was only detected by its keyword.',
+      },
+      { severity: "warning", message: "No phone number was detected." },
+      {
+        severity: "warning",
+        message:
+          'The date "Fall 2019 - Graduation" of XYZ University can\'t be read as a month and year.',
+      },
+    ]);
+    expect(report.score).toBe(60);
+  });
+
+  it("Detects text stored out of reading order", () => {
+    const page = makePage([
+      ["John Doe"],
+      ["EDUCATION"],
+      ["XYZ University"],
+      ["WORK EXPERIENCE"],
+      ["ABC Company"],
+      ["Software Engineer"],
+    ]);
+    expect(isPageTextOutOfOrder(page, 1)).toBe(false);
+
+    // The bottom half of the page comes first
+    const shuffledPage = [...page.slice(3), ...page.slice(0, 3)];
+    expect(isPageTextOutOfOrder(shuffledPage, 1)).toBe(true);
+    // Unless the page has two columns
+    expect(isPageTextOutOfOrder(shuffledPage, 2)).toBe(false);
+  });
+
+  it("Gives a field a confidence from its feature score and lead", () => {
+    const textScores = [
+      { text: "hello@openresume.com", score: 4, match: true },
+      { text: "John Doe", score: -4, match: false },
+    ];
+    expect(getFieldConfidence("hello@openresume.com", textScores)).toBe(1);
+    expect(getFieldConfidence("", textScores)).toBe(0);
+
+    const closeTextScores = [
+      { text: "ABC Company", score: 2, match: false },
+      { text: "Software Engineer", score: 1, match: false },
+    ];
+    expect(getFieldConfidence("ABC Company", closeTextScores)).toBe(0.38);
+    // Not picked from these scores
+    expect(getFieldConfidence("XYZ University", closeTextScores)).toBe(
+      undefined
+    );
+  });
+});
@@ -0,0 +1,187 @@
+import type { Resume } from "lib/redux/types";
+import type {
+  Lines,
+  PageLayout,
+  ParserVocabulary,
+  ResumeSectionToLines,
+  TextItems,
+} from "lib/parse-resume-from-pdf/types";
+import {
+  PROFILE_SECTION,
+  isSectionTitle,
+} from "lib/parse-resume-from-pdf/group-lines-into-sections";
+import {
+  hasLetter,
+  hasLetterAndIsAllUpperCase,
+  isBold,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+import { ENGLISH_VOCABULARY } from "lib/parse-resume-from-pdf/language-packs";
+import { toDateRange } from "lib/resume-file/dates";
+
+export type AtsIssueSeverity = "error" | "warning";
+
+export interface AtsIssue {
+  severity: AtsIssueSeverity;
+  message: string;
+}
+
+export interface AtsReport {
+  // 100 for a resume without issues
+  score: number;
+  issues: AtsIssue[];
+}
+
+// An error most likely loses information in an ATS, a warning might
+const SEVERITY_TO_PENALTY: Record<AtsIssueSeverity, number> = {
+  error: 20,
+  warning: 5,
+};
+
+// Small jumps back up are fine, e.g. a featured skills grid read column by column
+const MIN_JUMP_UP_SHARE = 0.1;
+
+/**
+ * Return whether the text items of a page, in the order the pdf stores them, jump back
+ * up the page more often than reading a page of numColumns columns needs to. Each
+ * column after the first starts back at the top.
+ */
+export const isPageTextOutOfOrder = (
+  pageTextItems: TextItems,
+  numColumns: number
+) => {
+  const items = pageTextItems.filter((item) => item.text.trim() !== "");
+  const ys = items.map((item) => item.y);
+  const minJumpUp = (Math.max(...ys) - Math.min(...ys)) * MIN_JUMP_UP_SHARE;
+  let numJumpsUp = 0;
+  for (let i = 1; i < items.length; i++) {
+    // Origin (0, 0) is bottom left, so a higher y is higher on the page
+    const jumpUp = items[i].y - items[i - 1].y;
+    if (jumpUp > Math.max(minJumpUp, items[i].height)) {
+      numJumpsUp++;
+    }
+  }
+  return numJumpsUp > numColumns - 1;
+};
+
+const getDatedEntries = (resume: Resume) => [
+  ...resume.workExperiences.map(({ company, date }) => ({
+    title: company,
+    date,
+  })),
+  ...resume.educations.map(({ school, date }) => ({ title: school, date })),
+  ...resume.projects.map(({ project, date }) => ({ title: project, date })),
+  ...resume.certifications.map(({ name, date }) => ({ title: name, date })),
+  ...resume.awards.map(({ title, date }) => ({ title, date })),
+  ...resume.volunteerExperiences.map(({ organization, date }) => ({
+    title: organization,
+    date,
+  })),
+  ...resume.publications.map(({ name, date }) => ({ title: name, date })),
+];
+
+/**
+ * Report what makes a resume pdf hard to read for an applicant tracking system (ATS),
+ * which parses a resume much like this parser does: undetected section titles, missing
+ * contact info, text stored out of reading order, section titles that aren't bold and
+ * uppercase, and dates that can't be read. The score starts at 100 and every issue
+ * takes points off.
+ */
+export const getAtsReport = ({
+  lines,
+  sections,
+  resume,
+  pageLayouts,
+  vocabulary = ENGLISH_VOCABULARY,
+}: {
+  lines: Lines;
+  sections: ResumeSectionToLines;
+  resume: Resume;
+  pageLayouts: PageLayout[];
+  vocabulary?: ParserVocabulary;
+}): AtsReport => {
+  const issues: AtsIssue[] = [];
+  const addIssue = (severity: AtsIssueSeverity, message: string) =>
+    issues.push({ severity, message });
+
+  // Section titles
+  const sectionTitles = Object.keys(sections).filter(
+    (section) => section !== PROFILE_SECTION
+  );
+  if (sectionTitles.length === 0) {
+    addIssue(
+      "error",
+      "No section titles were detected. Put each section title, e.g. EDUCATION, on a line of its own."
+    );
+  } else {
+    if (resume.workExperiences.length === 0) {
+      addIssue("warning", "No work experience section was detected.");
+    }
+    if (resume.educations.length === 0) {
+      addIssue("warning", "No education section was detected.");
+    }
+  }
+  lines.forEach((line, idx) => {
+    if (!isSectionTitle(line, idx, vocabulary)) return;
+    const textItem = line[0];
+    // Chinese, Japanese and Korean have no uppercase
+    const isUppercase =
+      hasLetterAndIsAllUpperCase(textItem) || !hasLetter(textItem);
+    if (!isBold(textItem) || !isUppercase) {
+      addIssue(
+        "warning",
+        `Section title "${textItem.text.trim()}" isn't bold and uppercase, so it was only detected by its keyword.`
+      );
+    }
+  });
+
+  // Contact info
+  if (!resume.profile.name) {
+    addIssue("error", "No name was detected.");
+  }
+  if (!resume.profile.email) {
+    addIssue("error", "No email was detected.");
+  }
+  if (!resume.profile.phone) {
+    addIssue("warning", "No phone number was detected.");
+  }
+
+  // Reading order
+  for (const { pageNumber, numColumns, isTextOutOfOrder } of pageLayouts) {
+    if (isTextOutOfOrder) {
+      addIssue(
+        "error",
+        `The text on page ${pageNumber} is stored out of reading order, which is common for pdfs exported from design tools.`
+      );
+    }
+    if (numColumns > 1) {
+      addIssue(
+        "warning",
+        `Page ${pageNumber} has ${numColumns} columns. Some ATS read across columns, so a single column is safer.`
+      );
+    }
+  }
+
+  // Dates, read the same way as for the experience timeline
+  for (const { title, date } of getDatedEntries(resume)) {
+    if (date && !toDateRange(date, vocabulary)) {
+      addIssue(
+        "warning",
+        `The date "${date}"${
+          title ? ` of ${title}` : ""
+        } can't be read as a month and year.`
+      );
+    }
+  }
+
+  const penalty = issues.reduce(
+    (acc, { severity }) => acc + SEVERITY_TO_PENALTY[severity],
+    0
+  );
+  return {
+    score: Math.max(100 - penalty, 0),
+    issues: [
+      ...issues.filter(({ severity }) => severity === "error"),
+      ...issues.filter(({ severity }) => severity === "warning"),
+    ],
+  };
+};
@@ -0,0 +1,81 @@
+import { orderTextItemsByColumns } from "lib/parse-resume-from-pdf/detect-columns";
+import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
+import type { TextItem, TextItems } from "lib/parse-resume-from-pdf/types";
+
+const CHAR_WIDTH = 5;
+const makeTextItem = (text: string, x: number, y: number): TextItem => ({
+  text,
+  x,
+  y,
+  width: text.length * CHAR_WIDTH,
+  height: 10,
+  fontName: "Arial",
+  hasEOL: false,
+});
+
+// Text items ordered line by line across the page, as pdfjs reads them
+const readLineByLine = (rows: [number, string, string?][]): TextItems =>
+  rows.flatMap(([y, left, right]) => {
+    const items = [makeTextItem(left, 40, y)];
+    if (right) items.push(makeTextItem(right, 220, y));
+    items[items.length - 1].hasEOL = true;
+    return items;
+  });
+
+const getLineTexts = (textItems: TextItems) =>
+  groupTextItemsIntoLines(textItems).map((line) =>
+    line.map(({ text }) => text).join(" ")
+  );
+
+describe("detect-columns tests - ", () => {
+  it("Reads a page with a sidebar one column at a time", () => {
+    const textItems = [
+      // A name header that crosses both columns
+      {
+        ...makeTextItem("John Doe - Software Engineer at ABC Company", 40, 760),
+        hasEOL: true,
+      },
+      ...readLineByLine([
+        [720, "CONTACT", "WORK EXPERIENCE"],
+        [700, "hello@openresume.com", "ABC Company"],
+        [680, "123-456-7890", "Software Engineer building payment APIs"],
+        [660, "SKILLS", "Led a team of five engineers"],
+        [640, "TypeScript", "EDUCATION"],
+        [620, "React", "XYZ University"],
+      ]),
+    ];
+
+    const { textItems: orderedItems, numColumns } =
+      orderTextItemsByColumns(textItems);
+    expect(numColumns).toBe(2);
+    expect(getLineTexts(orderedItems)).toEqual([
+      "John Doe - Software Engineer at ABC Company",
+      "CONTACT",
+      "hello@openresume.com",
+      "123-456-7890",
+      "SKILLS",
+      "TypeScript",
+      "React",
+      "WORK EXPERIENCE",
+      "ABC Company",
+      "Software Engineer building payment APIs",
+      "Led a team of five engineers",
+      "EDUCATION",
+      "XYZ University",
+    ]);
+  });
+
+  it("Keeps a single column page with right aligned dates as is", () => {
+    const textItems = readLineByLine([
+      [720, "WORK EXPERIENCE"],
+      [700, "ABC Company", "May 2023 - Present"],
+      [680, "Built the payments API used by millions of customers"],
+      [660, "DEF Organization", "Summer 2022"],
+      [640, "Led a team of five engineers to migrate the data warehouse"],
+    ]);
+
+    const result = orderTextItemsByColumns(textItems);
+    expect(result.numColumns).toBe(1);
+    expect(result.textItems).toBe(textItems);
+  });
+});
@@ -0,0 +1,228 @@
+import type { TextItem, TextItems } from "lib/parse-resume-from-pdf/types";
+
+interface Gutter {
+  start: number;
+  end: number;
+}
+
+// A few text items, e.g. a name header or a full width summary line, may cross
+// the blank strip between two columns
+const MAX_CROSSING_SHARE = 0.1;
+// Each column must hold at least this share of the page's characters and width,
+// so right aligned dates of a single column resume don't count as a column
+const MIN_COLUMN_SHARE = 0.15;
+const MIN_COLUMN_LINES = 3;
+// Columns sit side by side, so their vertical extents mostly overlap
+const MIN_Y_OVERLAP_SHARE = 0.5;
+
+const isText = (item: TextItem) => item.text.trim() !== "" && item.width > 0;
+const getXEnd = (item: TextItem) => item.x + item.width;
+const getLineY = (item: TextItem) => Math.round(item.y);
+const crossesGutter = (item: TextItem, { start, end }: Gutter) =>
+  item.x < end && getXEnd(item) > start;
+
+const getMedian = (numbers: number[]) => {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Return the vertical strips that (almost) no text item crosses, by counting
+ * how many text items cover each 1pt wide x position of the page.
+ */
+const findGutterCandidates = (items: TextItems): Gutter[] => {
+  const minX = Math.floor(Math.min(...items.map((item) => item.x)));
+  const maxX = Math.ceil(Math.max(...items.map(getXEnd)));
+  const coverage: number[] = new Array(maxX - minX).fill(0);
+  for (let item of items) {
+    const xEnd = Math.ceil(getXEnd(item));
+    for (let x = Math.floor(item.x); x < xEnd; x++) {
+      coverage[x - minX]++;
+    }
+  }
+
+  const maxCrossings = Math.max(
+    2,
+    Math.floor(items.length * MAX_CROSSING_SHARE)
+  );
+  // A gutter is wider than the gap between words, which is below a char height
+  const minGutterWidth = getMedian(items.map((item) => item.height));
+
+  // The leftmost and rightmost positions are always covered, so a strip found
+  // here always has text on both sides
+  const candidates: Gutter[] = [];
+  let start = -1;
+  for (let i = 0; i < coverage.length; i++) {
+    const isBlank = coverage[i] <= maxCrossings;
+    if (isBlank && start === -1) {
+      start = i;
+    } else if (!isBlank && start !== -1) {
+      const gutter = getLeastCoveredRun(coverage, start, i);
+      if (gutter.end - gutter.start >= minGutterWidth) {
+        candidates.push({ start: minX + gutter.start, end: minX + gutter.end });
+      }
+      start = -1;
+    }
+  }
+  return candidates;
+};
+
+/**
+ * Narrow a blank strip down to its longest run of least covered positions, so
+ * a long line that sticks into the strip isn't taken to cross the gutter
+ */
+const getLeastCoveredRun = (
+  coverage: number[],
+  start: number,
+  end: number
+): Gutter => {
+  const minCoverage = Math.min(...coverage.slice(start, end));
+  let longest: Gutter = { start, end: start };
+  let runStart = -1;
+  for (let i = start; i <= end; i++) {
+    if (i < end && coverage[i] === minCoverage) {
+      if (runStart === -1) runStart = i;
+    } else if (runStart !== -1) {
+      if (i - runStart > longest.end - longest.start) {
+        longest = { start: runStart, end: i };
+      }
+      runStart = -1;
+    }
+  }
+  return longest;
+};
+
+/**
+ * Split text items into the columns between gutters, left to right, and the
+ * items that cross a gutter. Items keep their original order.
+ */
+const splitIntoColumns = (items: TextItems, gutters: Gutter[]) => {
+  const columns: TextItems[] = [[], ...gutters.map(() => [])];
+  const crossingItems: TextItems = [];
+  for (let item of items) {
+    if (gutters.some((gutter) => crossesGutter(item, gutter))) {
+      crossingItems.push(item);
+    } else {
+      const columnIdx = gutters.filter(({ end }) => end <= item.x).length;
+      columns[columnIdx].push(item);
+    }
+  }
+  return { columns, crossingItems };
+};
+
+const isValidLayout = (items: TextItems, gutters: Gutter[]) => {
+  const countChars = (textItems: TextItems) =>
+    textItems.reduce((acc, item) => acc + item.text.trim().length, 0);
+  const getRange = (values: number[]) => [
+    Math.min(...values),
+    Math.max(...values),
+  ];
+
+  const totalChars = countChars(items);
+  const [minX, maxX] = getRange([
+    ...items.map((i) => i.x),
+    ...items.map(getXEnd),
+  ]);
+  const { columns } = splitIntoColumns(items, gutters);
+
+  const isColumn = (column: TextItems) => {
+    if (column.length === 0) return false;
+    const [columnMinX, columnMaxX] = getRange([
+      ...column.map((i) => i.x),
+      ...column.map(getXEnd),
+    ]);
+    const numLines = new Set(column.map(getLineY)).size;
+    return (
+      countChars(column) >= totalChars * MIN_COLUMN_SHARE &&
+      columnMaxX - columnMinX >= (maxX - minX) * MIN_COLUMN_SHARE &&
+      numLines >= MIN_COLUMN_LINES
+    );
+  };
+  if (!columns.every(isColumn)) return false;
+
+  return columns.slice(1).every((column, idx) => {
+    const [aMinY, aMaxY] = getRange(columns[idx].map((i) => i.y));
+    const [bMinY, bMaxY] = getRange(column.map((i) => i.y));
+    const overlap = Math.min(aMaxY, bMaxY) - Math.max(aMinY, bMinY);
+    const shorterHeight = Math.min(aMaxY - aMinY, bMaxY - bMinY);
+    return overlap >= shorterHeight * MIN_Y_OVERLAP_SHARE;
+  });
+};
+
+/**
+ * Detect the gutters between the columns of a page by clustering its text items
+ * on their x positions. Returns an empty array for a single column page.
+ */
+const detectColumnGutters = (items: TextItems): Gutter[] => {
+  // Try the widest blank strips first
+  const candidates = findGutterCandidates(items).sort(
+    (a, b) => b.end - b.start - (a.end - a.start)
+  );
+  let gutters: Gutter[] = [];
+  for (let candidate of candidates) {
+    const newGutters = [...gutters, candidate].sort(
+      (a, b) => a.start - b.start
+    );
+    if (isValidLayout(items, newGutters)) {
+      gutters = newGutters;
+    }
+  }
+  return gutters;
+};
+
+/**
+ * Put the text items of a page in reading order, one column at a time.
+ *
+ * Many resume templates have a sidebar for skills and contact info next to the
+ * main column. Their text items are often ordered line by line across the whole
+ * page, which interleaves the columns. For a multi-column page, this returns the
+ * items of each column left to right. Lines that cross the columns, e.g. a name
+ * header, split the page into bands that are read top to bottom, each band
+ * column by column. `hasEOL` is recomputed for the new order and empty space
+ * items are dropped. A single column page is returned as is.
+ */
+export const orderTextItemsByColumns = (
+  pageTextItems: TextItems
+): { textItems: TextItems; numColumns: number } => {
+  const items = pageTextItems.filter(isText);
+  const gutters = items.length > 0 ? detectColumnGutters(items) : [];
+  if (gutters.length === 0) {
+    return { textItems: pageTextItems, numColumns: 1 };
+  }
+
+  const { columns, crossingItems } = splitIntoColumns(items, gutters);
+  // Origin (0, 0) is bottom left, so a higher y is higher on the page
+  const bandLineYs = Array.from(new Set(crossingItems.map(getLineY))).sort(
+    (a, b) => b - a
+  );
+  const getBand = (item: TextItem) =>
+    bandLineYs.filter((lineY) => lineY > getLineY(item)).length;
+
+  const orderedItems: TextItems = [];
+  for (let band = 0; band <= bandLineYs.length; band++) {
+    for (let column of columns) {
+      orderedItems.push(
+        ...column.filter(
+          (item) =>
+            getBand(item) === band && !bandLineYs.includes(getLineY(item))
+        )
+      );
+    }
+    // The crossing line itself, with any column items on the same line
+    if (band < bandLineYs.length) {
+      orderedItems.push(
+        ...items.filter((item) => getLineY(item) === bandLineYs[band])
+      );
+    }
+  }
+
+  const textItems = orderedItems.map((item, idx) => {
+    const nextItem = orderedItems[idx + 1];
+    const hasEOL =
+      !nextItem ||
+      Math.abs(nextItem.y - item.y) > item.height / 2 ||
+      nextItem.x < item.x;
+    return { ...item, hasEOL };
+  });
+  return { textItems, numColumns: columns.length };
+};
@@ -0,0 +1,83 @@
+import type { ResumeAward } from "lib/redux/types";
+import type {
+  FeatureSet,
+  ResumeSectionToLines,
+  SectionKeyword,
+} from "lib/parse-resume-from-pdf/types";
+import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
+import { divideListSectionIntoSubsections } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/subsections";
+import { splitTextItemsBySeparators } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/split-text-items";
+import {
+  getDateFeatureSets,
+  getHasText,
+  isBold,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+import { getTextWithHighestFeatureScore } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/feature-scoring-system";
+import {
+  getBulletPointsFromLines,
+  getDescriptionsLineIdx,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
+
+/**
+ *              Unique Attribute
+ * Title        Bold or first
+ * Awarder      The text after title
+ * Date         Has date
+ */
+
+// prettier-ignore
+const AWARD_KEYWORDS_LOWERCASE: SectionKeyword[] = ['award', 'honor', 'achievement'];
+
+export const extractAwards = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
+  const awards: ResumeAward[] = [];
+  const awardsScores = [];
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(AWARD_KEYWORDS_LOWERCASE, vocabulary)
+  );
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
+  const subsections = divideListSectionIntoSubsections(lines);
+
+  for (const subsectionLines of subsections) {
+    // The first line is the award itself even if it starts with a bullet point
+    const descriptionsLineIdx = Math.max(
+      getDescriptionsLineIdx(subsectionLines) ?? subsectionLines.length,
+      1
+    );
+
+    const subsectionInfoTextItems = splitTextItemsBySeparators(
+      subsectionLines.slice(0, descriptionsLineIdx).flat()
+    );
+    const [date, dateScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      dateFeatureSets
+    );
+    const TITLE_FEATURE_SETS: FeatureSet[] = [
+      [isBold, 2],
+      [getHasText(date), -4],
+    ];
+    const [title, titleScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      TITLE_FEATURE_SETS,
+      false
+    );
+    const awarder =
+      subsectionInfoTextItems
+        .map((item) => item.text)
+        .find((text) => ![title, date].includes(text)) ?? "";
+
+    const descriptionsLines = subsectionLines.slice(descriptionsLineIdx);
+    const descriptions = getBulletPointsFromLines(descriptionsLines);
+
+    awards.push({ title, awarder, date, descriptions });
+    awardsScores.push({ titleScores, dateScores });
+  }
+  return { awards, awardsScores };
+};
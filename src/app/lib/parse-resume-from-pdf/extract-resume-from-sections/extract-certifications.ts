@@ -0,0 +1,76 @@
+import type { ResumeCertification } from "lib/redux/types";
+import type {
+  FeatureSet,
+  ResumeSectionToLines,
+  SectionKeyword,
+} from "lib/parse-resume-from-pdf/types";
+import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
+import { divideListSectionIntoSubsections } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/subsections";
+import { splitTextItemsBySeparators } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/split-text-items";
+import {
+  getDateFeatureSets,
+  getHasText,
+  isBold,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+import { getTextWithHighestFeatureScore } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/feature-scoring-system";
+import { matchUrl } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-profile";
+
+/**
+ *              Unique Attribute
+ * Name         Bold or first
+ * Issuer       The text after name
+ * Date         Has date
+ * Url          Has url
+ */
+
+// prettier-ignore
+const CERTIFICATION_KEYWORDS_LOWERCASE: SectionKeyword[] = ['certif', 'license'];
+const URL_FEATURE_SETS: FeatureSet[] = [[matchUrl, 4, true]];
+
+export const extractCertifications = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
+  const certifications: ResumeCertification[] = [];
+  const certificationsScores = [];
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(CERTIFICATION_KEYWORDS_LOWERCASE, vocabulary)
+  );
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
+  const subsections = divideListSectionIntoSubsections(lines);
+
+  for (const subsectionLines of subsections) {
+    const textItems = splitTextItemsBySeparators(subsectionLines.flat());
+    const [date, dateScores] = getTextWithHighestFeatureScore(
+      textItems,
+      dateFeatureSets
+    );
+    const [url, urlScores] = getTextWithHighestFeatureScore(
+      textItems,
+      URL_FEATURE_SETS
+    );
+    const NAME_FEATURE_SETS: FeatureSet[] = [
+      [isBold, 2],
+      [getHasText(date), -4],
+      [getHasText(url), -4],
+    ];
+    const [name, nameScores] = getTextWithHighestFeatureScore(
+      textItems,
+      NAME_FEATURE_SETS,
+      false
+    );
+    const issuer =
+      textItems
+        .map((item) => item.text)
+        .find((text) => ![name, date, url].includes(text)) ?? "";
+
+    certifications.push({ name, issuer, date, url });
+    certificationsScores.push({ nameScores, dateScores, urlScores });
+  }
+  return { certifications, certificationsScores };
+};
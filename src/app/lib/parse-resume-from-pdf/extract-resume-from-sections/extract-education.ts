@@ -2,12 +2,17 @@ import type {
   TextItem,
   FeatureSet,
   ResumeSectionToLines,
+  ParserVocabulary,
 } from "lib/parse-resume-from-pdf/types";
 import type { ResumeEducation } from "lib/redux/types";
 import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
 import { divideSectionIntoSubsections } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/subsections";
 import {
-  DATE_FEATURE_SETS,
+  getDateFeatureSets,
   hasComma,
   hasLetter,
   hasNumber,
@@ -25,15 +30,6 @@ import {
  * GPA          Has number
  */
 
-// prettier-ignore
-const SCHOOLS = ['College', 'University', 'Institute', 'School', 'Academy', 'BASIS', 'Magnet']
-const hasSchool = (item: TextItem) =>
-  SCHOOLS.some((school) => item.text.includes(school));
-// prettier-ignore
-const DEGREES = ["Associate", "Bachelor", "Master", "PhD", "Ph."];
-const hasDegree = (item: TextItem) =>
-  DEGREES.some((degree) => item.text.includes(degree)) ||
-  /[ABM][A-Z\.]/.test(item.text); // Match AA, B.S., MBA, etc.
 const matchGPA = (item: TextItem) => item.text.match(/[0-4]\.\d{1,2}/);
 const matchGrade = (item: TextItem) => {
   const grade = parseFloat(item.text);
@@ -43,17 +39,25 @@ const matchGrade = (item: TextItem) => {
   return null;
 };
 
-const SCHOOL_FEATURE_SETS: FeatureSet[] = [
-  [hasSchool, 4],
-  [hasDegree, -4],
-  [hasNumber, -4],
-];
+const getSchoolAndDegreeFeatureSets = (vocabulary: ParserVocabulary) => {
+  const hasSchool = (item: TextItem) =>
+    vocabulary.schools.some((school) => item.text.includes(school));
+  const hasDegree = (item: TextItem) =>
+    vocabulary.degrees.some((degree) => item.text.includes(degree)) ||
+    /[ABM][A-Z\.]/.test(item.text); // Match AA, B.S., MBA, etc.
 
-const DEGREE_FEATURE_SETS: FeatureSet[] = [
-  [hasDegree, 4],
-  [hasSchool, -4],
-  [hasNumber, -3],
-];
+  const schoolFeatureSets: FeatureSet[] = [
+    [hasSchool, 4],
+    [hasDegree, -4],
+    [hasNumber, -4],
+  ];
+  const degreeFeatureSets: FeatureSet[] = [
+    [hasDegree, 4],
+    [hasSchool, -4],
+    [hasNumber, -3],
+  ];
+  return { schoolFeatureSets, degreeFeatureSets };
+};
 
 const GPA_FEATURE_SETS: FeatureSet[] = [
   [matchGPA, 4, true],
@@ -62,20 +66,29 @@ const GPA_FEATURE_SETS: FeatureSet[] = [
   [hasLetter, -4],
 ];
 
-export const extractEducation = (sections: ResumeSectionToLines) => {
+export const extractEducation = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
   const educations: ResumeEducation[] = [];
   const educationsScores = [];
-  const lines = getSectionLinesByKeywords(sections, ["education"]);
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(["education"], vocabulary)
+  );
+  const { schoolFeatureSets, degreeFeatureSets } =
+    getSchoolAndDegreeFeatureSets(vocabulary);
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
   const subsections = divideSectionIntoSubsections(lines);
   for (const subsectionLines of subsections) {
     const textItems = subsectionLines.flat();
     const [school, schoolScores] = getTextWithHighestFeatureScore(
       textItems,
-      SCHOOL_FEATURE_SETS
+      schoolFeatureSets
     );
     const [degree, degreeScores] = getTextWithHighestFeatureScore(
       textItems,
-      DEGREE_FEATURE_SETS
+      degreeFeatureSets
     );
     const [gpa, gpaScores] = getTextWithHighestFeatureScore(
       textItems,
@@ -83,7 +96,7 @@ export const extractEducation = (sections: ResumeSectionToLines) => {
     );
     const [date, dateScores] = getTextWithHighestFeatureScore(
       textItems,
-      DATE_FEATURE_SETS
+      dateFeatureSets
     );
 
     let descriptions: string[] = [];
@@ -103,7 +116,10 @@ export const extractEducation = (sections: ResumeSectionToLines) => {
   }
 
   if (educations.length !== 0) {
-    const coursesLines = getSectionLinesByKeywords(sections, ["course"]);
+    const coursesLines = getSectionLinesByKeywords(
+      sections,
+      getSectionKeywords(["course"], vocabulary)
+    );
     if (coursesLines.length !== 0) {
       educations[0].descriptions.push(
         "Courses: " +
@@ -0,0 +1,66 @@
+import type { ResumeLanguage } from "lib/redux/types";
+import type { ResumeSectionToLines } from "lib/parse-resume-from-pdf/types";
+import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
+import { getBulletPointsFromLines } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
+
+// prettier-ignore
+const PROFICIENCIES = ['Native', 'Bilingual', 'Fluent', 'Proficient', 'Professional', 'Full', 'Working', 'Advanced', 'Intermediate', 'Conversational', 'Limited', 'Elementary', 'Basic', 'Beginner', 'Mother'];
+// CEFR levels, e.g. "B2"
+const CEFR_LEVEL = /^[ABC][12]$/;
+
+const isProficiency = (word: string) =>
+  PROFICIENCIES.some((proficiency) =>
+    word.toLowerCase().startsWith(proficiency.toLowerCase())
+  ) || CEFR_LEVEL.test(word);
+
+/**
+ * Read a language and its proficiency from a text, e.g. "Spanish (Native)",
+ * "Spanish - Native", "Spanish: Native" or "Spanish Native".
+ */
+const parseLanguage = (text: string): ResumeLanguage => {
+  const match =
+    text.match(/^(.+?)\s*\((.+)\)$/) ?? text.match(/^(.+?)\s*[:\-–—]\s*(.+)$/);
+  if (match) {
+    return { language: match[1].trim(), proficiency: match[2].trim() };
+  }
+
+  const words = text.split(/\s+/);
+  const proficiencyIdx = words.findIndex(
+    (word, idx) => idx > 0 && isProficiency(word)
+  );
+  if (proficiencyIdx !== -1) {
+    return {
+      language: words.slice(0, proficiencyIdx).join(" "),
+      proficiency: words.slice(proficiencyIdx).join(" "),
+    };
+  }
+  return { language: text, proficiency: "" };
+};
+
+/**
+ * Languages are often listed in a line or two, e.g. "English (Native), Spanish (Fluent)",
+ * so each line is divided into languages by commas, semicolons and pipes outside of
+ * parentheses.
+ */
+export const extractLanguages = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(["language"], vocabulary),
+    // Programming languages belong to skills
+    getSectionKeywords(["programming", "skill"], vocabulary)
+  );
+  const languages = getBulletPointsFromLines(lines)
+    .flatMap((text) => text.split(/[,;|](?![^(]*\))/))
+    .map((text) => text.trim())
+    .filter((text) => text !== "")
+    .map(parseLanguage);
+
+  return { languages };
+};
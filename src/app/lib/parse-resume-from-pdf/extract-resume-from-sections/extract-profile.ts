@@ -4,6 +4,10 @@ import type {
   FeatureSet,
 } from "lib/parse-resume-from-pdf/types";
 import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
 import {
   isBold,
   hasNumber,
@@ -14,8 +18,11 @@ import {
 import { getTextWithHighestFeatureScore } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/feature-scoring-system";
 
 // Name
+// Letters include accented letters, e.g. José, and Chinese, Japanese and Korean characters
 export const matchOnlyLetterSpaceOrPeriod = (item: TextItem) =>
-  item.text.match(/^[a-zA-Z\s\.]+$/);
+  item.text.match(
+    /^[a-zA-Z\u00c0-\u024f\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\s\.·]+$/
+  );
 
 // Email
 // Simple email regex: xxx@xxx.xxx (xxx = anything not space)
@@ -122,7 +129,10 @@ const SUMMARY_FEATURE_SETS: FeatureSet[] = [
   [matchCityAndState, -4, false], // Location
 ];
 
-export const extractProfile = (sections: ResumeSectionToLines) => {
+export const extractProfile = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
   const lines = sections.profile || [];
   const textItems = lines.flat();
 
@@ -153,12 +163,18 @@ export const extractProfile = (sections: ResumeSectionToLines) => {
     true
   );
 
-  const summaryLines = getSectionLinesByKeywords(sections, ["summary"]);
+  const summaryLines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(["summary"], vocabulary)
+  );
   const summarySection = summaryLines
     .flat()
     .map((textItem) => textItem.text)
     .join(" ");
-  const objectiveLines = getSectionLinesByKeywords(sections, ["objective"]);
+  const objectiveLines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(["objective"], vocabulary)
+  );
   const objectiveSection = objectiveLines
     .flat()
     .map((textItem) => textItem.text)
@@ -5,7 +5,11 @@ import type {
 } from "lib/parse-resume-from-pdf/types";
 import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
 import {
-  DATE_FEATURE_SETS,
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
+import {
+  getDateFeatureSets,
   getHasText,
   isBold,
 } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
@@ -16,10 +20,17 @@ import {
   getDescriptionsLineIdx,
 } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
 
-export const extractProject = (sections: ResumeSectionToLines) => {
+export const extractProject = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
   const projects: ResumeProject[] = [];
   const projectsScores = [];
-  const lines = getSectionLinesByKeywords(sections, ["project"]);
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(["project"], vocabulary)
+  );
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
   const subsections = divideSectionIntoSubsections(lines);
 
   for (const subsectionLines of subsections) {
@@ -30,7 +41,7 @@ export const extractProject = (sections: ResumeSectionToLines) => {
       .flat();
     const [date, dateScores] = getTextWithHighestFeatureScore(
       subsectionInfoTextItems,
-      DATE_FEATURE_SETS
+      dateFeatureSets
     );
     const PROJECT_FEATURE_SET: FeatureSet[] = [
       [isBold, 2],
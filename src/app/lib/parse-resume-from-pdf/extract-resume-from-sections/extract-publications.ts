@@ -0,0 +1,90 @@
+import type { ResumePublication } from "lib/redux/types";
+import type {
+  FeatureSet,
+  ResumeSectionToLines,
+} from "lib/parse-resume-from-pdf/types";
+import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
+import { divideListSectionIntoSubsections } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/subsections";
+import { splitTextItemsBySeparators } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/split-text-items";
+import {
+  getDateFeatureSets,
+  getHasText,
+  isBold,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+import { getTextWithHighestFeatureScore } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/feature-scoring-system";
+import {
+  getBulletPointsFromLines,
+  getDescriptionsLineIdx,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
+import { matchUrl } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-profile";
+
+/**
+ *              Unique Attribute
+ * Name         Bold or first
+ * Publisher    The text after name
+ * Date         Has date
+ * Url          Has url
+ */
+
+const URL_FEATURE_SETS: FeatureSet[] = [[matchUrl, 4, true]];
+
+export const extractPublications = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
+  const publications: ResumePublication[] = [];
+  const publicationsScores = [];
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(["publication"], vocabulary)
+  );
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
+  const subsections = divideListSectionIntoSubsections(lines);
+
+  for (const subsectionLines of subsections) {
+    // The first line is the publication itself even if it starts with a bullet point
+    const descriptionsLineIdx = Math.max(
+      getDescriptionsLineIdx(subsectionLines) ?? subsectionLines.length,
+      1
+    );
+
+    // Publication titles often have commas, so only split on other separators
+    const subsectionInfoTextItems = splitTextItemsBySeparators(
+      subsectionLines.slice(0, descriptionsLineIdx).flat(),
+      false
+    );
+    const [date, dateScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      dateFeatureSets
+    );
+    const [url, urlScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      URL_FEATURE_SETS
+    );
+    const NAME_FEATURE_SETS: FeatureSet[] = [
+      [isBold, 2],
+      [getHasText(date), -4],
+      [getHasText(url), -4],
+    ];
+    const [name, nameScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      NAME_FEATURE_SETS,
+      false
+    );
+    const publisher =
+      subsectionInfoTextItems
+        .map((item) => item.text)
+        .find((text) => ![name, date, url].includes(text)) ?? "";
+
+    const descriptionsLines = subsectionLines.slice(descriptionsLineIdx);
+    const descriptions = getBulletPointsFromLines(descriptionsLines);
+
+    publications.push({ name, publisher, date, url, descriptions });
+    publicationsScores.push({ nameScores, dateScores, urlScores });
+  }
+  return { publications, publicationsScores };
+};
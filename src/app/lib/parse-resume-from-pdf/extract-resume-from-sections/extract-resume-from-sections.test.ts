@@ -4,7 +4,9 @@ import {
   matchPhone,
   matchUrl,
 } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-profile";
-import type { TextItem } from "lib/parse-resume-from-pdf/types";
+import { extractCertifications } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-certifications";
+import { extractLanguages } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-languages";
+import type { Line, TextItem } from "lib/parse-resume-from-pdf/types";
 
 const makeTextItem = (text: string) =>
   ({
@@ -37,3 +39,64 @@ describe("extract-profile tests - ", () => {
     expect(matchUrl(makeTextItem("hello@open-resume.org"))).toBeFalsy();
   });
 });
+
+// A line of a single text item, 20pt below the previous line
+const makeLine = (text: string, idx: number, fontName = "Arial"): Line => [
+  {
+    text,
+    x: 40,
+    y: 700 - idx * 20,
+    width: text.length * 5,
+    height: 10,
+    fontName,
+    hasEOL: true,
+  },
+];
+
+describe("extract-languages tests - ", () => {
+  it("Languages with proficiencies in one line", () => {
+    const sections = {
+      LANGUAGES: [
+        makeLine("English (Native), Spanish - Fluent; French B2 | German", 0),
+      ],
+    };
+    expect(extractLanguages(sections).languages).toEqual([
+      { language: "English", proficiency: "Native" },
+      { language: "Spanish", proficiency: "Fluent" },
+      { language: "French", proficiency: "B2" },
+      { language: "German", proficiency: "" },
+    ]);
+  });
+
+  it("Ignores programming languages", () => {
+    const sections = {
+      "PROGRAMMING LANGUAGES": [makeLine("Python, Go", 0)],
+    };
+    expect(extractLanguages(sections).languages).toEqual([]);
+  });
+});
+
+describe("extract-certifications tests - ", () => {
+  it("One certification per line", () => {
+    const sections = {
+      CERTIFICATIONS: [
+        makeLine("AWS Certified Developer | Amazon Web Services | 2023", 0),
+        makeLine("Certified Scrum Master | Scrum Alliance | Jun 2021", 1),
+      ],
+    };
+    expect(extractCertifications(sections).certifications).toEqual([
+      {
+        name: "AWS Certified Developer",
+        issuer: "Amazon Web Services",
+        date: "2023",
+        url: "",
+      },
+      {
+        name: "Certified Scrum Master",
+        issuer: "Scrum Alliance",
+        date: "Jun 2021",
+        url: "",
+      },
+    ]);
+  });
+});
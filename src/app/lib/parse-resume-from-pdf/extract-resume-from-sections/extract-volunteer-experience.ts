@@ -0,0 +1,83 @@
+import type { ResumeVolunteerExperience } from "lib/redux/types";
+import type {
+  FeatureSet,
+  ResumeSectionToLines,
+  SectionKeyword,
+} from "lib/parse-resume-from-pdf/types";
+import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+} from "lib/parse-resume-from-pdf/language-packs";
+import {
+  getDateFeatureSets,
+  getHasText,
+  isBold,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+import { divideSectionIntoSubsections } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/subsections";
+import { getTextWithHighestFeatureScore } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/feature-scoring-system";
+import {
+  getBulletPointsFromLines,
+  getDescriptionsLineIdx,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
+import { getJobTitleFeatureSet } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-work-experience";
+
+// prettier-ignore
+const VOLUNTEER_KEYWORDS_LOWERCASE: SectionKeyword[] = ['volunteer', 'community'];
+
+/**
+ * Volunteer experiences are laid out like work experiences, with the organization
+ * in place of the company and the role in place of the job title.
+ */
+export const extractVolunteerExperience = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
+  const volunteerExperiences: ResumeVolunteerExperience[] = [];
+  const volunteerExperiencesScores = [];
+  const lines = getSectionLinesByKeywords(
+    sections,
+    getSectionKeywords(VOLUNTEER_KEYWORDS_LOWERCASE, vocabulary)
+  );
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
+  const jobTitleFeatureSet = getJobTitleFeatureSet(vocabulary);
+  const subsections = divideSectionIntoSubsections(lines);
+
+  for (const subsectionLines of subsections) {
+    const descriptionsLineIdx = getDescriptionsLineIdx(subsectionLines) ?? 2;
+
+    const subsectionInfoTextItems = subsectionLines
+      .slice(0, descriptionsLineIdx)
+      .flat();
+    const [date, dateScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      dateFeatureSets
+    );
+    const [role, roleScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      jobTitleFeatureSet
+    );
+    const ORGANIZATION_FEATURE_SET: FeatureSet[] = [
+      [isBold, 2],
+      [getHasText(date), -4],
+      [getHasText(role), -4],
+    ];
+    const [organization, organizationScores] = getTextWithHighestFeatureScore(
+      subsectionInfoTextItems,
+      ORGANIZATION_FEATURE_SET,
+      false
+    );
+
+    const subsectionDescriptionsLines =
+      subsectionLines.slice(descriptionsLineIdx);
+    const descriptions = getBulletPointsFromLines(subsectionDescriptionsLines);
+
+    volunteerExperiences.push({ organization, role, date, descriptions });
+    volunteerExperiencesScores.push({
+      organizationScores,
+      roleScores,
+      dateScores,
+    });
+  }
+  return { volunteerExperiences, volunteerExperiencesScores };
+};
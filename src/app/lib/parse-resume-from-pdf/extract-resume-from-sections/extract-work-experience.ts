@@ -3,10 +3,17 @@ import type {
   TextItem,
   FeatureSet,
   ResumeSectionToLines,
+  ParserVocabulary,
+  SectionKeyword,
 } from "lib/parse-resume-from-pdf/types";
 import { getSectionLinesByKeywords } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/get-section-lines";
 import {
-  DATE_FEATURE_SETS,
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+  hasCjk,
+} from "lib/parse-resume-from-pdf/language-packs";
+import {
+  getDateFeatureSets,
   hasNumber,
   getHasText,
   isBold,
@@ -19,28 +26,40 @@ import {
 } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
 
 // prettier-ignore
-const WORK_EXPERIENCE_KEYWORDS_LOWERCASE = ['work', 'experience', 'employment', 'history', 'job'];
-// prettier-ignore
-const JOB_TITLES = ['Accountant', 'Administrator', 'Advisor', 'Agent', 'Analyst', 'Apprentice', 'Architect', 'Assistant', 'Associate', 'Auditor', 'Bartender', 'Biologist', 'Bookkeeper', 'Buyer', 'Carpenter', 'Cashier', 'CEO', 'Clerk', 'Co-op', 'Co-Founder', 'Consultant', 'Coordinator', 'CTO', 'Developer', 'Designer', 'Director', 'Driver', 'Editor', 'Electrician', 'Engineer', 'Extern', 'Founder', 'Freelancer', 'Head', 'Intern', 'Janitor', 'Journalist', 'Laborer', 'Lawyer', 'Lead', 'Manager', 'Mechanic', 'Member', 'Nurse', 'Officer', 'Operator', 'Operation', 'Photographer', 'President', 'Producer', 'Recruiter', 'Representative', 'Researcher', 'Sales', 'Server', 'Scientist', 'Specialist', 'Supervisor', 'Teacher', 'Technician', 'Trader', 'Trainee', 'Treasurer', 'Tutor', 'Vice', 'VP', 'Volunteer', 'Webmaster', 'Worker'];
+const WORK_EXPERIENCE_KEYWORDS_LOWERCASE: SectionKeyword[] = ['work', 'experience', 'employment', 'history', 'job'];
 
-const hasJobTitle = (item: TextItem) =>
-  JOB_TITLES.some((jobTitle) =>
-    item.text.split(/\s/).some((word) => word === jobTitle)
-  );
 const hasMoreThan5Words = (item: TextItem) => item.text.split(/\s/).length > 5;
-const JOB_TITLE_FEATURE_SET: FeatureSet[] = [
-  [hasJobTitle, 4],
-  [hasNumber, -4],
-  [hasMoreThan5Words, -2],
-];
+export const getJobTitleFeatureSet = (
+  vocabulary: ParserVocabulary
+): FeatureSet[] => {
+  // Job titles of languages without spaces, e.g. "软件工程师", aren't whole words
+  const hasJobTitle = (item: TextItem) =>
+    vocabulary.jobTitles.some((jobTitle) =>
+      hasCjk(jobTitle)
+        ? item.text.includes(jobTitle)
+        : item.text.split(/\s/).some((word) => word === jobTitle)
+    );
+  return [
+    [hasJobTitle, 4],
+    [hasNumber, -4],
+    [hasMoreThan5Words, -2],
+  ];
+};
 
-export const extractWorkExperience = (sections: ResumeSectionToLines) => {
+export const extractWorkExperience = (
+  sections: ResumeSectionToLines,
+  vocabulary = ENGLISH_VOCABULARY
+) => {
   const workExperiences: ResumeWorkExperience[] = [];
   const workExperiencesScores = [];
   const lines = getSectionLinesByKeywords(
     sections,
-    WORK_EXPERIENCE_KEYWORDS_LOWERCASE
+    getSectionKeywords(WORK_EXPERIENCE_KEYWORDS_LOWERCASE, vocabulary),
+    // Volunteer experience has its own section
+    getSectionKeywords(["volunteer"], vocabulary)
   );
+  const dateFeatureSets = getDateFeatureSets(vocabulary);
+  const jobTitleFeatureSet = getJobTitleFeatureSet(vocabulary);
   const subsections = divideSectionIntoSubsections(lines);
 
   for (const subsectionLines of subsections) {
@@ -51,11 +70,11 @@ export const extractWorkExperience = (sections: ResumeSectionToLines) => {
       .flat();
     const [date, dateScores] = getTextWithHighestFeatureScore(
       subsectionInfoTextItems,
-      DATE_FEATURE_SETS
+      dateFeatureSets
     );
     const [jobTitle, jobTitleScores] = getTextWithHighestFeatureScore(
       subsectionInfoTextItems,
-      JOB_TITLE_FEATURE_SET
+      jobTitleFeatureSet
     );
     const COMPANY_FEATURE_SET: FeatureSet[] = [
       [isBold, 2],
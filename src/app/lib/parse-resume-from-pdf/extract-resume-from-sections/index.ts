@@ -1,10 +1,21 @@
 import type { Resume } from "lib/redux/types";
-import type { ResumeSectionToLines } from "lib/parse-resume-from-pdf/types";
+import type {
+  ParserVocabulary,
+  ResumeConfidence,
+  ResumeSectionToLines,
+} from "lib/parse-resume-from-pdf/types";
 import { extractProfile } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-profile";
 import { extractEducation } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-education";
 import { extractWorkExperience } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-work-experience";
 import { extractProject } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-project";
 import { extractSkills } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-skills";
+import { extractCertifications } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-certifications";
+import { extractAwards } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-awards";
+import { extractLanguages } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-languages";
+import { extractVolunteerExperience } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-volunteer-experience";
+import { extractPublications } from "lib/parse-resume-from-pdf/extract-resume-from-sections/extract-publications";
+import { ENGLISH_VOCABULARY } from "lib/parse-resume-from-pdf/language-packs";
+import { getEntryConfidence } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/confidence";
 
 /**
  * Step 4. Extract resume from sections.
@@ -19,24 +30,88 @@ import { extractSkills } from "lib/parse-resume-from-pdf/extract-resume-from-sec
  * all its feature sets and sum up the matching feature scores. This process is carried
  * out for all text items within the section, and the text item with the highest computed
  * feature score is identified as the extracted resume attribute.
+ *
+ * The vocabulary has the section keywords, job titles, degrees and month names of the
+ * resume language (see lib/parse-resume-from-pdf/language-packs).
  */
 export const extractResumeFromSections = (
-  sections: ResumeSectionToLines
-): Resume => {
-  const { profile } = extractProfile(sections);
-  const { educations } = extractEducation(sections);
-  const { workExperiences } = extractWorkExperience(sections);
-  const { projects } = extractProject(sections);
-  const { skills } = extractSkills(sections);
+  sections: ResumeSectionToLines,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+): Resume =>
+  extractResumeWithConfidenceFromSections(sections, vocabulary).resume;
+
+/**
+ * Same as extractResumeFromSections, but also returns the confidence of each field picked
+ * by the feature scoring system, computed from the feature scores of all its candidates.
+ */
+export const extractResumeWithConfidenceFromSections = (
+  sections: ResumeSectionToLines,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+): { resume: Resume; confidence: ResumeConfidence } => {
+  const { profile, profileScores } = extractProfile(sections, vocabulary);
+  const { educations, educationsScores } = extractEducation(
+    sections,
+    vocabulary
+  );
+  const { workExperiences, workExperiencesScores } = extractWorkExperience(
+    sections,
+    vocabulary
+  );
+  const { projects, projectsScores } = extractProject(sections, vocabulary);
+  const { skills } = extractSkills(sections, vocabulary);
+  const { certifications, certificationsScores } = extractCertifications(
+    sections,
+    vocabulary
+  );
+  const { awards, awardsScores } = extractAwards(sections, vocabulary);
+  const { languages } = extractLanguages(sections, vocabulary);
+  const { volunteerExperiences, volunteerExperiencesScores } =
+    extractVolunteerExperience(sections, vocabulary);
+  const { publications, publicationsScores } = extractPublications(
+    sections,
+    vocabulary
+  );
 
-  return {
+  const resume: Resume = {
     profile,
     educations,
     workExperiences,
     projects,
     skills,
+    certifications,
+    awards,
+    languages,
+    volunteerExperiences,
+    publications,
     custom: {
       descriptions: [],
     },
   };
+
+  const confidence: ResumeConfidence = {
+    profile: getEntryConfidence(profile, profileScores),
+    workExperiences: workExperiences.map((workExperience, idx) =>
+      getEntryConfidence(workExperience, workExperiencesScores[idx])
+    ),
+    educations: educations.map((education, idx) =>
+      getEntryConfidence(education, educationsScores[idx])
+    ),
+    projects: projects.map((project, idx) =>
+      getEntryConfidence(project, projectsScores[idx])
+    ),
+    certifications: certifications.map((certification, idx) =>
+      getEntryConfidence(certification, certificationsScores[idx])
+    ),
+    awards: awards.map((award, idx) =>
+      getEntryConfidence(award, awardsScores[idx])
+    ),
+    volunteerExperiences: volunteerExperiences.map((volunteerExperience, idx) =>
+      getEntryConfidence(volunteerExperience, volunteerExperiencesScores[idx])
+    ),
+    publications: publications.map((publication, idx) =>
+      getEntryConfidence(publication, publicationsScores[idx])
+    ),
+  };
+
+  return { resume, confidence };
 };
@@ -1,4 +1,8 @@
-import type { TextItem, FeatureSet } from "lib/parse-resume-from-pdf/types";
+import type {
+  TextItem,
+  FeatureSet,
+  ParserVocabulary,
+} from "lib/parse-resume-from-pdf/types";
 
 const isTextItemBold = (fontName: string) =>
   fontName.toLowerCase().includes("bold");
@@ -9,27 +13,35 @@ export const hasComma = (item: TextItem) => item.text.includes(",");
 export const getHasText = (text: string) => (item: TextItem) =>
   item.text.includes(text);
 export const hasOnlyLettersSpacesAmpersands = (item: TextItem) =>
-  /^[A-Za-z\s&]+$/.test(item.text);
+  /^[A-Za-z\u00c0-\u024f\s&]+$/.test(item.text);
 export const hasLetterAndIsAllUpperCase = (item: TextItem) =>
   hasLetter(item) && item.text.toUpperCase() === item.text;
 
 // Date Features
 const hasYear = (item: TextItem) => /(?:19|20)\d{2}/.test(item.text);
-// prettier-ignore
-const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-const hasMonth = (item: TextItem) =>
-  MONTHS.some(
-    (month) =>
-      item.text.includes(month) || item.text.includes(month.slice(0, 4))
-  );
-const SEASONS = ["Summer", "Fall", "Spring", "Winter"];
-const hasSeason = (item: TextItem) =>
-  SEASONS.some((season) => item.text.includes(season));
-const hasPresent = (item: TextItem) => item.text.includes("Present");
-export const DATE_FEATURE_SETS: FeatureSet[] = [
-  [hasYear, 1],
-  [hasMonth, 1],
-  [hasSeason, 1],
-  [hasPresent, 1],
-  [hasComma, -1],
-];
+
+/**
+ * Date feature sets for the month, season and present words of a vocabulary
+ */
+export const getDateFeatureSets = (
+  vocabulary: ParserVocabulary
+): FeatureSet[] => {
+  const months = vocabulary.months.flat();
+  const seasons = Object.values(vocabulary.seasons).flat();
+  const hasMonth = (item: TextItem) =>
+    months.some(
+      (month) =>
+        item.text.includes(month) || item.text.includes(month.slice(0, 4))
+    );
+  const hasSeason = (item: TextItem) =>
+    seasons.some((season) => item.text.includes(season));
+  const hasPresent = (item: TextItem) =>
+    vocabulary.present.some((present) => item.text.includes(present));
+  return [
+    [hasYear, 1],
+    [hasMonth, 1],
+    [hasSeason, 1],
+    [hasPresent, 1],
+    [hasComma, -1],
+  ];
+};
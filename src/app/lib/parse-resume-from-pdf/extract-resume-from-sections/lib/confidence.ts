@@ -0,0 +1,56 @@
+import type {
+  EntryConfidence,
+  TextScores,
+} from "lib/parse-resume-from-pdf/types";
+
+// A strong feature, e.g. an email or a date match, scores 4
+const CONFIDENT_SCORE = 4;
+
+const clamp = (value: number) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Return how confident the feature scoring system is in a text it extracted, from 0 to 1.
+ *
+ * The confidence grows with the feature score of the text and with its lead over the
+ * runner up text, so a text that barely beats another candidate gets a low confidence.
+ * An empty text has a confidence of 0. Returns undefined if the text wasn't picked from
+ * these text scores, e.g. a summary that comes from a dedicated section.
+ */
+export const getFieldConfidence = (text: string, textScores: TextScores) => {
+  const value = text.trim();
+  if (!value) return 0;
+
+  // Texts with the same highest score can be concatenated, e.g. the profile summary
+  const isPartOfValue = (scoreText: string) =>
+    scoreText.trim() !== "" && value.includes(scoreText.trim());
+  const candidateScores = textScores.filter(({ text }) => isPartOfValue(text));
+  if (candidateScores.length === 0) return undefined;
+
+  const score = Math.max(...candidateScores.map(({ score }) => score));
+  const runnerUpScore = Math.max(
+    ...textScores
+      .filter(({ text }) => !isPartOfValue(text))
+      .map(({ score }) => score)
+  );
+  const strength = clamp(score / CONFIDENT_SCORE);
+  // No runner up, i.e. -Infinity, is the largest lead possible
+  const lead = clamp((score - runnerUpScore) / CONFIDENT_SCORE);
+  return Math.round(((strength + lead) / 2) * 100) / 100;
+};
+
+/**
+ * Return the confidence of each field of an extracted entry. The text scores of a field
+ * are collected under the field name with a Scores suffix, e.g. companyScores for company.
+ */
+export const getEntryConfidence = <T extends { [field: string]: any }>(
+  entry: T,
+  entryScores: { [key: string]: TextScores }
+) => {
+  const entryConfidence: EntryConfidence<T> = {};
+  for (const [key, textScores] of Object.entries(entryScores)) {
+    const field: keyof T = key.replace(/Scores$/, "");
+    const confidence = getFieldConfidence(String(entry[field]), textScores);
+    if (confidence !== undefined) entryConfidence[field] = confidence;
+  }
+  return entryConfidence;
+};
@@ -1,16 +1,19 @@
 import type { ResumeSectionToLines } from "lib/parse-resume-from-pdf/types";
 
 /**
- * Return section lines that contain any of the keywords.
+ * Return section lines that contain any of the keywords and none of the excluded
+ * keywords, e.g. "experience" but not "volunteer" for work experiences.
  */
 export const getSectionLinesByKeywords = (
   sections: ResumeSectionToLines,
-  keywords: string[]
+  keywords: string[],
+  excludedKeywords: string[] = []
 ) => {
   for (const sectionName in sections) {
-    const hasKeyWord = keywords.some((keyword) =>
-      sectionName.toLowerCase().includes(keyword)
-    );
+    const name = sectionName.toLowerCase();
+    const hasKeyWord =
+      keywords.some((keyword) => name.includes(keyword)) &&
+      !excludedKeywords.some((keyword) => name.includes(keyword));
     if (hasKeyWord) {
       return sections[sectionName];
     }
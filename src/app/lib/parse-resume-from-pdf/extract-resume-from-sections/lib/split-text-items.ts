@@ -0,0 +1,26 @@
+import type { TextItems } from "lib/parse-resume-from-pdf/types";
+
+// " | ", " • " and dashes between words, but not the dash of a date range, e.g. "2019 - 2021"
+const SEPARATORS =
+  /\s*[|•·]\s*|\s[-–—]\s(?!Present\b|(?:\w+\.? )?(?:19|20)\d{2}\b)/;
+const SEPARATORS_AND_COMMAS = new RegExp(`${SEPARATORS.source}|,\\s+`);
+
+/**
+ * Split text items on inline separators, e.g. "AWS Certified | Amazon | 2023" into 3
+ * text items.
+ *
+ * Entries of list like sections often put all their info in a single line, while the
+ * feature scoring system picks whole text items. Commas are separators too unless
+ * splitOnCommas is false, e.g. for publication titles.
+ */
+export const splitTextItemsBySeparators = (
+  textItems: TextItems,
+  splitOnCommas = true
+): TextItems =>
+  textItems.flatMap((item) =>
+    item.text
+      .split(splitOnCommas ? SEPARATORS_AND_COMMAS : SEPARATORS)
+      .map((text) => text.trim())
+      .filter((text) => text !== "")
+      .map((text) => ({ ...item, text }))
+  );
@@ -1,4 +1,7 @@
-import { BULLET_POINTS } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
+import {
+  BULLET_POINTS,
+  getDescriptionsLineIdx,
+} from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/bullet-points";
 import { isBold } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
 import type { Lines, Line, Subsections } from "lib/parse-resume-from-pdf/types";
 
@@ -39,6 +42,27 @@ export const divideSectionIntoSubsections = (lines: Lines): Subsections => {
   return subsections;
 };
 
+/**
+ * Divide lines of a list like section, e.g. certifications or awards, into subsections.
+ *
+ * Entries of these sections are often a single line each with even line gaps, which
+ * divideSectionIntoSubsections keeps together as a single subsection. So a single
+ * subsection is divided into one subsection per line, unless it reads as one entry,
+ * i.e. a bold title followed by regular lines, or a title followed by descriptions.
+ */
+export const divideListSectionIntoSubsections = (lines: Lines): Subsections => {
+  const subsections = divideSectionIntoSubsections(lines);
+  if (subsections.length !== 1) return subsections;
+
+  const [firstLine, ...otherLines] = lines;
+  const isBoldTitleWithDetails =
+    isBold(firstLine[0]) && otherLines.every((line) => !isBold(line[0]));
+  const isTitleWithDescriptions = getDescriptionsLineIdx(lines) === 1;
+  if (isBoldTitleWithDetails || isTitleWithDescriptions) return subsections;
+
+  return lines.map((line) => [line]);
+};
+
 type IsLineNewSubsection = (line: Line, prevLine: Line) => boolean;
 
 const createIsLineNewSubsectionByLineGap = (
@@ -0,0 +1,68 @@
+import type {
+  PDFPageProxy,
+  TextItem as PdfjsTextItem,
+} from "pdfjs-dist/types/src/display/api";
+import type { TextItem, TextItems } from "lib/parse-resume-from-pdf/types";
+
+/**
+ * Convert the text content of a pdfjs page into the parser's TextItem type.
+ *
+ * It removes unused attributes (dir, transform), adds x and y positions, and
+ * replaces loaded font name with original font name. It has no dependency on
+ * the pdfjs worker setup, so it is shared by the browser `readPdf` and the
+ * server side api that loads pdfs from an in-memory buffer.
+ */
+export const getPageTextItems = async (
+  page: PDFPageProxy
+): Promise<TextItems> => {
+  const textContent = await page.getTextContent();
+
+  // Wait for font data to be loaded
+  await page.getOperatorList();
+  const commonObjs = page.commonObjs;
+
+  // Convert Pdfjs TextItem type to new TextItem type
+  return textContent.items.map((item) => {
+    const {
+      str: text,
+      dir, // Remove text direction
+      transform,
+      fontName: pdfFontName,
+      ...otherProps
+    } = item as PdfjsTextItem;
+
+    // Extract x, y position of text item from transform.
+    // As a side note, origin (0, 0) is bottom left.
+    // Reference: https://github.com/mozilla/pdf.js/issues/5643#issuecomment-496648719
+    const x = transform[4];
+    const y = transform[5];
+
+    // Use commonObjs to convert font name to original name (e.g. "GVDLYI+Arial-BoldMT")
+    // since non system font name by default is a loaded name, e.g. "g_d8_f1"
+    // Reference: https://github.com/mozilla/pdf.js/pull/15659
+    const fontObj = commonObjs.get(pdfFontName);
+    const fontName = fontObj.name;
+
+    // pdfjs reads a "-" as "-­‐" in the resume example. This is to revert it.
+    // Note "-­‐" is "-&#x00AD;‐" with a soft hyphen in between. It is not the same as "--"
+    const newText = text.replace(/-­‐/g, "-");
+
+    const newItem = {
+      ...otherProps,
+      fontName,
+      text: newText,
+      x,
+      y,
+    };
+    return newItem;
+  });
+};
+
+/**
+ * Filter out empty space textItem noise
+ */
+export const removeEmptySpaceTextItems = (textItems: TextItems) => {
+  const isEmptySpace = (textItem: TextItem) =>
+    !textItem.hasEOL && textItem.text.trim() === "";
+  return textItems.filter((textItem) => !isEmptySpace(textItem));
+};
@@ -2,13 +2,20 @@ import type { ResumeKey } from "lib/redux/types";
 import type {
   Line,
   Lines,
+  ParserVocabulary,
   ResumeSectionToLines,
+  SectionKeyword,
 } from "lib/parse-resume-from-pdf/types";
 import {
   hasLetterAndIsAllUpperCase,
   hasOnlyLettersSpacesAmpersands,
   isBold,
 } from "lib/parse-resume-from-pdf/extract-resume-from-sections/lib/common-features";
+import {
+  ENGLISH_VOCABULARY,
+  getSectionKeywords,
+  hasCjk,
+} from "lib/parse-resume-from-pdf/language-packs";
 
 export const PROFILE_SECTION: ResumeKey = "profile";
 
@@ -20,14 +27,17 @@ export const PROFILE_SECTION: ResumeKey = "profile";
  * also in books and blogs. The resume parser uses this pattern to group lines
  * into the closest section title above these lines.
  */
-export const groupLinesIntoSections = (lines: Lines) => {
+export const groupLinesIntoSections = (
+  lines: Lines,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+) => {
   let sections: ResumeSectionToLines = {};
   let sectionName: string = PROFILE_SECTION;
   let sectionLines = [];
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
     const text = line[0]?.text.trim();
-    if (isSectionTitle(line, i)) {
+    if (isSectionTitle(line, i, vocabulary)) {
       sections[sectionName] = [...sectionLines];
       sectionName = text;
       sectionLines = [];
@@ -41,13 +51,13 @@ export const groupLinesIntoSections = (lines: Lines) => {
   return sections;
 };
 
-const SECTION_TITLE_PRIMARY_KEYWORDS = [
+const SECTION_TITLE_PRIMARY_KEYWORDS: SectionKeyword[] = [
   "experience",
   "education",
   "project",
   "skill",
 ];
-const SECTION_TITLE_SECONDARY_KEYWORDS = [
+const SECTION_TITLE_SECONDARY_KEYWORDS: SectionKeyword[] = [
   "job",
   "course",
   "extracurricular",
@@ -56,13 +66,25 @@ const SECTION_TITLE_SECONDARY_KEYWORDS = [
   "award",
   "honor",
   "project",
+  "certif",
+  "license",
+  "language",
+  "volunteer",
+  "publication",
 ];
 const SECTION_TITLE_KEYWORDS = [
   ...SECTION_TITLE_PRIMARY_KEYWORDS,
   ...SECTION_TITLE_SECONDARY_KEYWORDS,
 ];
 
-const isSectionTitle = (line: Line, lineNumber: number) => {
+// Chinese, Japanese and Korean section titles are a few characters long, e.g. "工作经历"
+const MAX_CJK_SECTION_TITLE_LENGTH = 6;
+
+export const isSectionTitle = (
+  line: Line,
+  lineNumber: number,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+) => {
   const isFirstTwoLines = lineNumber < 2;
   const hasMoreThanOneItemInLine = line.length > 1;
   const hasNoItemInLine = line.length === 0;
@@ -81,17 +103,29 @@ const isSectionTitle = (line: Line, lineNumber: number) => {
   // The following is a fallback heuristic to detect section title if it includes a keyword match
   // (This heuristics is not well tested and may not work well)
   const text = textItem.text.trim();
+  const hasKeyword = getSectionKeywords(
+    SECTION_TITLE_KEYWORDS,
+    vocabulary
+  ).some((keyword) => text.toLowerCase().includes(keyword));
+  if (!hasKeyword) {
+    return false;
+  }
+
+  if (hasCjk(text)) {
+    // A job title can have a keyword too, e.g. "项目经理" (project manager)
+    const hasJobTitle = vocabulary.jobTitles.some((jobTitle) =>
+      text.includes(jobTitle)
+    );
+    return text.length <= MAX_CJK_SECTION_TITLE_LENGTH && !hasJobTitle;
+  }
+
   const textHasAtMost2Words =
     text.split(" ").filter((s) => s !== "&").length <= 2;
-  const startsWithCapitalLetter = /[A-Z]/.test(text.slice(0, 1));
-
+  const startsWithCapitalLetter = /[A-Z\u00c0-\u00de]/.test(text.slice(0, 1));
   if (
     textHasAtMost2Words &&
     hasOnlyLettersSpacesAmpersands(textItem) &&
-    startsWithCapitalLetter &&
-    SECTION_TITLE_KEYWORDS.some((keyword) =>
-      text.toLowerCase().includes(keyword)
-    )
+    startsWithCapitalLetter
   ) {
     return true;
   }
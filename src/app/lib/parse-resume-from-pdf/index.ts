@@ -2,24 +2,32 @@ import { readPdf } from "lib/parse-resume-from-pdf/read-pdf";
 import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
 import { groupLinesIntoSections } from "lib/parse-resume-from-pdf/group-lines-into-sections";
 import { extractResumeFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import {
+  detectLanguage,
+  getVocabulary,
+} from "lib/parse-resume-from-pdf/language-packs";
 
 /**
  * Resume parser util that parses a resume from a resume pdf file
  *
- * Note: The parser algorithm only works for single column resume in English language
+ * Note: The parser algorithm works for resumes in the languages with a language pack
+ * (see lib/parse-resume-from-pdf/language-packs), detected from the resume text after
+ * step 2. Multi-column pages, e.g. with a sidebar, are detected in step 1 and read one
+ * column at a time
  */
 export const parseResumeFromPdf = async (fileUrl: string) => {
   // Step 1. Read a pdf resume file into text items to prepare for processing
-  const textItems = await readPdf(fileUrl);
+  const { textItems } = await readPdf(fileUrl);
 
   // Step 2. Group text items into lines
   const lines = groupTextItemsIntoLines(textItems);
+  const vocabulary = getVocabulary(detectLanguage(lines));
 
   // Step 3. Group lines into sections
-  const sections = groupLinesIntoSections(lines);
+  const sections = groupLinesIntoSections(lines, vocabulary);
 
   // Step 4. Extract resume from sections
-  const resume = extractResumeFromSections(sections);
+  const resume = extractResumeFromSections(sections, vocabulary);
 
   return resume;
 };
@@ -0,0 +1,45 @@
+import type { LanguagePack } from "lib/parse-resume-from-pdf/types";
+
+export const de: LanguagePack = {
+  language: "de",
+  name: "Deutsch",
+  // prettier-ignore
+  commonWords: ['als', 'auf', 'bei', 'das', 'den', 'der', 'die', 'ein', 'eine', 'für', 'im', 'mit', 'und', 'von', 'zu'],
+  sectionKeywords: {
+    experience: ["erfahrung"],
+    work: ["beruf", "tätigkeit"],
+    employment: ["anstellung", "beschäftigung"],
+    history: ["werdegang"],
+    education: ["bildung", "studium"],
+    course: ["kurs", "seminar"],
+    project: ["projekt"],
+    // Not "kenntnisse", which also matches "Sprachkenntnisse"
+    skill: ["fähigkeit", "kompetenz", "fachkenntnisse", "it-kenntnisse", "edv"],
+    programming: ["programmier"],
+    language: ["sprache"],
+    award: ["auszeichnung", "preis"],
+    achievement: ["erfolg"],
+    certif: ["zertifi"],
+    license: ["lizenz"],
+    volunteer: ["ehrenamt"],
+    community: ["engagement"],
+    publication: ["publikation", "veröffentlichung"],
+    summary: ["profil", "zusammenfassung", "über mich"],
+    objective: ["ziel"],
+  },
+  // prettier-ignore
+  jobTitles: ['Analyst', 'Analystin', 'Architekt', 'Architektin', 'Assistent', 'Assistentin', 'Berater', 'Beraterin', 'Entwickler', 'Entwicklerin', 'Geschäftsführer', 'Geschäftsführerin', 'Gründer', 'Gründerin', 'Ingenieur', 'Ingenieurin', 'Kauffrau', 'Kaufmann', 'Lehrer', 'Lehrerin', 'Leiter', 'Leiterin', 'Mitarbeiter', 'Mitarbeiterin', 'Praktikant', 'Praktikantin', 'Projektleiter', 'Projektleiterin', 'Referent', 'Referentin', 'Sachbearbeiter', 'Sachbearbeiterin', 'Softwareentwickler', 'Softwareentwicklerin', 'Spezialist', 'Spezialistin', 'Teamleiter', 'Teamleiterin', 'Techniker', 'Technikerin', 'Werkstudent', 'Werkstudentin'],
+  // prettier-ignore
+  schools: ['Universität', 'Hochschule', 'Akademie', 'Institut', 'Gymnasium', 'Schule'],
+  // prettier-ignore
+  degrees: ['Bachelor', 'Master', 'Diplom', 'Magister', 'Staatsexamen', 'Promotion', 'Doktor', 'Abitur', 'B.Sc.', 'M.Sc.'],
+  // prettier-ignore
+  months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+  seasons: {
+    spring: ["Frühling"],
+    summer: ["Sommer"],
+    fall: ["Herbst"],
+    winter: ["Winter"],
+  },
+  present: ["heute", "aktuell", "gegenwart", "jetzt"],
+};
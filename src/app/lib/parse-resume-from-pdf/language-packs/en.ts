@@ -0,0 +1,24 @@
+import type { LanguagePack } from "lib/parse-resume-from-pdf/types";
+
+export const en: LanguagePack = {
+  language: "en",
+  name: "English",
+  // prettier-ignore
+  commonWords: ['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'the', 'to', 'with'],
+  // The extractors look up sections by their English keywords
+  sectionKeywords: {},
+  // prettier-ignore
+  jobTitles: ['Accountant', 'Administrator', 'Advisor', 'Agent', 'Analyst', 'Apprentice', 'Architect', 'Assistant', 'Associate', 'Auditor', 'Bartender', 'Biologist', 'Bookkeeper', 'Buyer', 'Carpenter', 'Cashier', 'CEO', 'Clerk', 'Co-op', 'Co-Founder', 'Consultant', 'Coordinator', 'CTO', 'Developer', 'Designer', 'Director', 'Driver', 'Editor', 'Electrician', 'Engineer', 'Extern', 'Founder', 'Freelancer', 'Head', 'Intern', 'Janitor', 'Journalist', 'Laborer', 'Lawyer', 'Lead', 'Manager', 'Mechanic', 'Member', 'Nurse', 'Officer', 'Operator', 'Operation', 'Photographer', 'President', 'Producer', 'Recruiter', 'Representative', 'Researcher', 'Sales', 'Server', 'Scientist', 'Specialist', 'Supervisor', 'Teacher', 'Technician', 'Trader', 'Trainee', 'Treasurer', 'Tutor', 'Vice', 'VP', 'Volunteer', 'Webmaster', 'Worker'],
+  // prettier-ignore
+  schools: ['College', 'University', 'Institute', 'School', 'Academy', 'BASIS', 'Magnet'],
+  degrees: ["Associate", "Bachelor", "Master", "PhD", "Ph."],
+  // prettier-ignore
+  months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  seasons: {
+    spring: ["Spring"],
+    summer: ["Summer"],
+    fall: ["Fall", "Autumn"],
+    winter: ["Winter"],
+  },
+  present: ["Present", "Current", "Now", "Today", "Ongoing"],
+};
@@ -0,0 +1,42 @@
+import type { LanguagePack } from "lib/parse-resume-from-pdf/types";
+
+export const es: LanguagePack = {
+  language: "es",
+  name: "Español",
+  // prettier-ignore
+  commonWords: ['al', 'como', 'con', 'del', 'el', 'los', 'las', 'para', 'por', 'que', 'sus', 'una', 'y'],
+  sectionKeywords: {
+    experience: ["experiencia"],
+    work: ["laboral", "trabajo"],
+    employment: ["empleo"],
+    history: ["trayectoria"],
+    education: ["educación", "formación", "estudios"],
+    course: ["curso"],
+    project: ["proyecto"],
+    skill: ["habilidad", "competencia", "conocimiento", "aptitud"],
+    programming: ["programación"],
+    language: ["idioma", "lengua"],
+    award: ["premio", "reconocimiento"],
+    achievement: ["logro"],
+    license: ["licencia"],
+    volunteer: ["voluntari"],
+    community: ["comunitari"],
+    publication: ["publicacion", "publicación"],
+    summary: ["resumen", "perfil", "sobre mí"],
+    objective: ["objetivo"],
+  },
+  // prettier-ignore
+  jobTitles: ['Administrador', 'Administradora', 'Analista', 'Arquitecto', 'Arquitecta', 'Asesor', 'Asesora', 'Asistente', 'Auxiliar', 'Becario', 'Becaria', 'Consultor', 'Consultora', 'Contador', 'Contadora', 'Coordinador', 'Coordinadora', 'Desarrollador', 'Desarrolladora', 'Director', 'Directora', 'Diseñador', 'Diseñadora', 'Especialista', 'Fundador', 'Fundadora', 'Gerente', 'Ingeniero', 'Ingeniera', 'Investigador', 'Investigadora', 'Jefe', 'Jefa', 'Practicante', 'Profesor', 'Profesora', 'Programador', 'Programadora', 'Responsable', 'Técnico', 'Técnica', 'Vendedor', 'Vendedora'],
+  schools: ["Universidad", "Instituto", "Escuela", "Colegio", "Facultad"],
+  // prettier-ignore
+  degrees: ['Grado', 'Licenciatura', 'Licenciado', 'Licenciada', 'Máster', 'Maestría', 'Doctorado', 'Ingeniería', 'Técnico Superior', 'Bachillerato'],
+  // prettier-ignore
+  months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  seasons: {
+    spring: ["primavera"],
+    summer: ["verano"],
+    fall: ["otoño"],
+    winter: ["invierno"],
+  },
+  present: ["actualidad", "presente", "actual"],
+};
@@ -0,0 +1,36 @@
+import type { LanguagePack } from "lib/parse-resume-from-pdf/types";
+
+export const fr: LanguagePack = {
+  language: "fr",
+  name: "Français",
+  // prettier-ignore
+  commonWords: ['au', 'aux', 'avec', 'dans', 'des', 'du', 'est', 'et', 'le', 'les', 'pour', 'sur', 'une'],
+  sectionKeywords: {
+    experience: ["expérience"],
+    work: ["travail"],
+    employment: ["emploi"],
+    history: ["parcours"],
+    education: ["formation", "éducation", "études", "scolarité", "diplôme"],
+    course: ["cours"],
+    project: ["projet"],
+    skill: ["compétence", "aptitude", "savoir-faire"],
+    programming: ["programmation"],
+    language: ["langue"],
+    award: ["prix", "distinction", "récompense"],
+    honor: ["honneur"],
+    volunteer: ["bénévol"],
+    community: ["associati"],
+    summary: ["profil", "résumé", "à propos"],
+    objective: ["objectif"],
+  },
+  // prettier-ignore
+  jobTitles: ['Alternant', 'Alternante', 'Analyste', 'Architecte', 'Assistant', 'Assistante', 'Chargé', 'Chargée', 'Chef', 'Chercheur', 'Chercheuse', 'Commercial', 'Commerciale', 'Comptable', 'Conseiller', 'Conseillère', 'Consultant', 'Consultante', 'Coordinateur', 'Coordinatrice', 'Développeur', 'Développeuse', 'Directeur', 'Directrice', 'Enseignant', 'Enseignante', 'Fondateur', 'Fondatrice', 'Gestionnaire', 'Ingénieur', 'Ingénieure', 'Professeur', 'Responsable', 'Stagiaire', 'Technicien', 'Technicienne'],
+  schools: ["Université", "École", "Ecole", "Institut", "Lycée", "Faculté"],
+  // prettier-ignore
+  degrees: ['Licence', 'Master', 'Doctorat', 'Diplôme', 'Baccalauréat', 'BTS', 'DUT', 'Mastère'],
+  // prettier-ignore
+  months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+  // Not "été", which also matches e.g. "Société"
+  seasons: { spring: ["printemps"], fall: ["automne"], winter: ["hiver"] },
+  present: ["présent", "aujourd'hui", "actuel", "ce jour"],
+};
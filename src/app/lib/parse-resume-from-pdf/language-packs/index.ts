@@ -0,0 +1,145 @@
+import type {
+  LanguagePack,
+  Lines,
+  ParserVocabulary,
+  LanguageCode,
+  Season,
+  SectionKeyword,
+} from "lib/parse-resume-from-pdf/types";
+import { en } from "lib/parse-resume-from-pdf/language-packs/en";
+import { es } from "lib/parse-resume-from-pdf/language-packs/es";
+import { de } from "lib/parse-resume-from-pdf/language-packs/de";
+import { fr } from "lib/parse-resume-from-pdf/language-packs/fr";
+import { zh } from "lib/parse-resume-from-pdf/language-packs/zh";
+
+/**
+ * Language packs of the parser. Supporting a new language only takes a pack here and
+ * its code in LanguageCode.
+ */
+export const LANGUAGE_PACKS: Record<LanguageCode, LanguagePack> = {
+  en,
+  es,
+  de,
+  fr,
+  zh,
+};
+export const LANGUAGE_CODES = Object.keys(LANGUAGE_PACKS) as LanguageCode[];
+export const DEFAULT_LANGUAGE: LanguageCode = "en";
+
+export const isLanguageCode = (language: string): language is LanguageCode =>
+  language in LANGUAGE_PACKS;
+
+// Chinese, Japanese and Korean text has no spaces between words
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+export const hasCjk = (text: string) => CJK_PATTERN.test(text);
+
+const SEASONS: Season[] = ["spring", "summer", "fall", "winter"];
+
+// A lowercase word also matches its capitalized form, e.g. "enero" matches "Enero"
+const withCapitalizedForms = (words: string[]) =>
+  words.flatMap((word) => {
+    const capitalized = word.charAt(0).toUpperCase() + word.slice(1);
+    return capitalized === word ? [word] : [word, capitalized];
+  });
+
+const toVocabulary = (packs: LanguagePack[]): ParserVocabulary => {
+  const sectionKeywords: ParserVocabulary["sectionKeywords"] = {};
+  for (const pack of packs) {
+    for (const [keyword, translations] of Object.entries(
+      pack.sectionKeywords
+    )) {
+      const key = keyword as SectionKeyword;
+      sectionKeywords[key] = [
+        ...(sectionKeywords[key] ?? []),
+        ...translations!,
+      ];
+    }
+  }
+  const merge = (field: "jobTitles" | "schools" | "degrees") =>
+    packs.flatMap((pack) => pack[field]);
+  const seasons = {} as ParserVocabulary["seasons"];
+  for (const season of SEASONS) {
+    seasons[season] = withCapitalizedForms(
+      packs.flatMap((pack) => pack.seasons[season] ?? [])
+    );
+  }
+
+  return {
+    language: packs[packs.length - 1].language,
+    sectionKeywords,
+    jobTitles: merge("jobTitles"),
+    schools: merge("schools"),
+    degrees: merge("degrees"),
+    months: en.months.map((_, idx) =>
+      withCapitalizedForms(packs.map((pack) => pack.months[idx]))
+    ),
+    seasons,
+    present: withCapitalizedForms(packs.flatMap((pack) => pack.present)),
+  };
+};
+
+/**
+ * Return the vocabulary to parse a resume of a language with, which also has English.
+ */
+export const getVocabulary = (language: LanguageCode): ParserVocabulary =>
+  language === "en"
+    ? toVocabulary([en])
+    : toVocabulary([en, LANGUAGE_PACKS[language]]);
+
+export const ENGLISH_VOCABULARY = getVocabulary("en");
+
+// Vocabulary of every language, for text of no known language, e.g. the dates typed in the
+// builder. English goes last, so it is the language of the vocabulary.
+export const MULTILINGUAL_VOCABULARY = toVocabulary([
+  ...LANGUAGE_CODES.filter((language) => language !== "en").map(
+    (language) => LANGUAGE_PACKS[language]
+  ),
+  en,
+]);
+
+/**
+ * Return the English keywords with their translations in the vocabulary, to look up the
+ * sections of a resume in its language.
+ */
+export const getSectionKeywords = (
+  keywords: SectionKeyword[],
+  vocabulary: ParserVocabulary
+) => [
+  ...keywords,
+  ...keywords.flatMap((keyword) => vocabulary.sectionKeywords[keyword] ?? []),
+];
+
+const countOccurrences = (text: string, word: string) =>
+  text.split(word).length - 1;
+
+/**
+ * Detect the language of a resume from the common words of each language pack in its
+ * text. Words of a language without spaces, e.g. Chinese, are counted anywhere in the
+ * text and other words as whole words. English wins a tie.
+ */
+export const detectLanguage = (lines: Lines): LanguageCode => {
+  const text = lines
+    .flat()
+    .map((item) => item.text)
+    .join(" ")
+    .toLowerCase();
+  const words = text.split(/[^a-z\u00c0-\u024f]+/);
+
+  let language: LanguageCode = DEFAULT_LANGUAGE;
+  let maxCount = 0;
+  for (const pack of Object.values(LANGUAGE_PACKS)) {
+    const count = pack.commonWords.reduce(
+      (acc, commonWord) =>
+        acc +
+        (hasCjk(commonWord)
+          ? countOccurrences(text, commonWord)
+          : words.filter((word) => word === commonWord).length),
+      0
+    );
+    if (count > maxCount) {
+      language = pack.language;
+      maxCount = count;
+    }
+  }
+  return language;
+};
@@ -0,0 +1,170 @@
+import {
+  detectLanguage,
+  getSectionKeywords,
+  getVocabulary,
+} from "lib/parse-resume-from-pdf/language-packs";
+import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
+import { groupLinesIntoSections } from "lib/parse-resume-from-pdf/group-lines-into-sections";
+import { extractResumeFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import type { TextItems } from "lib/parse-resume-from-pdf/types";
+
+// One text item per line, 20pt apart from the top of the page
+const makePage = (texts: [string, string?][]): TextItems =>
+  texts.map(([text, fontName = "Arial"], idx) => ({
+    text,
+    x: 40,
+    y: 700 - idx * 20,
+    width: text.length * 5,
+    height: 10,
+    fontName,
+    hasEOL: true,
+  }));
+
+const parse = (textItems: TextItems) => {
+  const lines = groupTextItemsIntoLines(textItems);
+  const language = detectLanguage(lines);
+  const vocabulary = getVocabulary(language);
+  const sections = groupLinesIntoSections(lines, vocabulary);
+  return { language, resume: extractResumeFromSections(sections, vocabulary) };
+};
+
+const SPANISH_RESUME = makePage([
+  ["José García", "Arial-Bold"],
+  ["jose@correo.es"],
+  ["Experiencia laboral"],
+  ["Banco Central", "Arial-Bold"],
+  ["Ingeniero de Software"],
+  ["enero 2020 - actualidad"],
+  ["• Desarrollo de la plataforma de pagos para los clientes del banco"],
+  ["Formación"],
+  ["Universidad Complutense de Madrid"],
+  ["Grado en Informática"],
+  ["septiembre 2015 - junio 2019"],
+]);
+
+const CHINESE_RESUME = makePage([
+  ["王小明", "Arial-Bold"],
+  ["xiaoming@example.com"],
+  ["工作经历"],
+  ["腾讯科技", "Arial-Bold"],
+  ["高级软件工程师"],
+  ["2020年7月 - 至今"],
+  ["• 负责支付系统的设计和开发"],
+  ["教育背景"],
+  ["北京大学"],
+  ["计算机科学学士"],
+  ["2016年9月 - 2020年6月"],
+]);
+
+describe("language-packs tests - ", () => {
+  it("Detects the language of a resume", () => {
+    const detect = (texts: string[]) =>
+      detectLanguage(groupTextItemsIntoLines(makePage(texts.map((t) => [t]))));
+    expect(detect(["Built the payments API for the checkout team"])).toBe("en");
+    expect(
+      detect(["Desarrollo de la plataforma de pagos para los clientes"])
+    ).toBe("es");
+    expect(
+      detect(["Entwicklung der Zahlungsplattform für die Kunden und Partner"])
+    ).toBe("de");
+    expect(
+      detect(["Développement de la plateforme de paiement pour les clients"])
+    ).toBe("fr");
+    expect(detect(["负责支付系统的设计和开发"])).toBe("zh");
+    // English wins a tie
+    expect(detect(["John Doe"])).toBe("en");
+  });
+
+  it("Parses a Spanish resume", () => {
+    const { language, resume } = parse(SPANISH_RESUME);
+    expect(language).toBe("es");
+    expect(resume.profile.name).toBe("José García");
+    expect(resume.workExperiences).toEqual([
+      {
+        company: "Banco Central",
+        jobTitle: "Ingeniero de Software",
+        date: "enero 2020 - actualidad",
+        descriptions: [
+          "Desarrollo de la plataforma de pagos para los clientes del banco",
+        ],
+      },
+    ]);
+    expect(resume.educations[0]).toMatchObject({
+      school: "Universidad Complutense de Madrid",
+      degree: "Grado en Informática",
+      date: "septiembre 2015 - junio 2019",
+    });
+  });
+
+  it("Parses a Chinese resume", () => {
+    const { language, resume } = parse(CHINESE_RESUME);
+    expect(language).toBe("zh");
+    expect(resume.profile.name).toBe("王小明");
+    expect(resume.workExperiences[0]).toMatchObject({
+      company: "腾讯科技",
+      jobTitle: "高级软件工程师",
+      date: "2020年7月 - 至今",
+    });
+    expect(resume.educations[0]).toMatchObject({
+      school: "北京大学",
+      degree: "计算机科学学士",
+      date: "2016年9月 - 2020年6月",
+    });
+  });
+
+  it("Finds certificate sections by their translated titles", () => {
+    const getCertificationNames = (texts: string[]) =>
+      parse(
+        makePage([
+          ...CHINESE_RESUME.slice(0, 7).map(
+            ({ text, fontName }): [string, string] => [text, fontName]
+          ),
+          ...texts.map((text): [string] => [text]),
+        ])
+      ).resume.certifications.map(({ name }) => name);
+
+    expect(
+      getCertificationNames(["证书", "全国计算机等级考试二级证书"])
+    ).toEqual(["全国计算机等级考试二级证书"]);
+    expect(getCertificationNames(["资格证书", "注册会计师"])).toEqual([
+      "注册会计师",
+    ]);
+
+    const { language, resume } = parse(
+      makePage([
+        ["Max Mustermann", "Arial-Bold"],
+        ["max@beispiel.de"],
+        ["Berufserfahrung"],
+        ["Siemens AG", "Arial-Bold"],
+        ["Softwareentwickler"],
+        ["Januar 2020 - heute"],
+        ["• Entwicklung der Zahlungsplattform für die Kunden und Partner"],
+        ["Zertifikate"],
+        ["AWS Certified Developer"],
+      ])
+    );
+    expect(language).toBe("de");
+    expect(resume.certifications.map(({ name }) => name)).toEqual([
+      "AWS Certified Developer",
+    ]);
+  });
+
+  it("Looks up sections by their English keywords and translations", () => {
+    // Without the Spanish pack, "Experiencia laboral" and "Formación" aren't sections
+    const lines = groupTextItemsIntoLines(SPANISH_RESUME);
+    const englishVocabulary = getVocabulary("en");
+    const sections = groupLinesIntoSections(lines, englishVocabulary);
+    const resume = extractResumeFromSections(sections, englishVocabulary);
+    expect(resume.workExperiences).toEqual([]);
+    expect(resume.educations).toEqual([]);
+
+    expect(getSectionKeywords(["education"], englishVocabulary)).toEqual([
+      "education",
+    ]);
+    expect(getSectionKeywords(["education"], getVocabulary("de"))).toEqual([
+      "education",
+      "bildung",
+      "studium",
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import type { LanguagePack } from "lib/parse-resume-from-pdf/types";
+
+export const zh: LanguagePack = {
+  language: "zh",
+  name: "中文",
+  commonWords: ["的", "和", "与", "在", "负责", "参与", "完成"],
+  sectionKeywords: {
+    experience: ["经历", "经验"],
+    work: ["工作"],
+    employment: ["任职", "就业"],
+    history: ["履历"],
+    education: ["教育", "学历"],
+    course: ["课程"],
+    project: ["项目"],
+    skill: ["技能", "专长", "技术栈"],
+    programming: ["编程"],
+    language: ["语言"],
+    award: ["获奖", "奖项", "荣誉"],
+    certif: ["证书", "资格"],
+    volunteer: ["志愿"],
+    community: ["社会实践", "社区"],
+    publication: ["论文", "出版", "发表"],
+    summary: ["自我评价", "个人简介", "简介", "概述", "个人总结"],
+    objective: ["求职意向"],
+  },
+  // prettier-ignore
+  jobTitles: ['工程师', '开发', '经理', '总监', '主管', '实习生', '分析师', '设计师', '顾问', '专员', '助理', '架构师', '研究员', '教师', '负责人', '组长', '会计', '主任', '总裁', '创始人'],
+  schools: ["大学", "学院", "学校", "中学"],
+  degrees: ["学士", "硕士", "博士", "本科", "研究生", "大专"],
+  // prettier-ignore
+  months: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'],
+  seasons: {
+    spring: ["春季"],
+    summer: ["夏季"],
+    fall: ["秋季"],
+    winter: ["冬季"],
+  },
+  present: ["至今", "现在", "目前"],
+};
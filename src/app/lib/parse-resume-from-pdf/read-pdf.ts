@@ -5,8 +5,13 @@ import * as pdfjs from "pdfjs-dist";
 import pdfjsWorker from "pdfjs-dist/build/pdf.worker.entry";
 pdfjs.GlobalWorkerOptions.workerSrc = pdfjsWorker;
 
-import type { TextItem as PdfjsTextItem } from "pdfjs-dist/types/src/display/api";
-import type { TextItem, TextItems } from "lib/parse-resume-from-pdf/types";
+import type { TextItems, PageLayout } from "lib/parse-resume-from-pdf/types";
+import {
+  getPageTextItems,
+  removeEmptySpaceTextItems,
+} from "lib/parse-resume-from-pdf/get-page-text-items";
+import { orderTextItemsByColumns } from "lib/parse-resume-from-pdf/detect-columns";
+import { isPageTextOutOfOrder } from "lib/parse-resume-from-pdf/ats-report";
 
 /**
  * Step 1: Read pdf and output textItems by concatenating results from each page.
@@ -15,75 +20,46 @@ import type { TextItem, TextItems } from "lib/parse-resume-from-pdf/types";
  * attributes (dir, transform), adds x and y positions, and replaces loaded font
  * name with original font name.
  *
+ * Multi-column pages are read one column at a time, and the detected layout of
+ * each page is returned in pageLayouts.
+ *
  * @example
  * const onFileChange = async (e) => {
  *     const fileUrl = URL.createObjectURL(e.target.files[0]);
- *     const textItems = await readPdf(fileUrl);
+ *     const { textItems, pageLayouts } = await readPdf(fileUrl);
  * }
  */
-export const readPdf = async (fileUrl: string): Promise<TextItems> => {
+export const readPdf = async (
+  fileUrl: string
+): Promise<{ textItems: TextItems; pageLayouts: PageLayout[] }> => {
   const pdfFile = await pdfjs.getDocument(fileUrl).promise;
-  let textItems: TextItems = [];
+  const textItems: TextItems = [];
+  const pageLayouts: PageLayout[] = [];
 
   for (let i = 1; i <= pdfFile.numPages; i++) {
     // Parse each page into text content
     const page = await pdfFile.getPage(i);
-    const textContent = await page.getTextContent();
-
-    // Wait for font data to be loaded
-    await page.getOperatorList();
-    const commonObjs = page.commonObjs;
-
-    // Convert Pdfjs TextItem type to new TextItem type
-    const pageTextItems = textContent.items.map((item) => {
-      const {
-        str: text,
-        dir, // Remove text direction
-        transform,
-        fontName: pdfFontName,
-        ...otherProps
-      } = item as PdfjsTextItem;
-
-      // Extract x, y position of text item from transform.
-      // As a side note, origin (0, 0) is bottom left.
-      // Reference: https://github.com/mozilla/pdf.js/issues/5643#issuecomment-496648719
-      const x = transform[4];
-      const y = transform[5];
-
-      // Use commonObjs to convert font name to original name (e.g. "GVDLYI+Arial-BoldMT")
-      // since non system font name by default is a loaded name, e.g. "g_d8_f1"
-      // Reference: https://github.com/mozilla/pdf.js/pull/15659
-      const fontObj = commonObjs.get(pdfFontName);
-      const fontName = fontObj.name;
-
-      // pdfjs reads a "-" as "-­‐" in the resume example. This is to revert it.
-      // Note "-­‐" is "-&#x00AD;‐" with a soft hyphen in between. It is not the same as "--"
-      const newText = text.replace(/-­‐/g, "-");
-
-      const newItem = {
-        ...otherProps,
-        fontName,
-        text: newText,
-        x,
-        y,
-      };
-      return newItem;
-    });
+    const pageTextItems = await getPageTextItems(page);
 
     // Some pdf's text items are not in order. This is most likely a result of creating it
     // from design softwares, e.g. canvas. The commented out method can sort pageTextItems
     // by y position to put them back in order. But it is not used since it might be more
-    // helpful to let users know that the pdf is not in order.
+    // helpful to let users know that the pdf is not in order, which the ATS report does.
     // pageTextItems.sort((a, b) => Math.round(b.y) - Math.round(a.y));
 
+    // Columns are different though. Reading a two column page line by line would
+    // interleave the columns, so those pages are put back in order column by column
+    const { textItems: orderedTextItems, numColumns } =
+      orderTextItemsByColumns(pageTextItems);
+    pageLayouts.push({
+      pageNumber: i,
+      numColumns,
+      isTextOutOfOrder: isPageTextOutOfOrder(pageTextItems, numColumns),
+    });
+
     // Add text items of each page to total
-    textItems.push(...pageTextItems);
+    textItems.push(...orderedTextItems);
   }
 
-  // Filter out empty space textItem noise
-  const isEmptySpace = (textItem: TextItem) =>
-    !textItem.hasEOL && textItem.text.trim() === "";
-  textItems = textItems.filter((textItem) => !isEmptySpace(textItem));
-
-  return textItems;
+  return { textItems: removeEmptySpaceTextItems(textItems), pageLayouts };
 };
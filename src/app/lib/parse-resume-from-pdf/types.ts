@@ -1,4 +1,14 @@
-import type { ResumeKey } from "lib/redux/types";
+import type {
+  ResumeAward,
+  ResumeCertification,
+  ResumeEducation,
+  ResumeKey,
+  ResumeProfile,
+  ResumeProject,
+  ResumePublication,
+  ResumeVolunteerExperience,
+  ResumeWorkExperience,
+} from "lib/redux/types";
 
 export interface TextItem {
   text: string;
@@ -11,6 +21,13 @@ export interface TextItem {
 }
 export type TextItems = TextItem[];
 
+export interface PageLayout {
+  pageNumber: number;
+  numColumns: number;
+  // Whether the pdf stores the text in a different order than it reads
+  isTextOutOfOrder: boolean;
+}
+
 export type Line = TextItem[];
 export type Lines = Line[];
 
@@ -35,3 +52,84 @@ export interface TextScore {
   match: boolean;
 }
 export type TextScores = TextScore[];
+
+// Confidence, from 0 to 1, of each field extracted by the feature scoring system
+export type EntryConfidence<T> = { [field in keyof T]?: number };
+export interface ResumeConfidence {
+  profile: EntryConfidence<ResumeProfile>;
+  workExperiences: EntryConfidence<ResumeWorkExperience>[];
+  educations: EntryConfidence<ResumeEducation>[];
+  projects: EntryConfidence<ResumeProject>[];
+  certifications: EntryConfidence<ResumeCertification>[];
+  awards: EntryConfidence<ResumeAward>[];
+  volunteerExperiences: EntryConfidence<ResumeVolunteerExperience>[];
+  publications: EntryConfidence<ResumePublication>[];
+}
+
+// ISO 639-1 codes of the languages with a language pack
+export type LanguageCode = "en" | "es" | "de" | "fr" | "zh";
+
+/**
+ * English keywords the extractors look up sections by. A section title matches a keyword
+ * if its lowercase text includes it, e.g. "certif" matches "Certificates".
+ */
+export type SectionKeyword =
+  | "achievement"
+  | "award"
+  | "certif"
+  | "community"
+  | "course"
+  | "education"
+  | "employment"
+  | "experience"
+  | "extracurricular"
+  | "history"
+  | "honor"
+  | "job"
+  | "language"
+  | "license"
+  | "objective"
+  | "programming"
+  | "project"
+  | "publication"
+  | "skill"
+  | "summary"
+  | "volunteer"
+  | "work";
+
+/**
+ * Vocabulary of a resume language. Words are matched the way they are written, except
+ * that a lowercase word also matches its capitalized form, e.g. "enero" matches "Enero".
+ * Words of a language without spaces, e.g. Chinese, are matched anywhere in a text.
+ */
+export interface LanguagePack {
+  language: LanguageCode;
+  name: string;
+  // Lowercase words that are frequent in the language, only used to detect it
+  commonWords: string[];
+  // Lowercase section title keywords of the language by the English keyword they translate
+  sectionKeywords: Partial<Record<SectionKeyword, string[]>>;
+  jobTitles: string[];
+  schools: string[];
+  degrees: string[];
+  // The 12 month names, January first. A text has a month if it includes the name or its
+  // first 4 letters, e.g. "Sept"
+  months: string[];
+  // Season names by the English season they translate
+  seasons: Partial<Record<Season, string[]>>;
+  // Words for the end date of an ongoing position, e.g. "Present"
+  present: string[];
+}
+
+export type Season = "spring" | "summer" | "fall" | "winter";
+
+// Vocabulary the parser runs with: English plus the resume language, since resumes in
+// other languages often keep some English, e.g. "Bachelor" or "Software Engineer"
+export type ParserVocabulary = Omit<
+  LanguagePack,
+  "name" | "commonWords" | "months" | "seasons"
+> & {
+  // The names of each month in the languages of the vocabulary, January first
+  months: string[][];
+  seasons: Record<Season, string[]>;
+};
@@ -0,0 +1,119 @@
+import {
+  createAction,
+  type AnyAction,
+  type Middleware,
+  type Reducer,
+} from "@reduxjs/toolkit";
+
+/**
+ * Undo/redo history of the store. The past and future states are kept next to
+ * the present state under `history`, which is never saved to local storage.
+ */
+export interface History<S> {
+  past: S[];
+  future: S[];
+  // Consecutive changes with the same group key, e.g. typing in one input,
+  // within TYPING_BURST_MS of each other are undone as a single step
+  groupKey: string | null;
+  changedAt: number;
+}
+
+export type StateWithHistory<S> = S & { history: History<S> };
+
+export const HISTORY_LIMIT = 100;
+export const TYPING_BURST_MS = 1000;
+
+export const undo = createAction("history/undo");
+export const redo = createAction("history/redo");
+
+const initialHistory: History<any> = {
+  past: [],
+  future: [],
+  groupKey: null,
+  changedAt: 0,
+};
+
+// Typing sends string values, string arrays for bullet points, or featured
+// skill names. Other changes, e.g. deleting a section, are steps of their own.
+const getGroupKey = ({ type, payload }: AnyAction) => {
+  const isTyping =
+    typeof payload?.value === "string" ||
+    Array.isArray(payload?.value) ||
+    typeof payload?.skill === "string";
+  if (!isTyping) return null;
+  return [type, payload.form, payload.field, payload.idx].join("/");
+};
+
+/**
+ * Stamp actions with the time they were dispatched, so the history reducer
+ * can tell typing bursts apart while staying pure
+ */
+export const historyTimestampMiddleware: Middleware =
+  () => (next) => (action) =>
+    next({ ...action, meta: { ...action.meta, timestamp: Date.now() } });
+
+/**
+ * Add undo/redo history to a reducer. Actions in `resetOn`, e.g. loading a
+ * saved resume, start a new history.
+ */
+export const withHistory =
+  <S extends object>(reducer: Reducer<S>, { resetOn }: { resetOn: string[] }) =>
+  (
+    state: StateWithHistory<S> | undefined,
+    action: AnyAction
+  ): StateWithHistory<S> => {
+    if (!state) {
+      return { ...reducer(undefined, action), history: initialHistory };
+    }
+    const { history, ...rest } = state;
+    const present = rest as unknown as S;
+
+    if (undo.match(action) || redo.match(action)) {
+      const isUndo = undo.match(action);
+      const from = isUndo ? history.past : history.future;
+      if (from.length === 0) return state;
+      const target = isUndo ? from[from.length - 1] : from[0];
+      const remaining = isUndo ? from.slice(0, -1) : from.slice(1);
+      return {
+        ...target,
+        history: {
+          past: isUndo ? remaining : [...history.past, present],
+          future: isUndo ? [present, ...history.future] : remaining,
+          groupKey: null,
+          changedAt: 0,
+        },
+      };
+    }
+
+    const next = reducer(present, action);
+    const keys = Object.keys(next) as (keyof S)[];
+    if (keys.every((key) => next[key] === present[key])) return state;
+
+    if (resetOn.includes(action.type)) {
+      return { ...next, history: initialHistory };
+    }
+
+    const groupKey = getGroupKey(action);
+    const changedAt: number = action.meta?.timestamp ?? 0;
+    const isSameGroup =
+      groupKey !== null &&
+      groupKey === history.groupKey &&
+      changedAt - history.changedAt < TYPING_BURST_MS;
+
+    return {
+      ...next,
+      history: {
+        past: isSameGroup
+          ? history.past
+          : [...history.past, present].slice(-HISTORY_LIMIT),
+        future: [],
+        groupKey,
+        changedAt,
+      },
+    };
+  };
+
+export const selectCanUndo = (state: { history: History<unknown> }) =>
+  state.history.past.length > 0;
+export const selectCanRedo = (state: { history: History<unknown> }) =>
+  state.history.future.length > 0;
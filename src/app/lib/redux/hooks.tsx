@@ -1,25 +1,34 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import {
   useDispatch,
   useSelector,
   type TypedUseSelectorHook,
 } from "react-redux";
-import { store, type RootState, type AppDispatch } from "lib/redux/store";
+import {
+  store,
+  type RootState,
+  type StoreState,
+  type AppDispatch,
+} from "lib/redux/store";
 import {
   loadStateFromLocalStorage,
   saveStateToLocalStorage,
+  loadResumeVersions,
+  getActiveVersion,
+  mergeWithInitialState,
+  createResumeVersion,
+  duplicateResumeVersion,
+  renameResumeVersion,
+  deleteResumeVersion,
+  switchResumeVersion,
+  type ResumeVersions,
 } from "lib/redux/local-storage";
 import { initialResumeState, setResume } from "lib/redux/resumeSlice";
-import {
-  initialSettings,
-  setSettings,
-  type Settings,
-} from "lib/redux/settingsSlice";
-import { deepMerge } from "lib/deep-merge";
-import type { Resume } from "lib/redux/types";
+import { initialSettings, setSettings } from "lib/redux/settingsSlice";
+import { undo, redo } from "lib/redux/history";
 
 export const useAppDispatch: () => AppDispatch = useDispatch;
-export const useAppSelector: TypedUseSelectorHook<RootState> = useSelector;
+export const useAppSelector: TypedUseSelectorHook<StoreState> = useSelector;
 
 /**
  * Hook to save store to local storage on store change
@@ -33,27 +42,100 @@ export const useSaveStateToLocalStorageOnChange = () => {
   }, []);
 };
 
+const setStoreFromStoredState = (
+  dispatch: AppDispatch,
+  state: Partial<RootState>
+) => {
+  const { resume, settings } = mergeWithInitialState(state);
+  dispatch(setResume(resume));
+  dispatch(setSettings(settings));
+};
+
 export const useSetInitialStore = () => {
   const dispatch = useAppDispatch();
   useEffect(() => {
     const state = loadStateFromLocalStorage();
     if (!state) return;
-    if (state.resume) {
-      // We merge the initial state with the stored state to ensure
-      // backward compatibility, since new fields might be added to
-      // the initial state over time.
-      const mergedResumeState = deepMerge(
-        initialResumeState,
-        state.resume
-      ) as Resume;
-      dispatch(setResume(mergedResumeState));
-    }
-    if (state.settings) {
-      const mergedSettingsState = deepMerge(
-        initialSettings,
-        state.settings
-      ) as Settings;
-      dispatch(setSettings(mergedSettingsState));
-    }
+    setStoreFromStoredState(dispatch, state);
+  }, []);
+};
+
+/**
+ * Hook to manage the named resume versions. Switching to another version
+ * loads its resume and settings into the store, which are then saved to it
+ * by useSaveStateToLocalStorageOnChange.
+ */
+export const useResumeVersions = () => {
+  const dispatch = useAppDispatch();
+  const [resumeVersions, setResumeVersions] = useState<ResumeVersions>();
+
+  const refresh = () => setResumeVersions(loadResumeVersions());
+  useEffect(() => {
+    refresh();
   }, []);
+
+  // Versions are first saved on the first edit, so save the current state
+  // before adding a version to keep it as the first one
+  const saveCurrentState = () => saveStateToLocalStorage(store.getState());
+
+  const update = (updatedVersions: ResumeVersions | undefined) => {
+    if (!updatedVersions) return;
+    if (updatedVersions.activeId !== resumeVersions?.activeId) {
+      setStoreFromStoredState(
+        dispatch,
+        getActiveVersion(updatedVersions).state
+      );
+    }
+    setResumeVersions(loadResumeVersions());
+  };
+
+  return {
+    resumeVersions,
+    refresh,
+    createVersion: (name: string) => {
+      saveCurrentState();
+      update(
+        createResumeVersion(name, {
+          resume: initialResumeState,
+          settings: initialSettings,
+        })
+      );
+    },
+    // The other actions apply to the active version
+    duplicateVersion: () => {
+      saveCurrentState();
+      update(duplicateResumeVersion(loadResumeVersions()!.activeId));
+    },
+    renameVersion: (name: string) => {
+      saveCurrentState();
+      update(renameResumeVersion(loadResumeVersions()!.activeId, name));
+    },
+    deleteVersion: () => {
+      if (resumeVersions) update(deleteResumeVersion(resumeVersions.activeId));
+    },
+    switchVersion: (id: string) => update(switchResumeVersion(id)),
+  };
+};
+
+/**
+ * Hook to undo with Ctrl/Cmd+Z and redo with Shift+Ctrl/Cmd+Z or Ctrl+Y. It
+ * replaces the browser's undo in inputs, which would only undo their own text.
+ */
+export const useUndoRedoShortcuts = () => {
+  const dispatch = useAppDispatch();
+  useEffect(() => {
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key === "z") {
+        event.preventDefault();
+        dispatch(event.shiftKey ? redo() : undo());
+      } else if (key === "y" && event.ctrlKey && !event.shiftKey) {
+        event.preventDefault();
+        dispatch(redo());
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [dispatch]);
 };
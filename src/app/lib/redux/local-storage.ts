@@ -1,12 +1,46 @@
 import type { RootState } from "lib/redux/store";
+import type { Resume } from "lib/redux/types";
+import { initialResumeState } from "lib/redux/resumeSlice";
+import { initialSettings, type Settings } from "lib/redux/settingsSlice";
+import { deepMerge } from "lib/deep-merge";
 
 // Reference: https://dev.to/igorovic/simplest-way-to-persist-redux-state-to-localstorage-e67
 
-const LOCAL_STORAGE_KEY = "open-resume-state";
+// Before resume versions, the builder state was saved alone under this key. It is migrated
+// into the first version the first time the versions are loaded.
+const LEGACY_LOCAL_STORAGE_KEY = "open-resume-state";
+const VERSIONS_LOCAL_STORAGE_KEY = "open-resume-versions";
 
-export const loadStateFromLocalStorage = () => {
+export const DEFAULT_VERSION_NAME = "My Resume";
+
+/**
+ * A named resume, e.g. "Backend" or "Data", with its own resume and settings
+ */
+export interface ResumeVersion {
+  id: string;
+  name: string;
+  updatedAt: number;
+  state: RootState;
+}
+
+export interface ResumeVersions {
+  activeId: string;
+  versions: ResumeVersion[];
+}
+
+const createVersionId = () =>
+  Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+const createVersion = (name: string, state: RootState): ResumeVersion => ({
+  id: createVersionId(),
+  name,
+  updatedAt: Date.now(),
+  state,
+});
+
+const readItem = (key: string) => {
   try {
-    const stringifiedState = localStorage.getItem(LOCAL_STORAGE_KEY);
+    const stringifiedState = localStorage.getItem(key);
     if (!stringifiedState) return undefined;
     return JSON.parse(stringifiedState);
   } catch (e) {
@@ -14,13 +48,160 @@ export const loadStateFromLocalStorage = () => {
   }
 };
 
-export const saveStateToLocalStorage = (state: RootState) => {
+const isResumeVersions = (value: any): value is ResumeVersions =>
+  Boolean(value) &&
+  Array.isArray(value.versions) &&
+  value.versions.length > 0 &&
+  value.versions.some((version: any) => version?.id === value.activeId);
+
+const saveResumeVersions = (resumeVersions: ResumeVersions) => {
   try {
-    const stringifiedState = JSON.stringify(state);
-    localStorage.setItem(LOCAL_STORAGE_KEY, stringifiedState);
+    localStorage.setItem(
+      VERSIONS_LOCAL_STORAGE_KEY,
+      JSON.stringify(resumeVersions)
+    );
   } catch (e) {
     // Ignore
   }
+  return resumeVersions;
+};
+
+const saveFirstVersion = (state: RootState) => {
+  const version = createVersion(DEFAULT_VERSION_NAME, state);
+  return saveResumeVersions({ activeId: version.id, versions: [version] });
+};
+
+/**
+ * Load the saved resume versions, migrating the single saved state of earlier releases
+ * into a first version. Returns undefined if nothing has been saved yet.
+ */
+export const loadResumeVersions = (): ResumeVersions | undefined => {
+  const resumeVersions = readItem(VERSIONS_LOCAL_STORAGE_KEY);
+  if (isResumeVersions(resumeVersions)) return resumeVersions;
+
+  const legacyState = readItem(LEGACY_LOCAL_STORAGE_KEY);
+  if (!legacyState) return undefined;
+  const migratedVersions = saveFirstVersion(legacyState);
+  try {
+    localStorage.removeItem(LEGACY_LOCAL_STORAGE_KEY);
+  } catch (e) {
+    // Ignore
+  }
+  return migratedVersions;
+};
+
+export const getActiveVersion = ({ activeId, versions }: ResumeVersions) =>
+  versions.find(({ id }) => id === activeId)!;
+
+/**
+ * Load the state of the active resume version
+ */
+export const loadStateFromLocalStorage = () => {
+  const resumeVersions = loadResumeVersions();
+  if (!resumeVersions) return undefined;
+  return getActiveVersion(resumeVersions).state;
+};
+
+/**
+ * Save the state to the active resume version, creating the first version if needed
+ */
+export const saveStateToLocalStorage = ({ resume, settings }: RootState) => {
+  // Only the resume and settings are saved, e.g. not the undo/redo history
+  const state = { resume, settings };
+  const resumeVersions = loadResumeVersions();
+  if (!resumeVersions) {
+    saveFirstVersion(state);
+    return;
+  }
+  saveResumeVersions({
+    ...resumeVersions,
+    versions: resumeVersions.versions.map((version) =>
+      version.id === resumeVersions.activeId
+        ? { ...version, state, updatedAt: Date.now() }
+        : version
+    ),
+  });
 };
 
 export const getHasUsedAppBefore = () => Boolean(loadStateFromLocalStorage());
+
+/**
+ * We merge the initial state with a stored state to ensure backward
+ * compatibility, since new fields might be added to the initial state over time.
+ */
+export const mergeWithInitialState = (state: Partial<RootState>) => {
+  const settings = deepMerge(initialSettings, state.settings ?? {}) as Settings;
+  // deepMerge replaces arrays as a whole, so forms added since the state was
+  // stored are missing from its formsOrder. They go at the end.
+  const missingForms = initialSettings.formsOrder.filter(
+    (form) => !settings.formsOrder.includes(form)
+  );
+  return {
+    resume: deepMerge(initialResumeState, state.resume ?? {}) as Resume,
+    settings: {
+      ...settings,
+      formsOrder: [...settings.formsOrder, ...missingForms],
+    },
+  };
+};
+
+/*
+ * Version management. Each function reads the versions from local storage, where the builder
+ * keeps saving the active state, so that no edit is lost, and returns the updated versions.
+ * The caller loads the state of the new active version into the store when it changes.
+ */
+
+export const createResumeVersion = (name: string, state: RootState) => {
+  const version = createVersion(name, state);
+  return saveResumeVersions({
+    activeId: version.id,
+    versions: [...(loadResumeVersions()?.versions ?? []), version],
+  });
+};
+
+export const duplicateResumeVersion = (id: string) => {
+  const source = loadResumeVersions()?.versions.find(
+    (version) => version.id === id
+  );
+  if (!source) return loadResumeVersions();
+  return createResumeVersion(`${source.name} (copy)`, source.state);
+};
+
+export const renameResumeVersion = (id: string, name: string) => {
+  const resumeVersions = loadResumeVersions();
+  if (!resumeVersions) return undefined;
+  return saveResumeVersions({
+    ...resumeVersions,
+    versions: resumeVersions.versions.map((version) =>
+      version.id === id ? { ...version, name } : version
+    ),
+  });
+};
+
+/**
+ * Delete a version. The last version can't be deleted, and deleting the active version
+ * activates the one before it.
+ */
+export const deleteResumeVersion = (id: string) => {
+  const resumeVersions = loadResumeVersions();
+  if (!resumeVersions || resumeVersions.versions.length <= 1) {
+    return resumeVersions;
+  }
+  const { activeId, versions } = resumeVersions;
+  const idx = versions.findIndex((version) => version.id === id);
+  if (idx === -1) return resumeVersions;
+  const remainingVersions = versions.filter((version) => version.id !== id);
+  return saveResumeVersions({
+    activeId:
+      activeId === id ? remainingVersions[Math.max(idx - 1, 0)].id : activeId,
+    versions: remainingVersions,
+  });
+};
+
+export const switchResumeVersion = (id: string) => {
+  const resumeVersions = loadResumeVersions();
+  if (!resumeVersions?.versions.some((version) => version.id === id)) {
+    return resumeVersions;
+  }
+  return saveResumeVersions({ ...resumeVersions, activeId: id });
+};
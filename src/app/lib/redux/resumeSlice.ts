@@ -3,10 +3,15 @@ import type { RootState } from "lib/redux/store";
 import type {
   FeaturedSkill,
   Resume,
+  ResumeAward,
+  ResumeCertification,
   ResumeEducation,
+  ResumeLanguage,
   ResumeProfile,
   ResumeProject,
+  ResumePublication,
   ResumeSkills,
+  ResumeVolunteerExperience,
   ResumeWorkExperience,
 } from "lib/redux/types";
 import type { ShowForm } from "lib/redux/settingsSlice";
@@ -50,6 +55,40 @@ export const initialSkills: ResumeSkills = {
   descriptions: [],
 };
 
+export const initialCertification: ResumeCertification = {
+  name: "",
+  issuer: "",
+  date: "",
+  url: "",
+};
+
+export const initialAward: ResumeAward = {
+  title: "",
+  awarder: "",
+  date: "",
+  descriptions: [],
+};
+
+export const initialLanguage: ResumeLanguage = {
+  language: "",
+  proficiency: "",
+};
+
+export const initialVolunteerExperience: ResumeVolunteerExperience = {
+  organization: "",
+  role: "",
+  date: "",
+  descriptions: [],
+};
+
+export const initialPublication: ResumePublication = {
+  name: "",
+  publisher: "",
+  date: "",
+  url: "",
+  descriptions: [],
+};
+
 export const initialCustom = {
   descriptions: [],
 };
@@ -60,6 +99,11 @@ export const initialResumeState: Resume = {
   educations: [initialEducation],
   projects: [initialProject],
   skills: initialSkills,
+  certifications: [initialCertification],
+  awards: [initialAward],
+  languages: [initialLanguage],
+  volunteerExperiences: [initialVolunteerExperience],
+  publications: [initialPublication],
   custom: initialCustom,
 };
 
@@ -74,6 +118,13 @@ export type CreateChangeActionWithDescriptions<T> = {
   | { field: "descriptions"; value: string[] }
 );
 
+// For sections without descriptions, e.g. certifications
+export type CreateChangeAction<T> = {
+  idx: number;
+  field: keyof T;
+  value: string;
+};
+
 export const resumeSlice = createSlice({
   name: "resume",
   initialState: initialResumeState,
@@ -134,6 +185,48 @@ export const resumeSlice = createSlice({
         featuredSkill.rating = rating;
       }
     },
+    changeCertifications: (
+      draft,
+      action: PayloadAction<CreateChangeAction<ResumeCertification>>
+    ) => {
+      const { idx, field, value } = action.payload;
+      draft.certifications[idx][field] = value;
+    },
+    changeAwards: (
+      draft,
+      action: PayloadAction<CreateChangeActionWithDescriptions<ResumeAward>>
+    ) => {
+      const { idx, field, value } = action.payload;
+      const award = draft.awards[idx];
+      award[field] = value as any;
+    },
+    changeLanguages: (
+      draft,
+      action: PayloadAction<CreateChangeAction<ResumeLanguage>>
+    ) => {
+      const { idx, field, value } = action.payload;
+      draft.languages[idx][field] = value;
+    },
+    changeVolunteerExperiences: (
+      draft,
+      action: PayloadAction<
+        CreateChangeActionWithDescriptions<ResumeVolunteerExperience>
+      >
+    ) => {
+      const { idx, field, value } = action.payload;
+      const volunteerExperience = draft.volunteerExperiences[idx];
+      volunteerExperience[field] = value as any;
+    },
+    changePublications: (
+      draft,
+      action: PayloadAction<
+        CreateChangeActionWithDescriptions<ResumePublication>
+      >
+    ) => {
+      const { idx, field, value } = action.payload;
+      const publication = draft.publications[idx];
+      publication[field] = value as any;
+    },
     changeCustom: (
       draft,
       action: PayloadAction<{ field: "descriptions"; value: string[] }>
@@ -156,6 +249,28 @@ export const resumeSlice = createSlice({
           draft.projects.push(structuredClone(initialProject));
           return draft;
         }
+        case "certifications": {
+          draft.certifications.push(structuredClone(initialCertification));
+          return draft;
+        }
+        case "awards": {
+          draft.awards.push(structuredClone(initialAward));
+          return draft;
+        }
+        case "languages": {
+          draft.languages.push(structuredClone(initialLanguage));
+          return draft;
+        }
+        case "volunteerExperiences": {
+          draft.volunteerExperiences.push(
+            structuredClone(initialVolunteerExperience)
+          );
+          return draft;
+        }
+        case "publications": {
+          draft.publications.push(structuredClone(initialPublication));
+          return draft;
+        }
       }
     },
     moveSectionInForm: (
@@ -206,6 +321,11 @@ export const {
   changeEducations,
   changeProjects,
   changeSkills,
+  changeCertifications,
+  changeAwards,
+  changeLanguages,
+  changeVolunteerExperiences,
+  changePublications,
   changeCustom,
   addSectionInForm,
   moveSectionInForm,
@@ -220,6 +340,14 @@ export const selectWorkExperiences = (state: RootState) =>
 export const selectEducations = (state: RootState) => state.resume.educations;
 export const selectProjects = (state: RootState) => state.resume.projects;
 export const selectSkills = (state: RootState) => state.resume.skills;
+export const selectCertifications = (state: RootState) =>
+  state.resume.certifications;
+export const selectAwards = (state: RootState) => state.resume.awards;
+export const selectLanguages = (state: RootState) => state.resume.languages;
+export const selectVolunteerExperiences = (state: RootState) =>
+  state.resume.volunteerExperiences;
+export const selectPublications = (state: RootState) =>
+  state.resume.publications;
 export const selectCustom = (state: RootState) => state.resume.custom;
 
 export default resumeSlice.reducer;
@@ -11,6 +11,11 @@ export interface Settings {
     educations: boolean;
     projects: boolean;
     skills: boolean;
+    certifications: boolean;
+    awards: boolean;
+    languages: boolean;
+    volunteerExperiences: boolean;
+    publications: boolean;
     custom: boolean;
   };
   formToHeading: {
@@ -18,6 +23,11 @@ export interface Settings {
     educations: string;
     projects: string;
     skills: string;
+    certifications: string;
+    awards: string;
+    languages: string;
+    volunteerExperiences: string;
+    publications: string;
     custom: string;
   };
   formsOrder: ShowForm[];
@@ -51,6 +61,11 @@ export const initialSettings: Settings = {
     educations: true,
     projects: true,
     skills: true,
+    certifications: false,
+    awards: false,
+    languages: false,
+    volunteerExperiences: false,
+    publications: false,
     custom: false,
   },
   formToHeading: {
@@ -58,9 +73,25 @@ export const initialSettings: Settings = {
     educations: "EDUCATION",
     projects: "PROJECT",
     skills: "SKILLS",
+    certifications: "CERTIFICATIONS",
+    awards: "AWARDS",
+    languages: "LANGUAGES",
+    volunteerExperiences: "VOLUNTEER EXPERIENCE",
+    publications: "PUBLICATIONS",
     custom: "CUSTOM SECTION",
   },
-  formsOrder: ["workExperiences", "educations", "projects", "skills", "custom"],
+  formsOrder: [
+    "workExperiences",
+    "educations",
+    "projects",
+    "skills",
+    "certifications",
+    "awards",
+    "languages",
+    "volunteerExperiences",
+    "publications",
+    "custom",
+  ],
   showBulletPoints: {
     educations: true,
     projects: true,
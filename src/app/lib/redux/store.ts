@@ -1,13 +1,24 @@
-import { configureStore } from "@reduxjs/toolkit";
-import resumeReducer from "lib/redux/resumeSlice";
-import settingsReducer from "lib/redux/settingsSlice";
+import { combineReducers, configureStore } from "@reduxjs/toolkit";
+import resumeReducer, { setResume } from "lib/redux/resumeSlice";
+import settingsReducer, { setSettings } from "lib/redux/settingsSlice";
+import { historyTimestampMiddleware, withHistory } from "lib/redux/history";
+
+const rootReducer = combineReducers({
+  resume: resumeReducer,
+  settings: settingsReducer,
+});
 
 export const store = configureStore({
-  reducer: {
-    resume: resumeReducer,
-    settings: settingsReducer,
-  },
+  // Loading a saved resume, e.g. switching resume versions, isn't undoable
+  reducer: withHistory(rootReducer, {
+    resetOn: [setResume.type, setSettings.type],
+  }),
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware().concat(historyTimestampMiddleware),
 });
 
-export type RootState = ReturnType<typeof store.getState>;
+// The resume and settings, i.e. the state saved to local storage
+export type RootState = ReturnType<typeof rootReducer>;
+// The store state, which also has the undo/redo history
+export type StoreState = ReturnType<typeof store.getState>;
 export type AppDispatch = typeof store.dispatch;
@@ -38,6 +38,40 @@ export interface ResumeSkills {
   descriptions: string[];
 }
 
+export interface ResumeCertification {
+  name: string;
+  issuer: string;
+  date: string;
+  url: string;
+}
+
+export interface ResumeAward {
+  title: string;
+  awarder: string;
+  date: string;
+  descriptions: string[];
+}
+
+export interface ResumeLanguage {
+  language: string;
+  proficiency: string;
+}
+
+export interface ResumeVolunteerExperience {
+  organization: string;
+  role: string;
+  date: string;
+  descriptions: string[];
+}
+
+export interface ResumePublication {
+  name: string;
+  publisher: string;
+  date: string;
+  url: string;
+  descriptions: string[];
+}
+
 export interface ResumeCustom {
   descriptions: string[];
 }
@@ -48,6 +82,11 @@ export interface Resume {
   educations: ResumeEducation[];
   projects: ResumeProject[];
   skills: ResumeSkills;
+  certifications: ResumeCertification[];
+  awards: ResumeAward[];
+  languages: ResumeLanguage[];
+  volunteerExperiences: ResumeVolunteerExperience[];
+  publications: ResumePublication[];
   custom: ResumeCustom;
 }
 
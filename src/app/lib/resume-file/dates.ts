@@ -0,0 +1,228 @@
+import type { ParserVocabulary, Season } from "lib/parse-resume-from-pdf/types";
+import { ENGLISH_VOCABULARY } from "lib/parse-resume-from-pdf/language-packs";
+
+/**
+ * Conversions between the free text dates of the builder, e.g. "May 2023 - Present", and the
+ * ISO 8601 startDate & endDate pairs of JSON Resume, e.g. "2023-05", or the normalized date
+ * ranges of the experience timeline.
+ *
+ * Month, season and present words are read with the vocabulary of a resume language, English
+ * by default, e.g. "enero 2020 - actualidad" with the Spanish one.
+ */
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Ranges are split on dashes with spaces around them (ISO dates contain dashes) or "to"
+const RANGE_SEPARATOR_PATTERN = /\s*[–—]\s*|\s+-\s+|\s+to\s+/i;
+const YEAR_RANGE_PATTERN = /^(\d{4})-(\d{4})$/;
+// Abbreviations shorter than this, e.g. "Ma", could be several months
+const MIN_MONTH_ABBREVIATION_LENGTH = 3;
+
+const isBetween = (value: string | undefined, min: number, max: number) =>
+  value === undefined || (Number(value) >= min && Number(value) <= max);
+
+// Split "May 2023", "Sept. 2023" or "Summer 2022" into the word and the year. Chinese dates
+// put the year first, e.g. "2023年5月".
+const toWordAndYear = (text: string): [string, string] | null => {
+  let match = text.match(/^([^\d\s.,]+)\.?,?\s+(\d{4})$/);
+  if (match) return [match[1], match[2]];
+  match = text.match(/^(\d{4})\s*年\s*(\S+)$/);
+  return match ? [match[2], match[1]] : null;
+};
+
+// "Sep", "Sept" and "September" are all September. Returns -1 for an unknown or ambiguous
+// word, e.g. "Jui", which is both "juin" and "juillet" in French.
+const toMonthIndex = (word: string, vocabulary: ParserVocabulary) => {
+  const text = word.toLowerCase();
+  const isMatch = (month: string) =>
+    month.toLowerCase() === text ||
+    (text.length >= MIN_MONTH_ABBREVIATION_LENGTH &&
+      month.toLowerCase().startsWith(text));
+  const monthIndexes = vocabulary.months.flatMap((names, idx) =>
+    names.some(isMatch) ? [idx] : []
+  );
+  return monthIndexes.length === 1 ? monthIndexes[0] : -1;
+};
+
+const toSeason = (word: string, vocabulary: ParserVocabulary) =>
+  (Object.keys(vocabulary.seasons) as Season[]).find((season) =>
+    vocabulary.seasons[season].some(
+      (name) => name.toLowerCase() === word.toLowerCase()
+    )
+  );
+
+const isPresent = (word: string, vocabulary: ParserVocabulary) =>
+  vocabulary.present.some(
+    (present) => present.toLowerCase() === word.trim().toLowerCase()
+  );
+
+/**
+ * Convert a single date, e.g. "May 2023", "Sept. 2023", "05/2023", "2023-05" or "2023", to an
+ * ISO 8601 date ("2023-05" or "2023"). Returns null for anything else, e.g. "Summer 2022" or
+ * "2023-13".
+ */
+export const toIsoDate = (
+  date: string,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+): string | null => {
+  const text = date.trim();
+
+  let match = text.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  if (match) {
+    return isBetween(match[2], 1, 12) && isBetween(match[3], 1, 31)
+      ? text
+      : null;
+  }
+
+  const wordAndYear = toWordAndYear(text);
+  if (wordAndYear) {
+    const monthIndex = toMonthIndex(wordAndYear[0], vocabulary);
+    if (monthIndex === -1) return null;
+    return `${wordAndYear[1]}-${String(monthIndex + 1).padStart(2, "0")}`;
+  }
+
+  // "05/2023" or "05.2023"
+  match = text.match(/^(\d{1,2})[/.](\d{4})$/);
+  if (match && isBetween(match[1], 1, 12)) {
+    return `${match[2]}-${match[1].padStart(2, "0")}`;
+  }
+
+  return null;
+};
+
+// "2019-2021" is a range of years, "2019 - 2021" and "Jan 2020 – Present" are split on the dash
+const splitDateRange = (text: string) => {
+  const yearRange = text.match(YEAR_RANGE_PATTERN);
+  return yearRange
+    ? [yearRange[1], yearRange[2]]
+    : text.split(RANGE_SEPARATOR_PATTERN);
+};
+
+/**
+ * Convert a builder date to JSON Resume's startDate & endDate. An ongoing range has no endDate
+ * and a single date is both the start and the end. Returns null if a date can't be parsed.
+ */
+export const toJsonResumeDates = (
+  date: string,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+): { startDate?: string; endDate?: string } | null => {
+  const text = date.trim();
+  if (!text) return {};
+
+  const parts = splitDateRange(text);
+  if (parts.length === 1) {
+    const isoDate = toIsoDate(text, vocabulary);
+    return isoDate ? { startDate: isoDate, endDate: isoDate } : null;
+  }
+  if (parts.length !== 2) return null;
+
+  const startDate = toIsoDate(parts[0], vocabulary);
+  if (!startDate) return null;
+  if (isPresent(parts[1], vocabulary)) return { startDate };
+  const endDate = toIsoDate(parts[1], vocabulary);
+  return endDate ? { startDate, endDate } : null;
+};
+
+export interface DateRange {
+  // ISO 8601 year-month, e.g. "2023-05"
+  start: string;
+  // null for an ongoing range, e.g. "May 2023 - Present"
+  end: string | null;
+  current: boolean;
+}
+
+const SEASON_TO_MONTHS: Record<Season, [string, string]> = {
+  winter: ["01", "02"],
+  spring: ["03", "05"],
+  summer: ["06", "08"],
+  fall: ["09", "11"],
+};
+
+/**
+ * Return the first and last month of a single date, e.g. "2022-01" and "2022-12" for "2022"
+ * or "2022-06" and "2022-08" for "Summer 2022", or null if it can't be parsed.
+ */
+const toMonthSpan = (
+  date: string,
+  vocabulary: ParserVocabulary
+): [string, string] | null => {
+  const wordAndYear = toWordAndYear(date.trim());
+  const season = wordAndYear && toSeason(wordAndYear[0], vocabulary);
+  if (wordAndYear && season) {
+    const [firstMonth, lastMonth] = SEASON_TO_MONTHS[season];
+    return [
+      `${wordAndYear[1]}-${firstMonth}`,
+      `${wordAndYear[1]}-${lastMonth}`,
+    ];
+  }
+
+  const isoDate = toIsoDate(date, vocabulary);
+  if (!isoDate) return null;
+  if (isoDate.length === 4) return [`${isoDate}-01`, `${isoDate}-12`];
+  const month = isoDate.slice(0, 7);
+  return [month, month];
+};
+
+/**
+ * Normalize a builder date, e.g. "Jan 2020 – Present", "2019-2021", "Summer 2022",
+ * "05/2018" or, with the Chinese vocabulary, "2020年7月 - 至今", to the months it starts and
+ * ends in. A year or a season spans its months.
+ * Returns null for an empty date or one that can't be parsed, e.g. that ends before it
+ * starts.
+ */
+export const toDateRange = (
+  date: string,
+  vocabulary: ParserVocabulary = ENGLISH_VOCABULARY
+): DateRange | null => {
+  const text = date.trim();
+  if (!text) return null;
+
+  const parts = splitDateRange(text);
+  if (parts.length === 1) {
+    const span = toMonthSpan(text, vocabulary);
+    return span ? { start: span[0], end: span[1], current: false } : null;
+  }
+  if (parts.length !== 2) return null;
+
+  const startSpan = toMonthSpan(parts[0], vocabulary);
+  if (!startSpan) return null;
+  const start = startSpan[0];
+  if (isPresent(parts[1], vocabulary)) {
+    return { start, end: null, current: true };
+  }
+  const endSpan = toMonthSpan(parts[1], vocabulary);
+  if (!endSpan || endSpan[1] < start) return null;
+  return { start, end: endSpan[1], current: false };
+};
+
+// "2023-05-14" and "2023-05" become "May 2023", other values are kept as is
+const formatIsoDate = (date: string) => {
+  const match = date.trim().match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+  if (!match) return date.trim();
+  const month = MONTHS[Number(match[2]) - 1];
+  return month ? `${month} ${match[1]}` : match[1];
+};
+
+/**
+ * Convert JSON Resume's startDate & endDate to a builder date, e.g. "May 2023 - Present".
+ */
+export const fromJsonResumeDates = (startDate = "", endDate = "") => {
+  const start = formatIsoDate(startDate);
+  const end = formatIsoDate(endDate);
+  if (start && end) return start === end ? start : `${start} - ${end}`;
+  if (start) return `${start} - Present`;
+  return end;
+};
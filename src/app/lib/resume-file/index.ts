@@ -0,0 +1,73 @@
+import type { Resume } from "lib/redux/types";
+import type { Settings } from "lib/redux/settingsSlice";
+import { jsonResumeToResume } from "lib/resume-file/json-resume";
+import {
+  OPEN_RESUME_FILE_FORMAT,
+  ResumeFileError,
+  parseOpenResumeFile,
+} from "lib/resume-file/open-resume-file";
+
+export { resumeToJsonResume } from "lib/resume-file/json-resume";
+export {
+  createOpenResumeFile,
+  ResumeFileError,
+} from "lib/resume-file/open-resume-file";
+
+export type ResumeFileFormat = "json-resume" | "open-resume";
+
+export interface ImportedResumeFile {
+  format: ResumeFileFormat;
+  resume: Resume;
+  settings: Settings;
+  // Fields of the file the builder has no place for
+  unmappedFields: string[];
+}
+
+const JSON_RESUME_KEYS = ["basics", "work", "education", "projects", "skills"];
+
+/**
+ * Import a JSON Resume or OpenResume file from its text.
+ *
+ * Throws a ResumeFileError with a user facing message if the file is neither.
+ */
+export const importResumeFile = (text: string): ImportedResumeFile => {
+  let json: any;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new ResumeFileError("This file is not valid JSON.");
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new ResumeFileError("This file is not a resume.");
+  }
+
+  if (json.format === OPEN_RESUME_FILE_FORMAT) {
+    return {
+      format: "open-resume",
+      ...parseOpenResumeFile(json),
+      unmappedFields: [],
+    };
+  }
+  if (JSON_RESUME_KEYS.some((key) => key in json)) {
+    return { format: "json-resume", ...jsonResumeToResume(json) };
+  }
+  throw new ResumeFileError(
+    "This file is neither a JSON Resume nor an OpenResume file."
+  );
+};
+
+/**
+ * Download data as a pretty printed JSON file from the browser.
+ */
+export const downloadJsonFile = (fileName: string, data: object) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoke after the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url));
+};
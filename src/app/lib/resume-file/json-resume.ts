@@ -0,0 +1,643 @@
+import type {
+  FeaturedSkill,
+  Resume,
+  ResumeAward,
+  ResumeCertification,
+  ResumeEducation,
+  ResumeLanguage,
+  ResumeProject,
+  ResumePublication,
+  ResumeVolunteerExperience,
+  ResumeWorkExperience,
+} from "lib/redux/types";
+import { initialFeaturedSkills, initialProfile } from "lib/redux/resumeSlice";
+import {
+  type Settings,
+  type ShowForm,
+  initialSettings,
+} from "lib/redux/settingsSlice";
+import { deepClone } from "lib/deep-clone";
+import {
+  fromJsonResumeDates,
+  toIsoDate,
+  toJsonResumeDates,
+} from "lib/resume-file/dates";
+import type {
+  JsonResume,
+  JsonResumeAward,
+  JsonResumeCertificate,
+  JsonResumeEducation,
+  JsonResumeLanguage,
+  JsonResumeLocation,
+  JsonResumeProject,
+  JsonResumePublication,
+  JsonResumeSkill,
+  JsonResumeVolunteer,
+  JsonResumeWork,
+} from "lib/resume-file/types";
+
+export const JSON_RESUME_SCHEMA_URL =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// Featured skill ratings 0 to 4 map to these JSON Resume levels
+const SKILL_LEVELS = [
+  "Beginner",
+  "Elementary",
+  "Intermediate",
+  "Advanced",
+  "Expert",
+];
+
+type Object = { [key: string]: any };
+
+const isObject = (value: any): value is Object =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isEmpty = (value: any) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (isObject(value) && Object.keys(value).length === 0);
+
+// Drop empty fields so exported files only contain what the resume has
+const compact = <T extends Object>(object: T) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([_, value]) => !isEmpty(value))
+  ) as T;
+
+const toText = (value: any) => (typeof value === "string" ? value.trim() : "");
+
+const toTextList = (value: any) =>
+  Array.isArray(value) ? value.map(toText).filter(Boolean) : [];
+
+const toArray = (value: any): Object[] =>
+  Array.isArray(value) ? value.filter(isObject) : [];
+
+/**
+ * Collect the non empty keys of an imported object that the importer doesn't read, e.g.
+ * "work[0].url", so the import report can list them.
+ */
+const collectUnmappedFields = (
+  object: Object,
+  mappedKeys: string[],
+  path: string,
+  unmappedFields: string[]
+) => {
+  for (const [key, value] of Object.entries(object)) {
+    if (!mappedKeys.includes(key) && !isEmpty(value)) {
+      unmappedFields.push(path ? `${path}.${key}` : key);
+    }
+  }
+};
+
+/*
+ * Export
+ */
+
+const toUrl = (url: string) =>
+  !url || /^[a-z][a-z\d+.-]*:/i.test(url) ? url : `https://${url}`;
+
+// "Los Angeles, CA" becomes a city & region, anything else stays a free form address
+const toLocation = (location: string): JsonResumeLocation => {
+  const parts = location.split(",").map((part) => part.trim());
+  if (parts.length === 2 && parts[0] && parts[1]) {
+    return { city: parts[0], region: parts[1] };
+  }
+  return compact({ address: location.trim() });
+};
+
+// "Languages: Python, Go" becomes { name: "Languages", keywords: ["Python", "Go"] }
+const toSkill = (description: string): JsonResumeSkill => {
+  const match = description.match(/^([^:]+):\s*(.+)$/);
+  if (!match) return { name: description.trim() };
+  return {
+    name: match[1].trim(),
+    keywords: match[2]
+      .split(",")
+      .map((keyword) => keyword.trim())
+      .filter(Boolean),
+  };
+};
+
+const hasContent = (item: Object) =>
+  Object.values(item).some((value) => !isEmpty(value));
+
+/**
+ * Convert the builder state to a JSON Resume. Returns the fields that couldn't be exported,
+ * i.e. dates that don't parse to ISO 8601, e.g. "Summer 2022".
+ */
+export const resumeToJsonResume = (resume: Resume, settings: Settings) => {
+  const unmappedFields: string[] = [];
+  const toDates = (date: string, path: string) => {
+    const dates = toJsonResumeDates(date);
+    if (!dates) unmappedFields.push(`${path}.date (${date})`);
+    return dates ?? {};
+  };
+  // Certificates, awards and publications have a single date
+  const toDate = (date: string, path: string) => {
+    if (!date.trim()) return "";
+    const isoDate = toIsoDate(date);
+    if (!isoDate) unmappedFields.push(`${path}.date (${date})`);
+    return isoDate ?? "";
+  };
+
+  const { profile, skills, custom } = resume;
+
+  const work = resume.workExperiences.filter(hasContent).map(
+    ({ company, jobTitle, date, descriptions }, idx): JsonResumeWork =>
+      compact({
+        name: company,
+        position: jobTitle,
+        ...toDates(date, `workExperiences[${idx}]`),
+        highlights: descriptions,
+      })
+  );
+
+  const education = resume.educations
+    .filter(hasContent)
+    .map(
+      (
+        { school, degree, gpa, date, descriptions },
+        idx
+      ): JsonResumeEducation => {
+        // "Bachelor of Science in Computer Science" is a study type in an area
+        const [studyType, ...area] = degree.split(" in ");
+        return compact({
+          institution: school,
+          studyType: studyType.trim(),
+          area: area.join(" in ").trim(),
+          ...toDates(date, `educations[${idx}]`),
+          score: gpa,
+          courses: descriptions,
+        });
+      }
+    );
+
+  const projects = resume.projects.filter(hasContent).map(
+    ({ project, date, descriptions }, idx): JsonResumeProject =>
+      compact({
+        name: project,
+        ...toDates(date, `projects[${idx}]`),
+        highlights: descriptions,
+      })
+  );
+
+  const certificates = resume.certifications.filter(hasContent).map(
+    ({ name, issuer, date, url }, idx): JsonResumeCertificate =>
+      compact({
+        name,
+        issuer,
+        date: toDate(date, `certifications[${idx}]`),
+        url: toUrl(url),
+      })
+  );
+
+  // JSON Resume awards and publications have a summary instead of bullet points
+  const awards = resume.awards.filter(hasContent).map(
+    ({ title, awarder, date, descriptions }, idx): JsonResumeAward =>
+      compact({
+        title,
+        awarder,
+        date: toDate(date, `awards[${idx}]`),
+        summary: descriptions.join("\n"),
+      })
+  );
+
+  const languages = resume.languages
+    .filter(hasContent)
+    .map(
+      ({ language, proficiency }): JsonResumeLanguage =>
+        compact({ language, fluency: proficiency })
+    );
+
+  const volunteer = resume.volunteerExperiences.filter(hasContent).map(
+    ({ organization, role, date, descriptions }, idx): JsonResumeVolunteer =>
+      compact({
+        organization,
+        position: role,
+        ...toDates(date, `volunteerExperiences[${idx}]`),
+        highlights: descriptions,
+      })
+  );
+
+  const publications = resume.publications.filter(hasContent).map(
+    (
+      { name, publisher, date, url, descriptions },
+      idx
+    ): JsonResumePublication =>
+      compact({
+        name,
+        publisher,
+        releaseDate: toDate(date, `publications[${idx}]`),
+        url: toUrl(url),
+        summary: descriptions.join("\n"),
+      })
+  );
+
+  const jsonResumeSkills: JsonResumeSkill[] = [
+    ...skills.featuredSkills
+      .filter(({ skill }) => skill.trim())
+      .map(({ skill, rating }) => ({
+        name: skill.trim(),
+        level: SKILL_LEVELS[rating] ?? SKILL_LEVELS[SKILL_LEVELS.length - 1],
+      })),
+    ...skills.descriptions.filter((d) => d.trim()).map(toSkill),
+  ];
+
+  const jsonResume: JsonResume = compact({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: compact({
+      name: profile.name,
+      email: profile.email,
+      phone: profile.phone,
+      url: toUrl(profile.url),
+      summary: profile.summary,
+      location: toLocation(profile.location),
+    }),
+    work,
+    education,
+    projects,
+    skills: jsonResumeSkills,
+    certificates,
+    awards,
+    languages,
+    volunteer,
+    publications,
+    meta: {
+      version: "v1.0.0",
+      lastModified: new Date().toISOString(),
+      ...(custom.descriptions.length > 0 && {
+        openResume: {
+          custom: {
+            heading: settings.formToHeading.custom,
+            descriptions: custom.descriptions,
+          },
+        },
+      }),
+    },
+  });
+
+  return { jsonResume, unmappedFields };
+};
+
+/*
+ * Import
+ */
+
+const toSkillRating = (level: string) => {
+  const rating = SKILL_LEVELS.findIndex(
+    (name) => name.toLowerCase() === level.toLowerCase()
+  );
+  if (rating !== -1) return rating;
+  // Numeric levels, e.g. "3" or "3/5", are read on a 5 point scale
+  const number = parseFloat(level);
+  if (!isNaN(number)) return Math.min(Math.max(Math.round(number) - 1, 0), 4);
+  return null;
+};
+
+/**
+ * Convert a JSON Resume to the builder state. Returns settings that show the sections the
+ * file has, and the fields the builder has no place for, e.g. "interests" or "work[0].url".
+ */
+export const jsonResumeToResume = (json: Object) => {
+  const unmappedFields: string[] = [];
+
+  collectUnmappedFields(
+    json,
+    [
+      "$schema",
+      "basics",
+      "work",
+      "education",
+      "projects",
+      "skills",
+      "certificates",
+      "awards",
+      "languages",
+      "volunteer",
+      "publications",
+      "meta",
+    ],
+    "",
+    unmappedFields
+  );
+
+  // Profile
+  const basics = isObject(json.basics) ? json.basics : {};
+  collectUnmappedFields(
+    basics,
+    ["name", "email", "phone", "url", "summary", "location", "profiles"],
+    "basics",
+    unmappedFields
+  );
+  const profiles = toArray(basics.profiles);
+  // The builder has one url: the website, else the first profile
+  let url = toText(basics.url);
+  profiles.forEach((profile, idx) => {
+    const profileUrl = toText(profile.url);
+    if (!url && profileUrl) {
+      url = profileUrl;
+    } else {
+      unmappedFields.push(`basics.profiles[${idx}]`);
+    }
+  });
+  const location = isObject(basics.location) ? basics.location : {};
+  collectUnmappedFields(
+    location,
+    ["address", "city", "region", "postalCode", "countryCode"],
+    "basics.location",
+    unmappedFields
+  );
+
+  const profile = {
+    ...initialProfile,
+    name: toText(basics.name),
+    email: toText(basics.email),
+    phone: toText(basics.phone),
+    url: url.replace(/^https?:\/\//i, "").replace(/\/$/, ""),
+    summary: toText(basics.summary),
+    location: [
+      location.address,
+      location.city,
+      location.region,
+      location.postalCode,
+      location.countryCode,
+    ]
+      .map(toText)
+      .filter(Boolean)
+      .join(", "),
+  };
+
+  // Work experiences. Files of the v0 schema use company instead of name
+  const workExperiences = toArray(json.work).map(
+    (work, idx): ResumeWorkExperience => {
+      collectUnmappedFields(
+        work,
+        [
+          "name",
+          "company",
+          "position",
+          "startDate",
+          "endDate",
+          "summary",
+          "highlights",
+        ],
+        `work[${idx}]`,
+        unmappedFields
+      );
+      return {
+        company: toText(work.name) || toText(work.company),
+        jobTitle: toText(work.position),
+        date: fromJsonResumeDates(toText(work.startDate), toText(work.endDate)),
+        descriptions: [
+          toText(work.summary),
+          ...toTextList(work.highlights),
+        ].filter(Boolean),
+      };
+    }
+  );
+
+  // Educations
+  const educations = toArray(json.education).map(
+    (education, idx): ResumeEducation => {
+      collectUnmappedFields(
+        education,
+        [
+          "institution",
+          "studyType",
+          "area",
+          "startDate",
+          "endDate",
+          "score",
+          "gpa",
+          "courses",
+        ],
+        `education[${idx}]`,
+        unmappedFields
+      );
+      const studyType = toText(education.studyType);
+      const area = toText(education.area);
+      return {
+        school: toText(education.institution),
+        degree:
+          studyType && area ? `${studyType} in ${area}` : studyType || area,
+        date: fromJsonResumeDates(
+          toText(education.startDate),
+          toText(education.endDate)
+        ),
+        gpa: toText(education.score) || toText(education.gpa),
+        descriptions: toTextList(education.courses),
+      };
+    }
+  );
+
+  // Projects
+  const projects = toArray(json.projects).map((project, idx): ResumeProject => {
+    collectUnmappedFields(
+      project,
+      ["name", "description", "highlights", "startDate", "endDate"],
+      `projects[${idx}]`,
+      unmappedFields
+    );
+    return {
+      project: toText(project.name),
+      date: fromJsonResumeDates(
+        toText(project.startDate),
+        toText(project.endDate)
+      ),
+      descriptions: [
+        toText(project.description),
+        ...toTextList(project.highlights),
+      ].filter(Boolean),
+    };
+  });
+
+  // Skills: rated skills fill the featured skill slots, the rest become descriptions
+  const featuredSkills: FeaturedSkill[] = initialFeaturedSkills.map(
+    (skill) => ({ ...skill })
+  );
+  let featuredSkillsCount = 0;
+  const skillDescriptions: string[] = [];
+  toArray(json.skills).forEach((skill, idx) => {
+    collectUnmappedFields(
+      skill,
+      ["name", "level", "keywords"],
+      `skills[${idx}]`,
+      unmappedFields
+    );
+    const name = toText(skill.name);
+    const keywords = toTextList(skill.keywords);
+    const rating = toSkillRating(toText(skill.level));
+
+    if (name && rating !== null && keywords.length === 0) {
+      if (featuredSkillsCount < featuredSkills.length) {
+        featuredSkills[featuredSkillsCount++] = { skill: name, rating };
+        return;
+      }
+      unmappedFields.push(`skills[${idx}].level`);
+    } else if (toText(skill.level)) {
+      unmappedFields.push(`skills[${idx}].level`);
+    }
+
+    const description =
+      keywords.length > 0
+        ? `${name ? `${name}: ` : ""}${keywords.join(", ")}`
+        : name;
+    if (description) skillDescriptions.push(description);
+  });
+
+  // A single date, e.g. a certificate's, is both the start and the end
+  const fromDate = (date: any) =>
+    fromJsonResumeDates(toText(date), toText(date));
+  const fromUrl = (url: any) =>
+    toText(url)
+      .replace(/^https?:\/\//i, "")
+      .replace(/\/$/, "");
+  // A summary has one bullet point per line
+  const fromSummary = (summary: any) =>
+    toText(summary)
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+  // Certifications
+  const certifications = toArray(json.certificates).map(
+    (certificate, idx): ResumeCertification => {
+      collectUnmappedFields(
+        certificate,
+        ["name", "issuer", "date", "url"],
+        `certificates[${idx}]`,
+        unmappedFields
+      );
+      return {
+        name: toText(certificate.name),
+        issuer: toText(certificate.issuer),
+        date: fromDate(certificate.date),
+        url: fromUrl(certificate.url),
+      };
+    }
+  );
+
+  // Awards
+  const awards = toArray(json.awards).map((award, idx): ResumeAward => {
+    collectUnmappedFields(
+      award,
+      ["title", "awarder", "date", "summary"],
+      `awards[${idx}]`,
+      unmappedFields
+    );
+    return {
+      title: toText(award.title),
+      awarder: toText(award.awarder),
+      date: fromDate(award.date),
+      descriptions: fromSummary(award.summary),
+    };
+  });
+
+  // Languages
+  const languages = toArray(json.languages).map(
+    (language, idx): ResumeLanguage => {
+      collectUnmappedFields(
+        language,
+        ["language", "fluency"],
+        `languages[${idx}]`,
+        unmappedFields
+      );
+      return {
+        language: toText(language.language),
+        proficiency: toText(language.fluency),
+      };
+    }
+  );
+
+  // Volunteer experiences
+  const volunteerExperiences = toArray(json.volunteer).map(
+    (volunteer, idx): ResumeVolunteerExperience => {
+      collectUnmappedFields(
+        volunteer,
+        [
+          "organization",
+          "position",
+          "startDate",
+          "endDate",
+          "summary",
+          "highlights",
+        ],
+        `volunteer[${idx}]`,
+        unmappedFields
+      );
+      return {
+        organization: toText(volunteer.organization),
+        role: toText(volunteer.position),
+        date: fromJsonResumeDates(
+          toText(volunteer.startDate),
+          toText(volunteer.endDate)
+        ),
+        descriptions: [
+          toText(volunteer.summary),
+          ...toTextList(volunteer.highlights),
+        ].filter(Boolean),
+      };
+    }
+  );
+
+  // Publications
+  const publications = toArray(json.publications).map(
+    (publication, idx): ResumePublication => {
+      collectUnmappedFields(
+        publication,
+        ["name", "publisher", "releaseDate", "url", "summary"],
+        `publications[${idx}]`,
+        unmappedFields
+      );
+      return {
+        name: toText(publication.name),
+        publisher: toText(publication.publisher),
+        date: fromDate(publication.releaseDate),
+        url: fromUrl(publication.url),
+        descriptions: fromSummary(publication.summary),
+      };
+    }
+  );
+
+  // Custom section, only present in files exported by the builder
+  const meta = isObject(json.meta) ? json.meta : {};
+  const customMeta =
+    isObject(meta.openResume) && isObject(meta.openResume.custom)
+      ? meta.openResume.custom
+      : {};
+  const customHeading = toText(customMeta.heading);
+
+  const resume: Resume = {
+    profile,
+    workExperiences,
+    educations,
+    projects,
+    skills: { featuredSkills, descriptions: skillDescriptions },
+    certifications,
+    awards,
+    languages,
+    volunteerExperiences,
+    publications,
+    custom: { descriptions: toTextList(customMeta.descriptions) },
+  };
+
+  const settings = deepClone(initialSettings);
+  const sectionToFormToShow: Record<ShowForm, boolean> = {
+    workExperiences: workExperiences.length > 0,
+    educations: educations.length > 0,
+    projects: projects.length > 0,
+    skills: featuredSkillsCount > 0 || skillDescriptions.length > 0,
+    certifications: certifications.length > 0,
+    awards: awards.length > 0,
+    languages: languages.length > 0,
+    volunteerExperiences: volunteerExperiences.length > 0,
+    publications: publications.length > 0,
+    custom: resume.custom.descriptions.length > 0,
+  };
+  settings.formToShow = sectionToFormToShow;
+  if (customHeading) settings.formToHeading.custom = customHeading;
+
+  return { resume, settings, unmappedFields };
+};
@@ -0,0 +1,59 @@
+import type { Resume } from "lib/redux/types";
+import type { Settings } from "lib/redux/settingsSlice";
+import { mergeWithInitialState } from "lib/redux/local-storage";
+
+/**
+ * OpenResume's own file format: the builder state as saved in local storage, so an export
+ * followed by an import restores the resume and its theme settings exactly.
+ */
+export const OPEN_RESUME_FILE_FORMAT = "open-resume";
+export const OPEN_RESUME_FILE_VERSION = 1;
+
+export interface OpenResumeFile {
+  format: typeof OPEN_RESUME_FILE_FORMAT;
+  version: number;
+  resume: Resume;
+  settings: Settings;
+}
+
+export class ResumeFileError extends Error {}
+
+export const createOpenResumeFile = (
+  resume: Resume,
+  settings: Settings
+): OpenResumeFile => ({
+  format: OPEN_RESUME_FILE_FORMAT,
+  version: OPEN_RESUME_FILE_VERSION,
+  resume,
+  settings,
+});
+
+const isObject = (value: any) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Read an OpenResume file. Like the state loaded from local storage, it is merged into the
+ * initial state, so files of older versions gain the fields added since.
+ */
+export const parseOpenResumeFile = (json: { [key: string]: any }) => {
+  if (json.version > OPEN_RESUME_FILE_VERSION) {
+    throw new ResumeFileError(
+      "This file was created by a newer version of OpenResume."
+    );
+  }
+
+  const { resume, settings } = json;
+  const isValid =
+    typeof json.version === "number" &&
+    isObject(resume) &&
+    isObject(settings) &&
+    ["profile", "skills", "custom"].every((key) => isObject(resume[key])) &&
+    ["workExperiences", "educations", "projects"].every((key) =>
+      Array.isArray(resume[key])
+    );
+  if (!isValid) {
+    throw new ResumeFileError("This OpenResume file is incomplete or damaged.");
+  }
+
+  return mergeWithInitialState({ resume, settings });
+};
@@ -0,0 +1,315 @@
+/**
+ * @jest-environment node
+ */
+import {
+  importResumeFile,
+  resumeToJsonResume,
+  createOpenResumeFile,
+  ResumeFileError,
+} from "lib/resume-file";
+import { toJsonResumeDates, fromJsonResumeDates } from "lib/resume-file/dates";
+import { initialFeaturedSkills } from "lib/redux/resumeSlice";
+import { initialSettings } from "lib/redux/settingsSlice";
+import type { Resume } from "lib/redux/types";
+
+const RESUME: Resume = {
+  profile: {
+    name: "John Doe",
+    email: "hello@openresume.com",
+    phone: "123-456-7890",
+    url: "linkedin.com/in/john-doe",
+    summary: "Software engineer obsessed with building exceptional products",
+    location: "NYC, NY",
+  },
+  workExperiences: [
+    {
+      company: "ABC Company",
+      jobTitle: "Software Engineer",
+      date: "May 2023 - Present",
+      descriptions: ["Lead a cross-functional team of 5 engineers"],
+    },
+    {
+      company: "DEF Organization",
+      jobTitle: "Software Engineer Intern",
+      date: "Summer 2022",
+      descriptions: [],
+    },
+  ],
+  educations: [
+    {
+      school: "XYZ University",
+      degree: "Bachelor of Science in Computer Science",
+      date: "Sep 2019 - May 2023",
+      gpa: "3.8",
+      descriptions: ["Won 1st place in 2022 Education Hackathon"],
+    },
+  ],
+  projects: [
+    {
+      project: "OpenResume",
+      date: "Spring 2023",
+      descriptions: ["Created and launched a free resume builder web app"],
+    },
+  ],
+  skills: {
+    featuredSkills: [
+      { skill: "HTML", rating: 4 },
+      { skill: "TypeScript", rating: 2 },
+      ...initialFeaturedSkills.slice(2),
+    ],
+    descriptions: ["Tech: React Hooks, GraphQL, Node.js", "Public speaking"],
+  },
+  certifications: [
+    {
+      name: "AWS Certified Developer",
+      issuer: "Amazon Web Services",
+      date: "Mar 2023",
+      url: "aws.amazon.com/certification",
+    },
+  ],
+  awards: [
+    {
+      title: "Dean's List",
+      awarder: "XYZ University",
+      date: "2022",
+      descriptions: ["Top 5% of the class", "Three semesters in a row"],
+    },
+  ],
+  languages: [
+    { language: "English", proficiency: "Native" },
+    { language: "Spanish", proficiency: "" },
+  ],
+  volunteerExperiences: [
+    {
+      organization: "Code for Good",
+      role: "Mentor",
+      date: "Jan 2021 - Present",
+      descriptions: ["Mentored 10 students"],
+    },
+  ],
+  publications: [
+    {
+      name: "Parsing Resumes at Scale",
+      publisher: "ACM",
+      date: "Jun 2022",
+      url: "doi.org/10.1145/123",
+      descriptions: [],
+    },
+  ],
+  custom: { descriptions: ["Volunteer at the local food bank"] },
+};
+
+const SETTINGS = {
+  ...initialSettings,
+  themeColor: "#f87171",
+  formToShow: { ...initialSettings.formToShow, custom: true },
+  formToHeading: { ...initialSettings.formToHeading, custom: "VOLUNTEERING" },
+};
+
+describe("resume-file tests - ", () => {
+  it("Converts date ranges to and from ISO 8601", () => {
+    expect(toJsonResumeDates("May 2023 - Present")).toEqual({
+      startDate: "2023-05",
+    });
+    expect(toJsonResumeDates("Sept. 2019 – 05/2023")).toEqual({
+      startDate: "2019-09",
+      endDate: "2023-05",
+    });
+    expect(toJsonResumeDates("2019-2023")).toEqual({
+      startDate: "2019",
+      endDate: "2023",
+    });
+    expect(toJsonResumeDates("2021")).toEqual({
+      startDate: "2021",
+      endDate: "2021",
+    });
+    expect(toJsonResumeDates("")).toEqual({});
+    expect(toJsonResumeDates("Summer 2022")).toBeNull();
+    expect(toJsonResumeDates("2023-13 - Present")).toBeNull();
+
+    expect(fromJsonResumeDates("2023-05-14")).toBe("May 2023 - Present");
+    expect(fromJsonResumeDates("2019-09", "2023-05")).toBe(
+      "Sep 2019 - May 2023"
+    );
+    expect(fromJsonResumeDates("2021", "2021")).toBe("2021");
+  });
+
+  it("Exports a JSON Resume and reports the dates it can't convert", () => {
+    const { jsonResume, unmappedFields } = resumeToJsonResume(RESUME, SETTINGS);
+
+    expect(jsonResume.basics).toEqual({
+      name: "John Doe",
+      email: "hello@openresume.com",
+      phone: "123-456-7890",
+      url: "https://linkedin.com/in/john-doe",
+      summary: "Software engineer obsessed with building exceptional products",
+      location: { city: "NYC", region: "NY" },
+    });
+    expect(jsonResume.work).toEqual([
+      {
+        name: "ABC Company",
+        position: "Software Engineer",
+        startDate: "2023-05",
+        highlights: ["Lead a cross-functional team of 5 engineers"],
+      },
+      { name: "DEF Organization", position: "Software Engineer Intern" },
+    ]);
+    expect(jsonResume.education?.[0]).toMatchObject({
+      studyType: "Bachelor of Science",
+      area: "Computer Science",
+      score: "3.8",
+    });
+    expect(jsonResume.skills).toEqual([
+      { name: "HTML", level: "Expert" },
+      { name: "TypeScript", level: "Intermediate" },
+      { name: "Tech", keywords: ["React Hooks", "GraphQL", "Node.js"] },
+      { name: "Public speaking" },
+    ]);
+    expect(jsonResume.certificates).toEqual([
+      {
+        name: "AWS Certified Developer",
+        issuer: "Amazon Web Services",
+        date: "2023-03",
+        url: "https://aws.amazon.com/certification",
+      },
+    ]);
+    expect(jsonResume.awards?.[0].summary).toBe(
+      "Top 5% of the class\nThree semesters in a row"
+    );
+    expect(jsonResume.languages).toEqual([
+      { language: "English", fluency: "Native" },
+      { language: "Spanish" },
+    ]);
+    expect(jsonResume.volunteer?.[0]).toMatchObject({
+      position: "Mentor",
+      startDate: "2021-01",
+    });
+    expect(jsonResume.meta?.openResume?.custom?.heading).toBe("VOLUNTEERING");
+    expect(unmappedFields).toEqual([
+      "workExperiences[1].date (Summer 2022)",
+      "projects[0].date (Spring 2023)",
+    ]);
+  });
+
+  it("Imports an exported JSON Resume back into the same resume", () => {
+    const { jsonResume } = resumeToJsonResume(RESUME, SETTINGS);
+    const imported = importResumeFile(JSON.stringify(jsonResume));
+
+    expect(imported.format).toBe("json-resume");
+    expect(imported.unmappedFields).toEqual([]);
+    expect(imported.resume).toEqual({
+      ...RESUME,
+      // Dates that couldn't be exported are lost
+      workExperiences: [
+        RESUME.workExperiences[0],
+        { ...RESUME.workExperiences[1], date: "" },
+      ],
+      projects: [{ ...RESUME.projects[0], date: "" }],
+    });
+    expect(imported.settings.formToShow.custom).toBe(true);
+    expect(imported.settings.formToHeading.custom).toBe("VOLUNTEERING");
+    // JSON Resume has no theme
+    expect(imported.settings.themeColor).toBe(initialSettings.themeColor);
+  });
+
+  it("Reports the JSON Resume fields the builder has no place for", () => {
+    const imported = importResumeFile(
+      JSON.stringify({
+        basics: {
+          name: "Jane Doe",
+          label: "Programmer",
+          location: { city: "Berlin", countryCode: "DE" },
+          profiles: [
+            { network: "GitHub", url: "https://github.com/jane/" },
+            { network: "Twitter", url: "https://twitter.com/jane" },
+          ],
+        },
+        work: [
+          {
+            company: "Acme",
+            url: "https://acme.com",
+            startDate: "2020-01-15",
+            summary: "Built rockets",
+            highlights: ["Launched 3 rockets"],
+          },
+        ],
+        skills: [
+          { name: "Rust", level: "Advanced", keywords: ["Tokio"] },
+          { name: "Go", level: "4" },
+        ],
+        awards: [{ title: "Employee of the month", url: "acme.com" }],
+        interests: [{ name: "Chess" }],
+      })
+    );
+
+    expect(imported.resume.profile).toMatchObject({
+      name: "Jane Doe",
+      url: "github.com/jane",
+      location: "Berlin, DE",
+    });
+    expect(imported.resume.workExperiences).toEqual([
+      {
+        company: "Acme",
+        jobTitle: "",
+        date: "Jan 2020 - Present",
+        descriptions: ["Built rockets", "Launched 3 rockets"],
+      },
+    ]);
+    expect(imported.resume.skills.featuredSkills[0]).toEqual({
+      skill: "Go",
+      rating: 3,
+    });
+    expect(imported.resume.skills.descriptions).toEqual(["Rust: Tokio"]);
+    expect(imported.settings.formToShow).toMatchObject({
+      educations: false,
+      skills: true,
+      awards: true,
+    });
+    expect(imported.resume.awards).toEqual([
+      {
+        title: "Employee of the month",
+        awarder: "",
+        date: "",
+        descriptions: [],
+      },
+    ]);
+    expect(imported.unmappedFields).toEqual([
+      "interests",
+      "basics.label",
+      "basics.profiles[1]",
+      "work[0].url",
+      "skills[0].level",
+      "awards[0].url",
+    ]);
+  });
+
+  it("Round trips OpenResume files and rejects other files", () => {
+    const file = createOpenResumeFile(RESUME, SETTINGS);
+    expect(importResumeFile(JSON.stringify(file))).toEqual({
+      format: "open-resume",
+      resume: RESUME,
+      settings: SETTINGS,
+      unmappedFields: [],
+    });
+
+    // Files missing newer fields get their initial values
+    const { showBulletPoints, ...olderSettings } = SETTINGS;
+    const older = importResumeFile(
+      JSON.stringify({ ...file, settings: olderSettings })
+    );
+    expect(older.settings.showBulletPoints).toEqual(
+      initialSettings.showBulletPoints
+    );
+
+    expect(() => importResumeFile("{")).toThrow(ResumeFileError);
+    expect(() => importResumeFile('{"hello": "world"}')).toThrow(
+      "neither a JSON Resume nor an OpenResume file"
+    );
+    expect(() =>
+      importResumeFile(JSON.stringify({ ...file, version: 2 }))
+    ).toThrow("newer version");
+    expect(() =>
+      importResumeFile(JSON.stringify({ ...file, resume: { profile: {} } }))
+    ).toThrow(ResumeFileError);
+  });
+});
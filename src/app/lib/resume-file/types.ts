@@ -0,0 +1,128 @@
+/**
+ * The parts of the JSON Resume schema (https://jsonresume.org/schema) that the builder reads
+ * and writes. Every field is optional in the schema, and imported files are untrusted input,
+ * so the importer checks each value's type before using it.
+ */
+export interface JsonResumeLocation {
+  address?: string;
+  postalCode?: string;
+  city?: string;
+  countryCode?: string;
+  region?: string;
+}
+
+export interface JsonResumeProfile {
+  network?: string;
+  username?: string;
+  url?: string;
+}
+
+export interface JsonResumeBasics {
+  name?: string;
+  label?: string;
+  image?: string;
+  email?: string;
+  phone?: string;
+  url?: string;
+  summary?: string;
+  location?: JsonResumeLocation;
+  profiles?: JsonResumeProfile[];
+}
+
+export interface JsonResumeWork {
+  name?: string;
+  position?: string;
+  url?: string;
+  startDate?: string;
+  endDate?: string;
+  summary?: string;
+  highlights?: string[];
+}
+
+export interface JsonResumeEducation {
+  institution?: string;
+  url?: string;
+  area?: string;
+  studyType?: string;
+  startDate?: string;
+  endDate?: string;
+  score?: string;
+  courses?: string[];
+}
+
+export interface JsonResumeProject {
+  name?: string;
+  description?: string;
+  highlights?: string[];
+  startDate?: string;
+  endDate?: string;
+  url?: string;
+}
+
+export interface JsonResumeSkill {
+  name?: string;
+  level?: string;
+  keywords?: string[];
+}
+
+export interface JsonResumeCertificate {
+  name?: string;
+  date?: string;
+  issuer?: string;
+  url?: string;
+}
+
+export interface JsonResumeAward {
+  title?: string;
+  date?: string;
+  awarder?: string;
+  summary?: string;
+}
+
+export interface JsonResumeLanguage {
+  language?: string;
+  fluency?: string;
+}
+
+export interface JsonResumeVolunteer {
+  organization?: string;
+  position?: string;
+  url?: string;
+  startDate?: string;
+  endDate?: string;
+  summary?: string;
+  highlights?: string[];
+}
+
+export interface JsonResumePublication {
+  name?: string;
+  publisher?: string;
+  releaseDate?: string;
+  url?: string;
+  summary?: string;
+}
+
+export interface JsonResumeMeta {
+  canonical?: string;
+  version?: string;
+  lastModified?: string;
+  // Builder sections without a JSON Resume counterpart
+  openResume?: {
+    custom?: { heading?: string; descriptions?: string[] };
+  };
+}
+
+export interface JsonResume {
+  $schema?: string;
+  basics?: JsonResumeBasics;
+  work?: JsonResumeWork[];
+  education?: JsonResumeEducation[];
+  projects?: JsonResumeProject[];
+  skills?: JsonResumeSkill[];
+  certificates?: JsonResumeCertificate[];
+  awards?: JsonResumeAward[];
+  languages?: JsonResumeLanguage[];
+  volunteer?: JsonResumeVolunteer[];
+  publications?: JsonResumePublication[];
+  meta?: JsonResumeMeta;
+}
@@ -1,6 +1,7 @@
 "use client";
 import { getHasUsedAppBefore } from "lib/redux/local-storage";
 import { ResumeDropzone } from "components/ResumeDropzone";
+import { ResumeFileImport } from "components/ResumeFileImport";
 import { useState, useEffect } from "react";
 import Link from "next/link";
 
@@ -27,6 +28,7 @@ export default function ImportResume() {
               onFileUrlChange={onFileUrlChange}
               className="mt-5"
             />
+            {!hasAddedResume && <ResumeFileImport className="mt-5" />}
             {!hasAddedResume && (
               <>
                 <OrDivider />
@@ -55,6 +57,7 @@ export default function ImportResume() {
               onFileUrlChange={onFileUrlChange}
               className="mt-5"
             />
+            {!hasAddedResume && <ResumeFileImport className="mt-5" />}
           </>
         )}
       </div>
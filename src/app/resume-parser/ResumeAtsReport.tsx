@@ -0,0 +1,50 @@
+import {
+  CheckCircleIcon,
+  ExclamationCircleIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/24/outline";
+import type { AtsReport } from "lib/parse-resume-from-pdf/ats-report";
+import { cx } from "lib/cx";
+
+const getScoreColor = (score: number) => {
+  if (score >= 80) return "text-green-600";
+  if (score >= 50) return "text-amber-500";
+  return "text-red-500";
+};
+
+export const ResumeAtsReport = ({ report }: { report: AtsReport }) => (
+  <div className="mt-2 rounded-md border text-sm text-gray-900">
+    <div className="flex items-center justify-between border-b bg-gray-50 px-3 py-2">
+      <span className="font-semibold">ATS Readability Score</span>
+      <span className={cx("text-lg font-bold", getScoreColor(report.score))}>
+        {report.score}/100
+      </span>
+    </div>
+    <ul className="divide-y">
+      {report.issues.length === 0 && (
+        <li className="flex gap-2 px-3 py-2">
+          <CheckCircleIcon className="h-5 w-5 shrink-0 text-green-600" />
+          No issues found. Your resume should be easy to read for an ATS.
+        </li>
+      )}
+      {report.issues.map(({ severity, message }, idx) => {
+        const Icon =
+          severity === "error"
+            ? ExclamationCircleIcon
+            : ExclamationTriangleIcon;
+        return (
+          <li key={idx} className="flex gap-2 px-3 py-2">
+            <Icon
+              className={cx(
+                "h-5 w-5 shrink-0",
+                severity === "error" ? "text-red-500" : "text-amber-500"
+              )}
+              aria-label={severity}
+            />
+            {message}
+          </li>
+        );
+      })}
+    </ul>
+  </div>
+);
@@ -109,8 +109,8 @@ export const ResumeParserAlgorithmArticle = ({
       <Paragraph smallMarginTop={true}>
         For the technical curious, this section will dive into the OpenResume
         parser algorithm and walks through the 4 steps on how it works. (Note
-        that the algorithm is designed to parse single column resume in English
-        language)
+        that the algorithm is designed to parse resume in English, Spanish,
+        German, French and Chinese, and the examples below are in English)
       </Paragraph>
       {/* Step 1. Read the text items from a PDF file */}
       <Heading level={2}>Step 1. Read the text items from a PDF file</Heading>
@@ -140,6 +140,16 @@ export const ResumeParserAlgorithmArticle = ({
         (Note that x,y position is relative to the bottom left corner of the
         page, which is the origin 0,0)
       </Paragraph>
+      <Paragraph>
+        Text items are usually ordered line by line across the whole page. For a
+        resume with multiple columns, e.g. a sidebar for skills and contact
+        info, that would interleave texts from different columns. So for each
+        page, the resume parser looks for blank vertical strips that almost no
+        text item crosses, and treats one as the gap between two columns if each
+        side holds a fair share of the page's text. The text items of a
+        multi-column page are then reordered to be read one column at a time,
+        from left to right.
+      </Paragraph>
       <div className="mt-4 max-h-72 overflow-y-scroll border scrollbar scrollbar-track-gray-100 scrollbar-thumb-gray-200 scrollbar-w-3">
         <Table
           table={step1TextItemsTable}
@@ -1,9 +1,13 @@
 import { Fragment } from "react";
 import type { Resume } from "lib/redux/types";
+import type { ResumeConfidence } from "lib/parse-resume-from-pdf/types";
 import { initialEducation, initialWorkExperience } from "lib/redux/resumeSlice";
 import { deepClone } from "lib/deep-clone";
 import { cx } from "lib/cx";
 
+// Fields below this confidence are likely parsed wrong
+const LOW_CONFIDENCE = 0.5;
+
 const TableRowHeader = ({ children }: { children: React.ReactNode }) => (
   <tr className="divide-x bg-gray-50">
     <th className="px-3 py-2 font-semibold" scope="colgroup" colSpan={2}>
@@ -15,10 +19,12 @@ const TableRowHeader = ({ children }: { children: React.ReactNode }) => (
 const TableRow = ({
   label,
   value,
+  confidence,
   className,
 }: {
   label: string;
   value: string | string[];
+  confidence?: number;
   className?: string | false;
 }) => (
   <tr className={cx("divide-x", className)}>
@@ -26,6 +32,17 @@ const TableRow = ({
       {label}
     </th>
     <td className="w-full px-3 py-2">
+      {confidence !== undefined && (
+        <span
+          className={cx(
+            "float-right ml-2 text-xs",
+            confidence < LOW_CONFIDENCE ? "text-red-500" : "text-gray-400"
+          )}
+          title="Parser confidence"
+        >
+          {Math.round(confidence * 100)}%
+        </span>
+      )}
       {typeof value === "string"
         ? value
         : value.map((x, idx) => (
@@ -38,7 +55,13 @@ const TableRow = ({
   </tr>
 );
 
-export const ResumeTable = ({ resume }: { resume: Resume }) => {
+export const ResumeTable = ({
+  resume,
+  confidence,
+}: {
+  resume: Resume;
+  confidence?: ResumeConfidence;
+}) => {
   const educations =
     resume.educations.length === 0
       ? [deepClone(initialEducation)]
@@ -60,19 +83,59 @@ export const ResumeTable = ({ resume }: { resume: Resume }) => {
     <table className="mt-2 w-full border text-sm text-gray-900">
       <tbody className="divide-y text-left align-top">
         <TableRowHeader>Profile</TableRowHeader>
-        <TableRow label="Name" value={resume.profile.name} />
-        <TableRow label="Email" value={resume.profile.email} />
-        <TableRow label="Phone" value={resume.profile.phone} />
-        <TableRow label="Location" value={resume.profile.location} />
-        <TableRow label="Link" value={resume.profile.url} />
-        <TableRow label="Summary" value={resume.profile.summary} />
+        <TableRow
+          label="Name"
+          value={resume.profile.name}
+          confidence={confidence?.profile.name}
+        />
+        <TableRow
+          label="Email"
+          value={resume.profile.email}
+          confidence={confidence?.profile.email}
+        />
+        <TableRow
+          label="Phone"
+          value={resume.profile.phone}
+          confidence={confidence?.profile.phone}
+        />
+        <TableRow
+          label="Location"
+          value={resume.profile.location}
+          confidence={confidence?.profile.location}
+        />
+        <TableRow
+          label="Link"
+          value={resume.profile.url}
+          confidence={confidence?.profile.url}
+        />
+        <TableRow
+          label="Summary"
+          value={resume.profile.summary}
+          confidence={confidence?.profile.summary}
+        />
         <TableRowHeader>Education</TableRowHeader>
         {educations.map((education, idx) => (
           <Fragment key={idx}>
-            <TableRow label="School" value={education.school} />
-            <TableRow label="Degree" value={education.degree} />
-            <TableRow label="GPA" value={education.gpa} />
-            <TableRow label="Date" value={education.date} />
+            <TableRow
+              label="School"
+              value={education.school}
+              confidence={confidence?.educations[idx]?.school}
+            />
+            <TableRow
+              label="Degree"
+              value={education.degree}
+              confidence={confidence?.educations[idx]?.degree}
+            />
+            <TableRow
+              label="GPA"
+              value={education.gpa}
+              confidence={confidence?.educations[idx]?.gpa}
+            />
+            <TableRow
+              label="Date"
+              value={education.date}
+              confidence={confidence?.educations[idx]?.date}
+            />
             <TableRow
               label="Descriptions"
               value={education.descriptions}
@@ -87,9 +150,21 @@ export const ResumeTable = ({ resume }: { resume: Resume }) => {
         <TableRowHeader>Work Experience</TableRowHeader>
         {workExperiences.map((workExperience, idx) => (
           <Fragment key={idx}>
-            <TableRow label="Company" value={workExperience.company} />
-            <TableRow label="Job Title" value={workExperience.jobTitle} />
-            <TableRow label="Date" value={workExperience.date} />
+            <TableRow
+              label="Company"
+              value={workExperience.company}
+              confidence={confidence?.workExperiences[idx]?.company}
+            />
+            <TableRow
+              label="Job Title"
+              value={workExperience.jobTitle}
+              confidence={confidence?.workExperiences[idx]?.jobTitle}
+            />
+            <TableRow
+              label="Date"
+              value={workExperience.date}
+              confidence={confidence?.workExperiences[idx]?.date}
+            />
             <TableRow
               label="Descriptions"
               value={workExperience.descriptions}
@@ -106,8 +181,16 @@ export const ResumeTable = ({ resume }: { resume: Resume }) => {
         )}
         {resume.projects.map((project, idx) => (
           <Fragment key={idx}>
-            <TableRow label="Project" value={project.project} />
-            <TableRow label="Date" value={project.date} />
+            <TableRow
+              label="Project"
+              value={project.project}
+              confidence={confidence?.projects[idx]?.project}
+            />
+            <TableRow
+              label="Date"
+              value={project.date}
+              confidence={confidence?.projects[idx]?.date}
+            />
             <TableRow
               label="Descriptions"
               value={project.descriptions}
@@ -121,6 +204,130 @@ export const ResumeTable = ({ resume }: { resume: Resume }) => {
         ))}
         <TableRowHeader>Skills</TableRowHeader>
         <TableRow label="Descriptions" value={skills} />
+        {resume.certifications.length > 0 && (
+          <TableRowHeader>Certifications</TableRowHeader>
+        )}
+        {resume.certifications.map((certification, idx) => (
+          <Fragment key={idx}>
+            <TableRow
+              label="Certification"
+              value={certification.name}
+              confidence={confidence?.certifications[idx]?.name}
+            />
+            <TableRow label="Issuer" value={certification.issuer} />
+            <TableRow
+              label="Date"
+              value={certification.date}
+              confidence={confidence?.certifications[idx]?.date}
+            />
+            <TableRow
+              label="Link"
+              value={certification.url}
+              confidence={confidence?.certifications[idx]?.url}
+              className={
+                resume.certifications.length - 1 !== 0 &&
+                idx !== resume.certifications.length - 1 &&
+                "!border-b-4"
+              }
+            />
+          </Fragment>
+        ))}
+        {resume.awards.length > 0 && <TableRowHeader>Awards</TableRowHeader>}
+        {resume.awards.map((award, idx) => (
+          <Fragment key={idx}>
+            <TableRow
+              label="Award"
+              value={award.title}
+              confidence={confidence?.awards[idx]?.title}
+            />
+            <TableRow label="Awarded By" value={award.awarder} />
+            <TableRow
+              label="Date"
+              value={award.date}
+              confidence={confidence?.awards[idx]?.date}
+            />
+            <TableRow
+              label="Descriptions"
+              value={award.descriptions}
+              className={
+                resume.awards.length - 1 !== 0 &&
+                idx !== resume.awards.length - 1 &&
+                "!border-b-4"
+              }
+            />
+          </Fragment>
+        ))}
+        {resume.languages.length > 0 && (
+          <>
+            <TableRowHeader>Languages</TableRowHeader>
+            {resume.languages.map(({ language, proficiency }, idx) => (
+              <TableRow key={idx} label={language} value={proficiency} />
+            ))}
+          </>
+        )}
+        {resume.volunteerExperiences.length > 0 && (
+          <TableRowHeader>Volunteer Experience</TableRowHeader>
+        )}
+        {resume.volunteerExperiences.map((volunteerExperience, idx) => (
+          <Fragment key={idx}>
+            <TableRow
+              label="Organization"
+              value={volunteerExperience.organization}
+              confidence={confidence?.volunteerExperiences[idx]?.organization}
+            />
+            <TableRow
+              label="Role"
+              value={volunteerExperience.role}
+              confidence={confidence?.volunteerExperiences[idx]?.role}
+            />
+            <TableRow
+              label="Date"
+              value={volunteerExperience.date}
+              confidence={confidence?.volunteerExperiences[idx]?.date}
+            />
+            <TableRow
+              label="Descriptions"
+              value={volunteerExperience.descriptions}
+              className={
+                resume.volunteerExperiences.length - 1 !== 0 &&
+                idx !== resume.volunteerExperiences.length - 1 &&
+                "!border-b-4"
+              }
+            />
+          </Fragment>
+        ))}
+        {resume.publications.length > 0 && (
+          <TableRowHeader>Publications</TableRowHeader>
+        )}
+        {resume.publications.map((publication, idx) => (
+          <Fragment key={idx}>
+            <TableRow
+              label="Title"
+              value={publication.name}
+              confidence={confidence?.publications[idx]?.name}
+            />
+            <TableRow label="Publisher" value={publication.publisher} />
+            <TableRow
+              label="Date"
+              value={publication.date}
+              confidence={confidence?.publications[idx]?.date}
+            />
+            <TableRow
+              label="Link"
+              value={publication.url}
+              confidence={confidence?.publications[idx]?.url}
+            />
+            <TableRow
+              label="Descriptions"
+              value={publication.descriptions}
+              className={
+                resume.publications.length - 1 !== 0 &&
+                idx !== resume.publications.length - 1 &&
+                "!border-b-4"
+              }
+            />
+          </Fragment>
+        ))}
       </tbody>
     </table>
   );
@@ -0,0 +1,50 @@
+import type { ExperienceTimeline } from "lib/experience-timeline";
+import { fromJsonResumeDates } from "lib/resume-file/dates";
+
+const formatMonths = (months: number) =>
+  `${months} month${months === 1 ? "" : "s"}`;
+
+export const ResumeTimeline = ({
+  timeline,
+}: {
+  timeline: ExperienceTimeline;
+}) => {
+  const { totalYearsOfExperience, gaps, overlaps, unreadableDates } = timeline;
+  const items = [
+    ...gaps.map(
+      ({ after, before, start, end, months }) =>
+        `Gap of ${formatMonths(months)} (${fromJsonResumeDates(
+          start,
+          end
+        )}) between ${after} and ${before}`
+    ),
+    ...overlaps.map(
+      ({ companies, start, end, months }) =>
+        `${companies[0]} and ${companies[1]} overlap for ${formatMonths(
+          months
+        )} (${fromJsonResumeDates(start, end)})`
+    ),
+    ...unreadableDates.map(
+      ({ date }) => `The date "${date}" can't be read, so it isn't counted`
+    ),
+  ];
+
+  return (
+    <div className="mt-2 rounded-md border text-sm text-gray-900">
+      <div className="flex items-center justify-between border-b bg-gray-50 px-3 py-2">
+        <span className="font-semibold">Total Years of Experience</span>
+        <span className="text-lg font-bold">{totalYearsOfExperience}</span>
+      </div>
+      <ul className="divide-y">
+        {items.length === 0 && (
+          <li className="px-3 py-2">No gaps or overlaps between jobs.</li>
+        )}
+        {items.map((item, idx) => (
+          <li key={idx} className="px-3 py-2">
+            {item}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
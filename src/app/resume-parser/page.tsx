@@ -1,14 +1,28 @@
 "use client";
 import { useState, useEffect } from "react";
 import { readPdf } from "lib/parse-resume-from-pdf/read-pdf";
-import type { TextItems } from "lib/parse-resume-from-pdf/types";
+import type {
+  TextItems,
+  PageLayout,
+  LanguageCode,
+} from "lib/parse-resume-from-pdf/types";
 import { groupTextItemsIntoLines } from "lib/parse-resume-from-pdf/group-text-items-into-lines";
 import { groupLinesIntoSections } from "lib/parse-resume-from-pdf/group-lines-into-sections";
-import { extractResumeFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import { extractResumeWithConfidenceFromSections } from "lib/parse-resume-from-pdf/extract-resume-from-sections";
+import { getAtsReport } from "lib/parse-resume-from-pdf/ats-report";
+import { getExperienceTimeline } from "lib/experience-timeline";
+import {
+  LANGUAGE_CODES,
+  LANGUAGE_PACKS,
+  detectLanguage,
+  getVocabulary,
+} from "lib/parse-resume-from-pdf/language-packs";
 import { ResumeDropzone } from "components/ResumeDropzone";
 import { cx } from "lib/cx";
 import { Heading, Link, Paragraph } from "components/documentation";
 import { ResumeTable } from "resume-parser/ResumeTable";
+import { ResumeAtsReport } from "resume-parser/ResumeAtsReport";
+import { ResumeTimeline } from "resume-parser/ResumeTimeline";
 import { FlexboxSpacer } from "components/FlexboxSpacer";
 import { ResumeParserAlgorithmArticle } from "resume-parser/ResumeParserAlgorithmArticle";
 
@@ -36,17 +50,49 @@ const RESUME_EXAMPLES = [
 ];
 
 const defaultFileUrl = RESUME_EXAMPLES[0]["fileUrl"];
+
+const getLayoutDescription = (pageLayouts: PageLayout[]) => {
+  const multiColumnPages = pageLayouts.filter(
+    ({ numColumns }) => numColumns > 1
+  );
+  if (multiColumnPages.length === 0) return "Single column";
+  return multiColumnPages
+    .map(
+      ({ pageNumber, numColumns }) =>
+        `${numColumns} columns on page ${pageNumber}`
+    )
+    .join(", ");
+};
+
 export default function ResumeParser() {
   const [fileUrl, setFileUrl] = useState(defaultFileUrl);
   const [textItems, setTextItems] = useState<TextItems>([]);
+  const [pageLayouts, setPageLayouts] = useState<PageLayout[]>([]);
+  const [language, setLanguage] = useState<LanguageCode | "auto">("auto");
   const lines = groupTextItemsIntoLines(textItems || []);
-  const sections = groupLinesIntoSections(lines);
-  const resume = extractResumeFromSections(sections);
+  const detectedLanguage = detectLanguage(lines);
+  const vocabulary = getVocabulary(
+    language === "auto" ? detectedLanguage : language
+  );
+  const sections = groupLinesIntoSections(lines, vocabulary);
+  const { resume, confidence } = extractResumeWithConfidenceFromSections(
+    sections,
+    vocabulary
+  );
+  const atsReport = getAtsReport({
+    lines,
+    sections,
+    resume,
+    pageLayouts,
+    vocabulary,
+  });
+  const timeline = getExperienceTimeline(resume, new Date(), vocabulary);
 
   useEffect(() => {
     async function test() {
-      const textItems = await readPdf(fileUrl);
+      const { textItems, pageLayouts } = await readPdf(fileUrl);
       setTextItems(textItems);
+      setPageLayouts(pageLayouts);
     }
     test();
   }, [fileUrl]);
@@ -117,7 +163,46 @@ export default function ResumeParser() {
             <Heading level={2} className="!mt-[1.2em]">
               Resume Parsing Results
             </Heading>
-            <ResumeTable resume={resume} />
+            {pageLayouts.length > 0 && (
+              <Paragraph smallMarginTop={true}>
+                <span className="font-semibold">Detected layout:</span>{" "}
+                {getLayoutDescription(pageLayouts)}
+              </Paragraph>
+            )}
+            <Paragraph smallMarginTop={true}>
+              <label>
+                <span className="font-semibold">Language:</span>{" "}
+                <select
+                  className="rounded-md border border-gray-300 px-2 py-0.5"
+                  value={language}
+                  onChange={(e) =>
+                    setLanguage(e.target.value as LanguageCode | "auto")
+                  }
+                >
+                  <option value="auto">
+                    Detected ({LANGUAGE_PACKS[detectedLanguage].name})
+                  </option>
+                  {LANGUAGE_CODES.map((code) => (
+                    <option key={code} value={code}>
+                      {LANGUAGE_PACKS[code].name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </Paragraph>
+            <ResumeTable resume={resume} confidence={confidence} />
+            <Paragraph smallMarginTop={true}>
+              The percentage next to a field is how confident the parser is in
+              it. Fields in red are likely parsed wrong.
+            </Paragraph>
+            <Heading level={2} className="!mt-[1.2em]">
+              ATS Readability Report
+            </Heading>
+            <ResumeAtsReport report={atsReport} />
+            <Heading level={2} className="!mt-[1.2em]">
+              Experience Timeline
+            </Heading>
+            <ResumeTimeline timeline={timeline} />
             <ResumeParserAlgorithmArticle
               textItems={textItems}
               lines={lines}
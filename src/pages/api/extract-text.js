@@ -1,8 +1,25 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import https from 'https';
-import crypto from 'crypto';
+import crypto from "crypto";
+import { CONFIG } from "lib/api/config";
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { readJsonBody, resolveFileInput } from "lib/api/file-input";
+import { errorBody, sendError } from "lib/api/errors";
+import { validateRequestBody } from "lib/api/openapi";
+import {
+  isMultipartRequest,
+  parseMultipartRequest,
+  MultipartError,
+} from "lib/api/multipart";
+import {
+  processBuffer,
+  detectFileType,
+  parseOcrOption,
+  formatSuccessData,
+  formatErrorDetails,
+} from "lib/api/process-buffer";
+import { getResultCache, resultKey, matchesEtag } from "lib/api/result-cache";
+import { getJobStore, createJob, runJob } from "lib/api/jobs";
+import { checkCallbackUrl } from "lib/api/webhooks";
+import { parseRedactOption, redactExtraction } from "lib/api/redact";
 
 // Production-ready text extraction API for n8n integration
 // Supports: HTTPS, rate limiting, security headers, comprehensive logging
@@ -10,457 +27,406 @@ import crypto from 'crypto';
 export const config = {
   api: {
     bodyParser: false,
-    responseLimit: '10mb', // Increased for larger PDF/text files
+    responseLimit: "10mb", // Increased for larger PDF/text files
   },
 };
 
-// Security and configuration
-const CONFIG = {
-  // Rate limiting
-  RATE_LIMIT_WINDOW_MS: 60000, // 1 minute window
-  RATE_LIMIT_MAX_REQUESTS: 100, // Max requests per window
-  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB max file size
-  
-  // CORS - adjust for your n8n domain
-  ALLOWED_ORIGINS: [
-    'https://*.n8n.io',
-    'https://n8n.io',
-    'http://localhost:3000',
-    'http://localhost:5678' // n8n local development
-  ],
-  
-  // File type restrictions
-  ALLOWED_FILE_TYPES: ['pdf', 'txt', 'html', 'htm', 'doc', 'docx'],
-  MAX_TEXT_LENGTH: 50000, // characters
-};
-
-// In-memory rate limiting store (use Redis in production)
-const rateLimitStore = new Map();
-
-// File type magic numbers
-const MAGIC_NUMBERS = {
-  PNG: '89504e47',
-  JPEG: 'ffd8',
-  PDF: '25504446',
-  DOC: 'd0cf11e0', // Microsoft Office documents
-  ZIP: '504b0304', // ZIP-based formats (DOCX, etc.)
-};
-
-// Security headers middleware
-function setSecurityHeaders(res) {
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
-}
+// Read the uploaded files of a multipart/form-data request.
+// Text fields (e.g. fileName, or fileUrl instead of a file part) are returned as the body.
+async function readMultipartInput(req) {
+  const { fields, files } = await parseMultipartRequest(req, {
+    maxFileSize: CONFIG.MAX_FILE_SIZE,
+    maxFiles: CONFIG.MAX_FILES_PER_REQUEST,
+    maxFieldSize: CONFIG.MAX_FIELD_SIZE,
+    maxFields: CONFIG.MAX_FIELDS_PER_REQUEST,
+    maxTotalSize: CONFIG.MAX_MULTIPART_SIZE,
+  });
 
-// CORS middleware
-function handleCORS(req, res) {
-  const origin = req.headers.origin;
-  if (CONFIG.ALLOWED_ORIGINS.some(allowed => 
-    allowed.includes('*') ? origin?.includes(allowed.replace('*', '')) : origin === allowed
-  )) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
-  res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
+  return {
+    body: fields,
+    files: files.map((file) => ({
+      buffer: file.buffer,
+      // A fileName field renames a single uploaded file
+      fileName:
+        (files.length === 1 && fields.fileName) ||
+        file.fileName ||
+        "uploaded_file",
+    })),
+  };
 }
 
-// Rate limiting middleware
-function rateLimit(req, res) {
-  const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-  const now = Date.now();
-  const windowStart = now - CONFIG.RATE_LIMIT_WINDOW_MS;
-  
-  // Clean old entries
-  for (const [ip, timestamps] of rateLimitStore.entries()) {
-    rateLimitStore.set(ip, timestamps.filter(timestamp => timestamp > windowStart));
+// Validate the callbackUrl of an async request. Returns error details, or null when valid.
+function validateCallback(callbackUrl) {
+  if (!callbackUrl) return null;
+  if (!CONFIG.WEBHOOK_SECRET) {
+    return {
+      message:
+        "callbackUrl requires WEBHOOK_SECRET to be configured on the server",
+      code: "CALLBACK_NOT_CONFIGURED",
+    };
   }
-  
-  const clientTimestamps = rateLimitStore.get(clientIP) || [];
-  const requestsInWindow = clientTimestamps.length;
-  
-  if (requestsInWindow >= CONFIG.RATE_LIMIT_MAX_REQUESTS) {
-    res.status(429).json({ 
-      error: "Rate limit exceeded", 
-      retryAfter: Math.ceil((clientTimestamps[0] + CONFIG.RATE_LIMIT_WINDOW_MS - now) / 1000) 
-    });
-    return false;
+  try {
+    checkCallbackUrl(callbackUrl);
+    return null;
+  } catch (e) {
+    return {
+      message: `Invalid callbackUrl: ${e.message}`,
+      code: "INVALID_CALLBACK_URL",
+    };
   }
-  
-  clientTimestamps.push(now);
-  rateLimitStore.set(clientIP, clientTimestamps);
-  return true;
 }
 
-  // API Key authentication (optional for n8n)
-function authenticateAPIKey(req) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  
-  // In production, validate against your key store
-  // For testing, we'll accept any key or skip if no keys configured
-  // In production, set REQUIRE_API_KEY=true and configure valid API keys
-  const requireAuth = process.env.REQUIRE_API_KEY === 'true';
-  
-  if (requireAuth && !apiKey) {
-    return { valid: false, error: "API key required" };
-  }
-  
-  // Optional: Validate specific API keys in production
-  // if (requireAuth && apiKey && !validApiKeys.includes(apiKey)) {
-  //   return { valid: false, error: "Invalid API key" };
-  // }
-  
-  return { valid: true };
+// Extract the text of one file through the result cache: the same file often reaches us several
+// times (e.g. from parallel n8n branches), so identical file and options reuse the first result
+async function extractFile(file, key, sha256, { format, ocr, noCache }) {
+  const { result, cached } = await getResultCache().extract(
+    key,
+    async () => {
+      const result = await processBuffer(file.buffer, file.fileName, {
+        format,
+        ocr,
+      });
+      return result.success
+        ? { ...result, metadata: { ...result.metadata, sha256 } }
+        : result;
+    },
+    { noCache }
+  );
+  // A cached result may come from a request that named the file differently
+  return {
+    ...result,
+    ...(result.success && { fileName: file.fileName, cached }),
+  };
 }
 
-// Secure file download with HTTPS support
-async function downloadFileFromUrl(url) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    
-    // Validate URL
-    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-      reject(new Error('Invalid URL protocol'));
-      return;
+// Extract the text of the uploaded files, or of the n8n-compatible input formats in the body.
+// Resolves to the response `{ status, headers, body }`; a single file whose ETag matches
+// `ifNoneMatch` and whose result is cached resolves to a 304 without being extracted, unless
+// `noCache` asks to bypass the cache. With `redact`, the PII of each file is masked after
+// extraction (the cache keeps the original) and the response isn't cacheable.
+async function extractFiles(
+  req,
+  body,
+  files,
+  startTime,
+  { format = "text", ocr, noCache = false, ifNoneMatch, redact = null } = {}
+) {
+  // n8n-compatible input formats
+  if (files.length === 0) {
+    const {
+      buffer,
+      fileName,
+      error: inputError,
+      code: inputCode,
+    } = await resolveFileInput(body);
+    if (inputError) {
+      logRequest(
+        req,
+        { success: false, error: inputError, code: inputCode },
+        startTime
+      );
+      return {
+        status: 400,
+        body: errorBody({ message: inputError, code: inputCode }, startTime),
+      };
     }
-    
-    const options = {
-      timeout: 30000, // 30 second timeout
-      rejectUnauthorized: true, // Verify SSL certificates
+    files = [{ buffer, fileName }];
+  }
+
+  const keyedFiles = files.map((file) => {
+    const sha256 = crypto
+      .createHash("sha256")
+      .update(file.buffer)
+      .digest("hex");
+    const fileType = detectFileType(file.buffer, file.fileName);
+    return {
+      file,
+      fileType,
+      sha256,
+      key: resultKey(sha256, { fileType, format, ocr }),
     };
-    
-    https.get(url, options, (response) => {
-      if (response.statusCode !== 200) {
-        reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-        return;
-      }
-      
-      const chunks = [];
-      let totalSize = 0;
-      
-      response.on('data', (chunk) => {
-        totalSize += chunk.length;
-        if (totalSize > CONFIG.MAX_FILE_SIZE) {
-          response.destroy();
-          reject(new Error(`File too large: ${totalSize} bytes`));
-          return;
-        }
-        chunks.push(chunk);
-      });
-      
-      response.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        resolve(buffer);
-      });
-      
-      response.on('error', reject);
-      
-    }).on('error', reject).on('timeout', () => {
-      reject(new Error('Request timeout'));
-    });
   });
-}
 
-// Enhanced file type detection
-function detectFileType(buffer, fileName) {
-  const magic = buffer.toString('hex', 0, 8);
-  
-  if (magic.startsWith(MAGIC_NUMBERS.PDF)) return 'pdf';
-  if (magic.startsWith(MAGIC_NUMBERS.PNG) || magic.startsWith(MAGIC_NUMBERS.JPEG)) return 'image';
-  if (magic.startsWith(MAGIC_NUMBERS.DOC) || magic.startsWith(MAGIC_NUMBERS.ZIP)) return 'document';
-  
-  // Text detection with more robust heuristics
-  try {
-    const text = buffer.toString('utf8');
-    const nullBytes = text.includes('\0');
-    const printableRatio = text.replace(/[^\x20-\x7E\n\r\t]/g, '').length / text.length;
-    
-    if (!nullBytes && printableRatio > 0.8) {
-      return 'text';
-    }
-  } catch (e) {
-    // Not valid UTF-8 text
-  }
-  
-  // Fallback to extension
-  if (fileName) {
-    const ext = path.extname(fileName).toLowerCase().slice(1);
-    if (CONFIG.ALLOWED_FILE_TYPES.includes(ext)) {
-      return ext;
-    }
+  if (
+    !redact &&
+    !noCache &&
+    keyedFiles.length === 1 &&
+    matchesEtag(ifNoneMatch, keyedFiles[0].key) &&
+    (await getResultCache().has(keyedFiles[0].key))
+  ) {
+    const [{ file, fileType, key }] = keyedFiles;
+    logRequest(
+      req,
+      {
+        success: true,
+        type: fileType,
+        metadata: { fileSize: file.buffer.length },
+      },
+      startTime
+    );
+    return { status: 304, headers: { ETag: `"${key}"` }, body: null };
   }
-  
-  return 'unknown';
-}
 
-// Enhanced PDF detection and placeholder
-function isPdf(buffer) {
-  return buffer.toString('utf8', 0, 4).startsWith('%PDF');
-}
+  // Process the files
+  const results = [];
+  for (const { file, sha256, key } of keyedFiles) {
+    const result = await extractFile(file, key, sha256, {
+      format,
+      ocr,
+      noCache,
+    });
+
+    // Log the request
+    logRequest(req, result, startTime);
+    results.push(
+      redact && result.success ? redactExtraction(result, redact) : result
+    );
+  }
 
-// Process different file types with enhanced security
-async function processBuffer(buffer, fileName) {
-  const fileType = detectFileType(buffer, fileName);
-  const fileSize = buffer.length;
-  
-  // Security: File size check
-  if (fileSize > CONFIG.MAX_FILE_SIZE) {
+  // Several multipart file parts: one entry per file, in upload order
+  if (results.length > 1) {
     return {
-      success: false,
-      error: `File too large: ${fileSize} bytes (max: ${CONFIG.MAX_FILE_SIZE} bytes)`,
-      type: fileType
+      status: results.some((result) => result.success) ? 200 : 400,
+      body: {
+        success: results.every((result) => result.success),
+        data: {
+          files: results.map((result, i) =>
+            result.success
+              ? {
+                  success: true,
+                  ...formatSuccessData(result),
+                  cached: result.cached,
+                }
+              : {
+                  success: false,
+                  fileName: files[i].fileName,
+                  error: formatErrorDetails(result),
+                }
+          ),
+        },
+        executionTime: Date.now() - startTime + "ms",
+      },
     };
   }
-  
-  switch (fileType) {
-    case 'pdf':
-      try {
-        // Enhanced PDF placeholder with metadata
-        const textPreview = buffer.toString('utf8', 0, 1000).replace(/[^\x20-\x7E\n\r]/g, '');
-        
-        return {
-          success: true,
-          type: "pdf",
-          fileName: fileName || "document.pdf",
-          text: "PDF file detected. For enhanced text extraction with OCR and formatting preservation, use the dedicated resume parser service.\n\nPreview (first 1000 bytes):\n" + textPreview,
-          metadata: {
-            fileSize,
-            pages: 1, // Placeholder
-            textPreviewLength: textPreview.length
-          },
-          hint: "Upgrade to full PDF parsing service for complete text extraction"
-        };
-      } catch (e) {
-        return { 
-          success: false, 
-          error: "PDF processing error",
-          type: "pdf" 
-        };
-      }
-    
-    case 'text':
-    case 'txt':
-    case 'html':
-    case 'htm':
-      try {
-        const text = buffer.toString('utf8');
-        
-        // Security: Limit text length
-        if (text.length > CONFIG.MAX_TEXT_LENGTH) {
-          return {
-            success: true,
-            type: fileType,
-            fileName: fileName || "text.txt",
-            text: text.substring(0, CONFIG.MAX_TEXT_LENGTH) + "\n\n[Content truncated due to size limits]",
-            truncated: true,
-            originalLength: text.length,
-            extractedLength: CONFIG.MAX_TEXT_LENGTH
-          };
-        }
-        
-        return {
-          success: true,
-          type: fileType,
-          fileName: fileName || "text.txt",
-          text: text,
-          metadata: {
-            fileSize,
-            textLength: text.length,
-            lines: text.split('\n').length
-          }
-        };
-      } catch (e) {
-        return { 
-          success: false, 
-          error: "Text decoding error",
-          type: fileType 
-        };
-      }
-    
-    case 'image':
-      return {
-        success: false,
-        error: "Image files not supported. OCR service required.",
-        type: "image",
-        hint: "Convert image to PDF or text first, or enable OCR capabilities"
-      };
-    
-    case 'document':
-      return {
-        success: false,
-        error: "Document processing requires additional services",
-        type: "document",
-        hint: "Supported formats: PDF, TXT, HTML. Convert DOC/DOCX to PDF first."
-      };
-    
-    default:
-      return { 
-        success: false, 
-        error: "Unsupported file type",
-        type: "unknown",
-        allowedTypes: CONFIG.ALLOWED_FILE_TYPES 
-      };
-  }
-}
 
-// Request logging for monitoring
-function logRequest(req, result, startTime) {
-  const duration = Date.now() - startTime;
-  const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-  const userAgent = req.headers['user-agent'] || 'unknown';
-  
-  console.log(JSON.stringify({
-    timestamp: new Date().toISOString(),
-    ip: clientIP,
-    method: req.method,
-    endpoint: req.url,
-    userAgent: userAgent.substring(0, 100), // Limit length
-    duration: duration + 'ms',
-    success: result.success,
-    fileType: result.type,
-    fileSize: result.metadata?.fileSize || 0,
-    error: result.error || null
-  }));
+  const [result] = results;
+  if (result.success) {
+    // n8n-compatible success response
+    return {
+      status: 200,
+      headers: {
+        ...(redact
+          ? { "Cache-Control": "no-store" }
+          : { ETag: `"${keyedFiles[0].key}"` }),
+        "X-Cache": result.cached ? "HIT" : "MISS",
+      },
+      body: {
+        success: true,
+        data: { ...formatSuccessData(result), cached: result.cached },
+        executionTime: Date.now() - startTime + "ms",
+      },
+    };
+  }
+  // n8n-compatible error response
+  return {
+    status: 400,
+    body: errorBody(formatErrorDetails(result), startTime),
+  };
 }
 
 // Main API handler
 export default async function handler(req, res) {
   const startTime = Date.now();
-  
-  // Set security headers
-  setSecurityHeaders(res);
-  
-  // Handle CORS
-  handleCORS(req, res);
-  
-  // Handle preflight OPTIONS request
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-  
-  // Method validation
-  if (req.method !== 'POST') {
-    const result = { error: "Method not allowed. Only POST requests accepted." };
-    logRequest(req, { success: false, error: result.error }, startTime);
-    return res.status(405).json(result);
-  }
-  
-  // Rate limiting
-  if (!rateLimit(req, res)) {
-    logRequest(req, { success: false, error: "Rate limit exceeded" }, startTime);
+
+  if (!(await runMiddleware(req, res, startTime))) {
     return; // Response already sent
   }
-  
-  // API Key authentication
-  const authResult = authenticateAPIKey(req);
-  if (!authResult.valid) {
-    const result = { error: authResult.error };
-    logRequest(req, { success: false, error: result.error }, startTime);
-    return res.status(401).json(result);
-  }
-  
+
   try {
-    // Parse JSON body (multipart form data removed for Vercel compatibility)
-    // n8n workflows typically use JSON with base64 or URLs
-    const chunks = [];
-    for await (const chunk of req) {
-      chunks.push(chunk);
-    }
-    
-    const bodyText = Buffer.concat(chunks).toString('utf8');
     let body;
-    
-    try {
-      body = JSON.parse(bodyText);
-    } catch (e) {
-      const result = { error: "Invalid JSON body" };
-      logRequest(req, { success: false, error: result.error }, startTime);
-      return res.status(400).json(result);
-    }
-    
-    let buffer, fileName;
-    
-    // n8n-compatible input formats
-    if (body.fileUrl) {
-      try {
-        buffer = await downloadFileFromUrl(body.fileUrl);
-        fileName = path.basename(body.fileUrl);
-      } catch (e) {
-        const result = { error: `URL download failed: ${e.message}` };
-        logRequest(req, { success: false, error: result.error }, startTime);
-        return res.status(400).json(result);
-      }
-    } else if (body.fileBase64) {
-      try {
-        buffer = Buffer.from(body.fileBase64, 'base64');
-        fileName = body.fileName || "uploaded_file";
-      } catch (e) {
-        const result = { error: "Invalid base64 encoding" };
-        logRequest(req, { success: false, error: result.error }, startTime);
-        return res.status(400).json(result);
-      }
-    } else if (body.binaryData) {
-      // n8n binary data format
+    let files = [];
+    const isMultipart = isMultipartRequest(req);
+
+    if (isMultipart) {
+      // Multipart uploads (n8n HTTP node, curl -F, browser forms)
       try {
-        buffer = Buffer.from(body.binaryData.data);
-        fileName = body.fileName || "n8n_upload";
+        ({ body, files } = await readMultipartInput(req));
       } catch (e) {
-        const result = { error: "Invalid binary data" };
-        logRequest(req, { success: false, error: result.error }, startTime);
-        return res.status(400).json(result);
+        if (!(e instanceof MultipartError)) throw e;
+
+        logRequest(
+          req,
+          { success: false, error: e.message, code: e.code },
+          startTime
+        );
+        // The rest of the upload is left unread, so close the connection once the error is sent
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.destroy());
+        return sendError(
+          res,
+          e.status,
+          { message: e.message, code: e.code },
+          startTime
+        );
       }
     } else {
-      const result = { error: "Missing file data. Provide fileUrl, fileBase64, or binaryData" };
-      logRequest(req, { success: false, error: result.error }, startTime);
-      return res.status(400).json(result);
+      // JSON body: n8n workflows typically use JSON with base64 or URLs
+      const {
+        body: jsonBody,
+        error: bodyError,
+        code: bodyCode,
+      } = await readJsonBody(req);
+      if (bodyError) {
+        logRequest(
+          req,
+          { success: false, error: bodyError, code: bodyCode },
+          startTime
+        );
+        return sendError(
+          res,
+          400,
+          { message: bodyError, code: bodyCode },
+          startTime
+        );
+      }
+      body = jsonBody;
     }
-    
-    // Process the file
-    const result = await processBuffer(buffer, fileName);
-    
-    // Log the request
-    logRequest(req, result, startTime);
-    
-    // Send response
-    if (result.success) {
-      // n8n-compatible success response
-      res.status(200).json({
-        success: true,
-        data: {
-          extractedText: result.text,
-          fileName: result.fileName,
-          fileType: result.type,
-          metadata: result.metadata || {},
-          truncated: result.truncated || false
+
+    // Strict validation against the OpenAPI contract (/api/openapi.json)
+    const validationErrors = validateRequestBody(
+      body,
+      isMultipart ? "ExtractTextMultipartRequest" : "ExtractTextRequest"
+    );
+    if (validationErrors) {
+      logRequest(
+        req,
+        {
+          success: false,
+          error: "Invalid request body",
+          code: "VALIDATION_ERROR",
         },
-        executionTime: Date.now() - startTime + 'ms'
+        startTime
+      );
+      return sendError(
+        res,
+        400,
+        {
+          message: "Invalid request body",
+          code: "VALIDATION_ERROR",
+          details: validationErrors,
+        },
+        startTime
+      );
+    }
+
+    const format = body.format || "text";
+    const ocr = parseOcrOption(body.ocr);
+
+    // PII redaction for blind screening; the logs of the request are masked as well
+    const redact = parseRedactOption(body.redact);
+    req.redact = Boolean(redact);
+
+    // noCache (or Cache-Control: no-cache) skips cached results; the fresh result is still stored
+    const noCache =
+      body.noCache === true ||
+      body.noCache === "true" ||
+      /no-cache/i.test(req.headers["cache-control"] || "");
+
+    // Async mode: answer 202 with a job id and extract in the background
+    const callbackUrl = body.callbackUrl || null;
+    const isAsync =
+      body.async === true || body.async === "true" || Boolean(callbackUrl);
+    const hasInput =
+      files.length > 0 ||
+      Boolean(body.fileUrl || body.fileBase64 || body.binaryData);
+    if (isAsync && hasInput) {
+      const callbackError = validateCallback(callbackUrl);
+      if (callbackError) {
+        logRequest(
+          req,
+          {
+            success: false,
+            error: callbackError.message,
+            code: callbackError.code,
+          },
+          startTime
+        );
+        return sendError(res, 400, callbackError, startTime);
+      }
+
+      const jobStore = getJobStore();
+      const job = await createJob(jobStore, {
+        owner: req.apiKey?.label,
+        callbackUrl,
       });
-    } else {
-      // n8n-compatible error response
-      res.status(400).json({
-        success: false,
-        error: {
-          message: result.error,
-          type: result.type,
-          hint: result.hint,
-          allowedTypes: result.allowedTypes
+      res.status(202).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`,
         },
-        executionTime: Date.now() - startTime + 'ms'
+        executionTime: Date.now() - startTime + "ms",
       });
+
+      runJob(
+        jobStore,
+        job,
+        async () =>
+          (
+            await extractFiles(req, body, files, startTime, {
+              format,
+              ocr,
+              noCache,
+              redact,
+            })
+          ).body
+      ).catch((error) => console.error("Job Error:", error));
+      return;
     }
-    
+
+    const {
+      status,
+      headers = {},
+      body: responseBody,
+    } = await extractFiles(req, body, files, startTime, {
+      format,
+      ocr,
+      noCache,
+      ifNoneMatch: req.headers["if-none-match"],
+      redact,
+    });
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+    if (status === 304) {
+      return res.status(304).end();
+    }
+    // Written directly: res.json() would replace the content ETag with a hash of the JSON body
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.status(status).end(JSON.stringify(responseBody));
   } catch (error) {
     // Handle unexpected errors
     console.error("API Error:", error);
-    const result = { 
-      success: false, 
-      error: "Internal server error",
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined 
-    };
-    
-    logRequest(req, result, startTime);
-    res.status(500).json(result);
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      {
+        message: "Internal server error",
+        code: "INTERNAL_ERROR",
+        hint:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+      startTime
+    );
   }
 }
@@ -0,0 +1,119 @@
+import { CONFIG } from "lib/api/config";
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { readJsonBody } from "lib/api/file-input";
+import { sendError } from "lib/api/errors";
+import { validateRequestBody } from "lib/api/openapi";
+import { extractBatch } from "lib/api/batch";
+
+// Batch text extraction API for n8n integration
+// Accepts `{ items: [...] }` where every item uses one of the /api/extract-text JSON input
+// formats, and returns one result per item in input order. A batch counts as a single
+// request for rate limiting and API key quotas.
+
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: "50mb", // Up to BATCH_MAX_ITEMS extracted texts
+  },
+};
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (!(await runMiddleware(req, res, startTime))) {
+    return; // Response already sent
+  }
+
+  const fail = (status, error) => {
+    logRequest(
+      req,
+      { success: false, error: error.message, code: error.code, type: "batch" },
+      startTime
+    );
+    sendError(res, status, error, startTime);
+  };
+
+  try {
+    const {
+      body,
+      error: bodyError,
+      code: bodyCode,
+      status: bodyStatus,
+    } = await readJsonBody(req, { maxSize: CONFIG.BATCH_MAX_BODY_SIZE });
+    if (bodyError) {
+      if (bodyStatus === 413) {
+        // The rest of the body is left unread, so close the connection once the error is sent
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.destroy());
+      }
+      return fail(bodyStatus || 400, { message: bodyError, code: bodyCode });
+    }
+
+    if (
+      Array.isArray(body?.items) &&
+      body.items.length > CONFIG.BATCH_MAX_ITEMS
+    ) {
+      return fail(413, {
+        message: `Too many items: at most ${CONFIG.BATCH_MAX_ITEMS} per batch`,
+        code: "TOO_MANY_ITEMS",
+      });
+    }
+    // Items themselves are validated one by one by extractBatch
+    const validationErrors = validateRequestBody(body, "BatchRequest");
+    if (validationErrors) {
+      return fail(400, {
+        message: "Invalid request body",
+        code: "VALIDATION_ERROR",
+        details: validationErrors,
+      });
+    }
+
+    const { results, summary } = await extractBatch(body.items);
+    // One log line (and metrics sample) per item, like the files of a multipart upload
+    for (const result of results) {
+      logRequest(
+        req,
+        result.success
+          ? {
+              success: true,
+              type: result.fileType,
+              truncated: result.truncated,
+              metadata: result.metadata,
+            }
+          : {
+              success: false,
+              error: result.error.message,
+              code: result.error.code,
+              type: result.error.type,
+            },
+        startTime
+      );
+    }
+
+    // One bad item never fails the batch: check each result's success
+    res.status(200).json({
+      success: true,
+      data: { results, summary },
+      executionTime: Date.now() - startTime + "ms",
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+        type: "batch",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      { message: "Internal server error", code: "INTERNAL_ERROR" },
+      startTime
+    );
+  }
+}
@@ -0,0 +1,27 @@
+import { runMiddleware } from "lib/api/middleware";
+import { getHealth } from "lib/api/health";
+
+// Liveness probe: answers as long as the server handles requests.
+// Public and not rate limited; successful probes are not logged to keep the request log readable.
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (
+    !(await runMiddleware(req, res, startTime, {
+      methods: ["GET"],
+      authenticate: false,
+      throttle: false,
+    }))
+  ) {
+    return; // Response already sent
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200).json({
+    success: true,
+    data: getHealth(),
+    executionTime: Date.now() - startTime + "ms",
+  });
+}
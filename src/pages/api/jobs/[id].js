@@ -0,0 +1,63 @@
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { SCOPES } from "lib/api/api-keys";
+import { sendError } from "lib/api/errors";
+import { getJobStore, formatJob } from "lib/api/jobs";
+
+// Status and result of an async extraction job started with `async: true` or a `callbackUrl`
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (!(await runMiddleware(req, res, startTime, { methods: ["GET"] }))) {
+    return; // Response already sent
+  }
+
+  try {
+    const job = await getJobStore().get(String(req.query.id));
+
+    // Jobs created with an API key are only visible to that key (and admin keys)
+    const isVisible =
+      job &&
+      (!job.owner ||
+        job.owner === req.apiKey?.label ||
+        req.apiKey?.scopes.includes(SCOPES.ADMIN));
+    if (!isVisible) {
+      logRequest(
+        req,
+        { success: false, error: "Job not found", code: "JOB_NOT_FOUND" },
+        startTime
+      );
+      return sendError(
+        res,
+        404,
+        { message: "Job not found", code: "JOB_NOT_FOUND" },
+        startTime
+      );
+    }
+
+    logRequest(req, { success: true }, startTime);
+    res.status(200).json({
+      success: true,
+      data: formatJob(job),
+      executionTime: Date.now() - startTime + "ms",
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      { message: "Internal server error", code: "INTERNAL_ERROR" },
+      startTime
+    );
+  }
+}
@@ -0,0 +1,197 @@
+import { CONFIG } from "lib/api/config";
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { readJsonBody } from "lib/api/file-input";
+import { sendError } from "lib/api/errors";
+import { validateRequestBody } from "lib/api/openapi";
+import {
+  isMultipartRequest,
+  parseMultipartRequest,
+  MultipartError,
+} from "lib/api/multipart";
+import { PdfExtractionError } from "lib/api/extract-pdf-text";
+import { matchRequestToJob } from "lib/api/match";
+
+// Job description matching API
+// Scores a resume against a job description and returns the matched and missing skills
+// and keywords and the bullet points that match the most. The resume is either a Resume
+// JSON, e.g. from /api/parse-resume, or a PDF in any /api/parse-resume input, including
+// a multipart/form-data upload.
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// The jobDescription field holds up to 50000 characters of up to 4 UTF-8 bytes each
+const MAX_JOB_DESCRIPTION_SIZE = 4 * 50000;
+
+// Read the resume file part of a multipart/form-data request.
+// Text fields (jobDescription, language, fileName, or fileUrl instead of a file part) are
+// returned as the body.
+async function readMultipartInput(req) {
+  const { fields, files } = await parseMultipartRequest(req, {
+    maxFileSize: CONFIG.MAX_FILE_SIZE,
+    maxFiles: 1,
+    maxFieldSize: Math.max(CONFIG.MAX_FIELD_SIZE, MAX_JOB_DESCRIPTION_SIZE),
+    maxFields: CONFIG.MAX_FIELDS_PER_REQUEST,
+    maxTotalSize: CONFIG.MAX_MULTIPART_SIZE,
+  });
+
+  const [file] = files;
+  return {
+    body: fields,
+    file: file && {
+      buffer: file.buffer,
+      // A fileName field renames the uploaded file
+      fileName: fields.fileName || file.fileName || "uploaded_file",
+    },
+  };
+}
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (!(await runMiddleware(req, res, startTime))) {
+    return; // Response already sent
+  }
+
+  try {
+    let body;
+    let file = null;
+    const isMultipart = isMultipartRequest(req);
+
+    if (isMultipart) {
+      try {
+        ({ body, file } = await readMultipartInput(req));
+      } catch (e) {
+        if (!(e instanceof MultipartError)) throw e;
+
+        logRequest(
+          req,
+          { success: false, error: e.message, code: e.code },
+          startTime
+        );
+        // The rest of the upload is left unread, so close the connection once the error is sent
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.destroy());
+        return sendError(
+          res,
+          e.status,
+          { message: e.message, code: e.code },
+          startTime
+        );
+      }
+    } else {
+      const {
+        body: jsonBody,
+        error: bodyError,
+        code: bodyCode,
+      } = await readJsonBody(req);
+      if (bodyError) {
+        logRequest(
+          req,
+          { success: false, error: bodyError, code: bodyCode },
+          startTime
+        );
+        return sendError(
+          res,
+          400,
+          { message: bodyError, code: bodyCode },
+          startTime
+        );
+      }
+      body = jsonBody;
+    }
+
+    const validationErrors = validateRequestBody(
+      body,
+      isMultipart ? "MatchMultipartRequest" : "MatchRequest"
+    );
+    if (validationErrors) {
+      logRequest(
+        req,
+        {
+          success: false,
+          error: "Invalid request body",
+          code: "VALIDATION_ERROR",
+        },
+        startTime
+      );
+      return sendError(
+        res,
+        400,
+        {
+          message: "Invalid request body",
+          code: "VALIDATION_ERROR",
+          details: validationErrors,
+        },
+        startTime
+      );
+    }
+
+    try {
+      const { match, fileName, error, code, hint } = await matchRequestToJob(
+        body,
+        file
+      );
+      if (error) {
+        logRequest(req, { success: false, error, code }, startTime);
+        return sendError(res, 400, { message: error, code, hint }, startTime);
+      }
+
+      logRequest(
+        req,
+        { success: true, type: fileName === null ? "json" : "pdf" },
+        startTime
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          match,
+          fileName,
+        },
+        executionTime: Date.now() - startTime + "ms",
+      });
+    } catch (e) {
+      if (!(e instanceof PdfExtractionError)) throw e;
+
+      logRequest(
+        req,
+        { success: false, error: e.message, code: e.code, type: "pdf" },
+        startTime
+      );
+      sendError(
+        res,
+        400,
+        { message: e.message, code: e.code, type: "pdf" },
+        startTime
+      );
+    }
+  } catch (error) {
+    // Handle unexpected errors
+    console.error("API Error:", error);
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      {
+        message: "Internal server error",
+        code: "INTERNAL_ERROR",
+        hint:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+      startTime
+    );
+  }
+}
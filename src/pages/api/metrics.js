@@ -0,0 +1,26 @@
+import { runMiddleware } from "lib/api/middleware";
+import { SCOPES } from "lib/api/api-keys";
+import { getApiMetrics } from "lib/api/metrics";
+
+// Prometheus metrics in the text exposition format.
+// Needs an `admin` API key once any key is configured (Prometheus can send it as a bearer
+// token); scrapes are not rate limited and not logged.
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (
+    !(await runMiddleware(req, res, startTime, {
+      methods: ["GET"],
+      scope: SCOPES.ADMIN,
+      throttle: false,
+    }))
+  ) {
+    return; // Response already sent
+  }
+
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.status(200).send(getApiMetrics().registry.render());
+}
@@ -0,0 +1,42 @@
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { sendError } from "lib/api/errors";
+import { OPENAPI_DOCUMENT } from "lib/api/openapi";
+
+// OpenAPI 3 document of the API, public so clients and n8n can load it without a key
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (
+    !(await runMiddleware(req, res, startTime, {
+      methods: ["GET"],
+      authenticate: false,
+    }))
+  ) {
+    return; // Response already sent
+  }
+
+  try {
+    logRequest(req, { success: true }, startTime);
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.status(200).json(OPENAPI_DOCUMENT);
+  } catch (error) {
+    console.error("API Error:", error);
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      { message: "Internal server error", code: "INTERNAL_ERROR" },
+      startTime
+    );
+  }
+}
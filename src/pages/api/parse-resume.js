@@ -0,0 +1,209 @@
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { readJsonBody, resolveFileInput } from "lib/api/file-input";
+import { sendError } from "lib/api/errors";
+import { validateRequestBody } from "lib/api/openapi";
+import { PdfExtractionError } from "lib/api/extract-pdf-text";
+import { OcrError } from "lib/api/ocr";
+import { parseResumeFromBuffer } from "lib/api/parse-resume";
+import {
+  parseRedactOption,
+  createRedactor,
+  getResumeIdentity,
+} from "lib/api/redact";
+
+// Structured resume parsing API for n8n integration
+// Runs the resume parser pipeline on the server and returns the Resume object
+// (lib/redux/types.ts) as JSON, with the confidence of each extracted field, an
+// ATS readability report and the experience timeline of its dates. Accepts the same
+// inputs as /api/extract-text, plus the resume language, which is detected if not given,
+// and PII redaction of the output for blind screening.
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (!(await runMiddleware(req, res, startTime))) {
+    return; // Response already sent
+  }
+
+  try {
+    const { body, error: bodyError, code: bodyCode } = await readJsonBody(req);
+    if (bodyError) {
+      logRequest(
+        req,
+        { success: false, error: bodyError, code: bodyCode },
+        startTime
+      );
+      return sendError(
+        res,
+        400,
+        { message: bodyError, code: bodyCode },
+        startTime
+      );
+    }
+
+    const validationErrors = validateRequestBody(body, "ParseResumeRequest");
+    if (validationErrors) {
+      logRequest(
+        req,
+        {
+          success: false,
+          error: "Invalid request body",
+          code: "VALIDATION_ERROR",
+        },
+        startTime
+      );
+      return sendError(
+        res,
+        400,
+        {
+          message: "Invalid request body",
+          code: "VALIDATION_ERROR",
+          details: validationErrors,
+        },
+        startTime
+      );
+    }
+
+    // The logs of a redacted request are masked as well
+    const redact = parseRedactOption(body.redact);
+    req.redact = Boolean(redact);
+
+    const {
+      buffer,
+      fileName,
+      error: inputError,
+      code: inputCode,
+    } = await resolveFileInput(body);
+    if (inputError) {
+      logRequest(
+        req,
+        { success: false, error: inputError, code: inputCode },
+        startTime
+      );
+      return sendError(
+        res,
+        400,
+        { message: inputError, code: inputCode },
+        startTime
+      );
+    }
+
+    // The parser works on positioned PDF text items, so only PDFs are accepted
+    if (!buffer.toString("utf8", 0, 4).startsWith("%PDF")) {
+      const error = "Resume parsing requires a PDF file";
+      logRequest(
+        req,
+        {
+          success: false,
+          error,
+          code: "UNSUPPORTED_FILE_TYPE",
+          type: "unknown",
+          metadata: { fileSize: buffer.length },
+        },
+        startTime
+      );
+      return sendError(
+        res,
+        400,
+        {
+          message: error,
+          code: "UNSUPPORTED_FILE_TYPE",
+          hint: "Use /api/extract-text for plain text extraction of other formats",
+        },
+        startTime
+      );
+    }
+
+    try {
+      const {
+        resume,
+        confidence,
+        atsReport,
+        language,
+        timeline,
+        numPages,
+        pageLayouts,
+      } = await parseResumeFromBuffer(buffer, { language: body.language });
+      const metadata = {
+        fileSize: buffer.length,
+        pages: numPages,
+        pageLayouts,
+      };
+      logRequest(req, { success: true, type: "pdf", metadata }, startTime);
+
+      let data = {
+        resume,
+        confidence,
+        atsReport,
+        language,
+        timeline,
+        fileName,
+        metadata,
+      };
+      if (redact) {
+        const redactor = createRedactor(getResumeIdentity(resume), redact);
+        data = {
+          ...redactor.redactValue(data),
+          redaction: redactor.getSummary(redact),
+        };
+        res.setHeader("Cache-Control", "no-store");
+      }
+
+      res.status(200).json({
+        success: true,
+        data,
+        executionTime: Date.now() - startTime + "ms",
+      });
+    } catch (e) {
+      if (!(e instanceof PdfExtractionError || e instanceof OcrError)) throw e;
+
+      logRequest(
+        req,
+        {
+          success: false,
+          error: e.message,
+          code: e.code,
+          type: "pdf",
+          metadata: { fileSize: buffer.length },
+        },
+        startTime
+      );
+      sendError(
+        res,
+        400,
+        { message: e.message, code: e.code, type: "pdf" },
+        startTime
+      );
+    }
+  } catch (error) {
+    // Handle unexpected errors
+    console.error("API Error:", error);
+    logRequest(
+      req,
+      {
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+      },
+      startTime
+    );
+    sendError(
+      res,
+      500,
+      {
+        message: "Internal server error",
+        code: "INTERNAL_ERROR",
+        hint:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      },
+      startTime
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { runMiddleware, logRequest } from "lib/api/middleware";
+import { sendError } from "lib/api/errors";
+import { checkReadiness } from "lib/api/health";
+
+// Readiness probe: 200 once the parser dependencies (pdfjs, resume parser, DOCX/DOC/HTML
+// extractors) load and run, 503 with the failed checks otherwise.
+// Public and not rate limited; only failures are logged.
+
+// Main API handler
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  if (
+    !(await runMiddleware(req, res, startTime, {
+      methods: ["GET"],
+      authenticate: false,
+      throttle: false,
+    }))
+  ) {
+    return; // Response already sent
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  const { ready, checks } = await checkReadiness();
+  if (!ready) {
+    const error = "Parser dependencies failed to load";
+    logRequest(req, { success: false, error, code: "NOT_READY" }, startTime);
+    return sendError(
+      res,
+      503,
+      { message: error, code: "NOT_READY", checks },
+      startTime
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { status: "ready", checks },
+    executionTime: Date.now() - startTime + "ms",
+  });
+}